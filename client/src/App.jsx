@@ -1,14 +1,22 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import Auth from './pages/Auth';
 import Dashboard from './pages/Dashboard';
 import ProjectView from './pages/ProjectView';
+import Invitation from './pages/Invitation';
+import SharedProject from './pages/SharedProject';
+import Usage from './pages/Usage';
+import Admin from './pages/Admin';
 import { ThemeProvider } from './context/ThemeContext';
+import { hasSession } from './utils/api';
 
+// An expired access token is fine here; the API client refreshes it.
+// The requested path is passed along so sign-in can return to it.
 const ProtectedRoute = ({ children }) => {
-    const token = localStorage.getItem('token');
-    if (!token) {
-        return <Navigate to="/auth" />;
+    const location = useLocation();
+
+    if (!hasSession()) {
+        return <Navigate to="/auth" state={{ from: location.pathname }} />;
     }
     return children;
 };
@@ -21,6 +29,7 @@ function App() {
                 <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-200">
                     <Routes>
                         <Route path="/auth" element={<Auth />} />
+                        <Route path="/share/:token" element={<SharedProject />} />
                         <Route
                             path="/"
                             element={
@@ -37,6 +46,30 @@ function App() {
                                 </ProtectedRoute>
                             }
                         />
+                        <Route
+                            path="/usage"
+                            element={
+                                <ProtectedRoute>
+                                    <Usage />
+                                </ProtectedRoute>
+                            }
+                        />
+                        <Route
+                            path="/admin"
+                            element={
+                                <ProtectedRoute>
+                                    <Admin />
+                                </ProtectedRoute>
+                            }
+                        />
+                        <Route
+                            path="/invitations/:token"
+                            element={
+                                <ProtectedRoute>
+                                    <Invitation />
+                                </ProtectedRoute>
+                            }
+                        />
                     </Routes>
                 </div>
             </Router>
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Failed image jobs across every project, newest first. Jobs whose frame was
+// generated by a later attempt are marked as resolved.
+export default function AdminJobs() {
+    const [jobs, setJobs] = useState([]);
+
+    const [next, setNext] = useState(null);
+
+    const [loading, setLoading] = useState(true);
+
+    const [hideResolved, setHideResolved] = useState(false);
+
+    useEffect(() => {
+        fetchJobs();
+    }, []);
+
+    const fetchJobs = async (before) => {
+        try {
+            const res = await api.get('/api/admin/jobs/failed', { params: { before: before ?? undefined } });
+            setJobs(prev => (before ? [...prev, ...res.data.jobs] : res.data.jobs));
+            setNext(res.data.next);
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to load jobs');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const shown = hideResolved ? jobs.filter(job => !job.resolved) : jobs;
+
+    return (
+        <div className="space-y-4">
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <input type="checkbox" checked={hideResolved} onChange={(e) => setHideResolved(e.target.checked)} />
+                Hide jobs that succeeded on a later attempt
+            </label>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700 overflow-x-auto">
+                {loading ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 p-6">Loading jobs...</p>
+                ) : shown.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 p-6">No failed jobs.</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 dark:text-gray-400 border-b dark:border-gray-700">
+                                <th className="px-4 py-2 font-medium">Failed</th>
+                                <th className="px-4 py-2 font-medium">Project</th>
+                                <th className="px-4 py-2 font-medium">Frame</th>
+                                <th className="px-4 py-2 font-medium">Requested by</th>
+                                <th className="px-4 py-2 font-medium text-right">Attempts</th>
+                                <th className="px-4 py-2 font-medium">Error</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shown.map(job => (
+                                <tr key={job.id} className={`border-b last:border-0 dark:border-gray-700 align-top ${job.resolved ? 'opacity-50' : ''}`}>
+                                    <td className="px-4 py-2 whitespace-nowrap text-gray-500 dark:text-gray-400">
+                                        {new Date(job.finished_at || job.created_at).toLocaleString()}
+                                    </td>
+                                    <td className="px-4 py-2">
+                                        {job.project_title}
+                                        <div className="text-xs text-gray-400 dark:text-gray-500">{job.owner_email}</div>
+                                    </td>
+                                    <td className="px-4 py-2 whitespace-nowrap">
+                                        Scene {job.scene_number}{job.shot_id ? ', shot' : ''}
+                                        {job.resolved && <div className="text-xs text-green-600 dark:text-green-400">Resolved</div>}
+                                    </td>
+                                    <td className="px-4 py-2">{job.requested_by_email || '—'}</td>
+                                    <td className="px-4 py-2 text-right">{job.attempts}</td>
+                                    <td className="px-4 py-2 text-red-600 dark:text-red-400 break-words max-w-md">{job.error}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {next && (
+                <div className="text-center">
+                    <button onClick={() => fetchJobs(next)} className="px-4 py-2 rounded-lg text-sm font-medium border dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800">
+                        Load more
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
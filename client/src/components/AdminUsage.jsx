@@ -0,0 +1,139 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+import UsageChart from './UsageChart';
+import { formatNumber } from '../utils/usage';
+
+const RANGES = [7, 30, 90, 365];
+
+const CHARTS = [
+    { kind: 'script', label: 'Script requests', color: 'bg-purple-500' },
+    { kind: 'image', label: 'Images', color: 'bg-blue-500' },
+    { kind: 'users', label: 'Active users', color: 'bg-green-500' },
+    { kind: 'failed', label: 'Failed or unusable', color: 'bg-red-500' }
+];
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+// AI usage of every account over time, per provider and model, and the
+// heaviest users
+export default function AdminUsage() {
+    const [days, setDays] = useState(30);
+
+    const [usage, setUsage] = useState(null);
+
+    useEffect(() => {
+        const fetchUsage = async () => {
+            try {
+                const res = await api.get('/api/admin/usage', { params: { days } });
+                setUsage(res.data);
+            } catch (err) {
+                console.error(err);
+                toast.error('Failed to load usage');
+            }
+        };
+        fetchUsage();
+    }, [days]);
+
+    const card = 'bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700';
+
+    return (
+        <div className="space-y-6">
+            <div className="flex gap-1">
+                {RANGES.map(range => (
+                    <button
+                        key={range}
+                        onClick={() => setDays(range)}
+                        className={`px-3 py-1 rounded-full text-sm ${days === range ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'}`}
+                    >
+                        {range} days
+                    </button>
+                ))}
+            </div>
+
+            {!usage ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading usage...</p>
+            ) : (
+                <>
+                    <div className="grid gap-6 md:grid-cols-2">
+                        {CHARTS.map(chart => (
+                            <div key={chart.kind} className={card}>
+                                <div className="flex justify-between items-baseline mb-2">
+                                    <p className="text-sm text-gray-500 dark:text-gray-400">{chart.label}</p>
+                                    {chart.kind !== 'users' && (
+                                        <span className="font-semibold">{formatNumber(sum(usage.daily, chart.kind))}</span>
+                                    )}
+                                </div>
+                                <UsageChart history={usage.daily} kind={chart.kind} color={chart.color} />
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className={`${card} overflow-x-auto`}>
+                        <h2 className="font-semibold text-lg mb-4">Providers and models</h2>
+                        {usage.models.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No AI usage in this period.</p>
+                        ) : (
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 dark:text-gray-400 border-b dark:border-gray-700">
+                                        <th className="py-2 font-medium">Provider / model</th>
+                                        <th className="py-2 font-medium">Kind</th>
+                                        <th className="py-2 font-medium text-right">Operations</th>
+                                        <th className="py-2 font-medium text-right">Requests</th>
+                                        <th className="py-2 font-medium text-right">Images</th>
+                                        <th className="py-2 font-medium text-right">Tokens in / out</th>
+                                        <th className="py-2 font-medium text-right">Failed</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {usage.models.map(row => (
+                                        <tr key={`${row.kind}-${row.provider}-${row.model}`} className="border-b last:border-0 dark:border-gray-700">
+                                            <td className="py-2">{row.provider} <span className="text-gray-400 dark:text-gray-500">{row.model || 'unknown model'}</span></td>
+                                            <td className="py-2 capitalize">{row.kind}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.operations)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.requests)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.images)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.input_tokens)} / {formatNumber(row.output_tokens)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.failed)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+
+                    <div className={`${card} overflow-x-auto`}>
+                        <h2 className="font-semibold text-lg mb-4">Top users</h2>
+                        {usage.users.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No AI usage in this period.</p>
+                        ) : (
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 dark:text-gray-400 border-b dark:border-gray-700">
+                                        <th className="py-2 font-medium">User</th>
+                                        <th className="py-2 font-medium">Plan</th>
+                                        <th className="py-2 font-medium text-right">Script requests</th>
+                                        <th className="py-2 font-medium text-right">Images</th>
+                                        <th className="py-2 font-medium text-right">Tokens</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {usage.users.map(row => (
+                                        <tr key={row.user_id} className="border-b last:border-0 dark:border-gray-700">
+                                            <td className="py-2 break-all">{row.email}</td>
+                                            <td className="py-2 capitalize">{row.plan}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.script)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.image)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.tokens)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,288 @@
+import { useEffect, useRef, useState } from 'react';
+import api from '../utils/api';
+import { Search, X, RotateCcw, Ban, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import QuotaBar from './QuotaBar';
+import { QUOTA_PERIODS, QUOTA_KINDS, formatNumber } from '../utils/usage';
+
+const STATUS_FILTERS = [
+    { id: '', label: 'All' },
+    { id: 'active', label: 'Active' },
+    { id: 'disabled', label: 'Disabled' }
+];
+
+// One user's quotas and projects, with the account actions
+function UserDetail({ userId, onChanged, onClose }) {
+    const [user, setUser] = useState(null);
+
+    const [projects, setProjects] = useState([]);
+
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        const fetchUser = async () => {
+            try {
+                const [detail, owned] = await Promise.all([
+                    api.get(`/api/admin/users/${userId}`),
+                    api.get(`/api/admin/users/${userId}/projects`)
+                ]);
+                setUser(detail.data);
+                setProjects(owned.data.projects);
+            } catch (err) {
+                console.error(err);
+                toast.error('Failed to load user');
+            }
+        };
+        fetchUser();
+    }, [userId]);
+
+    const handleToggleDisabled = async () => {
+        const disabled = !user.disabled_at;
+        if (disabled && !confirm(`Disable ${user.email}? They are signed out and cannot sign in until enabled again.`)) return;
+        setBusy(true);
+
+        try {
+            const res = await api.put(`/api/admin/users/${user.id}/disabled`, { disabled });
+            setUser(prev => ({ ...prev, disabled_at: res.data.disabled_at, active_sessions: disabled ? 0 : prev.active_sessions }));
+            onChanged({ id: user.id, disabled_at: res.data.disabled_at });
+            toast.success(disabled ? 'Account disabled' : 'Account enabled');
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to update account');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleResetQuota = async () => {
+        if (!confirm(`Reset the AI quotas of ${user.email}? Their usage so far stops counting.`)) return;
+        setBusy(true);
+
+        try {
+            const res = await api.post(`/api/admin/users/${user.id}/quota-reset`);
+            setUser(prev => ({ ...prev, quota: res.data.periods, quota_reset_at: res.data.quota_reset_at }));
+            toast.success('Quotas reset');
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to reset quotas');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!user) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400 p-6">Loading user...</p>;
+    }
+
+    return (
+        <div className="p-6 space-y-6">
+            <div className="flex justify-between items-start gap-4">
+                <div>
+                    <h3 className="font-semibold text-lg break-all">{user.email}</h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        <span className="capitalize">{user.plan}</span> plan · {user.role} · joined {new Date(user.created_at).toLocaleDateString()}
+                        {' · '}{user.active_sessions} active session(s)
+                        {!user.email_verified && ' · email not confirmed'}
+                    </p>
+                    {user.disabled_at && (
+                        <p className="text-xs text-red-500 mt-1">Disabled {new Date(user.disabled_at).toLocaleString()}</p>
+                    )}
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                    <X size={20} />
+                </button>
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+                <button
+                    onClick={handleToggleDisabled}
+                    disabled={busy}
+                    className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium text-white disabled:opacity-50 ${user.disabled_at ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'}`}
+                >
+                    {user.disabled_at ? <><CheckCircle size={16} /> Enable account</> : <><Ban size={16} /> Disable account</>}
+                </button>
+                <button
+                    onClick={handleResetQuota}
+                    disabled={busy}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium border dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                >
+                    <RotateCcw size={16} /> Reset quotas
+                </button>
+            </div>
+
+            <div className="grid gap-6 md:grid-cols-2">
+                {QUOTA_PERIODS.map(({ id, label }) => (
+                    <div key={id} className="space-y-3">
+                        <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">{label}</h4>
+                        {QUOTA_KINDS.map(kind => (
+                            <QuotaBar key={kind.id} label={kind.label} hint={kind.hint} quota={user.quota[id][kind.id]} />
+                        ))}
+                    </div>
+                ))}
+            </div>
+            {user.quota_reset_at && (
+                <p className="text-xs text-gray-400 dark:text-gray-500">Quotas last reset {new Date(user.quota_reset_at).toLocaleString()}</p>
+            )}
+
+            <div>
+                <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Projects ({projects.length})</h4>
+                {projects.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No projects.</p>
+                ) : (
+                    <ul className="divide-y dark:divide-gray-700 text-sm">
+                        {projects.map(project => (
+                            <li key={project.id} className="py-2 flex justify-between gap-4">
+                                <span className="truncate">
+                                    {project.title || 'Untitled Project'}
+                                    {project.role !== 'owner' && (
+                                        <span className="text-xs text-gray-400 dark:text-gray-500"> ({project.role}, owned by {project.owner_email})</span>
+                                    )}
+                                </span>
+                                <span className="text-xs text-gray-400 dark:text-gray-500 shrink-0">
+                                    {project.scene_count} scenes · edited {new Date(project.updated_at || project.created_at).toLocaleDateString()}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Every account, searchable by email, with a detail panel for the selected one
+export default function AdminUsers() {
+    const [users, setUsers] = useState([]);
+
+    const [next, setNext] = useState(null);
+
+    const [search, setSearch] = useState('');
+
+    const [status, setStatus] = useState('');
+
+    const [loading, setLoading] = useState(true);
+
+    const [selectedId, setSelectedId] = useState(null);
+
+    // Only the latest list request may update the table
+    const requestRef = useRef(0);
+
+    useEffect(() => {
+        const timer = setTimeout(() => fetchUsers(), search ? 300 : 0);
+        return () => clearTimeout(timer);
+    }, [search, status]);
+
+    const fetchUsers = async (before) => {
+        const request = ++requestRef.current;
+
+        try {
+            const res = await api.get('/api/admin/users', {
+                params: { q: search.trim() || undefined, status: status || undefined, before: before ?? undefined }
+            });
+            if (request !== requestRef.current) return;
+
+            setUsers(prev => (before ? [...prev, ...res.data.users] : res.data.users));
+            setNext(res.data.next);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to load users');
+        } finally {
+            if (request === requestRef.current) setLoading(false);
+        }
+    };
+
+    const handleChanged = (changes) => {
+        setUsers(prev => prev.map(u => (u.id === changes.id ? { ...u, ...changes } : u)));
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3">
+                <div className="relative flex-1 min-w-[200px]">
+                    <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search by email"
+                        className="w-full pl-9 pr-3 py-2 border rounded-lg text-sm dark:bg-gray-800 dark:border-gray-700"
+                    />
+                </div>
+                <div className="flex gap-1">
+                    {STATUS_FILTERS.map(filter => (
+                        <button
+                            key={filter.id}
+                            onClick={() => setStatus(filter.id)}
+                            className={`px-3 py-1 rounded-full text-sm ${status === filter.id ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'}`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {selectedId && (
+                <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700">
+                    <UserDetail key={selectedId} userId={selectedId} onChanged={handleChanged} onClose={() => setSelectedId(null)} />
+                </div>
+            )}
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700 overflow-x-auto">
+                {loading ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 p-6">Loading users...</p>
+                ) : users.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 p-6">No users match.</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 dark:text-gray-400 border-b dark:border-gray-700">
+                                <th className="px-4 py-2 font-medium">Email</th>
+                                <th className="px-4 py-2 font-medium">Plan</th>
+                                <th className="px-4 py-2 font-medium text-right">Projects</th>
+                                <th className="px-4 py-2 font-medium text-right" title="This month">Script requests</th>
+                                <th className="px-4 py-2 font-medium text-right" title="This month">Images</th>
+                                <th className="px-4 py-2 font-medium">Joined</th>
+                                <th className="px-4 py-2 font-medium">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map(user => (
+                                <tr
+                                    key={user.id}
+                                    onClick={() => setSelectedId(user.id)}
+                                    className={`border-b last:border-0 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 ${selectedId === user.id ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+                                >
+                                    <td className="px-4 py-2 break-all">
+                                        {user.email}
+                                        {user.role === 'admin' && (
+                                            <span className="ml-2 text-[10px] uppercase font-bold text-purple-600 dark:text-purple-400">admin</span>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-2 capitalize">{user.plan}</td>
+                                    <td className="px-4 py-2 text-right">{formatNumber(user.project_count)}</td>
+                                    <td className="px-4 py-2 text-right">{formatNumber(user.month_script)}</td>
+                                    <td className="px-4 py-2 text-right">{formatNumber(user.month_image)}</td>
+                                    <td className="px-4 py-2 text-gray-500 dark:text-gray-400">{new Date(user.created_at).toLocaleDateString()}</td>
+                                    <td className="px-4 py-2">
+                                        {user.disabled_at
+                                            ? <span className="text-red-500">Disabled</span>
+                                            : <span className="text-green-600 dark:text-green-400">Active</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {next && (
+                <div className="text-center">
+                    <button onClick={() => fetchUsers(next)} className="px-4 py-2 rounded-lg text-sm font-medium border dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800">
+                        Load more
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
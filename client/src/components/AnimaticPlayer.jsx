@@ -0,0 +1,285 @@
+import { useEffect, useRef, useState } from 'react';
+import api from '../utils/api';
+import { X, Play, Pause, SkipBack, SkipForward, Maximize, Minimize, Download, RefreshCw, Image as ImageIcon } from 'lucide-react';
+import toast from 'react-hot-toast';
+import AuthImage from './AuthImage';
+import { sceneHeading, sceneDuration } from '../utils/sceneFields';
+import { downloadFile, fileSlug } from '../utils/download';
+
+// Frame rates offered for the timecode and the EDL/FCPXML export. Keep in
+// sync with FRAME_RATES in server/services/timeline.js.
+const FRAME_RATES = [24, 25, 30];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Non-drop-frame HH:MM:SS:FF
+const timecode = (seconds, fps) => {
+    const frames = Math.floor(seconds * fps + 1e-6);
+    const whole = Math.floor(frames / fps);
+    return `${pad(Math.floor(whole / 3600))}:${pad(Math.floor(whole / 60) % 60)}:${pad(whole % 60)}:${pad(frames % fps)}`;
+};
+
+// Plays the storyboard against time: each scene's frame is held for its
+// duration. Space plays and pauses, the arrow keys step between scenes and
+// Escape closes. Editors can change the current scene's duration in place.
+export default function AnimaticPlayer({ projectId, title, scenes, canEdit, onSceneChange, onClose }) {
+    const [time, setTime] = useState(0);
+
+    const [playing, setPlaying] = useState(false);
+
+    const [fps, setFps] = useState(FRAME_RATES[0]);
+
+    const [isFullscreen, setIsFullscreen] = useState(false);
+
+    const [exporting, setExporting] = useState(false);
+
+    const [durationInput, setDurationInput] = useState('');
+
+    const containerRef = useRef(null);
+
+    const durations = scenes.map(sceneDuration);
+    const starts = durations.map((_, i) => durations.slice(0, i).reduce((sum, d) => sum + d, 0));
+    const total = durations.reduce((sum, d) => sum + d, 0);
+
+    // The scene under the playhead, which stays on the last one at the end
+    const index = Math.max(0, starts.findLastIndex(start => start <= time));
+    const scene = scenes[index];
+
+    // Advance the clock while playing; stop at the end
+    useEffect(() => {
+        if (!playing) return;
+
+        let frame;
+        let last = performance.now();
+        const tick = (now) => {
+            const elapsed = (now - last) / 1000;
+            last = now;
+            setTime(prev => {
+                const next = Math.min(prev + elapsed, total);
+                if (next >= total) setPlaying(false);
+                return next;
+            });
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+
+        return () => cancelAnimationFrame(frame);
+    }, [playing, total]);
+
+    useEffect(() => {
+        setDurationInput(scene?.duration_seconds ? String(scene.duration_seconds) : '');
+    }, [scene?.id, scene?.duration_seconds]);
+
+    const togglePlaying = () => {
+        if (!playing && time >= total) setTime(0);
+        setPlaying(!playing);
+    };
+
+    const jumpTo = (i) => setTime(starts[Math.min(Math.max(i, 0), scenes.length - 1)]);
+
+    const toggleFullscreen = () => {
+        if (document.fullscreenElement) document.exitFullscreen();
+        else containerRef.current?.requestFullscreen?.().catch(() => {});
+    };
+
+    useEffect(() => {
+        const onChange = () => setIsFullscreen(Boolean(document.fullscreenElement));
+        document.addEventListener('fullscreenchange', onChange);
+        containerRef.current?.requestFullscreen?.().catch(() => {});
+
+        return () => {
+            document.removeEventListener('fullscreenchange', onChange);
+            if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        };
+    }, []);
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.key === ' ') {
+                e.preventDefault();
+                togglePlaying();
+            } else if (e.key === 'ArrowRight') {
+                jumpTo(index + 1);
+            } else if (e.key === 'ArrowLeft') {
+                // Back to the start of this scene, or the previous one if already there
+                jumpTo(time - starts[index] > 0.5 ? index : index - 1);
+            } else if (e.key === 'Escape' && !document.fullscreenElement) {
+                onClose();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
+
+    const saveDuration = async () => {
+        const seconds = durationInput === '' ? null : Number(durationInput);
+        if (seconds === (scene.duration_seconds ?? null)) return;
+
+        try {
+            const res = await api.put(
+                `/api/projects/scenes/${scene.id}`,
+                { ...scene, duration_seconds: seconds, version: scene.version }
+            );
+            onSceneChange(res.data);
+
+        } catch (err) {
+            console.error(err);
+            if (err.response?.data?.code === 'VERSION_CONFLICT') {
+                onSceneChange(err.response.data.scene);
+                toast.error('Someone else changed this scene. Set the duration again.');
+                return;
+            }
+            const invalid = err.response?.data?.details?.[0];
+            toast.error(invalid ? `Duration ${invalid.message}` : 'Failed to save the duration');
+            setDurationInput(scene.duration_seconds ? String(scene.duration_seconds) : '');
+        }
+    };
+
+    const handleExportTimeline = async () => {
+        setExporting(true);
+
+        try {
+            await downloadFile(`/api/projects/${projectId}/export/timeline`, `${fileSlug(title)}-timeline.zip`, { fps });
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to export the timeline');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    if (!scene) return null;
+
+    return (
+        <div ref={containerRef} className="fixed inset-0 z-50 bg-black text-white flex flex-col select-none">
+            {/* Title, timecode and close */}
+            <div className="flex items-center justify-between px-4 py-3 bg-gray-900/80">
+                <div className="min-w-0">
+                    <p className="font-bold truncate">{title}</p>
+                    <p className="text-xs text-gray-400 truncate">{sceneHeading(scene)}{scene.title ? ` · ${scene.title}` : ''}</p>
+                </div>
+                <div className="flex items-center gap-4 shrink-0">
+                    <span className="font-mono text-sm tabular-nums">
+                        {timecode(time, fps)} <span className="text-gray-500">/ {timecode(total, fps)}</span>
+                    </span>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close (Esc)">
+                        <X size={22} />
+                    </button>
+                </div>
+            </div>
+
+            {/* Frame */}
+            <div className="flex-1 min-h-0 relative flex items-center justify-center" onClick={togglePlaying}>
+                {scene.image_id ? (
+                    <AuthImage key={scene.image_id} imageId={scene.image_id} alt={scene.title} className="max-w-full max-h-full object-contain" />
+                ) : (
+                    <div className="flex flex-col items-center gap-3 text-gray-500">
+                        <ImageIcon size={48} />
+                        <p className="text-lg font-bold">{sceneHeading(scene)}</p>
+                    </div>
+                )}
+                {/* Load the next frame ahead of time */}
+                {scenes[index + 1]?.image_id && (
+                    <div className="hidden">
+                        <AuthImage key={scenes[index + 1].image_id} imageId={scenes[index + 1].image_id} alt="" />
+                    </div>
+                )}
+
+                {(scene.action || scene.dialogue?.length > 0) && (
+                    <div className="absolute bottom-4 inset-x-4 flex justify-center pointer-events-none">
+                        <div className="max-w-3xl bg-black/70 rounded-lg px-4 py-2 text-sm text-gray-100 space-y-2 max-h-40 overflow-hidden">
+                            {scene.action && <p className="whitespace-pre-line">{scene.action}</p>}
+                            {scene.dialogue?.map((speech, i) => (
+                                <p key={i}>
+                                    <span className="font-semibold uppercase">{speech.character}</span>: {speech.text}
+                                </p>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Transport */}
+            <div className="px-4 py-3 bg-gray-900/80 space-y-3">
+                {/* One segment per scene, sized by duration */}
+                <div className="flex h-2 gap-px">
+                    {scenes.map((s, i) => (
+                        <button
+                            key={s.id}
+                            onClick={() => jumpTo(i)}
+                            style={{ flexGrow: durations[i] }}
+                            className={`basis-0 rounded-sm transition-colors ${i === index ? 'bg-purple-500' : 'bg-gray-600 hover:bg-gray-500'}`}
+                            title={`${sceneHeading(s)} (${durations[i]}s)`}
+                        />
+                    ))}
+                </div>
+                <input
+                    type="range"
+                    min={0}
+                    max={total}
+                    step={1 / fps}
+                    value={time}
+                    onChange={(e) => setTime(Number(e.target.value))}
+                    className="w-full accent-purple-500"
+                    aria-label="Scrub"
+                />
+
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => jumpTo(index - 1)} className="p-2 rounded-lg hover:bg-gray-700" title="Previous scene">
+                            <SkipBack size={18} />
+                        </button>
+                        <button onClick={togglePlaying} className="p-2 rounded-full bg-purple-600 hover:bg-purple-700" title={playing ? 'Pause (Space)' : 'Play (Space)'}>
+                            {playing ? <Pause size={20} /> : <Play size={20} />}
+                        </button>
+                        <button onClick={() => jumpTo(index + 1)} className="p-2 rounded-lg hover:bg-gray-700" title="Next scene">
+                            <SkipForward size={18} />
+                        </button>
+                        <span className="text-sm text-gray-400 ml-2">Scene {index + 1} of {scenes.length}</span>
+                    </div>
+
+                    <div className="flex items-center gap-3 text-sm">
+                        <label className="flex items-center gap-2 text-gray-400">
+                            Duration
+                            <input
+                                type="number"
+                                min="1"
+                                max="600"
+                                value={durationInput}
+                                placeholder={`~${durations[index]}`}
+                                onChange={(e) => setDurationInput(e.target.value)}
+                                onBlur={saveDuration}
+                                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                                disabled={!canEdit}
+                                className="w-20 px-2 py-1 rounded bg-gray-800 border border-gray-700 text-white disabled:opacity-60"
+                                title={scene.duration_seconds ? 'Seconds this scene runs' : 'Estimated from the scene text'}
+                            />
+                            s
+                        </label>
+                        <select
+                            value={fps}
+                            onChange={(e) => setFps(Number(e.target.value))}
+                            className="px-2 py-1 rounded bg-gray-800 border border-gray-700 text-white"
+                            aria-label="Frame rate"
+                        >
+                            {FRAME_RATES.map(rate => <option key={rate} value={rate}>{rate} fps</option>)}
+                        </select>
+                        <button
+                            onClick={handleExportTimeline}
+                            disabled={exporting}
+                            className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                            title="Frames with an EDL and FCPXML for your editor"
+                        >
+                            {exporting ? <RefreshCw className="animate-spin" size={16} /> : <Download size={16} />}
+                            <span className="hidden sm:inline">EDL / FCPXML</span>
+                        </button>
+                        <button onClick={toggleFullscreen} className="p-2 rounded-lg hover:bg-gray-700" title="Fullscreen">
+                            {isFullscreen ? <Minimize size={18} /> : <Maximize size={18} />}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,219 @@
+import { useRef, useState } from 'react';
+import api from '../utils/api';
+import { X, Check, MoveUpRight, Square, Pencil, Type, Eraser, Undo2, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import AuthImage from './AuthImage';
+import AnnotationLayer from './AnnotationLayer';
+import { ANNOTATION_COLORS, ANNOTATION_SIZES, MAX_STROKE_POINTS } from '../utils/annotations';
+
+const TOOLS = [
+    { id: 'arrow', label: 'Arrow', icon: MoveUpRight },
+    { id: 'rect', label: 'Frame box', icon: Square },
+    { id: 'stroke', label: 'Freehand', icon: Pencil },
+    { id: 'text', label: 'Text', icon: Type },
+    { id: 'erase', label: 'Erase (click a shape)', icon: Eraser }
+];
+
+const clamp = (n) => Math.min(1, Math.max(0, n));
+
+// Drafts too small to mean anything (a stray click) are dropped
+const isVisible = (shape) => {
+    if (shape.type === 'arrow') return Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) > 0.01;
+    if (shape.type === 'rect') return shape.w > 0.005 && shape.h > 0.005;
+    return shape.points.length >= 2;
+};
+
+// Draw arrows, frame boxes, freehand strokes and text over a scene's current
+// image. The layer is saved as a whole, checked against the version it was
+// opened at.
+export default function AnnotationEditor({ scene, layer, onSaved, onClose }) {
+    const [shapes, setShapes] = useState(layer?.shapes || []);
+
+    const [version, setVersion] = useState(layer?.version ?? 0);
+
+    const [tool, setTool] = useState('arrow');
+
+    const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+
+    const [size, setSize] = useState(ANNOTATION_SIZES[1]);
+
+    const [draft, setDraft] = useState(null);
+
+    const [saving, setSaving] = useState(false);
+
+    const startRef = useRef(null);
+
+    const pointAt = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return [clamp((e.clientX - rect.left) / rect.width), clamp((e.clientY - rect.top) / rect.height)];
+    };
+
+    const handlePointerDown = (e) => {
+        if (tool === 'erase') return;
+        const [x, y] = pointAt(e);
+
+        if (tool === 'text') {
+            const text = prompt('Callout text');
+            if (text?.trim()) setShapes(prev => [...prev, { type: 'text', x, y, text: text.trim().slice(0, 200), color, size: size.size }]);
+            return;
+        }
+
+        e.currentTarget.setPointerCapture(e.pointerId);
+        startRef.current = [x, y];
+        const base = { type: tool, color, width: size.width };
+        if (tool === 'arrow') setDraft({ ...base, x1: x, y1: y, x2: x, y2: y });
+        if (tool === 'rect') setDraft({ ...base, x, y, w: 0, h: 0 });
+        if (tool === 'stroke') setDraft({ ...base, points: [[x, y]] });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!draft) return;
+        const [x, y] = pointAt(e);
+        const [sx, sy] = startRef.current;
+
+        if (draft.type === 'arrow') setDraft(prev => ({ ...prev, x2: x, y2: y }));
+        if (draft.type === 'rect') {
+            setDraft(prev => ({ ...prev, x: Math.min(sx, x), y: Math.min(sy, y), w: Math.abs(x - sx), h: Math.abs(y - sy) }));
+        }
+        if (draft.type === 'stroke') {
+            setDraft(prev => {
+                const [lx, ly] = prev.points[prev.points.length - 1];
+                if (prev.points.length >= MAX_STROKE_POINTS || Math.hypot(x - lx, y - ly) < 0.003) return prev;
+                return { ...prev, points: [...prev.points, [x, y]] };
+            });
+        }
+    };
+
+    const handlePointerUp = () => {
+        if (draft && isVisible(draft)) setShapes(prev => [...prev, draft]);
+        setDraft(null);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+
+        try {
+            const res = await api.put(`/api/projects/scenes/${scene.id}/annotations`, {
+                shapes,
+                image_id: scene.image_id,
+                version
+            });
+            onSaved(res.data);
+            toast.success('Annotations saved');
+            onClose();
+
+        } catch (err) {
+            console.error(err);
+            if (err.response?.data?.code === 'VERSION_CONFLICT') {
+                // Keep the drawing; saving again overwrites the newer layer on purpose
+                const latest = err.response.data.annotations;
+                onSaved(latest);
+                setVersion(latest.version);
+                toast.error('Someone else changed these annotations. Save again to overwrite.');
+                return;
+            }
+            const invalid = err.response?.data?.details?.[0];
+            toast.error(invalid ? `${invalid.path} ${invalid.message}` : 'Failed to save annotations');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toolClass = (active) => `p-2 rounded-lg transition-colors ${active ? 'bg-purple-600 text-white' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <h2 className="font-bold text-gray-900 dark:text-white">
+                        Annotate scene {scene.scene_number}: {scene.title || 'Untitled'}
+                    </h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {/* Tools, colors and pen size */}
+                    <div className="flex flex-wrap items-center gap-3">
+                        <div className="flex gap-1">
+                            {TOOLS.map(({ id, label, icon: Icon }) => (
+                                <button key={id} onClick={() => setTool(id)} className={toolClass(tool === id)} title={label}>
+                                    <Icon size={16} />
+                                </button>
+                            ))}
+                        </div>
+                        <div className="flex gap-1">
+                            {ANNOTATION_COLORS.map(c => (
+                                <button
+                                    key={c}
+                                    onClick={() => setColor(c)}
+                                    className={`w-6 h-6 rounded-full border-2 ${color === c ? 'border-purple-500 scale-110' : 'border-gray-300 dark:border-gray-600'}`}
+                                    style={{ backgroundColor: c }}
+                                    title={c}
+                                />
+                            ))}
+                        </div>
+                        <div className="flex gap-1">
+                            {ANNOTATION_SIZES.map(s => (
+                                <button key={s.id} onClick={() => setSize(s)} className={`${toolClass(size.id === s.id)} text-xs font-bold w-8`}>
+                                    {s.id}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="flex gap-1 ml-auto">
+                            <button
+                                onClick={() => setShapes(prev => prev.slice(0, -1))}
+                                disabled={shapes.length === 0}
+                                className={`${toolClass(false)} disabled:opacity-40`}
+                                title="Undo"
+                            >
+                                <Undo2 size={16} />
+                            </button>
+                            <button
+                                onClick={() => setShapes([])}
+                                disabled={shapes.length === 0}
+                                className={`${toolClass(false)} disabled:opacity-40`}
+                                title="Clear all"
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Drawing surface */}
+                    <div className="relative aspect-video rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-900 select-none">
+                        <AuthImage key={scene.image_id} imageId={scene.image_id} alt={`Scene ${scene.scene_number}`} className="w-full h-full object-cover" />
+                        <div
+                            className={`absolute inset-0 touch-none ${tool === 'erase' ? 'cursor-default' : 'cursor-crosshair'}`}
+                            onPointerDown={handlePointerDown}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                            onPointerCancel={handlePointerUp}
+                        />
+                        <AnnotationLayer
+                            shapes={draft ? [...shapes, draft] : shapes}
+                            onShapeClick={tool === 'erase' ? (i) => setShapes(prev => prev.filter((_, j) => j !== i)) : undefined}
+                        />
+                    </div>
+
+                    <div className="flex justify-end gap-2">
+                        <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm font-medium text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            disabled={saving}
+                            className="flex items-center gap-1 bg-green-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                        >
+                            <Check size={16} /> {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
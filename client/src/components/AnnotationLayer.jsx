@@ -0,0 +1,64 @@
+import { FRAME_WIDTH, FRAME_HEIGHT, toFrame, arrowHead, textOutline } from '../utils/annotations';
+
+// Draws annotation shapes over a 16:9 frame. Place it absolutely over the
+// image; it ignores the pointer unless `onShapeClick` is given, in which
+// case shapes can be clicked (the editor's eraser).
+export default function AnnotationLayer({ shapes, onShapeClick, className = '' }) {
+    const shapeProps = (i) => (onShapeClick ? {
+        style: { cursor: 'pointer', pointerEvents: 'visiblePainted' },
+        onPointerDown: (e) => {
+            e.stopPropagation();
+            onShapeClick(i);
+        }
+    } : {});
+
+    return (
+        <svg
+            viewBox={`0 0 ${FRAME_WIDTH} ${FRAME_HEIGHT}`}
+            preserveAspectRatio="none"
+            className={`absolute inset-0 w-full h-full pointer-events-none ${className}`}
+        >
+            {shapes.map((shape, i) => {
+                const common = { stroke: shape.color, strokeWidth: shape.width, fill: 'none', strokeLinecap: 'round', strokeLinejoin: 'round', ...shapeProps(i) };
+
+                if (shape.type === 'arrow') {
+                    const [x1, y1] = toFrame([shape.x1, shape.y1]);
+                    const [x2, y2] = toFrame([shape.x2, shape.y2]);
+                    const [left, right] = arrowHead(shape);
+                    return <path key={i} d={`M${x1} ${y1}L${x2} ${y2}M${left.join(' ')}L${x2} ${y2}L${right.join(' ')}`} {...common} />;
+                }
+
+                if (shape.type === 'rect') {
+                    const [x, y] = toFrame([shape.x, shape.y]);
+                    const [w, h] = toFrame([shape.w, shape.h]);
+                    return <rect key={i} x={x} y={y} width={w} height={h} {...common} />;
+                }
+
+                if (shape.type === 'stroke') {
+                    return <polyline key={i} points={shape.points.map(toFrame).map(p => p.join(',')).join(' ')} {...common} />;
+                }
+
+                const [x, y] = toFrame([shape.x, shape.y]);
+                return (
+                    <text
+                        key={i}
+                        x={x}
+                        y={y}
+                        dominantBaseline="hanging"
+                        fontSize={shape.size}
+                        fontWeight="bold"
+                        fontFamily="sans-serif"
+                        fill={shape.color}
+                        stroke={textOutline(shape.color)}
+                        strokeWidth={shape.size / 6}
+                        strokeLinejoin="round"
+                        paintOrder="stroke"
+                        {...shapeProps(i)}
+                    >
+                        {shape.text}
+                    </text>
+                );
+            })}
+        </svg>
+    );
+}
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import api, { API_URL } from '../utils/api';
+
+// Images are served from an authenticated route, which a plain <img src>
+// cannot call, so fetch the bytes with the token and render an object URL.
+// On public share pages pass `share={{ token, access }}` instead; the image
+// then comes from the share link (with its password access token, if any).
+export default function AuthImage({ imageId, variant, alt, className, share }) {
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        if (!imageId) return;
+
+        let objectUrl = null;
+        let cancelled = false;
+
+        const options = { params: variant ? { variant } : undefined, responseType: 'blob' };
+        const request = share
+            ? axios.get(`${API_URL}/api/share/${share.token}/images/${imageId}`, {
+                ...options,
+                headers: share.access ? { 'X-Share-Access': share.access } : undefined
+            })
+            : api.get(`/api/images/${imageId}`, options);
+
+        request
+            .then(res => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(res.data);
+                setSrc(objectUrl);
+            })
+            .catch(err => console.error(err));
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [imageId, variant, share?.token, share?.access]);
+
+    if (!src) {
+        return <div className={`${className} bg-gray-200 dark:bg-gray-800 animate-pulse`} />;
+    }
+
+    return <img src={src} alt={alt} className={className} />;
+}
@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import api from '../utils/api';
+import { X, Plus, Trash2, Check, Users, MapPin } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const KINDS = [
+    { id: 'character', label: 'Characters', icon: Users },
+    { id: 'location', label: 'Locations', icon: MapPin }
+];
+
+function EntryEditor({ entry, scenes, onSave, onDelete, onCancel }) {
+    const [form, setForm] = useState({
+        name: entry.name || '',
+        description: entry.description || '',
+        scene_ids: entry.scene_ids || []
+    });
+
+    const toggleScene = (sceneId) => {
+        setForm(prev => ({
+            ...prev,
+            scene_ids: prev.scene_ids.includes(sceneId)
+                ? prev.scene_ids.filter(id => id !== sceneId)
+                : [...prev.scene_ids, sceneId]
+        }));
+    };
+
+    return (
+        <div className="space-y-2 bg-blue-50 dark:bg-blue-900/20 p-3 rounded-lg">
+            <input
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Name"
+                className="w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-1.5 rounded text-sm font-bold dark:text-white"
+            />
+            <textarea
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Canonical visual description (age, build, hair, wardrobe...)"
+                className="w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-1.5 rounded text-sm min-h-[70px] dark:text-white"
+            />
+            <div>
+                <div className="text-[10px] font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">Appears in</div>
+                <div className="flex flex-wrap gap-1">
+                    {scenes.map(scene => (
+                        <button
+                            key={scene.id}
+                            onClick={() => toggleScene(scene.id)}
+                            className={`text-xs px-2 py-0.5 rounded-full border transition-colors ${form.scene_ids.includes(scene.id)
+                                ? 'bg-blue-600 border-blue-600 text-white'
+                                : 'border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400'}`}
+                            title={scene.title}
+                        >
+                            {scene.scene_number}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="flex gap-2 pt-1">
+                <button onClick={() => onSave(form)} disabled={!form.name.trim()} className="flex items-center gap-1 bg-green-600 text-white px-2 py-1 rounded text-xs disabled:opacity-50"><Check size={14} /> Save</button>
+                <button onClick={onCancel} className="flex items-center gap-1 bg-gray-500 text-white px-2 py-1 rounded text-xs"><X size={14} /> Cancel</button>
+                {onDelete && (
+                    <button onClick={onDelete} className="ml-auto flex items-center gap-1 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 px-2 py-1 rounded text-xs"><Trash2 size={14} /> Delete</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default function BibleModal({ projectId, bible, scenes, onChange, onClose, readOnly = false }) {
+    const [editing, setEditing] = useState(null);
+
+    const save = async (entry, form) => {
+        try {
+            const res = entry.id
+                ? await api.put(`/api/projects/bible/${entry.id}`, form)
+                : await api.post(`/api/projects/${projectId}/bible`, { ...form, kind: entry.kind });
+            onChange(res.data.bible);
+            setEditing(null);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to save entry');
+        }
+    };
+
+    const remove = async (entry) => {
+        if (!confirm(`Remove ${entry.name} from the bible?`)) return;
+
+        try {
+            const res = await api.delete(`/api/projects/bible/${entry.id}`);
+            onChange(res.data.bible);
+            setEditing(null);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to delete entry');
+        }
+    };
+
+    const sceneNumbers = (entry) => scenes
+        .filter(s => entry.scene_ids.includes(s.id))
+        .map(s => s.scene_number)
+        .join(', ');
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <div>
+                        <h2 className="font-bold text-gray-900 dark:text-white">Story Bible</h2>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Descriptions are added to the image prompt of every scene an entry appears in.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 grid md:grid-cols-2 gap-6">
+                    {KINDS.map(({ id: kind, label, icon: Icon }) => (
+                        <div key={kind}>
+                            <div className="flex items-center justify-between mb-3">
+                                <h3 className="flex items-center gap-2 text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide">
+                                    <Icon size={14} /> {label}
+                                </h3>
+                                {!readOnly && (
+                                    <button
+                                        onClick={() => setEditing({ kind, scene_ids: [] })}
+                                        className="p-1 text-blue-500 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
+                                        title={`Add ${kind}`}
+                                    >
+                                        <Plus size={16} />
+                                    </button>
+                                )}
+                            </div>
+
+                            <div className="space-y-3">
+                                {editing && !editing.id && editing.kind === kind && (
+                                    <EntryEditor
+                                        entry={editing}
+                                        scenes={scenes}
+                                        onSave={(form) => save(editing, form)}
+                                        onCancel={() => setEditing(null)}
+                                    />
+                                )}
+
+                                {bible.filter(e => e.kind === kind).map(entry => (
+                                    editing?.id === entry.id ? (
+                                        <EntryEditor
+                                            key={entry.id}
+                                            entry={entry}
+                                            scenes={scenes}
+                                            onSave={(form) => save(entry, form)}
+                                            onDelete={() => remove(entry)}
+                                            onCancel={() => setEditing(null)}
+                                        />
+                                    ) : (
+                                        <button
+                                            key={entry.id}
+                                            onClick={() => setEditing(entry)}
+                                            disabled={readOnly}
+                                            className="block w-full text-left p-3 rounded-lg border border-gray-100 dark:border-gray-700 enabled:hover:border-blue-300 dark:enabled:hover:border-blue-700 transition-colors"
+                                        >
+                                            <div className="font-bold text-sm text-gray-900 dark:text-white">{entry.name}</div>
+                                            <div className="text-xs text-gray-600 dark:text-gray-400 line-clamp-2">{entry.description || 'No description yet'}</div>
+                                            {entry.scene_ids.length > 0 && (
+                                                <div className="text-[10px] text-gray-400 dark:text-gray-500 mt-1 uppercase tracking-wide">Scenes {sceneNumbers(entry)}</div>
+                                            )}
+                                        </button>
+                                    )
+                                ))}
+
+                                {bible.filter(e => e.kind === kind).length === 0 && !(editing && !editing.id && editing.kind === kind) && (
+                                    <p className="text-sm text-gray-400 dark:text-gray-500">None yet.</p>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,295 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { X, RotateCcw, Camera, Trash2, RefreshCw, History } from 'lucide-react';
+import toast from 'react-hot-toast';
+import SceneChanges from './SceneChanges';
+import { sceneHeading } from '../utils/sceneFields';
+
+const TABS = [
+    { id: 'changes', label: 'Changes', icon: History },
+    { id: 'snapshots', label: 'Snapshots', icon: Camera }
+];
+
+const ACTION_LABELS = {
+    create: 'Created',
+    update: 'Edited',
+    image: 'New image',
+    reorder: 'Moved',
+    delete: 'Deleted',
+    restore: 'Restored',
+    shots: 'Shots changed in'
+};
+
+// Every change to the project's scenes with who made it, plus named
+// snapshots. Editors can put a scene back the way it was at any revision,
+// or the whole project back to a snapshot.
+export default function HistoryModal({ projectId, scenes, onScenesChange, onClose, readOnly = false }) {
+    const [tab, setTab] = useState('changes');
+
+    const [sceneFilter, setSceneFilter] = useState('');
+
+    const [revisions, setRevisions] = useState([]);
+
+    const [next, setNext] = useState(null);
+
+    const [loading, setLoading] = useState(false);
+
+    const [snapshots, setSnapshots] = useState([]);
+
+    const [snapshotName, setSnapshotName] = useState('');
+
+    const [busy, setBusy] = useState(false);
+
+    const fetchRevisions = async (before = null) => {
+        setLoading(true);
+
+        try {
+            const res = await api.get(`/api/projects/${projectId}/history`, {
+                params: { scene_id: sceneFilter || undefined, before: before || undefined }
+            });
+            setRevisions(prev => (before ? [...prev, ...res.data.revisions] : res.data.revisions));
+            setNext(res.data.next);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to load history');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchSnapshots = async () => {
+        try {
+            const res = await api.get(`/api/projects/${projectId}/snapshots`);
+            setSnapshots(res.data.snapshots);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    useEffect(() => {
+        fetchRevisions();
+    }, [projectId, sceneFilter]);
+
+    useEffect(() => {
+        fetchSnapshots();
+    }, [projectId]);
+
+    const isDeleted = (revision) => !scenes.some(s => s.id === revision.scene_id);
+
+    const restoreRevision = async (revision) => {
+        if (!confirm(`Put scene "${revision.data.title || sceneHeading(revision.data)}" back the way it was at this point?`)) return;
+        setBusy(true);
+
+        try {
+            const res = await api.post(`/api/projects/${projectId}/history/${revision.id}/restore`);
+            onScenesChange(res.data.scenes);
+            toast.success('Scene restored');
+            fetchRevisions();
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to restore the scene');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const saveSnapshot = async (e) => {
+        e.preventDefault();
+        if (!snapshotName.trim()) return;
+        setBusy(true);
+
+        try {
+            const res = await api.post(`/api/projects/${projectId}/snapshots`, { name: snapshotName.trim() });
+            setSnapshots(res.data.snapshots);
+            setSnapshotName('');
+            toast.success('Snapshot saved');
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to save snapshot');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const restoreSnapshot = async (snapshot) => {
+        if (!confirm(`Restore every scene to "${snapshot.name}"? The current state is saved as a snapshot first.`)) return;
+        setBusy(true);
+
+        try {
+            const res = await api.post(`/api/projects/${projectId}/snapshots/${snapshot.id}/restore`);
+            onScenesChange(res.data.scenes);
+            setSnapshots(res.data.snapshots);
+            toast.success(`Restored "${snapshot.name}"`);
+            fetchRevisions();
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to restore snapshot');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const deleteSnapshot = async (snapshot) => {
+        if (!confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+
+        try {
+            const res = await api.delete(`/api/projects/${projectId}/snapshots/${snapshot.id}`);
+            setSnapshots(res.data.snapshots);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to delete snapshot');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <div>
+                        <h2 className="font-bold text-gray-900 dark:text-white">History</h2>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Every change to the scenes, and named snapshots of the whole project.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="flex gap-1 px-6 pt-3 border-b dark:border-gray-700">
+                    {TABS.map(({ id, label, icon: Icon }) => (
+                        <button
+                            key={id}
+                            onClick={() => setTab(id)}
+                            className={`flex items-center gap-2 px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${tab === id
+                                ? 'border-blue-600 text-blue-600 dark:text-blue-400'
+                                : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`}
+                        >
+                            <Icon size={16} /> {label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="p-6 overflow-y-auto">
+                    {tab === 'changes' && (
+                        <div className="space-y-4">
+                            <select
+                                value={sceneFilter}
+                                onChange={(e) => setSceneFilter(e.target.value)}
+                                className="w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                            >
+                                <option value="">All scenes</option>
+                                {scenes.map(scene => (
+                                    <option key={scene.id} value={scene.id}>{sceneHeading(scene)}{scene.title ? ` · ${scene.title}` : ''}</option>
+                                ))}
+                            </select>
+
+                            {revisions.map(revision => (
+                                <div key={revision.id} className="border border-gray-100 dark:border-gray-700 rounded-lg p-3 space-y-2">
+                                    <div className="flex items-start justify-between gap-3">
+                                        <div className="min-w-0">
+                                            <div className="text-sm text-gray-900 dark:text-white">
+                                                <span className="font-bold">{ACTION_LABELS[revision.action] || revision.action}</span>
+                                                {' '}{revision.data.title || sceneHeading(revision.data)}
+                                            </div>
+                                            <div className="text-xs text-gray-500 dark:text-gray-400">
+                                                {revision.author_email || 'Image generator'} · {new Date(revision.created_at).toLocaleString()}
+                                            </div>
+                                        </div>
+                                        {/* Shot changes have no scene fields to put back */}
+                                        {!readOnly && revision.action !== 'shots' && (revision.action !== 'delete' || isDeleted(revision)) && (
+                                            <button
+                                                onClick={() => restoreRevision(revision)}
+                                                disabled={busy}
+                                                className="shrink-0 flex items-center gap-1 text-xs text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 px-2 py-1 rounded disabled:opacity-50"
+                                                title={isDeleted(revision) ? 'Bring the scene back' : 'Restore the scene to this version'}
+                                            >
+                                                <RotateCcw size={14} /> {isDeleted(revision) ? 'Undelete' : 'Restore'}
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {revision.action !== 'create' && <SceneChanges changes={revision.changes} />}
+                                </div>
+                            ))}
+
+                            {loading && <RefreshCw className="animate-spin mx-auto text-gray-400" size={20} />}
+                            {!loading && revisions.length === 0 && (
+                                <p className="text-sm text-gray-400 dark:text-gray-500">No changes recorded yet.</p>
+                            )}
+                            {!loading && next && (
+                                <button
+                                    onClick={() => fetchRevisions(next)}
+                                    className="w-full text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 py-2 rounded"
+                                >
+                                    Load older changes
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {tab === 'snapshots' && (
+                        <div className="space-y-4">
+                            {!readOnly && (
+                                <form onSubmit={saveSnapshot} className="flex gap-2">
+                                    <input
+                                        value={snapshotName}
+                                        onChange={(e) => setSnapshotName(e.target.value)}
+                                        maxLength={100}
+                                        placeholder="Snapshot name, e.g. Draft sent to client"
+                                        className="flex-1 bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={busy || !snapshotName.trim()}
+                                        className="flex items-center gap-2 bg-blue-600 text-white px-3 py-2 rounded text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                        <Camera size={16} /> Save snapshot
+                                    </button>
+                                </form>
+                            )}
+
+                            {snapshots.map(snapshot => (
+                                <div key={snapshot.id} className="flex items-center justify-between gap-3 border border-gray-100 dark:border-gray-700 rounded-lg p-3">
+                                    <div className="min-w-0">
+                                        <div className="font-bold text-sm text-gray-900 dark:text-white truncate">{snapshot.name}</div>
+                                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                                            {snapshot.scene_count} scenes · {snapshot.author_email || 'Unknown'} · {new Date(snapshot.created_at).toLocaleString()}
+                                        </div>
+                                    </div>
+                                    {!readOnly && (
+                                        <div className="flex items-center gap-1 shrink-0">
+                                            <button
+                                                onClick={() => restoreSnapshot(snapshot)}
+                                                disabled={busy}
+                                                className="flex items-center gap-1 text-xs text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 px-2 py-1 rounded disabled:opacity-50"
+                                            >
+                                                <RotateCcw size={14} /> Restore
+                                            </button>
+                                            <button
+                                                onClick={() => deleteSnapshot(snapshot)}
+                                                className="p-1 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                                                title="Delete snapshot"
+                                            >
+                                                <Trash2 size={14} />
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                            {snapshots.length === 0 && (
+                                <p className="text-sm text-gray-400 dark:text-gray-500">No snapshots yet.</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
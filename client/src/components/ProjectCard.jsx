@@ -0,0 +1,92 @@
+import { Film, Trash2, Tag } from 'lucide-react';
+import AuthImage from './AuthImage';
+
+// A project on the dashboard: cover frame, title, idea, tags and the
+// caller's folder for it. Owners can delete; editors can change the tags.
+export default function ProjectCard({ project, folders, onOpen, onDelete, onEditTags, onMove }) {
+    const stop = (e) => e.stopPropagation();
+
+    return (
+        <div className="block group relative cursor-pointer" onClick={() => onOpen(project)}>
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm hover:shadow-lg transition-all border border-gray-100 dark:border-gray-700 h-full flex flex-col overflow-hidden">
+                {/* Cover: the first scene that has a frame */}
+                <div className="relative aspect-video bg-gray-100 dark:bg-gray-900 flex items-center justify-center">
+                    {project.cover_image_id ? (
+                        <AuthImage imageId={project.cover_image_id} variant="thumbnail" alt="" className="w-full h-full object-cover" />
+                    ) : (
+                        <Film className="w-8 h-8 text-gray-300 dark:text-gray-600" />
+                    )}
+                    <span className="absolute bottom-2 left-2 bg-black/60 backdrop-blur-sm text-white text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
+                        {project.scene_count} {project.scene_count === 1 ? 'scene' : 'scenes'}
+                    </span>
+                </div>
+
+                <div className="p-5 flex-1 flex flex-col">
+                    <div className="flex justify-between items-start mb-2">
+                        <h3 className="font-bold text-lg group-hover:text-blue-600 dark:group-hover:text-blue-400 dark:text-gray-100 transition-colors line-clamp-1">
+                            {project.title || "Untitled Project"}
+                        </h3>
+
+                        <div className="flex items-center shrink-0">
+                            {project.role !== 'viewer' && (
+                                <button
+                                    onClick={(e) => { stop(e); onEditTags(project); }}
+                                    className="p-1.5 text-gray-300 hover:text-blue-500 dark:text-gray-600 dark:hover:text-blue-400 transition-colors z-10"
+                                    title="Edit tags"
+                                >
+                                    <Tag size={16} />
+                                </button>
+                            )}
+                            {project.role === 'owner' ? (
+                                <button
+                                    onClick={(e) => { stop(e); onDelete(project); }}
+                                    className="p-1.5 text-gray-300 hover:text-red-500 dark:text-gray-600 dark:hover:text-red-400 transition-colors z-10"
+                                    title="Delete Project"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            ) : (
+                                <span className="text-xs capitalize px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400">
+                                    {project.role}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+
+                    <p className="text-gray-500 dark:text-gray-400 text-sm line-clamp-3 flex-1 transition-colors">
+                        {project.original_input}
+                    </p>
+
+                    {project.tags?.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-3">
+                            {project.tags.map(tag => (
+                                <span key={tag} className="text-[10px] bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 px-1.5 py-0.5 rounded-full">
+                                    {tag}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="mt-4 text-xs text-gray-400 dark:text-gray-500 transition-colors border-t dark:border-gray-700 pt-3 flex justify-between items-center gap-2">
+                        <span title={`Created ${new Date(project.created_at).toLocaleDateString()}`}>
+                            Edited {new Date(project.updated_at || project.created_at).toLocaleDateString()}
+                        </span>
+                        {project.role !== 'owner' && <span className="truncate">by {project.owner_email}</span>}
+                        {folders.length > 0 && (
+                            <select
+                                value={project.folder_id ?? ''}
+                                onClick={stop}
+                                onChange={(e) => onMove(project, e.target.value ? Number(e.target.value) : null)}
+                                className="ml-auto max-w-[45%] bg-transparent border dark:border-gray-600 rounded px-1 py-0.5 text-xs dark:bg-gray-800"
+                                title="Folder"
+                            >
+                                <option value="">No folder</option>
+                                {folders.map(folder => <option key={folder.id} value={folder.id}>{folder.name}</option>)}
+                            </select>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,28 @@
+import { formatNumber } from '../utils/usage';
+
+// One quota as a bar: used, queued or in progress on top of it, and the limit
+export default function QuotaBar({ label, hint, quota }) {
+    const { used, pending, limit, remaining } = quota;
+    const share = (n) => (limit ? `${Math.min(100, (n / limit) * 100)}%` : '0%');
+    const full = remaining === 0;
+
+    return (
+        <div title={hint}>
+            <div className="flex justify-between text-sm mb-1">
+                <span className="font-medium text-gray-700 dark:text-gray-300">{label}</span>
+                <span className={full ? 'text-red-500 font-medium' : 'text-gray-500 dark:text-gray-400'}>
+                    {limit === null
+                        ? `${formatNumber(used)} used, unlimited`
+                        : `${formatNumber(used)}${pending ? ` + ${pending} in progress` : ''} of ${formatNumber(limit)}`}
+                </span>
+            </div>
+            <div className="h-2 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden flex">
+                <div className={`h-full ${full ? 'bg-red-500' : 'bg-blue-600'}`} style={{ width: share(used) }} />
+                <div className="h-full bg-blue-300 dark:bg-blue-800" style={{ width: share(pending) }} />
+            </div>
+            {limit !== null && (
+                <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">{formatNumber(remaining)} left</p>
+            )}
+        </div>
+    );
+}
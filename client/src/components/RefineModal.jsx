@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import api from '../utils/api';
+import { X, Sparkles, RefreshCw, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import SceneChanges from './SceneChanges';
+import { sceneHeading } from '../utils/sceneFields';
+
+// Keep the limits in sync with MAX_SPLIT and MAX_CONTINUE in server/services/refine.js
+const KINDS = [
+    { id: 'rewrite', label: 'Rewrite scene', hint: 'Rewrite one scene following your instructions.' },
+    { id: 'tone', label: 'Change tone', hint: 'Make one scene, or the whole story, darker, funnier...' },
+    { id: 'split', label: 'Split scene', hint: 'Break one scene into several.', counts: [2, 3, 4, 5, 6] },
+    { id: 'insert', label: 'Add scene', hint: 'Write a new scene between two others.' },
+    { id: 'continue', label: 'Continue story', hint: 'Write what happens after the last scene.', counts: [1, 2, 3, 4, 5] }
+];
+
+const TONES = ['darker', 'funnier', 'more tense', 'lighter', 'more romantic'];
+
+const sceneLabel = (scene) => `${scene.scene_number}. ${scene.title || sceneHeading(scene)}`;
+
+// Asks the AI for changes to the story, with every scene sent as context,
+// and shows what it proposes as a diff. Nothing is saved until the user
+// accepts; each change can be left out on its own.
+export default function RefineModal({ projectId, scenes, sceneId = null, onScenesChange, onClose }) {
+    const [kind, setKind] = useState(scenes.length === 0 ? 'continue' : 'rewrite');
+
+    const [targetId, setTargetId] = useState(sceneId ?? scenes[0]?.id ?? '');
+
+    const [instructions, setInstructions] = useState('');
+
+    const [tone, setTone] = useState('');
+
+    const [count, setCount] = useState(2);
+
+    const [after, setAfter] = useState(scenes.length);
+
+    const [proposal, setProposal] = useState(null);
+
+    const [accepted, setAccepted] = useState([]);
+
+    const [busy, setBusy] = useState(false);
+
+    const current = KINDS.find(k => k.id === kind);
+    const needsScene = kind === 'rewrite' || kind === 'split';
+
+    const chooseKind = (id) => {
+        setKind(id);
+        const counts = KINDS.find(k => k.id === id).counts;
+        if (counts) setCount(counts[0]);
+        if (id !== 'tone' && targetId === '') setTargetId(scenes[0]?.id ?? '');
+    };
+
+    const requestChanges = async (e) => {
+        e?.preventDefault();
+        setBusy(true);
+
+        try {
+            const res = await api.post(`/api/projects/${projectId}/refine`, {
+                kind,
+                scene_id: kind === 'insert' || kind === 'continue' || targetId === '' ? undefined : Number(targetId),
+                instructions: instructions.trim() || undefined,
+                tone: kind === 'tone' ? tone.trim() : undefined,
+                count: current.counts ? count : undefined,
+                after: kind === 'insert' ? after : undefined
+            });
+            setProposal(res.data.proposal);
+            setAccepted(res.data.proposal.changes.map(() => true));
+
+        } catch (err) {
+            console.error(err);
+            const invalid = err.response?.status === 400 && err.response.data.details?.[0];
+            toast.error(invalid ? `${invalid.path} ${invalid.message}` : err.response?.data?.error || 'Failed to get changes from the AI');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const applyChanges = async () => {
+        const changes = proposal.changes.filter((_, i) => accepted[i]);
+        setBusy(true);
+
+        try {
+            const res = await api.post(`/api/projects/${projectId}/refine/apply`, { changes });
+            onScenesChange(res.data.scenes);
+            toast.success(changes.length === 1 ? 'Change applied' : `${changes.length} changes applied`);
+            onClose();
+
+        } catch (err) {
+            console.error(err);
+            if (err.response?.data?.code === 'VERSION_CONFLICT') {
+                toast.error('Someone changed these scenes in the meantime. Ask the AI again.');
+                setProposal(null);
+                return;
+            }
+            toast.error('Failed to apply the changes');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const canAsk = !busy
+        && (!needsScene || targetId !== '')
+        && (kind !== 'rewrite' || instructions.trim())
+        && (kind !== 'tone' || tone.trim());
+    const acceptedCount = accepted.filter(Boolean).length;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <div>
+                        <h2 className="font-bold text-gray-900 dark:text-white">Refine with AI</h2>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">The AI sees every scene. Review what it proposes before anything changes.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {!proposal ? (
+                    <form onSubmit={requestChanges} className="p-6 overflow-y-auto space-y-4">
+                        <div className="flex flex-wrap gap-2">
+                            {KINDS.map(k => (
+                                <button
+                                    key={k.id}
+                                    type="button"
+                                    onClick={() => chooseKind(k.id)}
+                                    disabled={k.id !== 'continue' && k.id !== 'insert' && scenes.length === 0}
+                                    className={`px-3 py-1.5 rounded-full text-sm font-medium border transition-colors disabled:opacity-50 ${kind === k.id
+                                        ? 'bg-purple-600 border-purple-600 text-white'
+                                        : 'border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+                                >
+                                    {k.label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{current.hint}</p>
+
+                        {(needsScene || kind === 'tone') && (
+                            <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                Scene
+                                <select
+                                    value={targetId}
+                                    onChange={(e) => setTargetId(e.target.value === '' ? '' : Number(e.target.value))}
+                                    className="mt-1 w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                                >
+                                    {kind === 'tone' && <option value="">The whole story</option>}
+                                    {scenes.map(scene => <option key={scene.id} value={scene.id}>{sceneLabel(scene)}</option>)}
+                                </select>
+                            </label>
+                        )}
+
+                        {kind === 'insert' && (
+                            <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                Where
+                                <select
+                                    value={after}
+                                    onChange={(e) => setAfter(Number(e.target.value))}
+                                    className="mt-1 w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                                >
+                                    {scenes.length > 0 && <option value={0}>Before scene 1</option>}
+                                    {scenes.slice(0, -1).map((scene, i) => (
+                                        <option key={scene.id} value={i + 1}>Between scene {i + 1} and {i + 2}</option>
+                                    ))}
+                                    <option value={scenes.length}>At the end</option>
+                                </select>
+                            </label>
+                        )}
+
+                        {current.counts && (
+                            <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                {kind === 'split' ? 'Split into' : 'New scenes'}
+                                <select
+                                    value={count}
+                                    onChange={(e) => setCount(Number(e.target.value))}
+                                    className="mt-1 w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                                >
+                                    {current.counts.map(n => <option key={n} value={n}>{n} scene{n === 1 ? '' : 's'}</option>)}
+                                </select>
+                            </label>
+                        )}
+
+                        {kind === 'tone' && (
+                            <div className="space-y-2">
+                                <div className="flex flex-wrap gap-2">
+                                    {TONES.map(t => (
+                                        <button
+                                            key={t}
+                                            type="button"
+                                            onClick={() => setTone(t)}
+                                            className={`px-2 py-1 rounded text-xs font-medium ${tone === t
+                                                ? 'bg-purple-100 dark:bg-purple-900/40 text-purple-700 dark:text-purple-300'
+                                                : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+                                        >
+                                            Make it {t}
+                                        </button>
+                                    ))}
+                                </div>
+                                <input
+                                    value={tone}
+                                    onChange={(e) => setTone(e.target.value)}
+                                    maxLength={100}
+                                    placeholder="Or describe the tone, e.g. more like a heist movie"
+                                    className="w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                                />
+                            </div>
+                        )}
+
+                        <textarea
+                            value={instructions}
+                            onChange={(e) => setInstructions(e.target.value)}
+                            maxLength={1000}
+                            rows={3}
+                            placeholder={kind === 'rewrite' ? 'What should change? e.g. Move it to a crowded train and cut the chase' : 'Anything else the AI should know (optional)'}
+                            className="w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-2 rounded text-sm dark:text-white"
+                        />
+
+                        <div className="flex justify-end">
+                            <button
+                                type="submit"
+                                disabled={!canAsk}
+                                className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-purple-700 disabled:opacity-50"
+                            >
+                                {busy ? <RefreshCw className="animate-spin" size={16} /> : <Sparkles size={16} />}
+                                Propose changes
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <>
+                        <div className="p-6 overflow-y-auto space-y-4">
+                            {proposal.summary && <p className="text-sm text-gray-700 dark:text-gray-300">{proposal.summary}</p>}
+
+                            {proposal.changes.map((change, i) => (
+                                <div key={i} className={`border rounded-lg p-3 space-y-2 transition-opacity ${accepted[i] ? 'border-purple-200 dark:border-purple-800' : 'border-gray-100 dark:border-gray-700 opacity-50'}`}>
+                                    <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-white cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={accepted[i]}
+                                            onChange={(e) => setAccepted(prev => prev.map((value, j) => (j === i ? e.target.checked : value)))}
+                                            className="accent-purple-600"
+                                        />
+                                        <span className="font-bold">{change.type === 'insert' ? `New scene ${change.position}` : `Scene ${change.scene_number}`}</span>
+                                        {change.scene.title}
+                                    </label>
+                                    <SceneChanges changes={change.changes} />
+                                </div>
+                            ))}
+                            {proposal.changes.length === 0 && (
+                                <p className="text-sm text-gray-400 dark:text-gray-500">The AI did not propose any changes.</p>
+                            )}
+                        </div>
+
+                        <div className="flex items-center justify-end gap-2 px-6 py-4 border-t dark:border-gray-700">
+                            <button
+                                onClick={() => setProposal(null)}
+                                disabled={busy}
+                                className="px-3 py-2 rounded-lg text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                            >
+                                Reject
+                            </button>
+                            <button
+                                onClick={() => requestChanges()}
+                                disabled={busy}
+                                className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-purple-600 dark:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/30 disabled:opacity-50"
+                            >
+                                <RefreshCw size={16} className={busy ? 'animate-spin' : ''} /> Try again
+                            </button>
+                            <button
+                                onClick={applyChanges}
+                                disabled={busy || acceptedCount === 0}
+                                className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-purple-700 disabled:opacity-50"
+                            >
+                                <Check size={16} /> Accept {acceptedCount === proposal.changes.length ? 'all' : acceptedCount}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
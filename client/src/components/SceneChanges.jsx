@@ -0,0 +1,72 @@
+import AuthImage from './AuthImage';
+import { cameraSummary } from '../utils/sceneFields';
+
+const FIELD_LABELS = {
+    scene_number: 'Position',
+    title: 'Title',
+    int_ext: 'INT/EXT',
+    location: 'Location',
+    time_of_day: 'Time of day',
+    description: 'Description',
+    action: 'Action',
+    mood: 'Mood',
+    shot_type: 'Shot',
+    camera_angle: 'Angle',
+    duration_seconds: 'Duration',
+    image_prompt: 'Image prompt',
+    image_id: 'Image',
+    dialogue: 'Dialogue',
+    shots: 'Shots'
+};
+
+// Dialogue and shot lists are stored as arrays; show them the way they read
+const displayValue = (field, value) => {
+    if (field === 'dialogue') {
+        return (value || []).map(s => `${s.character.toUpperCase()}: ${s.text}`).join('\n');
+    }
+    if (field === 'shots') {
+        return (value || []).map(s => `${s.shot_number}. ${[cameraSummary(s), s.description].filter(Boolean).join(' — ')}`).join('\n');
+    }
+    if (field === 'duration_seconds' && value) return `${value}s`;
+    return value ?? '';
+};
+
+function Change({ change }) {
+    if (change.field === 'scene_number') {
+        return <div className="text-xs text-gray-700 dark:text-gray-300">{change.from} → {change.to}</div>;
+    }
+
+    if (change.field === 'image_id') {
+        return (
+            <div className="flex items-center gap-2">
+                {[change.from, change.to].map((imageId, i) => (
+                    <div key={i} className={`w-24 aspect-video rounded overflow-hidden bg-gray-100 dark:bg-gray-700 ring-2 ${i === 0 ? 'ring-red-300 dark:ring-red-800' : 'ring-green-300 dark:ring-green-800'}`}>
+                        {imageId && <AuthImage imageId={imageId} variant="thumbnail" alt="" className="w-full h-full object-cover" />}
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    const from = displayValue(change.field, change.from);
+    const to = displayValue(change.field, change.to);
+    return (
+        <div className="text-xs space-y-0.5 whitespace-pre-line">
+            {from !== '' && <div className="text-red-700 dark:text-red-400 line-through bg-red-50 dark:bg-red-900/20 px-1.5 py-0.5 rounded">{from}</div>}
+            {to !== '' && <div className="text-green-700 dark:text-green-400 bg-green-50 dark:bg-green-900/20 px-1.5 py-0.5 rounded">{to}</div>}
+        </div>
+    );
+}
+
+// Field-by-field diff of a scene: `changes` is [{ field, from, to }] as
+// returned by the server for revisions and AI proposals.
+export default function SceneChanges({ changes }) {
+    return changes.map(change => (
+        <div key={change.field} className="grid grid-cols-[6rem_1fr] gap-2">
+            <div className="text-[10px] font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide pt-0.5">
+                {FIELD_LABELS[change.field] || change.field}
+            </div>
+            <Change change={change} />
+        </div>
+    ));
+}
@@ -0,0 +1,21 @@
+// Speeches in screenplay layout: the character cue, then any parenthetical,
+// then the lines, in a column narrower than the action.
+export default function SceneDialogue({ dialogue }) {
+    if (!dialogue?.length) return null;
+
+    return (
+        <div className="space-y-3 mb-4 px-6 lg:px-10">
+            {dialogue.map((speech, i) => (
+                <div key={i} className="text-gray-800 dark:text-gray-300">
+                    <div className="text-center uppercase text-gray-900 dark:text-gray-100">
+                        {speech.character}{speech.extension && ` (${speech.extension})`}
+                    </div>
+                    {speech.parenthetical && (
+                        <div className="text-center text-xs text-gray-500 dark:text-gray-400">{speech.parenthetical}</div>
+                    )}
+                    <div className="whitespace-pre-line">{speech.text}</div>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { X, RefreshCw, Wand2, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import AuthImage from './AuthImage';
+
+export default function SceneTakesModal({ scene, job, onClose, onSceneChange, onJobQueued }) {
+    const [prompt, setPrompt] = useState(scene.image_prompt || '');
+
+    const [takes, setTakes] = useState([]);
+
+    const [submitting, setSubmitting] = useState(false);
+
+    const inProgress = job?.status === 'queued' || job?.status === 'running';
+
+    const fetchTakes = async () => {
+        try {
+            const res = await api.get(`/api/projects/scenes/${scene.id}/takes`);
+            setTakes(res.data.takes);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // Reload the take list whenever a job for this scene settles
+    useEffect(() => {
+        fetchTakes();
+    }, [scene.id, job?.status]);
+
+    const handleRegenerate = async () => {
+        if (!prompt.trim()) return;
+        setSubmitting(true);
+
+        try {
+            const res = await api.post(
+                `/api/projects/scenes/${scene.id}/regenerate`,
+                { image_prompt: prompt }
+            );
+            onSceneChange(res.data.scene);
+            onJobQueued(res.data.job);
+            toast.success('New take queued');
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to regenerate image');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleSelectTake = async (take) => {
+        try {
+            const res = await api.put(
+                `/api/projects/scenes/${scene.id}/active-take`,
+                { takeId: take.id }
+            );
+            onSceneChange(res.data);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to change the active take');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <h2 className="font-bold text-gray-900 dark:text-white">
+                        Scene {scene.scene_number}: {scene.title || 'Untitled'}
+                    </h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {/* Prompt editor */}
+                    <div>
+                        <label className="block text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">
+                            Image Prompt
+                        </label>
+                        <textarea
+                            value={prompt}
+                            onChange={(e) => setPrompt(e.target.value)}
+                            className="w-full p-3 border rounded-lg min-h-[110px] text-sm bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white outline-none focus:ring-2 focus:ring-purple-500"
+                        />
+                        <div className="flex justify-end mt-2">
+                            <button
+                                onClick={handleRegenerate}
+                                disabled={submitting || inProgress || !prompt.trim()}
+                                className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm font-medium transition-colors"
+                            >
+                                {inProgress ? <RefreshCw className="animate-spin" size={16} /> : <Wand2 size={16} />}
+                                {inProgress ? 'Generating...' : 'Regenerate'}
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Take history */}
+                    <div>
+                        <div className="text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">
+                            Takes ({takes.length})
+                        </div>
+                        {takes.length === 0 ? (
+                            <p className="text-sm text-gray-400 dark:text-gray-500">No images generated yet.</p>
+                        ) : (
+                            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                                {takes.map((take) => {
+                                    const active = take.image_id === scene.image_id;
+                                    return (
+                                        <button
+                                            key={take.id}
+                                            onClick={() => handleSelectTake(take)}
+                                            className={`text-left rounded-lg overflow-hidden border-2 transition-colors ${active ? 'border-purple-500' : 'border-transparent hover:border-gray-300 dark:hover:border-gray-600'}`}
+                                            title={take.prompt}
+                                        >
+                                            <div className="relative aspect-video bg-gray-100 dark:bg-gray-900">
+                                                <AuthImage imageId={take.image_id} variant="thumbnail" alt={`Take ${take.id}`} className="w-full h-full object-cover" />
+                                                {active && (
+                                                    <span className="absolute top-1.5 right-1.5 bg-purple-600 text-white rounded-full p-0.5">
+                                                        <Check size={12} />
+                                                    </span>
+                                                )}
+                                            </div>
+                                            <div className="p-2 text-[10px] text-gray-500 dark:text-gray-400">
+                                                <div className="truncate">{take.model || 'Unknown model'}</div>
+                                                <div>{new Date(take.created_at).toLocaleString()}</div>
+                                            </div>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { Link2, Copy, X, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EXPIRY_OPTIONS = [
+    { value: '', label: 'Never expires' },
+    { value: '1', label: 'Expires in 1 day' },
+    { value: '7', label: 'Expires in 7 days' },
+    { value: '30', label: 'Expires in 30 days' }
+];
+
+const linkUrl = (link) => `${window.location.origin}/share/${link.token}`;
+
+// Public read-only links for people without an account (owner only)
+export default function ShareLinks({ projectId }) {
+    const [links, setLinks] = useState([]);
+
+    const [label, setLabel] = useState('');
+
+    const [expiresInDays, setExpiresInDays] = useState('');
+
+    const [password, setPassword] = useState('');
+
+    const [creating, setCreating] = useState(false);
+
+    useEffect(() => {
+        const fetchLinks = async () => {
+            try {
+                const res = await api.get(`/api/projects/${projectId}/share-links`);
+                setLinks(res.data.links);
+            } catch (err) {
+                console.error(err);
+            }
+        };
+        fetchLinks();
+    }, [projectId]);
+
+    const copyLink = async (link) => {
+        try {
+            await navigator.clipboard.writeText(linkUrl(link));
+            toast.success('Link copied');
+        } catch {
+            toast.error('Could not copy the link');
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setCreating(true);
+
+        try {
+            const res = await api.post(`/api/projects/${projectId}/share-links`, {
+                label: label.trim() || undefined,
+                expires_in_days: expiresInDays || undefined,
+                password: password || undefined
+            });
+            setLinks(prev => [res.data, ...prev]);
+            setLabel('');
+            setPassword('');
+            copyLink(res.data);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to create link');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = async (link) => {
+        if (!confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+        try {
+            const res = await api.delete(`/api/projects/${projectId}/share-links/${link.id}`);
+            setLinks(res.data.links);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to revoke link');
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Public links</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Anyone with a link can view the storyboard without signing in.</p>
+
+            <form onSubmit={handleCreate} className="grid grid-cols-2 gap-2 mb-3">
+                <input
+                    value={label}
+                    onChange={(e) => setLabel(e.target.value)}
+                    placeholder="Label (e.g. Client review)"
+                    maxLength={100}
+                    className="col-span-2 p-2 text-sm border rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    disabled={creating}
+                />
+                <select
+                    value={expiresInDays}
+                    onChange={(e) => setExpiresInDays(e.target.value)}
+                    className="p-2 text-sm border rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    disabled={creating}
+                >
+                    {EXPIRY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password (optional)"
+                    autoComplete="new-password"
+                    className="p-2 text-sm border rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    disabled={creating}
+                />
+                <button
+                    type="submit"
+                    disabled={creating}
+                    className="col-span-2 flex items-center justify-center gap-1 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 text-sm font-medium transition-colors"
+                >
+                    <Link2 size={14} /> Create Link
+                </button>
+            </form>
+
+            <ul className="divide-y dark:divide-gray-700">
+                {links.map(link => (
+                    <li key={link.id} className="flex items-center justify-between gap-2 py-2 text-sm">
+                        <div className="min-w-0">
+                            <div className="flex items-center gap-1 truncate text-gray-800 dark:text-gray-200">
+                                {link.has_password && <Lock size={12} className="shrink-0 text-gray-400" />}
+                                {link.label || 'Untitled link'}
+                            </div>
+                            <div className="text-xs text-gray-400 dark:text-gray-500">
+                                {link.expires_at ? `Expires ${new Date(link.expires_at).toLocaleDateString()}` : 'No expiry'}
+                                {' · '}{link.view_count} {link.view_count === 1 ? 'view' : 'views'}
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-1 shrink-0">
+                            <button
+                                onClick={() => copyLink(link)}
+                                className="p-1 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700 rounded"
+                                title="Copy link"
+                            >
+                                <Copy size={14} />
+                            </button>
+                            <button
+                                onClick={() => handleRevoke(link)}
+                                className="p-1 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                                title="Revoke link"
+                            >
+                                <X size={14} />
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,223 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { useNavigate } from 'react-router-dom';
+import { X, Send, Trash2, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ShareLinks from './ShareLinks';
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    editor: 'Can edit',
+    viewer: 'Can view'
+};
+
+export default function ShareModal({ project, onClose }) {
+    const navigate = useNavigate();
+
+    const [members, setMembers] = useState([]);
+
+    const [invitations, setInvitations] = useState([]);
+
+    const [me, setMe] = useState(null);
+
+    const [email, setEmail] = useState('');
+
+    const [role, setRole] = useState('editor');
+
+    const [sending, setSending] = useState(false);
+
+    const isOwner = project.role === 'owner';
+
+    useEffect(() => {
+        const fetchMembers = async () => {
+            try {
+                const [membersRes, meRes] = await Promise.all([
+                    api.get(`/api/projects/${project.id}/members`),
+                    api.get('/api/auth/me')
+                ]);
+                setMembers(membersRes.data.members);
+                setInvitations(membersRes.data.invitations);
+                setMe(meRes.data);
+            } catch (err) {
+                console.error(err);
+                toast.error('Failed to load members');
+            }
+        };
+        fetchMembers();
+    }, [project.id]);
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (!email.trim()) return;
+
+        setSending(true);
+
+        try {
+            const res = await api.post(`/api/projects/${project.id}/invitations`, { email, role });
+            setInvitations(prev => [...prev.filter(i => i.id !== res.data.id), res.data]);
+            setEmail('');
+            toast.success(`Invitation sent to ${res.data.email}`);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to send invitation');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const handleRevoke = async (invitation) => {
+        try {
+            const res = await api.delete(`/api/projects/${project.id}/invitations/${invitation.id}`);
+            setInvitations(res.data.invitations);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to revoke invitation');
+        }
+    };
+
+    const handleRoleChange = async (member, nextRole) => {
+        try {
+            const res = await api.put(`/api/projects/${project.id}/members/${member.user_id}`, { role: nextRole });
+            setMembers(res.data.members);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to change role');
+        }
+    };
+
+    const handleRemove = async (member) => {
+        const leaving = member.user_id === me?.id;
+        if (!confirm(leaving ? 'Leave this project? You will lose access to it.' : `Remove ${member.email} from this project?`)) return;
+
+        try {
+            const res = await api.delete(`/api/projects/${project.id}/members/${member.user_id}`);
+
+            if (leaving) {
+                toast.success('You left the project');
+                navigate('/');
+                return;
+            }
+            setMembers(res.data.members);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to remove member');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <div>
+                        <h2 className="font-bold text-gray-900 dark:text-white">Share "{project.title}"</h2>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Editors can change scenes, images and the bible. Viewers can only look.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {isOwner && (
+                        <form onSubmit={handleInvite} className="flex gap-2">
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="teammate@example.com"
+                                className="flex-1 min-w-0 p-2 text-sm border rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                disabled={sending}
+                                required
+                            />
+                            <select
+                                value={role}
+                                onChange={(e) => setRole(e.target.value)}
+                                className="p-2 text-sm border rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                disabled={sending}
+                            >
+                                <option value="editor">{ROLE_LABELS.editor}</option>
+                                <option value="viewer">{ROLE_LABELS.viewer}</option>
+                            </select>
+                            <button
+                                type="submit"
+                                disabled={sending}
+                                className="flex items-center gap-1 bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium transition-colors"
+                            >
+                                <Send size={14} /> Invite
+                            </button>
+                        </form>
+                    )}
+
+                    <div>
+                        <h3 className="text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Members</h3>
+                        <ul className="divide-y dark:divide-gray-700">
+                            {members.map(member => (
+                                <li key={member.user_id} className="flex items-center justify-between gap-2 py-2 text-sm">
+                                    <span className="truncate text-gray-800 dark:text-gray-200">
+                                        {member.email}
+                                        {member.user_id === me?.id && <span className="text-gray-400 dark:text-gray-500"> (you)</span>}
+                                    </span>
+                                    <div className="flex items-center gap-2 shrink-0">
+                                        {isOwner && member.role !== 'owner' ? (
+                                            <select
+                                                value={member.role}
+                                                onChange={(e) => handleRoleChange(member, e.target.value)}
+                                                className="p-1 text-xs border rounded bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                            >
+                                                <option value="editor">{ROLE_LABELS.editor}</option>
+                                                <option value="viewer">{ROLE_LABELS.viewer}</option>
+                                            </select>
+                                        ) : (
+                                            <span className="text-xs text-gray-500 dark:text-gray-400">{ROLE_LABELS[member.role]}</span>
+                                        )}
+                                        {member.role !== 'owner' && (isOwner || member.user_id === me?.id) && (
+                                            <button
+                                                onClick={() => handleRemove(member)}
+                                                className="p-1 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                                                title={member.user_id === me?.id ? 'Leave project' : 'Remove member'}
+                                            >
+                                                {member.user_id === me?.id ? <LogOut size={14} /> : <Trash2 size={14} />}
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    {isOwner && invitations.length > 0 && (
+                        <div>
+                            <h3 className="text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Pending invitations</h3>
+                            <ul className="divide-y dark:divide-gray-700">
+                                {invitations.map(invitation => (
+                                    <li key={invitation.id} className="flex items-center justify-between gap-2 py-2 text-sm">
+                                        <span className="truncate text-gray-500 dark:text-gray-400">{invitation.email}</span>
+                                        <div className="flex items-center gap-2 shrink-0">
+                                            <span className="text-xs text-gray-400 dark:text-gray-500">{ROLE_LABELS[invitation.role]}</span>
+                                            <button
+                                                onClick={() => handleRevoke(invitation)}
+                                                className="p-1 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                                                title="Revoke invitation"
+                                            >
+                                                <X size={14} />
+                                            </button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {isOwner && <ShareLinks projectId={project.id} />}
+                </div>
+            </div>
+        </div>
+    );
+}
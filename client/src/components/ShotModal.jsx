@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { X, RefreshCw, Wand2, Check, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import AuthImage from './AuthImage';
+import { SHOT_TYPES, CAMERA_ANGLES, CAMERA_MOVEMENTS, SHOT_ABBREVIATIONS } from '../utils/sceneFields';
+
+const EMPTY = { description: '', shot_size: '', camera_angle: '', lens: '', camera_movement: '', duration_seconds: '', image_prompt: '' };
+
+const formFor = (shot) => Object.fromEntries(Object.keys(EMPTY).map(key => [key, shot[key] ?? '']));
+
+// One shot of a scene: its description and camera setup, its frame and
+// every take generated for it. Viewers see the same without the controls.
+export default function ShotModal({ shot, scene, job, readOnly = false, onShotChange, onShotsChange, onJobQueued, onClose }) {
+    const [form, setForm] = useState(formFor(shot));
+
+    const [takes, setTakes] = useState([]);
+
+    const [saving, setSaving] = useState(false);
+
+    const inProgress = job?.status === 'queued' || job?.status === 'running';
+
+    const dirty = Object.keys(EMPTY).some(key => String(form[key]) !== String(shot[key] ?? ''));
+
+    const fetchTakes = async () => {
+        try {
+            const res = await api.get(`/api/projects/shots/${shot.id}/takes`);
+            setTakes(res.data.takes);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // Reload the take list whenever a job for this shot settles
+    useEffect(() => {
+        fetchTakes();
+    }, [shot.id, job?.status]);
+
+    const set = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+    const save = async () => {
+        setSaving(true);
+
+        try {
+            const res = await api.put(`/api/projects/shots/${shot.id}`, {
+                ...form,
+                duration_seconds: form.duration_seconds === '' ? null : Number(form.duration_seconds),
+                version: shot.version
+            });
+            onShotChange(res.data);
+            setForm(formFor(res.data));
+            return res.data;
+
+        } catch (err) {
+            console.error(err);
+            if (err.response?.data?.code === 'VERSION_CONFLICT') {
+                onShotChange(err.response.data.shot);
+                setForm(formFor(err.response.data.shot));
+                toast.error('Someone else changed this shot. Their version is shown now.');
+                return null;
+            }
+            const invalid = err.response?.data?.details?.[0];
+            toast.error(invalid ? `${invalid.path.replace('shot.', '')} ${invalid.message}` : 'Failed to save shot');
+            return null;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Saves pending edits first so the frame matches what is on screen
+    const handleGenerate = async () => {
+        if (dirty && !(await save())) return;
+
+        try {
+            const res = await api.post(`/api/projects/shots/${shot.id}/regenerate`, {});
+            onJobQueued(res.data.job);
+            toast.success('New frame queued');
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to generate the frame');
+        }
+    };
+
+    const handleSelectTake = async (take) => {
+        try {
+            const res = await api.put(`/api/projects/shots/${shot.id}/active-take`, { takeId: take.id });
+            onShotChange(res.data);
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to change the active take');
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!confirm(`Delete shot ${scene.scene_number}.${shot.shot_number}?`)) return;
+
+        try {
+            const res = await api.delete(`/api/projects/shots/${shot.id}`);
+            onShotsChange(scene.id, res.data.shots);
+            onClose();
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to delete shot');
+        }
+    };
+
+    const inputClass = 'w-full p-2 border rounded text-sm bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white disabled:opacity-70';
+    const labelClass = 'block text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <h2 className="font-bold text-gray-900 dark:text-white">
+                        Shot {scene.scene_number}.{shot.shot_number}: {scene.title || 'Untitled'}
+                    </h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {/* Frame and camera */}
+                    <div className="grid sm:grid-cols-2 gap-4">
+                        <div className="relative aspect-video rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-900 flex items-center justify-center">
+                            {shot.image_id
+                                ? <AuthImage key={shot.image_id} imageId={shot.image_id} alt={`Shot ${shot.shot_number}`} className="w-full h-full object-cover" />
+                                : <span className="text-sm text-gray-400 dark:text-gray-500">No frame yet</span>}
+                            {inProgress && (
+                                <span className="absolute inset-0 flex items-center justify-center bg-black/30">
+                                    <RefreshCw size={20} className="animate-spin text-white" />
+                                </span>
+                            )}
+                        </div>
+                        <div className="grid grid-cols-2 gap-3 content-start">
+                            <label>
+                                <span className={labelClass}>Shot size</span>
+                                <select value={form.shot_size} onChange={set('shot_size')} disabled={readOnly} className={inputClass}>
+                                    <option value="">-</option>
+                                    {SHOT_TYPES.map(t => <option key={t} value={t}>{SHOT_ABBREVIATIONS[t]} · {t}</option>)}
+                                </select>
+                            </label>
+                            <label>
+                                <span className={labelClass}>Angle</span>
+                                <select value={form.camera_angle} onChange={set('camera_angle')} disabled={readOnly} className={inputClass}>
+                                    <option value="">-</option>
+                                    {CAMERA_ANGLES.map(a => <option key={a} value={a}>{a}</option>)}
+                                </select>
+                            </label>
+                            <label>
+                                <span className={labelClass}>Lens</span>
+                                <input value={form.lens} onChange={set('lens')} maxLength={30} placeholder="e.g. 35mm" disabled={readOnly} className={inputClass} />
+                            </label>
+                            <label>
+                                <span className={labelClass}>Movement</span>
+                                <select value={form.camera_movement} onChange={set('camera_movement')} disabled={readOnly} className={inputClass}>
+                                    <option value="">-</option>
+                                    {CAMERA_MOVEMENTS.map(m => <option key={m} value={m}>{m}</option>)}
+                                </select>
+                            </label>
+                            <label>
+                                <span className={labelClass}>Duration (s)</span>
+                                <input type="number" min="1" max="600" value={form.duration_seconds} onChange={set('duration_seconds')} disabled={readOnly} className={inputClass} />
+                            </label>
+                        </div>
+                    </div>
+
+                    <label className="block">
+                        <span className={labelClass}>Description</span>
+                        <textarea value={form.description} onChange={set('description')} rows={2} disabled={readOnly} className={inputClass} placeholder="What the frame shows" />
+                    </label>
+                    <label className="block">
+                        <span className={labelClass}>Image prompt</span>
+                        <textarea value={form.image_prompt} onChange={set('image_prompt')} rows={3} disabled={readOnly} className={inputClass} placeholder="Leave empty to use the scene's prompt" />
+                    </label>
+
+                    {!readOnly && (
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                            <button onClick={handleDelete} className="flex items-center gap-1 text-sm text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 px-2 py-1.5 rounded">
+                                <Trash2 size={14} /> Delete shot
+                            </button>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={save}
+                                    disabled={saving || !dirty}
+                                    className="flex items-center gap-1 bg-green-600 text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                                >
+                                    <Check size={16} /> Save
+                                </button>
+                                <button
+                                    onClick={handleGenerate}
+                                    disabled={saving || inProgress}
+                                    className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm font-medium transition-colors"
+                                >
+                                    {inProgress ? <RefreshCw className="animate-spin" size={16} /> : <Wand2 size={16} />}
+                                    {inProgress ? 'Generating...' : shot.image_id ? 'Regenerate frame' : 'Generate frame'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Take history */}
+                    {takes.length > 0 && (
+                        <div>
+                            <div className="text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">
+                                Takes ({takes.length})
+                            </div>
+                            <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+                                {takes.map((take) => {
+                                    const active = take.image_id === shot.image_id;
+                                    return (
+                                        <button
+                                            key={take.id}
+                                            onClick={() => handleSelectTake(take)}
+                                            disabled={readOnly}
+                                            className={`relative aspect-video rounded-lg overflow-hidden border-2 bg-gray-100 dark:bg-gray-900 transition-colors ${active ? 'border-purple-500' : 'border-transparent hover:border-gray-300 dark:hover:border-gray-600'}`}
+                                            title={`${take.model || 'Unknown model'} · ${new Date(take.created_at).toLocaleString()}`}
+                                        >
+                                            <AuthImage imageId={take.image_id} variant="thumbnail" alt={`Take ${take.id}`} className="w-full h-full object-cover" />
+                                            {active && (
+                                                <span className="absolute top-1 right-1 bg-purple-600 text-white rounded-full p-0.5">
+                                                    <Check size={10} />
+                                                </span>
+                                            )}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import api from '../utils/api';
+import { Plus, RefreshCw, AlertTriangle, Image as ImageIcon } from 'lucide-react';
+import toast from 'react-hot-toast';
+import AuthImage from './AuthImage';
+import { cameraSummary } from '../utils/sceneFields';
+
+// The shots of one scene as a row of panels. Editors can add shots and
+// drag panels to reorder them; clicking a panel opens it.
+export default function ShotStrip({ scene, shots, jobs, canEdit, onAdd, onOpen, onShotsChange }) {
+    const [draggedId, setDraggedId] = useState(null);
+
+    const [dragOverId, setDragOverId] = useState(null);
+
+    const handleDrop = async (targetId) => {
+        const fromIndex = shots.findIndex(s => s.id === draggedId);
+        const toIndex = shots.findIndex(s => s.id === targetId);
+        setDraggedId(null);
+        setDragOverId(null);
+        if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+        const reordered = [...shots];
+        const [moved] = reordered.splice(fromIndex, 1);
+        reordered.splice(toIndex, 0, moved);
+
+        // Show the new order straight away; the server renumbers for real
+        onShotsChange(scene.id, reordered.map((s, i) => ({ ...s, shot_number: i + 1 })));
+
+        try {
+            const res = await api.put(
+                `/api/projects/scenes/${scene.id}/shots/order`,
+                { shotIds: reordered.map(s => s.id) }
+            );
+            onShotsChange(scene.id, res.data.shots);
+
+        } catch (err) {
+            console.error(err);
+            onShotsChange(scene.id, shots);
+            toast.error('Failed to reorder shots');
+        }
+    };
+
+    // Shot panels sit inside a draggable scene, so their drag events must not
+    // reach it
+    const dragProps = (shot) => ({
+        draggable: true,
+        onDragStart: (e) => {
+            e.stopPropagation();
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', `shot:${shot.id}`);
+            setDraggedId(shot.id);
+        },
+        onDragOver: (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (dragOverId !== shot.id) setDragOverId(shot.id);
+        },
+        onDrop: (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            handleDrop(shot.id);
+        },
+        onDragEnd: (e) => {
+            e.stopPropagation();
+            setDraggedId(null);
+            setDragOverId(null);
+        }
+    });
+
+    return (
+        <div className="flex gap-2 overflow-x-auto pb-2 mb-3 print:flex-wrap">
+            {shots.map(shot => {
+                const job = jobs[`shot-${shot.id}`];
+                const inProgress = job?.status === 'queued' || job?.status === 'running';
+                return (
+                    <button
+                        key={shot.id}
+                        type="button"
+                        {...(canEdit ? dragProps(shot) : {})}
+                        onClick={() => onOpen(shot)}
+                        className={`shrink-0 w-32 text-left rounded-lg overflow-hidden border bg-white dark:bg-gray-800 transition-colors ${dragOverId === shot.id && draggedId !== shot.id ? 'border-blue-400' : 'border-gray-200 dark:border-gray-700 hover:border-purple-300 dark:hover:border-purple-700'} ${draggedId === shot.id ? 'opacity-40' : ''}`}
+                        title={shot.description || `Shot ${shot.shot_number}`}
+                    >
+                        <div className="relative aspect-video bg-gray-100 dark:bg-gray-900 flex items-center justify-center">
+                            {shot.image_id ? (
+                                <AuthImage imageId={shot.image_id} variant="thumbnail" alt={`Shot ${shot.shot_number}`} className="w-full h-full object-cover" />
+                            ) : job?.status === 'failed' ? (
+                                <AlertTriangle size={16} className="text-red-400" />
+                            ) : !inProgress && (
+                                <ImageIcon size={16} className="text-gray-300 dark:text-gray-600" />
+                            )}
+                            {inProgress && (
+                                <span className="absolute inset-0 flex items-center justify-center bg-black/30">
+                                    <RefreshCw size={14} className="animate-spin text-white" />
+                                </span>
+                            )}
+                            <span className="absolute top-1 left-1 bg-black/60 text-white text-[9px] font-bold px-1.5 rounded">
+                                {scene.scene_number}.{shot.shot_number}
+                            </span>
+                        </div>
+                        <div className="px-1.5 py-1 text-[9px] leading-tight">
+                            <div className="font-bold text-gray-700 dark:text-gray-300 uppercase truncate">{cameraSummary(shot) || 'No camera set'}</div>
+                            <div className="text-gray-500 dark:text-gray-400 line-clamp-2 normal-case">{shot.description}</div>
+                        </div>
+                    </button>
+                );
+            })}
+
+            {canEdit && (
+                <button
+                    type="button"
+                    onClick={onAdd}
+                    className="shrink-0 w-16 flex flex-col items-center justify-center gap-1 border-2 border-dashed border-gray-200 dark:border-gray-700 text-gray-400 dark:text-gray-500 hover:text-blue-500 hover:border-blue-300 dark:hover:border-blue-700 rounded-lg text-[10px] font-medium uppercase transition-colors print:hidden"
+                    title="Add shot"
+                >
+                    <Plus size={14} /> Shot
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { X, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import StyleProfileFields from './StyleProfileFields';
+
+export default function StyleModal({ project, onChange, onClose }) {
+    const [options, setOptions] = useState(null);
+
+    const [style, setStyle] = useState(null);
+
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        const fetchOptions = async () => {
+            try {
+                const res = await api.get('/api/projects/styles');
+                setOptions(res.data);
+                setStyle({ ...res.data.defaults, ...project.style_profile });
+            } catch (err) {
+                console.error(err);
+                toast.error('Failed to load style presets');
+            }
+        };
+        fetchOptions();
+    }, [project.id]);
+
+    const handleSave = async () => {
+        setSaving(true);
+
+        try {
+            const res = await api.put(`/api/projects/${project.id}/style`, style);
+            onChange(res.data);
+            toast.success('Style saved. New images will use it.');
+            onClose();
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to save style');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto border dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-6 py-4 border-b dark:border-gray-700">
+                    <div>
+                        <h2 className="font-bold text-gray-900 dark:text-white">Visual Style</h2>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Applied to every image generated for this project. Existing takes are kept.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {style ? (
+                        <StyleProfileFields options={options} value={style} onChange={setStyle} disabled={saving} />
+                    ) : (
+                        <p className="text-sm text-gray-400 dark:text-gray-500">Loading presets...</p>
+                    )}
+
+                    <div className="flex justify-end">
+                        <button
+                            onClick={handleSave}
+                            disabled={saving || !style}
+                            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium transition-colors"
+                        >
+                            <Check size={16} /> {saving ? 'Saving...' : 'Save Style'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+// Preset, aspect ratio and advanced generation parameters for a project.
+// `options` is the response of GET /api/projects/styles.
+export default function StyleProfileFields({ options, value, onChange, disabled }) {
+    const [showAdvanced, setShowAdvanced] = useState(false);
+
+    const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+    if (!options) return null;
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <div className="text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Style</div>
+                <div className="flex flex-wrap gap-2">
+                    {options.presets.map(preset => (
+                        <button
+                            key={preset.id}
+                            type="button"
+                            onClick={() => set('preset', preset.id)}
+                            disabled={disabled}
+                            title={preset.prompt}
+                            className={`text-sm px-3 py-1.5 rounded-full border transition-colors disabled:opacity-50 ${value.preset === preset.id
+                                ? 'bg-blue-600 border-blue-600 text-white'
+                                : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-blue-400'}`}
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    Aspect ratio
+                    <select
+                        value={value.aspect_ratio}
+                        onChange={(e) => set('aspect_ratio', e.target.value)}
+                        disabled={disabled}
+                        className="p-1.5 border rounded bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white text-sm"
+                    >
+                        {options.aspectRatios.map(ratio => (
+                            <option key={ratio.id} value={ratio.id}>{ratio.id} ({ratio.width}x{ratio.height})</option>
+                        ))}
+                    </select>
+                </label>
+
+                <button
+                    type="button"
+                    onClick={() => setShowAdvanced(!showAdvanced)}
+                    className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                >
+                    {showAdvanced ? <ChevronDown size={16} /> : <ChevronRight size={16} />} Advanced
+                </button>
+            </div>
+
+            {showAdvanced && (
+                <div className="grid md:grid-cols-2 gap-3">
+                    <label className="md:col-span-2 block text-sm text-gray-600 dark:text-gray-300">
+                        Negative prompt
+                        <input
+                            type="text"
+                            value={value.negative_prompt}
+                            onChange={(e) => set('negative_prompt', e.target.value)}
+                            disabled={disabled}
+                            placeholder="Things to keep out of every frame (added to the preset's own)"
+                            className="mt-1 w-full p-2 border rounded bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white text-sm"
+                        />
+                    </label>
+                    <label className="block text-sm text-gray-600 dark:text-gray-300">
+                        Guidance scale: {value.guidance_scale}
+                        <input
+                            type="range"
+                            min="1"
+                            max="20"
+                            step="0.5"
+                            value={value.guidance_scale}
+                            onChange={(e) => set('guidance_scale', Number(e.target.value))}
+                            disabled={disabled}
+                            className="mt-2 w-full"
+                        />
+                    </label>
+                    <label className="block text-sm text-gray-600 dark:text-gray-300">
+                        Seed
+                        <input
+                            type="number"
+                            min="0"
+                            value={value.seed ?? ''}
+                            onChange={(e) => set('seed', e.target.value === '' ? null : Number(e.target.value))}
+                            disabled={disabled}
+                            placeholder="Random"
+                            className="mt-1 w-full p-2 border rounded bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white text-sm"
+                        />
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,14 @@
+// Bars for one value of each day in `history`, e.g. kind="image"
+export default function UsageChart({ history, kind, color }) {
+    const max = Math.max(1, ...history.map(day => day[kind]));
+
+    return (
+        <div className="flex items-end gap-0.5 h-24">
+            {history.map(day => (
+                <div key={day.day} className="flex-1 h-full flex items-end" title={`${day.day}: ${day[kind]}`}>
+                    <div className={`w-full rounded-t ${color}`} style={{ height: `${(day[kind] / max) * 100}%`, minHeight: day[kind] ? 2 : 0 }} />
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../utils/api';
+import { ArrowLeft, Users, AlertTriangle, BarChart3 } from 'lucide-react';
+import ThemeToggle from '../components/ThemeToggle';
+import AdminUsers from '../components/AdminUsers';
+import AdminJobs from '../components/AdminJobs';
+import AdminUsage from '../components/AdminUsage';
+
+const TABS = [
+    { id: 'users', label: 'Users', icon: Users, component: AdminUsers },
+    { id: 'jobs', label: 'Failed jobs', icon: AlertTriangle, component: AdminJobs },
+    { id: 'usage', label: 'AI usage', icon: BarChart3, component: AdminUsage }
+];
+
+// Admin console. The API enforces the admin role; this page only checks it
+// up front to show a clear message instead of a wall of failed requests.
+export default function Admin() {
+    const [allowed, setAllowed] = useState(null);
+
+    const [tab, setTab] = useState('users');
+
+    useEffect(() => {
+        const fetchUser = async () => {
+            try {
+                const res = await api.get('/api/auth/me');
+                setAllowed(res.data.role === 'admin');
+            } catch (err) {
+                console.error(err);
+                setAllowed(false);
+            }
+        };
+        fetchUser();
+    }, []);
+
+    const Current = TABS.find(t => t.id === tab).component;
+
+    return (
+        <div className="mx-auto p-6 max-w-6xl transition-colors">
+            <div className="flex justify-between items-center mb-8">
+                <div className="flex items-center gap-3">
+                    <Link to="/" className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-200 transition-colors">
+                        <ArrowLeft size={24} />
+                    </Link>
+                    <h1 className="text-3xl font-bold" style={{ fontFamily: "'Outfit', sans-serif" }}>Admin</h1>
+                </div>
+                <ThemeToggle />
+            </div>
+
+            {allowed === null ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+            ) : !allowed ? (
+                <div className="text-red-500 text-sm bg-red-50 dark:bg-red-900/20 p-3 rounded">
+                    This area is for administrators only.
+                </div>
+            ) : (
+                <>
+                    <div className="flex gap-1 mb-6 border-b dark:border-gray-700">
+                        {TABS.map(({ id, label, icon: Icon }) => (
+                            <button
+                                key={id}
+                                onClick={() => setTab(id)}
+                                className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${tab === id ? 'border-blue-600 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200'}`}
+                            >
+                                <Icon size={16} /> {label}
+                            </button>
+                        ))}
+                    </div>
+                    <Current />
+                </>
+            )}
+        </div>
+    );
+}
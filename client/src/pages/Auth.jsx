@@ -1,55 +1,156 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import axios from 'axios';
-import { useNavigate } from 'react-router-dom';
+import { API_URL, login } from '../utils/api';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import toast from 'react-hot-toast';
 
-export default function Auth() {
-    const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const TITLES = {
+    login: 'Welcome Back',
+    register: 'Create Account',
+    forgot: 'Reset Password',
+    reset: 'Choose a New Password',
+    verify: 'Confirm Email'
+};
+
+const PASSWORD_HINT = 'At least 10 characters, with letters and numbers.';
+
+const inputClass = "block w-full px-3 py-2 border rounded-md outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white transition-colors";
+
+const linkClass = "text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 hover:underline transition-colors";
+
+// Reads the message (and the first validation detail, if any) from an error
+function errorMessage(err) {
+    const data = err.response?.data;
+    if (data?.details?.length > 1) return `${data.error}. ${data.details.slice(1).join('. ')}.`;
+    return data?.error || data || 'An error occurred';
+}
 
+export default function Auth() {
     const navigate = useNavigate();
 
-    const [isLogin, setIsLogin] = useState(false);
+    const location = useLocation();
+
+    // Where to go after signing in, e.g. an invitation link opened while signed out
+    const [redirectTo] = useState(location.state?.from || '/');
+
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    const verifyToken = searchParams.get('verify');
+
+    const resetToken = searchParams.get('reset');
+
+    const [mode, setMode] = useState(verifyToken ? 'verify' : resetToken ? 'reset' : 'register');
 
     const [email, setEmail] = useState('');
 
     const [password, setPassword] = useState('');
 
+    const [confirm, setConfirm] = useState('');
+
     const [error, setError] = useState('');
 
+    const [notice, setNotice] = useState('');
+
+    const [unverified, setUnverified] = useState(false);
+
+    const [loading, setLoading] = useState(false);
+
+    const switchMode = (next) => {
+        setMode(next);
+        setError('');
+        setNotice('');
+        setUnverified(false);
+        setPassword('');
+        setConfirm('');
+        if (verifyToken || resetToken) setSearchParams({});
+    };
+
+    // Links from the verification email land here with ?verify=TOKEN
+    useEffect(() => {
+        if (!verifyToken) return;
+
+        const verify = async () => {
+            try {
+                await axios.post(`${API_URL}/api/auth/verify-email`, { token: verifyToken });
+                setNotice('Your email address is confirmed. You can sign in now.');
+            } catch (err) {
+                setError(errorMessage(err));
+            }
+        };
+        verify();
+    }, [verifyToken]);
+
+    const resendVerification = async () => {
+        try {
+            await axios.post(`${API_URL}/api/auth/resend-verification`, { email });
+            toast.success('Verification email sent');
+        } catch (err) {
+            toast.error(errorMessage(err));
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
-        const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register';
+        setNotice('');
+        setUnverified(false);
+
+        if ((mode === 'register' || mode === 'reset') && password !== confirm) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
 
         try {
-            const res = await axios.post(`${API_URL}${endpoint}`, {
-                email,
-                password
-            });
-
-            if (res.data.token || (!isLogin && res.data.id)) {
-                if (res.data.token) {
-                    localStorage.setItem('token', res.data.token);
-                }
-            
-                if (isLogin) {
-                    navigate('/');
-                    toast.success('Signed in successfully!');
-                }
-                
-                else {
-                    setIsLogin(true);
-                    setEmail('');
-                    setPassword('');
-                    toast.success('Registration successful! Please login.');
+            if (mode === 'login') {
+                // Stores the access and refresh tokens
+                await login(email, password);
+                navigate(redirectTo);
+                toast.success('Signed in successfully!');
+            }
+
+            else if (mode === 'register') {
+                const res = await axios.post(`${API_URL}/api/auth/register`, {
+                    email,
+                    password
+                });
+
+                if (res.data.id) {
+                    switchMode('login');
+                    if (res.data.verification_required) {
+                        setNotice(`We sent a confirmation link to ${res.data.email}. Confirm it, then sign in.`);
+                    } else {
+                        toast.success('Registration successful! Please login.');
+                    }
                 }
             }
 
+            else if (mode === 'forgot') {
+                const res = await axios.post(`${API_URL}/api/auth/forgot-password`, { email });
+                setNotice(res.data.message);
+            }
+
+            else if (mode === 'reset') {
+                await axios.post(`${API_URL}/api/auth/reset-password`, { token: resetToken, password });
+                switchMode('login');
+                setNotice('Your password was changed. Sign in with the new password.');
+            }
+
         } catch (err) {
-            setError(err.response?.data || 'An error occurred');
+            if (err.response?.data?.code === 'EMAIL_NOT_VERIFIED') setUnverified(true);
+            setError(errorMessage(err));
+        } finally {
+            setLoading(false);
         }
     };
 
+    const needsEmail = mode === 'login' || mode === 'register' || mode === 'forgot';
+
+    const needsPassword = mode === 'login' || mode === 'register' || mode === 'reset';
+
+    const needsConfirm = mode === 'register' || mode === 'reset';
+
     return (
         <div className="flex h-screen items-center justify-center bg-gray-100 dark:bg-gray-900 transition-colors">
             <div className="w-full max-w-md p-8 bg-white dark:bg-gray-800 rounded-lg shadow-md border dark:border-gray-700 transition-colors">
@@ -61,59 +162,116 @@ export default function Auth() {
                     />
                 </div>
                 <h2 className="text-2xl font-bold mb-6 text-center text-gray-900 dark:text-white transition-colors">
-                    {isLogin ? 'Welcome Back' : 'Create Account'}
+                    {TITLES[mode]}
                 </h2>
 
                 {error && (
                     <div className="mb-4 text-red-500 text-sm text-center bg-red-50 dark:bg-red-900/20 p-2 rounded">
                         {error}
+                        {unverified && (
+                            <button onClick={resendVerification} className={`block mx-auto mt-1 ${linkClass}`}>
+                                Resend confirmation email
+                            </button>
+                        )}
                     </div>
                 )}
-                <form onSubmit={handleSubmit} className="space-y-4">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                            Email
-                        </label>
-                        <input
-                            type="email"
-                            className="block w-full px-3 py-2 border rounded-md outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white transition-colors"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            required
-                        />
-                    </div>
 
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                            Password
-                        </label>
-                        <input
-                            type="password"
-                            className="block w-full px-3 py-2 border rounded-md outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white transition-colors"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            required  
-                        />
+                {notice && (
+                    <div className="mb-4 text-green-700 dark:text-green-400 text-sm text-center bg-green-50 dark:bg-green-900/20 p-2 rounded">
+                        {notice}
                     </div>
+                )}
+
+                {mode === 'verify' ? (
+                    !error && !notice && (
+                        <p className="text-sm text-center text-gray-500 dark:text-gray-400">Confirming your email address...</p>
+                    )
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        {needsEmail && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                    Email
+                                </label>
+                                <input
+                                    type="email"
+                                    className={inputClass}
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    required
+                                />
+                            </div>
+                        )}
 
-                    <button
-                        type="submit"
-                        className="w-full py-2 px-4 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors font-medium"
-                    >
-                        {isLogin ? 'Sign In' : 'Sign Up'}
-                    </button>
-                </form>
+                        {needsPassword && (
+                            <div>
+                                <div className="flex items-center justify-between mb-1">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                        {mode === 'reset' ? 'New password' : 'Password'}
+                                    </label>
+                                    {mode === 'login' && (
+                                        <button type="button" onClick={() => switchMode('forgot')} className={linkClass}>
+                                            Forgot password?
+                                        </button>
+                                    )}
+                                </div>
+                                <input
+                                    type="password"
+                                    className={inputClass}
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                                    required
+                                />
+                                {needsConfirm && (
+                                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{PASSWORD_HINT}</p>
+                                )}
+                            </div>
+                        )}
+
+                        {needsConfirm && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                    Confirm password
+                                </label>
+                                <input
+                                    type="password"
+                                    className={inputClass}
+                                    value={confirm}
+                                    onChange={(e) => setConfirm(e.target.value)}
+                                    autoComplete="new-password"
+                                    required
+                                />
+                            </div>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full py-2 px-4 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 transition-colors font-medium"
+                        >
+                            {mode === 'login' && 'Sign In'}
+                            {mode === 'register' && 'Sign Up'}
+                            {mode === 'forgot' && 'Send Reset Link'}
+                            {mode === 'reset' && 'Change Password'}
+                        </button>
+                    </form>
+                )}
 
                 <div className="mt-6 text-center">
-                    <button
-                        onClick={() => setIsLogin(!isLogin)} 
-                        className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 hover:underline transition-colors"
-                    >
-                        {isLogin
-                            ? 'Need an account? Register'
-                            : 'Already have an account? Login'
-                        }
-                    </button>
+                    {mode === 'register' ? (
+                        <button onClick={() => switchMode('login')} className={linkClass}>
+                            Already have an account? Login
+                        </button>
+                    ) : mode === 'login' ? (
+                        <button onClick={() => switchMode('register')} className={linkClass}>
+                            Need an account? Register
+                        </button>
+                    ) : (
+                        <button onClick={() => switchMode('login')} className={linkClass}>
+                            Back to sign in
+                        </button>
+                    )}
                 </div>
             </div>
         </div>
@@ -1,14 +1,30 @@
-import { useEffect, useState } from 'react';
-import axios from 'axios';
+import { useEffect, useRef, useState } from 'react';
+import api, { logout } from '../utils/api';
 import { useNavigate } from 'react-router-dom';
-import { PlusCircle, Film, Trash2 } from 'lucide-react';
+import { PlusCircle, Film, FileUp, Search, FolderPlus, Pencil, Trash2, Gauge, Shield } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 import ThemeToggle from '../components/ThemeToggle';
+import StyleProfileFields from '../components/StyleProfileFields';
+import ProjectCard from '../components/ProjectCard';
 
-export default function Dashboard() {
-    const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const ROLE_FILTERS = [
+    { id: '', label: 'All projects' },
+    { id: 'owner', label: 'My projects' },
+    { id: 'shared', label: 'Shared with me' }
+];
+
+const SORTS = [
+    { id: 'updated', label: 'Last edited' },
+    { id: 'created', label: 'Newest' },
+    { id: 'title', label: 'Title A-Z' }
+];
+
+const chipClass = (active) => `px-3 py-1 rounded-full text-sm border transition-colors ${active
+    ? 'bg-blue-600 border-blue-600 text-white'
+    : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:border-blue-300 dark:hover:border-blue-700'}`;
 
+export default function Dashboard() {
     const navigate = useNavigate();
 
     const [projects, setProjects] = useState([]);
@@ -17,27 +33,142 @@ export default function Dashboard() {
 
     const [isCreating, setIsCreating] = useState(false);
 
+    const [styleOptions, setStyleOptions] = useState(null);
+
+    const [styleProfile, setStyleProfile] = useState(null);
+
+    const [user, setUser] = useState(null);
+
+    const [isImporting, setIsImporting] = useState(false);
+
+    const [aiPrompts, setAiPrompts] = useState(false);
+
+    const [withShots, setWithShots] = useState(false);
+
+    const [nextCursor, setNextCursor] = useState(null);
+
+    const [loadingProjects, setLoadingProjects] = useState(true);
+
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const [search, setSearch] = useState('');
+
+    // Empty means the server default: best match when searching, otherwise last edited
+    const [sort, setSort] = useState('');
+
+    const [roleFilter, setRoleFilter] = useState('');
+
+    // '' for every folder, 'none' for unfiled projects, or a folder id
+    const [folderFilter, setFolderFilter] = useState('');
+
+    const [tagFilter, setTagFilter] = useState([]);
+
+    const [folders, setFolders] = useState([]);
+
+    const [tags, setTags] = useState([]);
+
+    // Only the latest list request may update the grid
+    const requestRef = useRef(0);
+
     useEffect(() => {
-        fetchProjects();
+        fetchStyleOptions();
+        fetchUser();
+        fetchFolders();
+        fetchTags();
     }, []);
 
-    const fetchProjects = async () => {
+    // Typing waits for a pause; chips and sort apply straight away
+    useEffect(() => {
+        const timer = setTimeout(() => fetchProjects(), search ? 300 : 0);
+        return () => clearTimeout(timer);
+    }, [search, sort, roleFilter, folderFilter, tagFilter]);
+
+    const fetchStyleOptions = async () => {
+        try {
+            const res = await api.get('/api/projects/styles');
+            setStyleOptions(res.data);
+            setStyleProfile(res.data.defaults);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const fetchProjects = async (cursor) => {
+        const request = ++requestRef.current;
+        if (cursor) setLoadingMore(true);
+
         try {
-            const token = localStorage.getItem('token');
-            const res = await axios.get(`${API_URL}/api/projects`, {
-                headers: { Authorization: `Bearer ${token}` }
+            const res = await api.get('/api/projects', {
+                params: {
+                    q: search.trim() || undefined,
+                    sort: sort || undefined,
+                    role: roleFilter || undefined,
+                    folder: folderFilter || undefined,
+                    tag: tagFilter.length > 0 ? tagFilter : undefined,
+                    cursor
+                },
+                // tag=a&tag=b rather than tag[]=a&tag[]=b
+                paramsSerializer: { indexes: null }
             });
-            setProjects(res.data);
+            if (request !== requestRef.current) return;
+
+            setProjects(prev => (cursor ? [...prev, ...res.data.projects] : res.data.projects));
+            setNextCursor(res.data.next_cursor);
 
         } catch (err) {
             console.error(err);
-
-            if (err.response?.status === 400){
-                navigate('/auth');
+        } finally {
+            if (request === requestRef.current) {
+                setLoadingProjects(false);
+                setLoadingMore(false);
             }
         }
     };
 
+    const fetchFolders = async () => {
+        try {
+            const res = await api.get('/api/folders');
+            setFolders(res.data.folders);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const fetchTags = async () => {
+        try {
+            const res = await api.get('/api/projects/tags');
+            setTags(res.data.tags);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const fetchUser = async () => {
+        try {
+            const res = await api.get('/api/auth/me');
+            setUser(res.data);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const resendVerification = async () => {
+        try {
+            await api.post('/api/auth/resend-verification', { email: user.email });
+            toast.success(`Confirmation email sent to ${user.email}`);
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to send confirmation email');
+        }
+    };
+
+    const handleLogout = async (everywhere) => {
+        if (everywhere && !confirm('Sign out of every device, including this one?')) return;
+
+        await logout({ everywhere });
+        navigate('/auth');
+    };
+
     const handleCreate = async (e) => {
         e.preventDefault();
         if (!newProjectInput.trim()) return;
@@ -45,18 +176,15 @@ export default function Dashboard() {
         setIsCreating(true);
 
         try {
-            const token = localStorage.getItem('token');
-
             const title = newProjectInput.substring(0, 30) + (newProjectInput.length > 30 ? '...' : '');
 
-            const res = await axios.post(
-                `${API_URL}/api/projects/`,
+            const res = await api.post(
+                '/api/projects/',
                 {
                     title: title,           
-                    input: newProjectInput  
-                },
-                {
-                    headers: { Authorization: `Bearer ${token}` }
+                    input: newProjectInput,
+                    style_profile: styleProfile || undefined,
+                    shots: withShots
                 }
             );
 
@@ -66,27 +194,54 @@ export default function Dashboard() {
 
         } catch (err) {
             console.error(err);
-            toast.error('Failed to create project');
+            toast.error(err.response?.data?.error || 'Failed to create project');
 
         } finally {
             setIsCreating(false);
         }
     };
 
-    const handleDelete = async (e, id) => {
-        e.preventDefault();
-        e.stopPropagation();
+    // Fountain or Final Draft file; the server detects the format from the name
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
 
-        if (!confirm('Are you sure you want to delete this project?')) return;
+        setIsImporting(true);
 
         try {
-            const token = localStorage.getItem('token');
-
-            await axios.delete(`${API_URL}/api/projects/${id}`, {
-                headers: { Authorization: `Bearer ${token}` }
+            const res = await api.post('/api/projects/import', await file.text(), {
+                headers: { 'Content-Type': 'text/plain' },
+                params: {
+                    filename: file.name,
+                    prompts: aiPrompts ? 'ai' : 'template',
+                    preset: styleProfile?.preset,
+                    aspect_ratio: styleProfile?.aspect_ratio
+                }
             });
 
-            setProjects(projects.filter(p => p.id !== id));
+            toast.success(`Imported ${res.data.scenes.length} scenes`);
+
+            navigate(`/project/${res.data.project.id}`);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to import screenplay');
+
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleDelete = async (project) => {
+        if (!confirm('Are you sure you want to delete this project?')) return;
+
+        try {
+            await api.delete(`/api/projects/${project.id}`);
+
+            setProjects(prev => prev.filter(p => p.id !== project.id));
+            fetchFolders();
+            fetchTags();
 
             toast.success('Project deleted');
 
@@ -96,6 +251,89 @@ export default function Dashboard() {
         }
     };
 
+    const handleEditTags = async (project) => {
+        const input = prompt('Tags, separated by commas', project.tags.join(', '));
+        if (input === null) return;
+
+        try {
+            const res = await api.put(`/api/projects/${project.id}/tags`, {
+                tags: input.split(',').map(tag => tag.trim()).filter(Boolean)
+            });
+            setProjects(prev => prev.map(p => (p.id === project.id ? { ...p, tags: res.data.tags } : p)));
+            fetchTags();
+
+        } catch (err) {
+            console.error(err);
+            const invalid = err.response?.data?.details?.[0];
+            toast.error(invalid ? `Tag ${invalid.message}` : 'Failed to save tags');
+        }
+    };
+
+    const handleMove = async (project, folderId) => {
+        try {
+            await api.put(`/api/projects/${project.id}/folder`, { folder_id: folderId });
+            setProjects(prev => prev
+                .map(p => (p.id === project.id ? { ...p, folder_id: folderId } : p))
+                // Drop it from view when it no longer matches the folder filter
+                .filter(p => p.id !== project.id || !folderFilter || folderFilter === (folderId ?? 'none')));
+            fetchFolders();
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to move project');
+        }
+    };
+
+    const handleCreateFolder = async () => {
+        const name = prompt('Folder name');
+        if (!name?.trim()) return;
+
+        try {
+            const res = await api.post('/api/folders', { name });
+            await fetchFolders();
+            setFolderFilter(res.data.id);
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to create folder');
+        }
+    };
+
+    const handleRenameFolder = async (folder) => {
+        const name = prompt('Rename folder', folder.name);
+        if (!name?.trim() || name.trim() === folder.name) return;
+
+        try {
+            await api.put(`/api/folders/${folder.id}`, { name });
+            fetchFolders();
+
+        } catch (err) {
+            console.error(err);
+            toast.error(err.response?.data?.error || 'Failed to rename folder');
+        }
+    };
+
+    const handleDeleteFolder = async (folder) => {
+        if (!confirm(`Delete the folder "${folder.name}"? Its projects are kept and become unfiled.`)) return;
+
+        try {
+            await api.delete(`/api/folders/${folder.id}`);
+            await fetchFolders();
+            if (folderFilter === folder.id) setFolderFilter('');
+            else fetchProjects();
+
+        } catch (err) {
+            console.error(err);
+            toast.error('Failed to delete folder');
+        }
+    };
+
+    const toggleTag = (tag) => setTagFilter(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+
+    const activeFolder = folders.find(f => f.id === folderFilter);
+
+    const filtering = Boolean(search.trim() || roleFilter || folderFilter || tagFilter.length > 0);
+
     return (
         <div className="mx-auto p-6 max-w-5xl transition-colors">
             <div className="flex justify-between mb-8">
@@ -105,19 +343,50 @@ export default function Dashboard() {
                     Sketcha
                 </h1>
                 <div className="flex items-center gap-4">
+                    {user && (
+                        <span className="hidden md:inline text-sm text-gray-500 dark:text-gray-400">{user.email}</span>
+                    )}
+                    <button
+                        onClick={() => navigate('/usage')}
+                        className="flex items-center gap-1 text-sm text-gray-600 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+                        title="AI usage and quota"
+                    >
+                        <Gauge size={16} /> Usage
+                    </button>
+                    {user?.role === 'admin' && (
+                        <button
+                            onClick={() => navigate('/admin')}
+                            className="flex items-center gap-1 text-sm text-gray-600 hover:text-purple-600 dark:text-gray-400 dark:hover:text-purple-400"
+                        >
+                            <Shield size={16} /> Admin
+                        </button>
+                    )}
                     <ThemeToggle />
                     <button
-                        onClick={() => {
-                            localStorage.removeItem('token');
-                            navigate('/auth');
-                        }}
+                        onClick={() => handleLogout(false)}
                         className="text-gray-600 hover:text-red-500 dark:text-gray-400 dark:hover:text-red-400"
                     >
                         Logout
                     </button>
+                    <button
+                        onClick={() => handleLogout(true)}
+                        className="text-sm text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400"
+                        title={user?.active_sessions ? `${user.active_sessions} active session(s)` : undefined}
+                    >
+                        Sign out all devices
+                    </button>
                 </div>
             </div>
 
+            {user && !user.email_verified && (
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 mb-6 p-4 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-300">
+                    <span>Please confirm your email address. We sent a link to {user.email}.</span>
+                    <button onClick={resendVerification} className="font-medium hover:underline text-left">
+                        Resend email
+                    </button>
+                </div>
+            )}
+
             <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md mb-10 border border-blue-100 dark:border-gray-700">
                 <h2 className="text-xl font-semibold mb-4 dark:text-white transition-colors">
                     Create New Storyboard
@@ -140,50 +409,155 @@ export default function Dashboard() {
                         {isCreating ? 'Generating...' : <><PlusCircle size={20} /> Create</>}
                     </button>
                 </form>
+                {styleProfile && (
+                    <div className="mt-4">
+                        <StyleProfileFields
+                            options={styleOptions}
+                            value={styleProfile}
+                            onChange={setStyleProfile}
+                            disabled={isCreating || isImporting}
+                        />
+                    </div>
+                )}
+                <label className="mt-4 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    <input
+                        type="checkbox"
+                        checked={withShots}
+                        onChange={(e) => setWithShots(e.target.checked)}
+                        disabled={isCreating}
+                    />
+                    Break each scene into shots (wide, medium, close-up...)
+                </label>
+                <div className="mt-4 pt-4 border-t dark:border-gray-700 flex flex-col sm:flex-row sm:items-center gap-3 text-sm">
+                    <label className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 font-medium transition-colors ${isImporting || isCreating ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700'}`}>
+                        <FileUp size={16} />
+                        {isImporting ? 'Importing...' : 'Import screenplay'}
+                        <input
+                            type="file"
+                            accept=".fountain,.spmd,.txt,.fdx"
+                            onChange={handleImport}
+                            disabled={isImporting || isCreating}
+                            className="hidden"
+                        />
+                    </label>
+                    <span className="text-gray-500 dark:text-gray-400">Fountain or Final Draft (.fdx)</span>
+                    <label className="flex items-center gap-2 text-gray-600 dark:text-gray-300 sm:ml-auto">
+                        <input
+                            type="checkbox"
+                            checked={aiPrompts}
+                            onChange={(e) => setAiPrompts(e.target.checked)}
+                            disabled={isImporting}
+                        />
+                        Write image prompts with AI
+                    </label>
+                </div>
+            </div>
+
+            <h2 className="text-lg font-semibold mb-4 dark:text-white transition-colors">Projects</h2>
+
+            {/* Search, sort and filters */}
+            <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                <div className="relative flex-1">
+                    <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 dark:text-gray-500" />
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search titles, ideas and scenes..."
+                        className="w-full pl-9 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 text-sm"
+                    />
+                </div>
+                <select
+                    value={sort}
+                    onChange={(e) => setSort(e.target.value)}
+                    className="px-3 py-2 border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-white text-sm"
+                >
+                    <option value="">{search.trim() ? 'Best match' : 'Last edited'}</option>
+                    {SORTS.filter(option => search.trim() || option.id !== 'updated').map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                {ROLE_FILTERS.map(filter => (
+                    <button key={filter.id} onClick={() => setRoleFilter(filter.id)} className={chipClass(roleFilter === filter.id)}>
+                        {filter.label}
+                    </button>
+                ))}
+                <span className="w-px h-5 bg-gray-200 dark:bg-gray-700 mx-1" />
+                <button onClick={() => setFolderFilter('')} className={chipClass(folderFilter === '')}>All folders</button>
+                {folders.map(folder => (
+                    <button key={folder.id} onClick={() => setFolderFilter(folder.id)} className={chipClass(folderFilter === folder.id)}>
+                        {folder.name} <span className="opacity-60">{folder.project_count}</span>
+                    </button>
+                ))}
+                {folders.length > 0 && (
+                    <button onClick={() => setFolderFilter('none')} className={chipClass(folderFilter === 'none')}>Unfiled</button>
+                )}
+                {activeFolder && (
+                    <>
+                        <button onClick={() => handleRenameFolder(activeFolder)} className="p-1.5 text-gray-400 hover:text-blue-500" title="Rename folder">
+                            <Pencil size={14} />
+                        </button>
+                        <button onClick={() => handleDeleteFolder(activeFolder)} className="p-1.5 text-gray-400 hover:text-red-500" title="Delete folder">
+                            <Trash2 size={14} />
+                        </button>
+                    </>
+                )}
+                <button
+                    onClick={handleCreateFolder}
+                    className="flex items-center gap-1 px-3 py-1 rounded-full text-sm border border-dashed border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400 hover:text-blue-500 hover:border-blue-300"
+                >
+                    <FolderPlus size={14} /> Folder
+                </button>
             </div>
 
+            {tags.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-6">
+                    {tags.map(({ tag, count }) => (
+                        <button key={tag} onClick={() => toggleTag(tag)} className={`${chipClass(tagFilter.includes(tag))} text-xs`}>
+                            #{tag} <span className="opacity-60">{count}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {projects.map((project) => (
-                    <div
-                        key={project.id} 
-                        className="block group relative cursor-pointer"
-                        onClick={() => navigate(`/project/${project.id}`)} 
-                    >
-                        <div className="bg-white dark:bg-gray-800 p-5 rounded-lg shadow-sm hover:shadow-lg transition-all border border-gray-100 dark:border-gray-700 h-full flex flex-col">
-                            <div className="flex justify-between items-start mb-2">
-                                <h3 className="font-bold text-lg group-hover:text-blue-600 dark:group-hover:text-blue-400 dark:text-gray-100 transition-colors line-clamp-1">
-                                    {project.title || "Untitled Project"}
-                                </h3>
-
-                                <button
-                                    onClick={(e) => handleDelete(e, project.id)}
-                                    className="p-1.5 text-gray-300 hover:text-red-500 dark:text-gray-600 dark:hover:text-red-400 transition-colors z-10"
-                                    title="Delete Project"
-                                >
-                                    <Trash2 size={16} />
-                                </button>
-                            </div>
-
-                            <p className="text-gray-500 dark:text-gray-400 text-sm line-clamp-3 flex-1 transition-colors">
-                                {project.original_input}
-                            </p>
-                            <div className="mt-4 text-xs text-gray-400 dark:text-gray-500 transition-colors border-t dark:border-gray-700 pt-3 flex justify-between">
-                                <span>{new Date(project.created_at).toLocaleDateString()}</span>
-                            </div>
-                        </div>
-                    </div>
+                {projects.map(project => (
+                    <ProjectCard
+                        key={project.id}
+                        project={project}
+                        folders={folders}
+                        onOpen={() => navigate(`/project/${project.id}`)}
+                        onDelete={handleDelete}
+                        onEditTags={handleEditTags}
+                        onMove={handleMove}
+                    />
                 ))}
             </div>
-            {projects.length === 0 && (
+            {!loadingProjects && projects.length === 0 && (
                 <div className="text-center py-20">
                     <div className="inline-flex justify-center items-center w-16 h-16 rounded-full bg-gray-100 dark:bg-gray-800 mb-4">
                         <Film className="w-8 h-8 text-gray-400 dark:text-gray-500" />
                     </div>
                     <p className="text-gray-500 dark:text-gray-400">
-                        No projects yet. Create one above!
+                        {filtering ? 'No projects match these filters.' : 'No projects yet. Create one above!'}
                     </p>
                 </div>
             )}
+
+            {nextCursor && (
+                <div className="flex justify-center mt-8">
+                    <button
+                        onClick={() => fetchProjects(nextCursor)}
+                        disabled={loadingMore}
+                        className="px-6 py-2 rounded-lg border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm font-medium hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                    >
+                        {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                </div>
+            )}
         </div>
     );
 }
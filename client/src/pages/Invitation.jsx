@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import api, { logout } from '../utils/api';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+
+// Landing page for the link in an invitation email
+export default function Invitation() {
+    const { token } = useParams();
+
+    const navigate = useNavigate();
+
+    const [invitation, setInvitation] = useState(null);
+
+    const [error, setError] = useState('');
+
+    const [accepting, setAccepting] = useState(false);
+
+    useEffect(() => {
+        const fetchInvitation = async () => {
+            try {
+                const res = await api.get(`/api/invitations/${token}`);
+                setInvitation(res.data);
+            } catch (err) {
+                setError(err.response?.data?.error || 'Failed to load invitation');
+            }
+        };
+        fetchInvitation();
+    }, [token]);
+
+    const handleAccept = async () => {
+        setAccepting(true);
+
+        try {
+            const res = await api.post(`/api/invitations/${token}/accept`);
+            toast.success(`You joined "${invitation.project_title}"`);
+            navigate(`/project/${res.data.project_id}`);
+
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to accept invitation');
+        } finally {
+            setAccepting(false);
+        }
+    };
+
+    // Signs out so the invited address can sign in and come back here
+    const handleSwitchAccount = async () => {
+        await logout();
+        navigate('/auth', { state: { from: `/invitations/${token}` } });
+    };
+
+    return (
+        <div className="flex h-screen items-center justify-center bg-gray-100 dark:bg-gray-900 transition-colors">
+            <div className="w-full max-w-md p-8 bg-white dark:bg-gray-800 rounded-lg shadow-md border dark:border-gray-700 transition-colors text-center">
+                <h2 className="text-2xl font-bold mb-4 text-gray-900 dark:text-white">Project Invitation</h2>
+
+                {error ? (
+                    <div className="mb-4 text-red-500 text-sm bg-red-50 dark:bg-red-900/20 p-2 rounded">{error}</div>
+                ) : !invitation ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Loading invitation...</p>
+                ) : (
+                    <>
+                        <p className="text-gray-700 dark:text-gray-300 mb-6">
+                            {invitation.invited_by_email || 'Someone'} invited you to {invitation.role === 'editor' ? 'edit' : 'view'}{' '}
+                            <span className="font-bold">"{invitation.project_title}"</span>.
+                        </p>
+
+                        {invitation.matches_user ? (
+                            <button
+                                onClick={handleAccept}
+                                disabled={accepting}
+                                className="w-full py-2 px-4 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 transition-colors font-medium"
+                            >
+                                {accepting ? 'Joining...' : 'Accept Invitation'}
+                            </button>
+                        ) : (
+                            <>
+                                <p className="text-sm text-amber-700 dark:text-amber-400 mb-4">
+                                    This invitation was sent to {invitation.email}. Sign in with that address to accept it.
+                                </p>
+                                <button
+                                    onClick={handleSwitchAccount}
+                                    className="w-full py-2 px-4 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors font-medium"
+                                >
+                                    Switch Account
+                                </button>
+                            </>
+                        )}
+                    </>
+                )}
+
+                <Link to="/" className="inline-block mt-6 text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 hover:underline">
+                    Back to my projects
+                </Link>
+            </div>
+        </div>
+    );
+}
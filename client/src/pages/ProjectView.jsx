@@ -1,43 +1,226 @@
-import { useEffect, useState } from 'react';
-import axios from 'axios';
+import { useEffect, useRef, useState } from 'react';
+import api from '../utils/api';
 import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, RefreshCw, Image as ImageIcon, BookOpen, LayoutGrid, Edit3, Check, X, Download } from 'lucide-react';
+import { ArrowLeft, RefreshCw, Image as ImageIcon, BookOpen, LayoutGrid, Edit3, Check, X, Download, AlertTriangle, Plus, Copy, Trash2, GripVertical, Wand2, Users, Palette, Share2, Film, History, Sparkles, Clapperboard, PenLine, Highlighter } from 'lucide-react';
 import toast from 'react-hot-toast';
 import ThemeToggle from '../components/ThemeToggle';
+import AuthImage from '../components/AuthImage';
+import SceneTakesModal from '../components/SceneTakesModal';
+import BibleModal from '../components/BibleModal';
+import StyleModal from '../components/StyleModal';
+import ShareModal from '../components/ShareModal';
+import SceneDialogue from '../components/SceneDialogue';
+import AnimaticPlayer from '../components/AnimaticPlayer';
+import HistoryModal from '../components/HistoryModal';
+import RefineModal from '../components/RefineModal';
+import ShotStrip from '../components/ShotStrip';
+import ShotModal from '../components/ShotModal';
+import AnnotationLayer from '../components/AnnotationLayer';
+import AnnotationEditor from '../components/AnnotationEditor';
+import { TIMES_OF_DAY, SHOT_TYPES, CAMERA_ANGLES, INT_EXT, INT_EXT_PREFIX, sceneHeading, shotSummary } from '../utils/sceneFields';
+import { connectToProject } from '../utils/projectSocket';
+import { downloadFile, fileSlug } from '../utils/download';
+import { exportStoryboardPdf, PDF_LAYOUTS } from '../utils/exportPdf';
 
-export default function ProjectView() {
-    const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+// Script exports rendered on the server
+const SCRIPT_FORMATS = [
+    { id: 'fountain', extension: 'fountain', label: 'Fountain script' },
+    { id: 'fdx', extension: 'fdx', label: 'Final Draft (.fdx)' },
+    { id: 'txt', extension: 'txt', label: 'Screenplay text' }
+];
+
+// Image jobs are tracked per scene, and per shot for shot frames
+const jobKey = (job) => job.shot_id ? `shot-${job.shot_id}` : job.scene_id;
 
+// Annotation layers belong to one image of a scene
+const layerKey = (layer) => `${layer.scene_id}:${layer.image_id}`;
+
+export default function ProjectView() {
     const { id } = useParams();
 
     const [project, setProject] = useState(null);
 
     const [scenes, setScenes] = useState([]);
 
+    const [shots, setShots] = useState([]);
+
     const [loading, setLoading] = useState(true);
 
     const [generatingImages, setGeneratingImages] = useState(false);
 
+    const [jobs, setJobs] = useState({});
+
     const [showScript, setShowScript] = useState(false);
 
     const [editingSceneId, setEditingSceneId] = useState(null);
 
     const [editForm, setEditForm] = useState({});
 
+    const [showExportMenu, setShowExportMenu] = useState(false);
+
+    const [showAnimatic, setShowAnimatic] = useState(false);
+
+    const [showHistory, setShowHistory] = useState(false);
+
+    // AI refinement: null when closed, otherwise { sceneId } (null for the whole story)
+    const [refineTarget, setRefineTarget] = useState(null);
+
+    const [exporting, setExporting] = useState(false);
+
+    const [draggedSceneId, setDraggedSceneId] = useState(null);
+
+    const [dragOverSceneId, setDragOverSceneId] = useState(null);
+
+    const [takesSceneId, setTakesSceneId] = useState(null);
+
+    const [shotModalId, setShotModalId] = useState(null);
+
+    const [annotations, setAnnotations] = useState({});
+
+    const [showAnnotations, setShowAnnotations] = useState(true);
+
+    const [annotatingSceneId, setAnnotatingSceneId] = useState(null);
+
+    const [bible, setBible] = useState([]);
+
+    const [showBible, setShowBible] = useState(false);
+
+    const [showStyle, setShowStyle] = useState(false);
+
+    const [showShare, setShowShare] = useState(false);
+
+    // Everyone connected to this project, including this tab
+    const [presence, setPresence] = useState([]);
+
+    const [connectionId, setConnectionId] = useState(null);
+
+    const socketRef = useRef(null);
+
+    const editingRef = useRef(null);
+
     useEffect(() => {
         fetchProjectData();
     }, [id]);
 
-    const fetchProjectData = async () => {
+    useEffect(() => {
+        const socket = connectToProject(id, (type, data) => {
+            if (type === 'hello') {
+                setConnectionId(data.you);
+                setPresence(data.presence);
+                setJobs(Object.fromEntries(data.jobs.map(job => [jobKey(job), job])));
+                // Reclaim the edit lock after a reconnect
+                if (editingRef.current) socket.send({ type: 'editing', sceneId: editingRef.current });
+            }
+
+            if (type === 'presence') {
+                setPresence(data.presence);
+            }
+
+            // The owner changed this user's role
+            if (type === 'role') {
+                setProject(prev => prev && { ...prev, role: data.role });
+                if (data.role === 'viewer') setEditingSceneId(null);
+            }
+
+            if (type === 'lock_denied') {
+                toast.error(data.reason);
+                setEditingSceneId(prev => prev === data.sceneId ? null : prev);
+            }
+
+            if (type === 'job') {
+                setJobs(prev => ({ ...prev, [jobKey(data.job)]: data.job }));
+
+                if (data.scene) {
+                    setScenes(prev => prev.map(s => s.id === data.scene.id ? data.scene : s));
+                }
+
+                if (data.shot) {
+                    updateShot(data.shot);
+                }
+            }
+
+            // Edits by anyone, this tab included
+            if (type === 'scene') {
+                setScenes(prev => prev.map(s => s.id === data.scene.id ? data.scene : s));
+            }
+
+            if (type === 'scenes') {
+                setScenes(data.scenes);
+                setEditingSceneId(prev => data.scenes.some(s => s.id === prev) ? prev : null);
+                // Shots of deleted scenes went with them
+                setShots(prev => prev.filter(shot => data.scenes.some(s => s.id === shot.scene_id)));
+            }
+
+            if (type === 'shot') {
+                updateShot(data.shot);
+            }
+
+            if (type === 'shots') {
+                replaceSceneShots(data.scene_id, data.shots);
+            }
+
+            if (type === 'annotations') {
+                updateLayer(data.annotations);
+            }
+
+            if (type === 'bible') {
+                setBible(data.bible);
+            }
+        });
+        socketRef.current = socket;
+
+        return () => {
+            socketRef.current = null;
+            socket.close();
+        };
+    }, [id]);
+
+    // The open edit form is a soft lock others can see
+    useEffect(() => {
+        editingRef.current = editingSceneId;
+        socketRef.current?.send({ type: 'editing', sceneId: editingSceneId });
+    }, [editingSceneId]);
+
+    const fetchBible = async () => {
         try {
-            const token = localStorage.getItem('token');
+            const res = await api.get(`/api/projects/${id}/bible`);
+            setBible(res.data.bible);
 
-            const res = await axios.get(`${API_URL}/api/projects/${id}`, {
-                headers: { Authorization: `Bearer ${token}` }
-            });
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const updateShot = (shot) => setShots(prev => prev.map(s => s.id === shot.id ? shot : s));
+
+    // The shot list holds every scene's shots; swap out one scene's in place
+    const replaceSceneShots = (sceneId, sceneShots) => setShots(prev => [
+        ...prev.filter(s => s.scene_id !== sceneId),
+        ...sceneShots
+    ]);
+
+    const shotsIn = (scene) => shots.filter(s => s.scene_id === scene.id);
+
+    const updateLayer = (layer) => setAnnotations(prev => ({ ...prev, [layerKey(layer)]: layer }));
+
+    // The layer over the image the scene currently shows, if anyone drew on it
+    const layerFor = (scene) => (scene.image_id ? annotations[layerKey({ scene_id: scene.id, image_id: scene.image_id })] : undefined);
+
+    const visibleShapes = (scene) => (showAnnotations ? layerFor(scene)?.shapes || [] : []);
+
+    const charactersIn = (scene) => bible.filter(e => e.kind === 'character' && e.scene_ids.includes(scene.id));
+
+    const imagesInProgress = Object.values(jobs).some(job => job.status === 'queued' || job.status === 'running');
+
+    const fetchProjectData = async () => {
+        try {
+            const res = await api.get(`/api/projects/${id}`);
 
             setProject(res.data.project);
             setScenes(res.data.scenes);
+            setShots(res.data.shots || []);
+            setAnnotations(Object.fromEntries((res.data.annotations || []).map(layer => [layerKey(layer), layer])));
+            setBible(res.data.bible || []);
 
         } catch (err) {
             console.error(err);
@@ -50,26 +233,51 @@ export default function ProjectView() {
         setGeneratingImages(true);
 
         try {
-            const token = localStorage.getItem('token');
-
-            const res = await axios.post(
-                `${API_URL}/api/projects/${id}/generate-images`,
-                {}, 
-                { headers: { Authorization: `Bearer ${token}` } }
+            const res = await api.post(
+                `/api/projects/${id}/generate-images`,
+                {}
             );
-            setScenes(res.data.scenes || res.data);
+            setJobs(prev => ({
+                ...prev,
+                ...Object.fromEntries(res.data.jobs.map(job => [jobKey(job), job]))
+            }));
 
-            toast.success('Images generated!');
+            toast.success('Image generation started');
 
         } catch (err) {
             console.error("Error generating images:", err);
-            toast.error("Failed to generate images.");
+            toast.error("Failed to start image generation.");
         } finally {
             setGeneratingImages(false);
         }
     };
 
+    const handleRetryJob = async (job) => {
+        try {
+            const res = await api.post(
+                `/api/projects/${id}/jobs/${job.id}/retry`,
+                {}
+            );
+            setJobs(prev => ({ ...prev, [jobKey(res.data)]: res.data }));
+
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to retry image");
+        }
+    };
+
+    // Someone else (another user or another tab) editing the scene, if any
+    const lockedBy = (scene) => presence.find(p => p.editing === scene.id && p.id !== connectionId);
+
+    const others = presence.filter(p => p.id !== connectionId);
+
     const startEditing = (scene) => {
+        const holder = lockedBy(scene);
+        if (holder) {
+            toast.error(`${holder.email} is editing this scene`);
+            return;
+        }
+
         setEditingSceneId(scene.id);
 
         setEditForm({ ...scene });
@@ -88,22 +296,186 @@ export default function ProjectView() {
 
     const saveEdit = async () => {
         try {
-            const token = localStorage.getItem('token');
-
-            const res = await axios.put(
-                `${API_URL}/api/projects/scenes/${editingSceneId}`,
-                editForm, 
-                { headers: { Authorization: `Bearer ${token}` } }
+            const res = await api.put(
+                `/api/projects/scenes/${editingSceneId}`,
+                editForm
             );
 
-            setScenes(scenes.map(s => s.id === editingSceneId ? res.data : s));
+            setScenes(prev => prev.map(s => s.id === editingSceneId ? res.data : s));
 
             setEditingSceneId(null);
             toast.success('Scene updated');
 
         } catch (err) {
             console.error(err);
-            toast.error("Failed to save changes");
+            if (err.response?.data?.code === 'VERSION_CONFLICT') {
+                // Keep the form; saving again overwrites the newer version on purpose
+                const latest = err.response.data.scene;
+                setScenes(prev => prev.map(s => s.id === latest.id ? latest : s));
+                setEditForm(prev => ({ ...prev, version: latest.version }));
+                toast.error('Someone else changed this scene. Check it and save again to overwrite.');
+                return;
+            }
+            const invalid = err.response?.data?.details?.[0];
+            toast.error(invalid ? `${invalid.path.replace(/^scene\./, '')} ${invalid.message}` : "Failed to save changes");
+        }
+    };
+
+    const handleAddScene = async () => {
+        try {
+            const res = await api.post(
+                `/api/projects/${id}/scenes`,
+                {}
+            );
+            setScenes(res.data.scenes);
+            startEditing(res.data.scene);
+
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to add scene");
+        }
+    };
+
+    const handleDuplicateScene = async (scene) => {
+        try {
+            const res = await api.post(
+                `/api/projects/scenes/${scene.id}/duplicate`,
+                {}
+            );
+            setScenes(res.data.scenes);
+            replaceSceneShots(res.data.scene.id, res.data.shots);
+            res.data.annotations.forEach(updateLayer);
+            fetchBible();
+            toast.success(`Scene ${scene.scene_number} duplicated`);
+
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to duplicate scene");
+        }
+    };
+
+    const handleAddShot = async (scene) => {
+        try {
+            const res = await api.post(
+                `/api/projects/scenes/${scene.id}/shots`,
+                {}
+            );
+            replaceSceneShots(scene.id, res.data.shots);
+            setShotModalId(res.data.shot.id);
+
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to add shot");
+        }
+    };
+
+    const handleDeleteScene = async (scene) => {
+        if (!confirm(`Delete scene ${scene.scene_number}?`)) return;
+
+        try {
+            const res = await api.delete(`/api/projects/scenes/${scene.id}`);
+            setScenes(res.data.scenes);
+            if (editingSceneId === scene.id) cancelEditing();
+            toast.success('Scene deleted');
+
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to delete scene");
+        }
+    };
+
+    const handleDropScene = async (targetId) => {
+        const fromIndex = scenes.findIndex(s => s.id === draggedSceneId);
+        const toIndex = scenes.findIndex(s => s.id === targetId);
+        setDraggedSceneId(null);
+        setDragOverSceneId(null);
+        if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+        const previous = scenes;
+        const reordered = [...scenes];
+        const [moved] = reordered.splice(fromIndex, 1);
+        reordered.splice(toIndex, 0, moved);
+
+        // Show the new order straight away; the server renumbers for real
+        setScenes(reordered.map((s, i) => ({ ...s, scene_number: i + 1 })));
+
+        try {
+            const res = await api.put(
+                `/api/projects/${id}/scenes/order`,
+                { sceneIds: reordered.map(s => s.id) }
+            );
+            setScenes(res.data.scenes);
+
+        } catch (err) {
+            console.error(err);
+            setScenes(previous);
+            toast.error("Failed to reorder scenes");
+        }
+    };
+
+    // Drag-and-drop wiring shared by the script panel and the storyboard grid
+    const dragProps = (scene) => ({
+        draggable: editingSceneId !== scene.id,
+        onDragStart: (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(scene.id));
+            setDraggedSceneId(scene.id);
+        },
+        onDragOver: (e) => {
+            if (!draggedSceneId) return;
+            e.preventDefault();
+            if (dragOverSceneId !== scene.id) setDragOverSceneId(scene.id);
+        },
+        onDrop: (e) => {
+            e.preventDefault();
+            handleDropScene(scene.id);
+        },
+        onDragEnd: () => {
+            setDraggedSceneId(null);
+            setDragOverSceneId(null);
+        }
+    });
+
+    const dropTargetClass = (scene) =>
+        dragOverSceneId === scene.id && draggedSceneId !== scene.id ? 'ring-2 ring-blue-400 ring-offset-2 dark:ring-offset-gray-800' : '';
+
+    const handleExportPdf = async (layout) => {
+        setShowExportMenu(false);
+        setExporting(true);
+
+        try {
+            await exportStoryboardPdf({
+                project,
+                scenes,
+                layout,
+                fetchImage: async (scene) => {
+                    if (!scene.image_id) return null;
+                    const res = await api.get(`/api/images/${scene.image_id}`, { responseType: 'blob' });
+                    return res.data;
+                },
+                // What is on screen is what gets exported
+                annotationsFor: visibleShapes
+            });
+
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to export PDF");
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleExportScript = async (format) => {
+        setShowExportMenu(false);
+        setExporting(true);
+
+        try {
+            await downloadFile(`/api/projects/${id}/export/${format.id}`, `${fileSlug(project.title)}.${format.extension}`);
+        } catch (err) {
+            console.error(err);
+            toast.error("Failed to export script");
+        } finally {
+            setExporting(false);
         }
     };
 
@@ -116,6 +488,15 @@ export default function ProjectView() {
         return <div className="text-center p-10 dark:text-gray-200">Project not found</div>;
     }
 
+    const takesScene = scenes.find(s => s.id === takesSceneId);
+
+    const modalShot = shots.find(s => s.id === shotModalId);
+
+    const annotatingScene = scenes.find(s => s.id === annotatingSceneId && s.image_id);
+
+    // Viewers get the board read-only; the server enforces the same rule
+    const canEdit = project.role !== 'viewer';
+
     return (
         <div className="flex flex-col h-[100dvh] bg-gray-100 dark:bg-gray-900 transition-colors">
 
@@ -134,6 +515,21 @@ export default function ProjectView() {
                             {project.title}
                         </h1>
                     </div>
+
+                    {/* Who else has the project open */}
+                    {others.length > 0 && (
+                        <div className="hidden sm:flex -space-x-2 shrink-0">
+                            {others.map(p => (
+                                <span
+                                    key={p.id}
+                                    className="w-7 h-7 rounded-full bg-indigo-500 text-white text-xs font-bold flex items-center justify-center ring-2 ring-white dark:ring-gray-800 uppercase"
+                                    title={`${p.email}${p.editing ? ' (editing)' : ''}`}
+                                >
+                                    {p.email[0]}
+                                </span>
+                            ))}
+                        </div>
+                    )}
                 </div>
 
                 {/* Right side: Action buttons */}
@@ -147,16 +543,129 @@ export default function ProjectView() {
                         {showScript ? <LayoutGrid size={20} /> : <BookOpen size={20} />}
                     </button>
 
+                    {canEdit && (
+                        <button
+                            onClick={handleGenerateImages}
+                            disabled={generatingImages || imagesInProgress}
+                            className="flex items-center gap-2 bg-purple-600 text-white px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm font-medium transition-colors shadow-sm"
+                        >
+                            {/* Show spinning icon when generating */}
+                            {generatingImages || imagesInProgress ? <RefreshCw className="animate-spin" size={16} /> : <ImageIcon size={16} />}
+                            <span className="hidden sm:inline">Generate Art</span>
+                        </button>
+                    )}
+
+                    {/* Ask the AI for changes to the story */}
+                    {canEdit && (
+                        <button
+                            onClick={() => setRefineTarget({ sceneId: null })}
+                            className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 text-sm font-medium transition-colors shadow-sm"
+                            title="Refine with AI"
+                        >
+                            <Sparkles size={16} />
+                            <span className="hidden sm:inline">Refine</span>
+                        </button>
+                    )}
+
+                    {/* Play the storyboard against time */}
+                    <button
+                        onClick={() => setShowAnimatic(true)}
+                        disabled={scenes.length === 0}
+                        className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 text-sm font-medium transition-colors shadow-sm"
+                        title="Animatic"
+                    >
+                        <Film size={16} />
+                        <span className="hidden sm:inline">Play</span>
+                    </button>
+
+                    {/* Characters and locations */}
+                    <button
+                        onClick={() => setShowBible(true)}
+                        className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 text-sm font-medium transition-colors shadow-sm"
+                        title="Characters & locations"
+                    >
+                        <Users size={16} />
+                        <span className="hidden sm:inline">Bible</span>
+                    </button>
+
+                    {/* Visual style preset and generation parameters */}
+                    {canEdit && (
+                        <button
+                            onClick={() => setShowStyle(true)}
+                            className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 text-sm font-medium transition-colors shadow-sm"
+                            title="Visual style"
+                        >
+                            <Palette size={16} />
+                            <span className="hidden sm:inline">Style</span>
+                        </button>
+                    )}
+
+                    {/* Show or hide frame annotations, on screen, in print and in PDFs */}
+                    <button
+                        onClick={() => setShowAnnotations(prev => !prev)}
+                        className={`flex items-center gap-2 border px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg text-sm font-medium transition-colors shadow-sm ${showAnnotations ? 'bg-purple-50 dark:bg-purple-900/30 border-purple-200 dark:border-purple-800 text-purple-700 dark:text-purple-300' : 'bg-white dark:bg-gray-700 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600'}`}
+                        title={showAnnotations ? 'Hide annotations' : 'Show annotations'}
+                    >
+                        <Highlighter size={16} />
+                        <span className="hidden sm:inline">Notes</span>
+                    </button>
+
+                    {/* Revisions and snapshots */}
+                    <button
+                        onClick={() => setShowHistory(true)}
+                        className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 text-sm font-medium transition-colors shadow-sm"
+                        title="History"
+                    >
+                        <History size={16} />
+                        <span className="hidden sm:inline">History</span>
+                    </button>
+
+                    {/* Members and invitations */}
                     <button
-                        onClick={handleGenerateImages}
-                        disabled={generatingImages}
-                        className="flex items-center gap-2 bg-purple-600 text-white px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm font-medium transition-colors shadow-sm"
+                        onClick={() => setShowShare(true)}
+                        className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 text-sm font-medium transition-colors shadow-sm"
+                        title="Share"
                     >
-                        {/* Show spinning icon when generating */}
-                        {generatingImages ? <RefreshCw className="animate-spin" size={16} /> : <ImageIcon size={16} />}
-                        <span className="hidden sm:inline">Generate Art</span>
+                        <Share2 size={16} />
+                        <span className="hidden sm:inline">Share</span>
                     </button>
 
+                    {/* Export PDF with a choice of layouts */}
+                    <div className="relative">
+                        <button
+                            onClick={() => setShowExportMenu(!showExportMenu)}
+                            disabled={exporting || scenes.length === 0}
+                            className="flex items-center gap-2 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 px-3 py-1.5 lg:px-4 lg:py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 text-sm font-medium transition-colors shadow-sm"
+                            title="Export PDF or script"
+                        >
+                            {exporting ? <RefreshCw className="animate-spin" size={16} /> : <Download size={16} />}
+                            <span className="hidden sm:inline">Export</span>
+                        </button>
+                        {showExportMenu && (
+                            <div className="absolute right-0 mt-2 w-56 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg py-1 z-30">
+                                {PDF_LAYOUTS.map(layout => (
+                                    <button
+                                        key={layout.id}
+                                        onClick={() => handleExportPdf(layout.id)}
+                                        className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                                    >
+                                        {layout.label}
+                                    </button>
+                                ))}
+                                <div className="border-t border-gray-100 dark:border-gray-700 my-1" />
+                                {SCRIPT_FORMATS.map(format => (
+                                    <button
+                                        key={format.id}
+                                        onClick={() => handleExportScript(format)}
+                                        className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                                    >
+                                        {format.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
                     {/* Theme toggle */}
                     <ThemeToggle />
                 </div>
@@ -177,17 +686,61 @@ export default function ProjectView() {
                     {/* List of scenes in screenplay format */}
                     <div className="space-y-8 pb-10">
                         {scenes.map((scene) => (
-                            <div key={scene.id} className="group relative text-sm leading-relaxed" style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+                            <div
+                                key={scene.id}
+                                {...(canEdit ? dragProps(scene) : {})}
+                                className={`group relative text-sm leading-relaxed rounded ${draggedSceneId === scene.id ? 'opacity-40' : ''} ${dropTargetClass(scene)}`}
+                                style={{ fontFamily: "'JetBrains Mono', monospace" }}
+                            >
                                 {/* If this scene is being edited, show edit form */}
                                 {editingSceneId === scene.id ? (
                                     <div className="space-y-3 bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg">
-                                        {/* Location input */}
-                                        <input
-                                            name="location"
-                                            value={editForm.location}
-                                            onChange={handleEditChange}
-                                            className="w-full bg-white dark:bg-gray-700 border dark:border-gray-600 p-1 rounded font-bold uppercase"
-                                        />
+                                        {/* Interior/exterior and location */}
+                                        <div className="flex gap-2">
+                                            <select
+                                                name="int_ext"
+                                                value={editForm.int_ext || ''}
+                                                onChange={handleEditChange}
+                                                className="bg-white dark:bg-gray-700 border dark:border-gray-600 p-1 rounded text-xs"
+                                            >
+                                                <option value="">INT/EXT</option>
+                                                {INT_EXT.map(option => <option key={option} value={option}>{INT_EXT_PREFIX[option]}</option>)}
+                                            </select>
+                                            <input
+                                                name="location"
+                                                value={editForm.location}
+                                                onChange={handleEditChange}
+                                                className="flex-1 min-w-0 bg-white dark:bg-gray-700 border dark:border-gray-600 p-1 rounded font-bold uppercase"
+                                            />
+                                        </div>
+                                        {/* Time of day, shot and duration */}
+                                        <div className="grid grid-cols-2 gap-2 text-xs">
+                                            {[
+                                                ['time_of_day', 'Time of day', TIMES_OF_DAY],
+                                                ['shot_type', 'Shot', SHOT_TYPES],
+                                                ['camera_angle', 'Angle', CAMERA_ANGLES]
+                                            ].map(([name, label, options]) => (
+                                                <select
+                                                    key={name}
+                                                    name={name}
+                                                    value={editForm[name] || ''}
+                                                    onChange={handleEditChange}
+                                                    className="bg-white dark:bg-gray-700 border dark:border-gray-600 p-1 rounded"
+                                                >
+                                                    <option value="">{label}</option>
+                                                    {options.map(option => <option key={option} value={option}>{option}</option>)}
+                                                </select>
+                                            ))}
+                                            <input
+                                                name="duration_seconds"
+                                                type="number"
+                                                min="1"
+                                                value={editForm.duration_seconds ?? ''}
+                                                onChange={handleEditChange}
+                                                placeholder="Seconds"
+                                                className="bg-white dark:bg-gray-700 border dark:border-gray-600 p-1 rounded"
+                                            />
+                                        </div>
                                         {/* Action textarea */}
                                         <textarea
                                             name="action"
@@ -206,70 +759,338 @@ export default function ProjectView() {
                                     <>
                                         {/* Scene header (location and time) */}
                                         <div className="font-bold text-gray-900 dark:text-gray-100 mb-2 uppercase tracking-widest text-xs border-b border-gray-200 dark:border-gray-700 pb-2 flex justify-between items-center">
-                                            <span>{scene.scene_number}. {scene.location.toUpperCase()} - {scene.time ? scene.time.toUpperCase() : 'DAY'}</span>
-                                            {/* Edit button (appears on hover) */}
-                                            <button
-                                                onClick={() => startEditing(scene)}
-                                                className="opacity-0 group-hover:opacity-100 transition-opacity p-1 text-blue-500 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
-                                            >
-                                                <Edit3 size={14} />
-                                            </button>
+                                            <span className="flex items-center gap-1">
+                                                {canEdit && <GripVertical size={14} className="text-gray-300 dark:text-gray-600 cursor-grab shrink-0" />}
+                                                {sceneHeading(scene)}
+                                            </span>
+                                            {lockedBy(scene) && (
+                                                <span className="flex items-center gap-1 normal-case tracking-normal font-medium text-indigo-500 dark:text-indigo-400 truncate" title={`${lockedBy(scene).email} is editing`}>
+                                                    <Edit3 size={12} className="shrink-0" /> {lockedBy(scene).email}
+                                                </span>
+                                            )}
+                                            {/* Scene actions (appear on hover) */}
+                                            {canEdit && (
+                                                <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                                                    {!lockedBy(scene) && (
+                                                        <button
+                                                            onClick={() => startEditing(scene)}
+                                                            className="p-1 text-blue-500 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
+                                                            title="Edit scene"
+                                                        >
+                                                            <Edit3 size={14} />
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => setRefineTarget({ sceneId: scene.id })}
+                                                        className="p-1 text-purple-500 hover:bg-purple-50 dark:hover:bg-purple-900/30 rounded"
+                                                        title="Refine with AI"
+                                                    >
+                                                        <Sparkles size={14} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleAddShot(scene)}
+                                                        className="p-1 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700 rounded"
+                                                        title="Add shot"
+                                                    >
+                                                        <Clapperboard size={14} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDuplicateScene(scene)}
+                                                        className="p-1 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700 rounded"
+                                                        title="Duplicate scene"
+                                                    >
+                                                        <Copy size={14} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDeleteScene(scene)}
+                                                        className="p-1 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                                                        title="Delete scene"
+                                                    >
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                </div>
+                                            )}
                                         </div>
-                                        {/* Mood */}
-                                        <div className="text-gray-500 dark:text-gray-400 mb-4 text-xs italic tracking-wide">Mood: {scene.mood}</div>
+                                        {/* Mood and camera */}
+                                        <div className="text-gray-500 dark:text-gray-400 mb-2 text-xs italic tracking-wide">Mood: {scene.mood}</div>
+                                        {shotSummary(scene) && (
+                                            <div className="text-gray-500 dark:text-gray-400 mb-2 text-xs uppercase tracking-wide">{shotSummary(scene)}</div>
+                                        )}
+                                        {/* Shot breakdown */}
+                                        {shotsIn(scene).length > 0 && (
+                                            <ShotStrip
+                                                scene={scene}
+                                                shots={shotsIn(scene)}
+                                                jobs={jobs}
+                                                canEdit={canEdit}
+                                                onAdd={() => handleAddShot(scene)}
+                                                onOpen={(shot) => setShotModalId(shot.id)}
+                                                onShotsChange={replaceSceneShots}
+                                            />
+                                        )}
+                                        {/* Characters in this scene */}
+                                        {charactersIn(scene).length > 0 && (
+                                            <div className="text-gray-500 dark:text-gray-400 mb-4 text-xs uppercase tracking-wide">
+                                                {charactersIn(scene).map(c => c.name).join(', ')}
+                                            </div>
+                                        )}
                                         {/* Action description */}
-                                        <div className="text-gray-800 dark:text-gray-300 mb-4 px-4 lg:px-0">
+                                        <div className="text-gray-800 dark:text-gray-300 mb-4 px-4 lg:px-0 whitespace-pre-line">
                                             {scene.action}
                                         </div>
+                                        {/* Dialogue (imported screenplays) */}
+                                        <SceneDialogue dialogue={scene.dialogue} />
                                     </>
                                 )}
                             </div>
                         ))}
+
+                        {/* Append a blank scene */}
+                        {canEdit && (
+                            <button
+                                onClick={handleAddScene}
+                                className="w-full flex items-center justify-center gap-2 border-2 border-dashed border-gray-200 dark:border-gray-700 text-gray-400 dark:text-gray-500 hover:text-blue-500 hover:border-blue-300 dark:hover:border-blue-700 rounded-lg py-3 text-xs font-medium uppercase tracking-wide transition-colors"
+                            >
+                                <Plus size={14} /> Add Scene
+                            </button>
+                        )}
                     </div>
                 </div>
 
                 <div className="flex-1 overflow-y-auto p-4 lg:p-6 bg-gray-50 dark:bg-gray-900 transition-colors print:bg-white print:p-0 print:overflow-visible" id="storyboard-grid">
                     {/* Grid of scene cards */}
                     <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 lg:gap-6 pb-10 print:grid-cols-2 print:gap-8">
-                        {scenes.map((scene) => (
-                            <div key={scene.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm hover:shadow-md transition-shadow overflow-hidden flex flex-col h-full border border-gray-100 dark:border-gray-700 print:shadow-none print:border-gray-200">
-                                {/* Image area */}
-                                <div className="relative aspect-video bg-gray-100 dark:bg-gray-900 flex items-center justify-center group overflow-hidden">
-                                    {/* If scene has an image, show it */}
-                                    {scene.image_url ? (
-                                        <img
-                                            src={scene.image_url}
-                                            alt={`Scene ${scene.scene_number}`}
-                                            className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-105"
-                                        />
-                                    ) : (
-                                        // Otherwise, show placeholder
-                                        <div className="text-gray-300 dark:text-gray-600 flex flex-col items-center p-4 text-center">
-                                            <ImageIcon size={32} className="mb-2 opacity-50" />
-                                            <span className="text-xs font-medium">No Image</span>
-                                        </div>
-                                    )}
-                                    {/* Scene number badge */}
-                                    <span className="absolute top-3 left-3 bg-black/60 backdrop-blur-sm text-white text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
-                                        Scene {scene.scene_number}
-                                    </span>
-                                </div>
+                        {scenes.map((scene) => {
+                            const job = jobs[scene.id];
+                            return (
+                                <div
+                                    key={scene.id}
+                                    {...(canEdit ? dragProps(scene) : {})}
+                                    className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm hover:shadow-md transition-shadow overflow-hidden flex flex-col h-full border border-gray-100 dark:border-gray-700 print:shadow-none print:border-gray-200 ${canEdit ? 'cursor-grab' : ''} ${draggedSceneId === scene.id ? 'opacity-40' : ''} ${dropTargetClass(scene)}`}
+                                >
+                                    {/* Image area */}
+                                    <div className="relative aspect-video bg-gray-100 dark:bg-gray-900 flex items-center justify-center group overflow-hidden">
+                                        {/* If scene has an image, show it */}
+                                        {scene.image_id ? (
+                                            <AuthImage
+                                                imageId={scene.image_id}
+                                                variant="thumbnail"
+                                                alt={`Scene ${scene.scene_number}`}
+                                                className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-105"
+                                            />
+                                        ) : job?.status === 'queued' || job?.status === 'running' ? (
+                                            // Image is waiting in the queue or being generated
+                                            <div className="text-gray-400 dark:text-gray-500 flex flex-col items-center p-4 text-center">
+                                                <RefreshCw size={28} className="mb-2 animate-spin opacity-60" />
+                                                <span className="text-xs font-medium">
+                                                    {job.status === 'running' ? 'Generating...' : job.attempts > 0 ? `Retrying (attempt ${job.attempts + 1})` : 'Queued'}
+                                                </span>
+                                            </div>
+                                        ) : job?.status === 'failed' ? (
+                                            // Generation failed: show the reason and a retry button
+                                            <div className="text-red-500 dark:text-red-400 flex flex-col items-center p-4 text-center print:hidden">
+                                                <AlertTriangle size={28} className="mb-2 opacity-70" />
+                                                <span className="text-xs font-medium line-clamp-2 mb-2" title={job.error}>{job.error || 'Generation failed'}</span>
+                                                {canEdit && (
+                                                    <button
+                                                        onClick={() => handleRetryJob(job)}
+                                                        className="flex items-center gap-1 bg-purple-600 text-white px-2 py-1 rounded text-xs hover:bg-purple-700 transition-colors"
+                                                    >
+                                                        <RefreshCw size={12} /> Retry
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ) : (
+                                            // Otherwise, show placeholder
+                                            <div className="text-gray-300 dark:text-gray-600 flex flex-col items-center p-4 text-center">
+                                                <ImageIcon size={32} className="mb-2 opacity-50" />
+                                                <span className="text-xs font-medium">No Image</span>
+                                            </div>
+                                        )}
+                                        {/* Director's mark-up over the frame */}
+                                        {scene.image_id && visibleShapes(scene).length > 0 && (
+                                            <AnnotationLayer shapes={visibleShapes(scene)} className="transition-transform duration-500 group-hover:scale-105" />
+                                        )}
+                                        {/* Scene number badge */}
+                                        <span className="absolute top-3 left-3 bg-black/60 backdrop-blur-sm text-white text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
+                                            Scene {scene.scene_number}
+                                        </span>
+                                        {/* Someone else has this scene's edit form open */}
+                                        {lockedBy(scene) && (
+                                            <span className="absolute bottom-3 right-3 flex items-center gap-1 bg-indigo-500/90 text-white text-[10px] font-bold px-2 py-0.5 rounded-full max-w-[60%] truncate print:hidden" title={`${lockedBy(scene).email} is editing`}>
+                                                <Edit3 size={10} className="shrink-0" /> {lockedBy(scene).email}
+                                            </span>
+                                        )}
+                                        {/* A new take is being generated over an existing image */}
+                                        {scene.image_id && (job?.status === 'queued' || job?.status === 'running') && (
+                                            <span className="absolute bottom-3 left-3 flex items-center gap-1 bg-purple-600/90 text-white text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
+                                                <RefreshCw size={10} className="animate-spin" /> New take
+                                            </span>
+                                        )}
+                                        {/* Card actions (appear on hover) */}
+                                        {canEdit && (
+                                            <div className="absolute top-2 right-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity print:hidden">
+                                                <button
+                                                    onClick={() => setTakesSceneId(scene.id)}
+                                                    className="p-1.5 bg-black/60 backdrop-blur-sm text-white rounded-full hover:bg-purple-600"
+                                                    title="Regenerate / takes"
+                                                >
+                                                    <Wand2 size={12} />
+                                                </button>
+                                                {scene.image_id && (
+                                                    <button
+                                                        onClick={() => setAnnotatingSceneId(scene.id)}
+                                                        className="p-1.5 bg-black/60 backdrop-blur-sm text-white rounded-full hover:bg-purple-600"
+                                                        title="Annotate frame"
+                                                    >
+                                                        <PenLine size={12} />
+                                                    </button>
+                                                )}
+                                                <button
+                                                    onClick={() => setRefineTarget({ sceneId: scene.id })}
+                                                    className="p-1.5 bg-black/60 backdrop-blur-sm text-white rounded-full hover:bg-purple-600"
+                                                    title="Refine with AI"
+                                                >
+                                                    <Sparkles size={12} />
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDuplicateScene(scene)}
+                                                    className="p-1.5 bg-black/60 backdrop-blur-sm text-white rounded-full hover:bg-black/80"
+                                                    title="Duplicate scene"
+                                                >
+                                                    <Copy size={12} />
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDeleteScene(scene)}
+                                                    className="p-1.5 bg-black/60 backdrop-blur-sm text-white rounded-full hover:bg-red-600"
+                                                    title="Delete scene"
+                                                >
+                                                    <Trash2 size={12} />
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
 
-                                {/* Content area */}
-                                <div className="p-4 flex-1 flex flex-col">
-                                    {/* Scene title */}
-                                    <h3 className="font-bold text-gray-900 dark:text-white mb-1 line-clamp-1 text-sm">{scene.title || `Scene ${scene.scene_number}`}</h3>
-                                    {/* Location */}
-                                    <p className="text-xs text-purple-600 dark:text-purple-400 font-medium mb-2 uppercase tracking-wide">{scene.location}</p>
-                                    {/* Action description (truncated to 3 lines) */}
-                                    <p className="text-xs text-gray-600 dark:text-gray-400 line-clamp-3 leading-relaxed print:line-clamp-none">{scene.action}</p>
+                                    {/* Content area */}
+                                    <div className="p-4 flex-1 flex flex-col">
+                                        {/* Scene title */}
+                                        <h3 className="font-bold text-gray-900 dark:text-white mb-1 line-clamp-1 text-sm">{scene.title || `Scene ${scene.scene_number}`}</h3>
+                                        {/* Location */}
+                                        <p className="text-xs text-purple-600 dark:text-purple-400 font-medium mb-2 uppercase tracking-wide">{scene.location}</p>
+                                        {/* Characters */}
+                                        {charactersIn(scene).length > 0 && (
+                                            <div className="flex flex-wrap gap-1 mb-2">
+                                                {charactersIn(scene).map(c => (
+                                                    <span key={c.id} className="text-[10px] bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 px-1.5 py-0.5 rounded-full" title={c.description}>
+                                                        {c.name}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        )}
+                                        {/* Action description (truncated to 3 lines) */}
+                                        <p className="text-xs text-gray-600 dark:text-gray-400 line-clamp-3 leading-relaxed print:line-clamp-none">{scene.action}</p>
+                                    </div>
                                 </div>
-                            </div>
-                        ))}
+                            );
+                        })}
                     </div>
                 </div>
 
             </div>
+
+            {showBible && (
+                <BibleModal
+                    projectId={id}
+                    bible={bible}
+                    scenes={scenes}
+                    onChange={setBible}
+                    onClose={() => setShowBible(false)}
+                    readOnly={!canEdit}
+                />
+            )}
+
+            {showStyle && project && (
+                <StyleModal
+                    project={project}
+                    onChange={(updated) => setProject(prev => ({ ...prev, ...updated }))}
+                    onClose={() => setShowStyle(false)}
+                />
+            )}
+
+            {showHistory && (
+                <HistoryModal
+                    projectId={id}
+                    scenes={scenes}
+                    onScenesChange={setScenes}
+                    onClose={() => setShowHistory(false)}
+                    readOnly={!canEdit}
+                />
+            )}
+
+            {refineTarget && (
+                <RefineModal
+                    projectId={id}
+                    scenes={scenes}
+                    sceneId={refineTarget.sceneId}
+                    onScenesChange={(updated) => {
+                        setScenes(updated);
+                        fetchBible();
+                    }}
+                    onClose={() => setRefineTarget(null)}
+                />
+            )}
+
+            {showShare && (
+                <ShareModal
+                    project={project}
+                    onClose={() => setShowShare(false)}
+                />
+            )}
+
+            {showAnimatic && (
+                <AnimaticPlayer
+                    projectId={id}
+                    title={project.title}
+                    scenes={scenes}
+                    canEdit={canEdit}
+                    onSceneChange={(updated) => setScenes(prev => prev.map(s => s.id === updated.id ? updated : s))}
+                    onClose={() => setShowAnimatic(false)}
+                />
+            )}
+
+            {takesScene && (
+                <SceneTakesModal
+                    scene={takesScene}
+                    job={jobs[takesScene.id]}
+                    onClose={() => setTakesSceneId(null)}
+                    onSceneChange={(updated) => setScenes(prev => prev.map(s => s.id === updated.id ? updated : s))}
+                    onJobQueued={(job) => setJobs(prev => ({ ...prev, [jobKey(job)]: job }))}
+                />
+            )}
+
+            {annotatingScene && (
+                <AnnotationEditor
+                    key={`${annotatingScene.id}:${annotatingScene.image_id}`}
+                    scene={annotatingScene}
+                    layer={layerFor(annotatingScene)}
+                    onSaved={updateLayer}
+                    onClose={() => setAnnotatingSceneId(null)}
+                />
+            )}
+
+            {modalShot && (
+                <ShotModal
+                    key={modalShot.id}
+                    shot={modalShot}
+                    scene={scenes.find(s => s.id === modalShot.scene_id)}
+                    job={jobs[`shot-${modalShot.id}`]}
+                    readOnly={!canEdit}
+                    onShotChange={updateShot}
+                    onShotsChange={replaceSceneShots}
+                    onJobQueued={(job) => setJobs(prev => ({ ...prev, [jobKey(job)]: job }))}
+                    onClose={() => setShotModalId(null)}
+                />
+            )}
         </div>
     );
 }
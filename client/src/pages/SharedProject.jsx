@@ -0,0 +1,219 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_URL } from '../utils/api';
+import { useParams } from 'react-router-dom';
+import { BookOpen, LayoutGrid, Image as ImageIcon, Lock, Eye } from 'lucide-react';
+import ThemeToggle from '../components/ThemeToggle';
+import AuthImage from '../components/AuthImage';
+import SceneDialogue from '../components/SceneDialogue';
+import { sceneHeading, shotSummary } from '../utils/sceneFields';
+
+// Read-only board behind a public share link; no account needed.
+// The password access token is kept for the browser session only.
+export default function SharedProject() {
+    const { token } = useParams();
+
+    const storageKey = `share-access:${token}`;
+
+    const [access, setAccess] = useState(() => sessionStorage.getItem(storageKey));
+
+    const [data, setData] = useState(null);
+
+    const [status, setStatus] = useState('loading');
+
+    const [password, setPassword] = useState('');
+
+    const [error, setError] = useState('');
+
+    const [showScript, setShowScript] = useState(false);
+
+    useEffect(() => {
+        const fetchBoard = async () => {
+            try {
+                const res = await axios.get(`${API_URL}/api/share/${token}`, {
+                    headers: access ? { 'X-Share-Access': access } : undefined
+                });
+                setData(res.data);
+                setStatus('ready');
+
+            } catch (err) {
+                if (err.response?.data?.code === 'SHARE_PASSWORD_REQUIRED') {
+                    sessionStorage.removeItem(storageKey);
+                    setStatus('locked');
+                } else {
+                    setError(err.response?.data?.error || 'Failed to load this storyboard');
+                    setStatus('error');
+                }
+            }
+        };
+        fetchBoard();
+    }, [token, access]);
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            const res = await axios.post(`${API_URL}/api/share/${token}/unlock`, { password });
+            sessionStorage.setItem(storageKey, res.data.access);
+            setAccess(res.data.access);
+            setStatus('loading');
+
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to unlock');
+        }
+    };
+
+    if (status === 'loading') {
+        return <div className="text-center p-10 dark:text-gray-200">Loading Storyboard...</div>;
+    }
+
+    if (status === 'error') {
+        return <div className="text-center p-10 dark:text-gray-200">{error}</div>;
+    }
+
+    if (status === 'locked') {
+        return (
+            <div className="flex h-screen items-center justify-center bg-gray-100 dark:bg-gray-900 transition-colors">
+                <form onSubmit={handleUnlock} className="w-full max-w-sm p-8 bg-white dark:bg-gray-800 rounded-lg shadow-md border dark:border-gray-700 space-y-4">
+                    <div className="flex justify-center text-gray-400 dark:text-gray-500">
+                        <Lock size={32} />
+                    </div>
+                    <h2 className="text-xl font-bold text-center text-gray-900 dark:text-white">This storyboard is password protected</h2>
+                    {error && (
+                        <div className="text-red-500 text-sm text-center bg-red-50 dark:bg-red-900/20 p-2 rounded">{error}</div>
+                    )}
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        className="block w-full px-3 py-2 border rounded-md outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                        autoFocus
+                        required
+                    />
+                    <button
+                        type="submit"
+                        className="w-full py-2 px-4 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors font-medium"
+                    >
+                        View Storyboard
+                    </button>
+                </form>
+            </div>
+        );
+    }
+
+    const { project, scenes, bible } = data;
+
+    const share = { token, access };
+
+    const charactersIn = (scene) => bible.filter(e => e.kind === 'character' && e.scene_ids.includes(scene.id));
+
+    return (
+        <div className="flex flex-col h-[100dvh] bg-gray-100 dark:bg-gray-900 transition-colors">
+
+            <header className="bg-white dark:bg-gray-800 shadow px-4 py-3 lg:px-6 lg:py-4 flex items-center justify-between z-10 transition-colors shrink-0">
+                <div className="flex items-center gap-3 lg:gap-4 overflow-hidden">
+                    <img src="/logo.png" alt="Sketcha Logo" className="w-8 h-8 rounded shadow-sm" />
+                    <h1 className="text-lg lg:text-xl font-bold truncate text-gray-900 dark:text-white transition-colors">
+                        {project.title}
+                    </h1>
+                    <span className="hidden sm:flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400 bg-gray-100 dark:bg-gray-700 px-2 py-0.5 rounded-full shrink-0">
+                        <Eye size={12} /> View only
+                    </span>
+                </div>
+
+                <div className="flex items-center gap-2 lg:gap-3 shrink-0 ml-2">
+                    {/* Mobile: Toggle between script and storyboard view */}
+                    <button
+                        onClick={() => setShowScript(!showScript)}
+                        className="lg:hidden p-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                        title={showScript ? "Show Storyboard" : "Show Script"}
+                    >
+                        {showScript ? <LayoutGrid size={20} /> : <BookOpen size={20} />}
+                    </button>
+                    <ThemeToggle />
+                </div>
+            </header>
+
+            <div className="flex flex-1 overflow-hidden relative">
+
+                <div className={`
+                    absolute inset-0 z-20 lg:relative lg:z-0 w-full lg:w-1/3 bg-white dark:bg-gray-800 border-r dark:border-gray-700 overflow-y-auto p-6 transition-transform duration-300 ease-in-out
+                    ${showScript ? 'translate-x-0' : '-translate-x-full lg:translate-x-0'}
+                `}>
+                    <div className="text-lg font-bold text-gray-700 dark:text-gray-200 uppercase tracking-widest mb-6" style={{ fontFamily: "'Outfit', sans-serif" }}>Script</div>
+
+                    <div className="space-y-8 pb-10">
+                        {scenes.map((scene) => (
+                            <div key={scene.id} className="text-sm leading-relaxed" style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+                                <div className="font-bold text-gray-900 dark:text-gray-100 mb-2 uppercase tracking-widest text-xs border-b border-gray-200 dark:border-gray-700 pb-2">
+                                    {sceneHeading(scene)}
+                                </div>
+                                <div className="text-gray-500 dark:text-gray-400 mb-2 text-xs italic tracking-wide">Mood: {scene.mood}</div>
+                                {shotSummary(scene) && (
+                                    <div className="text-gray-500 dark:text-gray-400 mb-2 text-xs uppercase tracking-wide">{shotSummary(scene)}</div>
+                                )}
+                                {charactersIn(scene).length > 0 && (
+                                    <div className="text-gray-500 dark:text-gray-400 mb-4 text-xs uppercase tracking-wide">
+                                        {charactersIn(scene).map(c => c.name).join(', ')}
+                                    </div>
+                                )}
+                                <div className="text-gray-800 dark:text-gray-300 mb-4 whitespace-pre-line">
+                                    {scene.action}
+                                </div>
+                                <SceneDialogue dialogue={scene.dialogue} />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 lg:p-6 bg-gray-50 dark:bg-gray-900 transition-colors">
+                    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 lg:gap-6 pb-10">
+                        {scenes.map((scene) => (
+                            <div
+                                key={scene.id}
+                                className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden flex flex-col h-full border border-gray-100 dark:border-gray-700"
+                            >
+                                <div className="relative aspect-video bg-gray-100 dark:bg-gray-900 flex items-center justify-center overflow-hidden">
+                                    {scene.image_id ? (
+                                        <AuthImage
+                                            imageId={scene.image_id}
+                                            variant="thumbnail"
+                                            alt={`Scene ${scene.scene_number}`}
+                                            className="w-full h-full object-cover"
+                                            share={share}
+                                        />
+                                    ) : (
+                                        <div className="text-gray-300 dark:text-gray-600 flex flex-col items-center p-4 text-center">
+                                            <ImageIcon size={32} className="mb-2 opacity-50" />
+                                            <span className="text-xs font-medium">No Image</span>
+                                        </div>
+                                    )}
+                                    <span className="absolute top-3 left-3 bg-black/60 backdrop-blur-sm text-white text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wider">
+                                        Scene {scene.scene_number}
+                                    </span>
+                                </div>
+
+                                <div className="p-4 flex-1 flex flex-col">
+                                    <h3 className="font-bold text-gray-900 dark:text-white mb-1 line-clamp-1 text-sm">{scene.title || `Scene ${scene.scene_number}`}</h3>
+                                    <p className="text-xs text-purple-600 dark:text-purple-400 font-medium mb-2 uppercase tracking-wide">{scene.location}</p>
+                                    {charactersIn(scene).length > 0 && (
+                                        <div className="flex flex-wrap gap-1 mb-2">
+                                            {charactersIn(scene).map(c => (
+                                                <span key={c.id} className="text-[10px] bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 px-1.5 py-0.5 rounded-full" title={c.description}>
+                                                    {c.name}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <p className="text-xs text-gray-600 dark:text-gray-400 line-clamp-3 leading-relaxed">{scene.action}</p>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
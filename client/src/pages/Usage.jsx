@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../utils/api';
+import { ArrowLeft } from 'lucide-react';
+import ThemeToggle from '../components/ThemeToggle';
+import QuotaBar from '../components/QuotaBar';
+import UsageChart from '../components/UsageChart';
+import { QUOTA_PERIODS, QUOTA_KINDS, formatNumber } from '../utils/usage';
+
+// The user's AI usage: plan quotas with what is left, the last 30 days and
+// this month's usage per project
+export default function Usage() {
+    const [usage, setUsage] = useState(null);
+
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchUsage = async () => {
+            try {
+                const res = await api.get('/api/usage');
+                setUsage(res.data);
+            } catch (err) {
+                console.error(err);
+                setError(err.response?.data?.error || 'Failed to load usage');
+            }
+        };
+        fetchUsage();
+    }, []);
+
+    const tokens = usage?.history.reduce((sum, day) => sum + day.input_tokens + day.output_tokens, 0) ?? 0;
+
+    return (
+        <div className="mx-auto p-6 max-w-5xl transition-colors">
+            <div className="flex justify-between items-center mb-8">
+                <div className="flex items-center gap-3">
+                    <Link to="/" className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-200 transition-colors">
+                        <ArrowLeft size={24} />
+                    </Link>
+                    <h1 className="text-3xl font-bold" style={{ fontFamily: "'Outfit', sans-serif" }}>AI usage</h1>
+                    {usage && (
+                        <span className="text-xs capitalize px-2 py-0.5 rounded-full bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300">
+                            {usage.plan} plan
+                        </span>
+                    )}
+                </div>
+                <ThemeToggle />
+            </div>
+
+            {error && <div className="mb-6 text-red-500 text-sm bg-red-50 dark:bg-red-900/20 p-3 rounded">{error}</div>}
+
+            {!usage ? (
+                !error && <p className="text-sm text-gray-500 dark:text-gray-400">Loading usage...</p>
+            ) : (
+                <div className="space-y-6">
+                    <div className="grid gap-6 md:grid-cols-2">
+                        {QUOTA_PERIODS.map(({ id, label }) => (
+                            <div key={id} className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700 space-y-4">
+                                <div className="flex justify-between items-baseline">
+                                    <h2 className="font-semibold text-lg">{label}</h2>
+                                    <span className="text-xs text-gray-400 dark:text-gray-500">
+                                        Resets {new Date(usage.periods[id].resets_at).toLocaleString()}
+                                    </span>
+                                </div>
+                                {QUOTA_KINDS.map(kind => (
+                                    <QuotaBar key={kind.id} label={kind.label} hint={kind.hint} quota={usage.periods[id][kind.id]} />
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700">
+                        <div className="flex justify-between items-baseline mb-4">
+                            <h2 className="font-semibold text-lg">Last {usage.history.length} days</h2>
+                            <span className="text-xs text-gray-400 dark:text-gray-500">{formatNumber(tokens)} tokens</span>
+                        </div>
+                        <div className="grid gap-6 md:grid-cols-2">
+                            <div>
+                                <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Script requests</p>
+                                <UsageChart history={usage.history} kind="script" color="bg-purple-500" />
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">Images</p>
+                                <UsageChart history={usage.history} kind="image" color="bg-blue-500" />
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-100 dark:border-gray-700">
+                        <h2 className="font-semibold text-lg mb-4">Projects this month</h2>
+                        {usage.projects.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No AI usage this month yet.</p>
+                        ) : (
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 dark:text-gray-400 border-b dark:border-gray-700">
+                                        <th className="py-2 font-medium">Project</th>
+                                        <th className="py-2 font-medium text-right">Script requests</th>
+                                        <th className="py-2 font-medium text-right">Images</th>
+                                        <th className="py-2 font-medium text-right">Tokens</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {usage.projects.map(row => (
+                                        <tr key={row.project_id ?? 'none'} className="border-b last:border-0 dark:border-gray-700">
+                                            <td className="py-2">
+                                                {row.project_id ? (
+                                                    <Link to={`/project/${row.project_id}`} className="hover:text-blue-600 dark:hover:text-blue-400">{row.title}</Link>
+                                                ) : (
+                                                    <span className="text-gray-400 dark:text-gray-500">New scripts, imports and deleted projects</span>
+                                                )}
+                                            </td>
+                                            <td className="py-2 text-right">{formatNumber(row.script)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.image)}</td>
+                                            <td className="py-2 text-right">{formatNumber(row.tokens)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,80 @@
+// Geometry shared by the on-screen annotation layer (SVG) and the PDF export
+// (canvas). Shapes are stored with 0-1 coordinates over the 16:9 frame;
+// both renderers draw in frame units, FRAME_WIDTH wide, so stroke widths and
+// text sizes (thousandths of the frame width) can be used as they are.
+
+export const FRAME_WIDTH = 1000;
+export const FRAME_HEIGHT = FRAME_WIDTH * 9 / 16;
+
+export const ANNOTATION_COLORS = ['#ef4444', '#facc15', '#22c55e', '#3b82f6', '#ffffff', '#111111'];
+
+// Stroke width and matching text size for each pen size
+export const ANNOTATION_SIZES = [
+    { id: 'S', width: 3, size: 24 },
+    { id: 'M', width: 6, size: 36 },
+    { id: 'L', width: 10, size: 54 }
+];
+
+export const MAX_STROKE_POINTS = 1000;
+
+export const toFrame = ([x, y]) => [x * FRAME_WIDTH, y * FRAME_HEIGHT];
+
+// The two back corners of an arrowhead pointing at (x2, y2), in frame units
+export function arrowHead(shape) {
+    const [x1, y1] = toFrame([shape.x1, shape.y1]);
+    const [x2, y2] = toFrame([shape.x2, shape.y2]);
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const length = Math.max(14, shape.width * 4);
+    return [-1, 1].map(side => [
+        x2 - length * Math.cos(angle + side * Math.PI / 7),
+        y2 - length * Math.sin(angle + side * Math.PI / 7)
+    ]);
+}
+
+// Dark outline that keeps light text readable on any frame, and vice versa
+export const textOutline = (color) => (color === '#111111' || color === '#000000' ? '#ffffff' : 'rgba(0,0,0,0.6)');
+
+// Draws shapes onto a canvas context covering a `width` px wide 16:9 frame
+export function drawAnnotations(ctx, shapes, width) {
+    ctx.save();
+    ctx.scale(width / FRAME_WIDTH, width / FRAME_WIDTH);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const shape of shapes) {
+        ctx.strokeStyle = shape.color;
+        ctx.fillStyle = shape.color;
+        ctx.lineWidth = shape.width;
+
+        if (shape.type === 'arrow') {
+            const [x1, y1] = toFrame([shape.x1, shape.y1]);
+            const [x2, y2] = toFrame([shape.x2, shape.y2]);
+            const [left, right] = arrowHead(shape);
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.moveTo(...left);
+            ctx.lineTo(x2, y2);
+            ctx.lineTo(...right);
+            ctx.stroke();
+        } else if (shape.type === 'rect') {
+            const [x, y] = toFrame([shape.x, shape.y]);
+            const [w, h] = toFrame([shape.w, shape.h]);
+            ctx.strokeRect(x, y, w, h);
+        } else if (shape.type === 'stroke') {
+            ctx.beginPath();
+            shape.points.map(toFrame).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.stroke();
+        } else if (shape.type === 'text') {
+            const [x, y] = toFrame([shape.x, shape.y]);
+            ctx.font = `bold ${shape.size}px sans-serif`;
+            ctx.textBaseline = 'top';
+            ctx.lineWidth = shape.size / 6;
+            ctx.strokeStyle = textOutline(shape.color);
+            ctx.strokeText(shape.text, x, y);
+            ctx.fillText(shape.text, x, y);
+        }
+    }
+
+    ctx.restore();
+}
@@ -0,0 +1,103 @@
+import axios from 'axios';
+
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Set VITE_REFRESH_TOKEN_COOKIE=true when the server runs with
+// REFRESH_TOKEN_COOKIE=true; the refresh token then never touches JS.
+const COOKIE_MODE = import.meta.env.VITE_REFRESH_TOKEN_COOKIE === 'true';
+
+export const getToken = () => localStorage.getItem('token');
+
+export function saveSession({ token, refreshToken }) {
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+}
+
+export function clearSession() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+}
+
+export const hasSession = () => Boolean(getToken() || localStorage.getItem('refreshToken') || COOKIE_MODE);
+
+// Auth calls go through plain axios so they never trigger the refresh logic.
+const authRequest = (path, body = {}) =>
+    axios.post(`${API_URL}/api/auth${path}`, body, { withCredentials: COOKIE_MODE });
+
+let refreshing = null;
+
+// Gets a new access token, sharing one request between concurrent callers.
+// Resolves to the new token, or null when the session is gone.
+export function refreshSession() {
+    if (!refreshing) {
+        const sent = localStorage.getItem('refreshToken');
+
+        refreshing = authRequest('/refresh', COOKIE_MODE ? {} : { refreshToken: sent })
+            .then(res => {
+                saveSession(res.data);
+                return res.data.token;
+            })
+            .catch(() => {
+                // Another tab may have rotated the token in the meantime
+                const current = localStorage.getItem('refreshToken');
+                if (current && current !== sent) return getToken();
+                clearSession();
+                return null;
+            })
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+    return refreshing;
+}
+
+function redirectToLogin() {
+    if (window.location.pathname !== '/auth') window.location.assign('/auth');
+}
+
+export async function login(email, password) {
+    const res = await authRequest('/login', { email, password });
+    saveSession(res.data);
+    return res.data;
+}
+
+export async function logout({ everywhere = false } = {}) {
+    try {
+        if (everywhere) await api.post('/api/auth/logout-all');
+        await authRequest('/logout', COOKIE_MODE ? {} : { refreshToken: localStorage.getItem('refreshToken') });
+    } catch (err) {
+        console.error(err);
+    } finally {
+        clearSession();
+    }
+}
+
+// Shared client for every authenticated call. Adds the bearer token and, when
+// the server answers 401, refreshes the session once and retries.
+const api = axios.create({ baseURL: API_URL });
+
+api.interceptors.request.use(config => {
+    const token = getToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+});
+
+api.interceptors.response.use(
+    res => res,
+    async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config._retried) throw error;
+
+        const token = await refreshSession();
+        if (!token) {
+            redirectToLogin();
+            throw error;
+        }
+
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+    }
+);
+
+export default api;
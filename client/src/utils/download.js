@@ -0,0 +1,16 @@
+import api from './api';
+
+// "My Film!" -> "my-film"; used for downloaded file names
+export const fileSlug = (title) =>
+    (title || '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'storyboard';
+
+// Fetches an authenticated file and saves it under `filename`
+export async function downloadFile(path, filename, params) {
+    const res = await api.get(path, { params, responseType: 'blob' });
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,266 @@
+import { sceneHeading, shotSummary } from './sceneFields';
+import { drawAnnotations } from './annotations';
+import { fileSlug } from './download';
+
+export const PDF_LAYOUTS = [
+    { id: 'grid', label: 'Thumbnail grid (2x3)' },
+    { id: 'frame', label: 'One frame per page' },
+    { id: 'shotlist', label: 'Shot list (text only)' }
+];
+
+const MARGIN = 12;
+const HEADER_HEIGHT = 14;
+const FOOTER_HEIGHT = 10;
+const FRAME_RATIO = 9 / 16;
+
+// Crops a blob to a 16:9 JPEG data URL, matching the aspect-video cards,
+// with any annotation shapes drawn over it.
+async function toFrameDataUrl(blob, shapes, width = 1280) {
+    const url = URL.createObjectURL(blob);
+    try {
+        const img = await new Promise((resolve, reject) => {
+            const el = new Image();
+            el.onload = () => resolve(el);
+            el.onerror = reject;
+            el.src = url;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = Math.round(width * FRAME_RATIO);
+
+        const scale = Math.max(canvas.width / img.width, canvas.height / img.height);
+        const w = img.width * scale;
+        const h = img.height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+        if (shapes?.length) drawAnnotations(ctx, shapes, canvas.width);
+
+        return canvas.toDataURL('image/jpeg', 0.85);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function drawHeader(doc, project) {
+    const width = doc.internal.pageSize.getWidth();
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(20);
+    doc.text(project.title || 'Untitled Project', MARGIN, MARGIN + 2, { maxWidth: width - MARGIN * 2 - 30 });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(120);
+    doc.text('Storyboard', width - MARGIN, MARGIN + 2, { align: 'right' });
+    doc.setDrawColor(200);
+    doc.line(MARGIN, MARGIN + 5, width - MARGIN, MARGIN + 5);
+}
+
+function drawFooters(doc, project) {
+    const total = doc.getNumberOfPages();
+    for (let page = 1; page <= total; page++) {
+        doc.setPage(page);
+        const width = doc.internal.pageSize.getWidth();
+        const height = doc.internal.pageSize.getHeight();
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(120);
+        doc.text(project.title || 'Untitled Project', MARGIN, height - MARGIN / 2, { maxWidth: width / 2 });
+        doc.text(`Page ${page} of ${total}`, width - MARGIN, height - MARGIN / 2, { align: 'right' });
+    }
+}
+
+function drawFrame(doc, frame, x, y, w, h, scene) {
+    if (frame) {
+        doc.addImage(frame, 'JPEG', x, y, w, h);
+    } else {
+        doc.setFillColor(240);
+        doc.rect(x, y, w, h, 'F');
+        doc.setFontSize(8);
+        doc.setTextColor(160);
+        doc.text('No Image', x + w / 2, y + h / 2, { align: 'center' });
+    }
+    doc.setDrawColor(180);
+    doc.rect(x, y, w, h);
+
+    // Scene number badge
+    doc.setFillColor(0);
+    doc.rect(x + 2, y + 2, 18, 5, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(255);
+    doc.text(`SCENE ${scene.scene_number}`, x + 11, y + 5.6, { align: 'center' });
+}
+
+function renderGrid(doc, project, scenes, frames) {
+    const width = doc.internal.pageSize.getWidth();
+    const columns = 2;
+    const rows = 3;
+    const gap = 6;
+    const cellWidth = (width - MARGIN * 2 - gap * (columns - 1)) / columns;
+    const frameHeight = cellWidth * FRAME_RATIO;
+    const cellHeight = frameHeight + 24;
+
+    scenes.forEach((scene, i) => {
+        const slot = i % (columns * rows);
+        if (slot === 0) {
+            if (i > 0) doc.addPage();
+            drawHeader(doc, project);
+        }
+
+        const x = MARGIN + (slot % columns) * (cellWidth + gap);
+        const y = MARGIN + HEADER_HEIGHT + Math.floor(slot / columns) * (cellHeight + gap);
+
+        drawFrame(doc, frames[i], x, y, cellWidth, frameHeight, scene);
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.setTextColor(20);
+        doc.text(scene.title || `Scene ${scene.scene_number}`, x, y + frameHeight + 5, { maxWidth: cellWidth });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.setTextColor(90);
+        const action = doc.splitTextToSize(scene.action || '', cellWidth).slice(0, 4);
+        doc.text(action, x, y + frameHeight + 9.5);
+    });
+}
+
+function renderFrames(doc, project, scenes, frames) {
+    const width = doc.internal.pageSize.getWidth();
+    const bottom = doc.internal.pageSize.getHeight() - MARGIN - FOOTER_HEIGHT;
+    const frameWidth = width - MARGIN * 2;
+    const frameHeight = frameWidth * FRAME_RATIO * 0.7;
+    const imageWidth = frameHeight / FRAME_RATIO;
+    const imageX = (width - imageWidth) / 2;
+
+    scenes.forEach((scene, i) => {
+        if (i > 0) doc.addPage();
+        drawHeader(doc, project);
+
+        const top = MARGIN + HEADER_HEIGHT;
+        drawFrame(doc, frames[i], imageX, top, imageWidth, frameHeight, scene);
+
+        let y = top + frameHeight + 8;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.setTextColor(20);
+        doc.text(sceneHeading(scene), MARGIN, y);
+        y += 5;
+        doc.setFontSize(10);
+        doc.text(scene.title || `Scene ${scene.scene_number}`, MARGIN, y);
+        y += 6;
+
+        const notes = [
+            ['Location', scene.location],
+            ['Shot', shotSummary(scene)],
+            ['Mood', scene.mood],
+            ['Action', scene.action],
+            ['Description', scene.description]
+        ].filter(([, value]) => value);
+
+        for (const [label, value] of notes) {
+            const room = Math.floor((bottom - y) / 4);
+            if (room < 1) break;
+
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(8);
+            doc.setTextColor(90);
+            doc.text(label.toUpperCase(), MARGIN, y);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(9);
+            doc.setTextColor(40);
+            const lines = doc.splitTextToSize(value, frameWidth - 28).slice(0, room);
+            doc.text(lines, MARGIN + 28, y);
+            y += Math.max(5, lines.length * 4) + 2;
+        }
+    });
+}
+
+function renderShotList(doc, project, scenes) {
+    const width = doc.internal.pageSize.getWidth();
+    const height = doc.internal.pageSize.getHeight();
+    const bottom = height - MARGIN - FOOTER_HEIGHT;
+    const columns = [
+        { label: '#', width: 10, value: (s) => String(s.scene_number) },
+        { label: 'Title', width: 32, value: (s) => s.title || '' },
+        { label: 'Location', width: 30, value: (s) => [s.location, s.time_of_day].filter(Boolean).join(' - ') },
+        { label: 'Shot', width: 28, value: (s) => [s.shot_type, s.camera_angle].filter(Boolean).join(', ') },
+        { label: 'Dur', width: 10, value: (s) => (s.duration_seconds ? `${s.duration_seconds}s` : '') },
+        { label: 'Mood', width: 20, value: (s) => s.mood || '' }
+    ];
+    const used = columns.reduce((sum, c) => sum + c.width, 0);
+    columns.push({ label: 'Action', width: width - MARGIN * 2 - used, value: (s) => s.action || '' });
+
+    const drawTableHeader = (y) => {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(8);
+        doc.setTextColor(90);
+        let x = MARGIN;
+        for (const column of columns) {
+            doc.text(column.label.toUpperCase(), x, y);
+            x += column.width;
+        }
+        doc.setDrawColor(200);
+        doc.line(MARGIN, y + 2, width - MARGIN, y + 2);
+        return y + 7;
+    };
+
+    drawHeader(doc, project);
+    let y = drawTableHeader(MARGIN + HEADER_HEIGHT);
+
+    for (const scene of scenes) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        const cells = columns.map(c => doc.splitTextToSize(c.value(scene), c.width - 3));
+        const rowHeight = Math.max(...cells.map(lines => lines.length)) * 3.6 + 3;
+
+        if (y + rowHeight > bottom) {
+            doc.addPage();
+            drawHeader(doc, project);
+            y = drawTableHeader(MARGIN + HEADER_HEIGHT);
+        }
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(30);
+        let x = MARGIN;
+        cells.forEach((lines, i) => {
+            doc.text(lines, x, y);
+            x += columns[i].width;
+        });
+        doc.setDrawColor(235);
+        doc.line(MARGIN, y + rowHeight - 3, width - MARGIN, y + rowHeight - 3);
+        y += rowHeight;
+    }
+}
+
+// Builds and downloads a storyboard PDF. `fetchImage(scene)` resolves to an
+// image Blob (or null) and is only called by layouts that show frames;
+// `annotationsFor(scene)`, if given, returns the shapes to draw over it.
+export async function exportStoryboardPdf({ project, scenes, layout, fetchImage, annotationsFor }) {
+    // jsPDF is large, so only load it when someone actually exports.
+    const { jsPDF } = await import('jspdf');
+    const orientation = layout === 'frame' ? 'landscape' : 'portrait';
+    const doc = new jsPDF({ orientation, unit: 'mm', format: 'a4' });
+
+    if (layout === 'shotlist') {
+        renderShotList(doc, project, scenes);
+    } else {
+        const frames = await Promise.all(scenes.map(async (scene) => {
+            try {
+                const blob = await fetchImage(scene);
+                return blob ? await toFrameDataUrl(blob, annotationsFor?.(scene)) : null;
+            } catch (err) {
+                console.error(err);
+                return null;
+            }
+        }));
+
+        if (layout === 'frame') renderFrames(doc, project, scenes, frames);
+        else renderGrid(doc, project, scenes, frames);
+    }
+
+    drawFooters(doc, project);
+
+    doc.save(`${fileSlug(project.title)}-${layout}.pdf`);
+}
@@ -0,0 +1,59 @@
+import { API_URL, getToken, refreshSession } from './api';
+
+// Close codes sent by the server (see server/services/collab.js)
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_NOT_FOUND = 4404;
+
+// Live connection to a project's collaboration room. Messages arrive as
+// onMessage(type, data); send() drops messages while disconnected. The socket
+// reconnects after network drops, refreshing an expired session first.
+export function connectToProject(projectId, onMessage, { retryMs = 3000 } = {}) {
+    let socket = null;
+    let closed = false;
+    let retryTimer = null;
+
+    const url = () =>
+        `${API_URL.replace(/^http/, 'ws')}/api/projects/${projectId}/ws?token=${encodeURIComponent(getToken() || '')}`;
+
+    const connect = () => {
+        socket = new WebSocket(url());
+
+        socket.onmessage = (e) => {
+            try {
+                const { type, ...data } = JSON.parse(e.data);
+                onMessage(type, data);
+            } catch (err) {
+                console.error('Malformed message', err);
+            }
+        };
+
+        socket.onclose = async (e) => {
+            if (closed) return;
+
+            if (e.code === CLOSE_UNAUTHORIZED) {
+                const token = await refreshSession();
+                if (token && !closed) connect();
+                else closed = true;
+                return;
+            }
+            if (e.code === CLOSE_NOT_FOUND) {
+                closed = true;
+                return;
+            }
+            retryTimer = setTimeout(connect, retryMs);
+        };
+    };
+
+    connect();
+
+    return {
+        send: (message) => {
+            if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        },
+        close: () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            socket?.close();
+        }
+    };
+}
@@ -0,0 +1,56 @@
+// Allowed values for the structured scene fields. Keep in sync with
+// server/services/scriptSchema.js, which validates them.
+export const TIMES_OF_DAY = ['DAY', 'NIGHT', 'DAWN', 'MORNING', 'AFTERNOON', 'DUSK', 'EVENING', 'CONTINUOUS'];
+
+export const SHOT_TYPES = [
+    'EXTREME WIDE', 'WIDE', 'FULL', 'MEDIUM', 'MEDIUM CLOSE-UP', 'CLOSE-UP',
+    'EXTREME CLOSE-UP', 'OVER THE SHOULDER', 'TWO SHOT', 'POV', 'INSERT'
+];
+
+export const CAMERA_ANGLES = ['EYE LEVEL', 'HIGH ANGLE', 'LOW ANGLE', 'OVERHEAD', 'DUTCH ANGLE', 'GROUND LEVEL', 'AERIAL'];
+
+export const CAMERA_MOVEMENTS = [
+    'STATIC', 'PAN', 'TILT', 'DOLLY IN', 'DOLLY OUT', 'TRACKING', 'CRANE', 'HANDHELD', 'STEADICAM', 'ZOOM IN', 'ZOOM OUT'
+];
+
+// Storyboard shorthand for SHOT_TYPES, used on shot panels
+export const SHOT_ABBREVIATIONS = {
+    'EXTREME WIDE': 'EWS', 'WIDE': 'WS', 'FULL': 'FS', 'MEDIUM': 'MS', 'MEDIUM CLOSE-UP': 'MCU', 'CLOSE-UP': 'CU',
+    'EXTREME CLOSE-UP': 'ECU', 'OVER THE SHOULDER': 'OTS', 'TWO SHOT': '2S', 'POV': 'POV', 'INSERT': 'INS'
+};
+
+export const INT_EXT = ['INT', 'EXT', 'INT/EXT'];
+
+// How each INT_EXT value is written at the start of a heading
+export const INT_EXT_PREFIX = { 'INT': 'INT.', 'EXT': 'EXT.', 'INT/EXT': 'INT./EXT.' };
+
+// "3. INT. KITCHEN - NIGHT", leaving out whatever is not set
+export const sceneHeading = (scene) => {
+    const place = [INT_EXT_PREFIX[scene.int_ext], (scene.location || '').toUpperCase()].filter(Boolean).join(' ');
+    return `${scene.scene_number}. ${[place, scene.time_of_day].filter(Boolean).join(' - ')}`;
+};
+
+// "CLOSE-UP, LOW ANGLE, ~8s", skipping whatever is not set
+export const shotSummary = (scene) => [
+    scene.shot_type,
+    scene.camera_angle,
+    scene.duration_seconds && `~${scene.duration_seconds}s`
+].filter(Boolean).join(', ');
+
+// "CU · LOW ANGLE · 85mm · HANDHELD · 3s" for a shot panel
+export const cameraSummary = (shot) => [
+    SHOT_ABBREVIATIONS[shot.shot_size] || shot.shot_size,
+    shot.camera_angle,
+    shot.lens,
+    shot.camera_movement !== 'STATIC' && shot.camera_movement,
+    shot.duration_seconds && `${shot.duration_seconds}s`
+].filter(Boolean).join(' · ');
+
+// Seconds a scene runs in the animatic. Scenes without a duration are timed
+// from their text at about 0.4s a word, as the server's timeline export does.
+export const sceneDuration = (scene) => {
+    if (scene.duration_seconds) return scene.duration_seconds;
+    const words = (text) => (String(text || '').match(/\S+/g) || []).length;
+    const count = words(scene.action) + (scene.dialogue || []).reduce((sum, s) => sum + words(s.text), 0);
+    return Math.min(Math.max(Math.round(count * 0.4), 3), 600);
+};
@@ -0,0 +1,13 @@
+// Labels for the AI quotas returned by /api/usage and the admin API
+
+export const QUOTA_PERIODS = [
+    { id: 'daily', label: 'Today' },
+    { id: 'monthly', label: 'This month' }
+];
+
+export const QUOTA_KINDS = [
+    { id: 'script', label: 'Script requests', hint: 'New scripts, AI refinements and AI-written prompts for imports' },
+    { id: 'image', label: 'Images', hint: 'Every generated frame, take and shot image' }
+];
+
+export const formatNumber = (n) => (n ?? 0).toLocaleString();
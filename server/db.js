@@ -2,12 +2,20 @@ import pg from 'pg';
 import dotenv from 'dotenv';
 dotenv.config();
 const { Pool } = pg;
+
+// DATABASE_URL wins when set; otherwise the discrete DB_* variables are used.
+const connection = process.env.DATABASE_URL
+    ? { connectionString: process.env.DATABASE_URL }
+    : {
+        user: process.env.DB_USER,
+        host: process.env.DB_HOST,
+        database: process.env.DB_NAME,
+        password: process.env.DB_PASSWORD,
+        port: process.env.DB_PORT
+    };
+
 const pool = new Pool({
-    user: process.env.DB_USER,
-    host: process.env.DB_HOST,
-    database: process.env.DB_NAME,
-    password: process.env.DB_PASSWORD,
-    port: process.env.DB_PORT,
+    ...connection,
     ssl: process.env.NODE_ENV === 'production'
         ? {
             rejectUnauthorized: false
@@ -15,4 +23,21 @@ const pool = new Pool({
         : false
 });
 
-export const query = (cmd, values) => pool.query(cmd, values);
\ No newline at end of file
+export const query = (cmd, values) => pool.query(cmd, values);
+
+// Runs `fn(client)` inside BEGIN/COMMIT on a dedicated connection, rolling
+// back if it throws. Use the client passed to `fn` for every statement.
+export const transaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
@@ -0,0 +1,23 @@
+import * as db from '../db.js';
+
+// Admin-only routes. The role is read from the database on every request
+// rather than trusted from the access token, so revoking it (or disabling
+// the account) takes effect immediately. Must run after authMiddleware.
+export async function requireAdmin(req, res, next) {
+    try {
+        const result = await db.query(
+            'SELECT role FROM users WHERE id = $1 AND disabled_at IS NULL',
+            [req.user.id]
+        );
+
+        if (result.rows[0]?.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+        }
+
+        next();
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+}
@@ -1,14 +1,37 @@
 import jwt from 'jsonwebtoken';
+import * as db from '../db.js';
 
-export default function (req, res, next) {
+// Every authentication failure is a 401 so the client knows to refresh the
+// session (TOKEN_EXPIRED) or sign in again. The account is looked up on each
+// request so disabling it (ACCOUNT_DISABLED) takes effect at once rather than
+// when the access token expires.
+export default async function (req, res, next) {
     const token = req.header('Authorization');
-    if (!token) return res.status(401).send('Access Denied');
+    if (!token) return res.status(401).json({ error: 'Access Denied', code: 'TOKEN_MISSING' });
 
+    let verified;
     try {
-        const verified = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
-        req.user = verified;
-        next();
+        verified = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
     } catch (err) {
-        res.status(400).send('Invalid Token');
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Session expired', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(401).json({ error: 'Invalid Token', code: 'TOKEN_INVALID' });
     }
+
+    try {
+        const result = await db.query('SELECT disabled_at FROM users WHERE id = $1', [verified.id]);
+        if (result.rows.length === 0) {
+            return res.status(401).json({ error: 'Invalid Token', code: 'TOKEN_INVALID' });
+        }
+        if (result.rows[0].disabled_at) {
+            return res.status(401).json({ error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' });
+        }
+    } catch (err) {
+        console.error(err);
+        return res.status(500).send('Server Error');
+    }
+
+    req.user = verified;
+    next();
 };
@@ -0,0 +1,92 @@
+import * as db from '../db.js';
+import { roleAtLeast } from '../services/projectMembers.js';
+import { isId } from '../utils/ids.js';
+
+// Authorization for project routes. Each guard loads the resource named in
+// the URL together with the caller's role and checks it against `minimum`
+// ('viewer', 'editor' or 'owner'). Non-members get a 404 so project ids are
+// not disclosed, as does an id that is not a number; members without enough
+// rights get a 403.
+// On success the guard sets req.project (or req.scene / req.shot / req.entry) and
+// req.projectRole. Must run after authMiddleware.
+
+function guard({ sql, param, notFound, assign }, minimum) {
+    return async (req, res, next) => {
+        if (!isId(req.params[param])) return res.status(404).send(notFound);
+
+        try {
+            const result = await db.query(sql, [req.params[param], req.user.id]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).send(notFound);
+            }
+
+            const { member_role: role, ...row } = result.rows[0];
+            if (!roleAtLeast(role, minimum)) {
+                return res.status(403).json({
+                    error: minimum === 'owner'
+                        ? 'Only the project owner can do this'
+                        : 'You have view-only access to this project',
+                    code: 'FORBIDDEN'
+                });
+            }
+
+            req[assign] = row;
+            req.projectRole = role;
+            next();
+
+        } catch (err) {
+            console.error(err);
+            res.status(500).send('Server Error');
+        }
+    };
+}
+
+const projectLookup = {
+    sql: `SELECT p.*, m.role AS member_role FROM projects p
+          JOIN project_members m ON m.project_id = p.id
+          WHERE p.id = $1 AND m.user_id = $2`,
+    param: 'id',
+    notFound: 'Project not found',
+    assign: 'project'
+};
+
+const sceneLookup = {
+    sql: `SELECT s.*, m.role AS member_role FROM scenes s
+          JOIN project_members m ON m.project_id = s.project_id
+          WHERE s.id = $1 AND m.user_id = $2`,
+    param: 'sceneId',
+    notFound: 'Scene not found or unauthorized',
+    assign: 'scene'
+};
+
+const entryLookup = {
+    sql: `SELECT e.*, m.role AS member_role FROM bible_entries e
+          JOIN project_members m ON m.project_id = e.project_id
+          WHERE e.id = $1 AND m.user_id = $2`,
+    param: 'entryId',
+    notFound: 'Entry not found or unauthorized',
+    assign: 'entry'
+};
+
+const shotLookup = {
+    sql: `SELECT sh.*, s.project_id, m.role AS member_role FROM shots sh
+          JOIN scenes s ON s.id = sh.scene_id
+          JOIN project_members m ON m.project_id = s.project_id
+          WHERE sh.id = $1 AND m.user_id = $2`,
+    param: 'shotId',
+    notFound: 'Shot not found or unauthorized',
+    assign: 'shot'
+};
+
+// For routes with :id
+export const requireProject = (minimum) => guard(projectLookup, minimum);
+
+// For routes with :sceneId
+export const requireScene = (minimum) => guard(sceneLookup, minimum);
+
+// For routes with :shotId; req.shot also carries the project_id
+export const requireShot = (minimum) => guard(shotLookup, minimum);
+
+// For routes with :entryId
+export const requireBibleEntry = (minimum) => guard(entryLookup, minimum);
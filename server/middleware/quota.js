@@ -0,0 +1,45 @@
+import { reserveQuota, releaseQuota } from '../services/usage.js';
+
+const UNITS = { script: 'AI script requests', image: 'images' };
+const PERIODS = { daily: 'day', monthly: 'month' };
+
+// Rejects the request with a 429 (code QUOTA_EXCEEDED) when it would take the
+// caller over their plan's quota for `kind` ('script' or 'image'). `amount`
+// is how much the request uses, or a function of req that returns it (or a
+// promise of it); 0 lets the request through. The quota is read from the
+// usage ledger, so it holds across restarts and server instances. What the
+// request needs is reserved, so concurrent requests cannot all pass against
+// the same remaining quota; the route hands req.quotaReservation to the call
+// that records the usage, and whatever is left is released when the response
+// ends. Must run after authMiddleware, and after the project guard when
+// `amount` needs it.
+export function requireQuota(kind, amount = 1) {
+    return async (req, res, next) => {
+        try {
+            const needed = typeof amount === 'function' ? await amount(req) : amount;
+            if (needed <= 0) return next();
+
+            const { reservationId, exceeded } = await reserveQuota(req.user.id, kind, needed);
+            if (!exceeded) {
+                req.quotaReservation = reservationId;
+                res.once('close', () => {
+                    releaseQuota(reservationId).catch(err => console.error(`Failed to release quota reservation ${reservationId}: ${err.message}`));
+                });
+                return next();
+            }
+
+            const { plan, period, limit, remaining, resets_at } = exceeded;
+            res.set('Retry-After', String(Math.max(1, Math.ceil((new Date(resets_at) - Date.now()) / 1000))));
+            res.status(429).json({
+                error: `Your ${plan} plan allows ${limit} ${UNITS[kind]} per ${PERIODS[period]}. ` +
+                    (remaining > 0 ? `Only ${remaining} left, ${needed} needed.` : 'None are left until the quota resets.'),
+                code: 'QUOTA_EXCEEDED',
+                quota: { ...exceeded, needed }
+            });
+
+        } catch (err) {
+            console.error(err);
+            res.status(500).send('Server Error');
+        }
+    };
+}
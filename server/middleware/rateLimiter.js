@@ -12,16 +12,44 @@ export const apiLimiter = rateLimit({
     }
 });
 
+// AI refinement per user. Quotas cap the total; this stops a client from
+// burning through a day's quota in a loop.
+export const refineLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    message: {
+        status: 429,
+        error: 'Too many refinement requests, please try again after 15 minutes'
+    },
+    keyGenerator: (req) => String(req.user.id)
+});
+
+// For endpoints that send email, so they cannot be used to flood inboxes.
+export const emailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 5,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    message: {
+        status: 429,
+        error: 'Too many email requests, please try again after 15 minutes'
+    }
+});
 
-export const aiLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, 
-    limit: 10, 
+// Password attempts on a share link, counted per link and IP.
+export const shareUnlockLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 10,
     standardHeaders: true,
     legacyHeaders: false,
     validate: false,
     message: {
         status: 429,
-        error: 'AI generation limit reached for this hour. Please try again later.'
+        error: 'Too many password attempts, please try again after 15 minutes'
     },
-    keyGenerator: (req) => req.user?.id || req.ip
+    keyGenerator: (req) => `${req.params.token}:${req.ip}`
 });
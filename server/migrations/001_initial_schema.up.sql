@@ -1,19 +1,22 @@
--- TABLE 1: users
+-- Initial schema. Uses IF NOT EXISTS throughout so installs created from the
+-- old database_schema.sql can adopt migrations without being rebuilt.
+
+-- TABLE: users
 -- Stores user account information for authentication
 -- Each user can have multiple projects
 
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- TABLE 2: projects
+-- TABLE: projects
 -- Stores storyboard projects created by users
 -- Each project belongs to one user and can have multiple scenes
 
-CREATE TABLE projects (
+CREATE TABLE IF NOT EXISTS projects (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     title VARCHAR(255) NOT NULL,
@@ -22,11 +25,11 @@ CREATE TABLE projects (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- TABLE 3: scenes
+-- TABLE: scenes
 -- Stores individual scenes within a project
 -- Each scene belongs to one project and contains the storyboard details
 
-CREATE TABLE scenes (
+CREATE TABLE IF NOT EXISTS scenes (
     id SERIAL PRIMARY KEY,
     project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
     scene_number INTEGER NOT NULL,
@@ -41,8 +44,8 @@ CREATE TABLE scenes (
 );
 
 -- INDEXES
-CREATE INDEX idx_projects_user_id ON projects(user_id);
-CREATE INDEX idx_scenes_project_id ON scenes(project_id);
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
+CREATE INDEX IF NOT EXISTS idx_scenes_project_id ON scenes(project_id);
 
 COMMENT ON TABLE users IS 'Stores user authentication and account information';
 COMMENT ON TABLE projects IS 'Stores storyboard projects created by users';
@@ -50,6 +53,4 @@ COMMENT ON TABLE scenes IS 'Stores individual scenes within storyboard projects'
 
 COMMENT ON COLUMN users.password_hash IS 'Bcrypt hashed password - never store plain text!';
 COMMENT ON COLUMN projects.original_input IS 'The user''s original idea/prompt that generated this storyboard';
-COMMENT ON COLUMN scenes.image_url IS 'URL to the AI-generated image for this scene';
 COMMENT ON COLUMN scenes.image_prompt IS 'Detailed prompt used for AI image generation';
-
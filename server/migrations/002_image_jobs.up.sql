@@ -0,0 +1,23 @@
+-- TABLE: image_jobs
+-- One row per image generation attempt for a scene
+-- Worked through by the background queue in server/services/imageJobs.js
+
+CREATE TABLE IF NOT EXISTS image_jobs (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_jobs_project_id ON image_jobs(project_id);
+CREATE INDEX IF NOT EXISTS idx_image_jobs_queued ON image_jobs(run_after) WHERE status = 'queued';
+
+COMMENT ON TABLE image_jobs IS 'Background image generation jobs, one per scene attempt';
+COMMENT ON COLUMN image_jobs.status IS 'queued, running, succeeded or failed';
+COMMENT ON COLUMN image_jobs.run_after IS 'Earliest time a queued job may start; pushed back when retrying with backoff';
@@ -0,0 +1,4 @@
+-- Image bytes stay in storage; scenes lose their link to them.
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE scenes DROP COLUMN IF EXISTS image_id;
+DROP TABLE IF EXISTS images;
@@ -0,0 +1,33 @@
+-- TABLE: images
+-- Stores metadata for generated images; the bytes live in image storage
+-- Images are content-addressed, so identical bytes share one row
+
+CREATE TABLE IF NOT EXISTS images (
+    id SERIAL PRIMARY KEY,
+    hash CHAR(64) UNIQUE NOT NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    byte_size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    storage_key TEXT NOT NULL,
+    thumbnail_key TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS image_id INTEGER REFERENCES images(id) ON DELETE SET NULL;
+
+-- scenes.image_url held inline data: URLs. Drop it straight away when it is
+-- empty; otherwise `npm run migrate:images` moves the images into storage
+-- and drops it afterwards.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'scenes' AND column_name = 'image_url') THEN
+        IF NOT EXISTS (SELECT 1 FROM scenes WHERE image_url IS NOT NULL) THEN
+            ALTER TABLE scenes DROP COLUMN image_url;
+        END IF;
+    END IF;
+END $$;
+
+COMMENT ON TABLE images IS 'Content-addressed image metadata; bytes are kept in image storage';
+COMMENT ON COLUMN images.hash IS 'SHA-256 of the image bytes, also used as the storage key';
+COMMENT ON COLUMN scenes.image_id IS 'The AI-generated image for this scene, served from /api/images/:id';
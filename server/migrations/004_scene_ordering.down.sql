@@ -0,0 +1 @@
+ALTER TABLE scenes DROP CONSTRAINT IF EXISTS scenes_project_scene_number_key;
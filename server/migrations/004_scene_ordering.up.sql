@@ -0,0 +1,17 @@
+-- Make scene_number a gapless 1..n sequence per project, then enforce it.
+-- The constraint is deferred so scenes can be renumbered inside a transaction.
+
+UPDATE scenes s SET scene_number = o.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY project_id ORDER BY scene_number, id) AS position
+    FROM scenes
+) o
+WHERE s.id = o.id AND s.scene_number <> o.position;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'scenes_project_scene_number_key') THEN
+        ALTER TABLE scenes ADD CONSTRAINT scenes_project_scene_number_key
+            UNIQUE (project_id, scene_number) DEFERRABLE INITIALLY DEFERRED;
+    END IF;
+END $$;
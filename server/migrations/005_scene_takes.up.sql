@@ -0,0 +1,24 @@
+-- TABLE: scene_images
+-- Every image generated for a scene ("takes"), with the prompt and model used
+-- The take shown on the card is the one whose image is scenes.image_id
+
+CREATE TABLE IF NOT EXISTS scene_images (
+    id SERIAL PRIMARY KEY,
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+    prompt TEXT,
+    model VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scene_images_scene_id ON scene_images(scene_id);
+
+-- Existing images become the first take of their scene
+INSERT INTO scene_images (scene_id, image_id, prompt)
+SELECT s.id, s.image_id, s.image_prompt
+FROM scenes s
+WHERE s.image_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM scene_images t WHERE t.scene_id = s.id AND t.image_id = s.image_id);
+
+COMMENT ON TABLE scene_images IS 'Every generated take for a scene; scenes.image_id points at the active one';
+COMMENT ON COLUMN scene_images.model IS 'Provider model id that produced the take';
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS scene_bible_entries;
+DROP TABLE IF EXISTS bible_entries;
@@ -0,0 +1,28 @@
+-- TABLE: bible_entries
+-- Per-project "bible" of characters and locations with a canonical visual
+-- description, injected into image prompts to keep frames consistent
+
+CREATE TABLE IF NOT EXISTS bible_entries (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('character', 'location')),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- TABLE: scene_bible_entries
+-- Which characters and locations appear in which scene
+
+CREATE TABLE IF NOT EXISTS scene_bible_entries (
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    entry_id INTEGER NOT NULL REFERENCES bible_entries(id) ON DELETE CASCADE,
+    PRIMARY KEY (scene_id, entry_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bible_entries_name ON bible_entries(project_id, kind, lower(name));
+CREATE INDEX IF NOT EXISTS idx_scene_bible_entries_entry_id ON scene_bible_entries(entry_id);
+
+COMMENT ON TABLE bible_entries IS 'Characters and locations of a project with canonical visual descriptions';
+COMMENT ON COLUMN bible_entries.description IS 'Appended to the image prompt of every scene the entry appears in';
+COMMENT ON TABLE scene_bible_entries IS 'Links scenes to the bible entries that appear in them';
@@ -0,0 +1,3 @@
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS style_profile JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN projects.style_profile IS 'Visual style preset and generation parameters applied to every image';
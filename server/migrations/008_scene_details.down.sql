@@ -0,0 +1,4 @@
+ALTER TABLE scenes DROP COLUMN IF EXISTS duration_seconds;
+ALTER TABLE scenes DROP COLUMN IF EXISTS camera_angle;
+ALTER TABLE scenes DROP COLUMN IF EXISTS shot_type;
+ALTER TABLE scenes DROP COLUMN IF EXISTS time_of_day;
@@ -0,0 +1,9 @@
+-- Structured scene fields produced by validated script generation
+
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS time_of_day VARCHAR(20);
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS shot_type VARCHAR(30);
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS camera_angle VARCHAR(30);
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS duration_seconds INTEGER CHECK (duration_seconds > 0);
+
+COMMENT ON COLUMN scenes.time_of_day IS 'Scene heading time of day (DAY, NIGHT, DUSK, ...)';
+COMMENT ON COLUMN scenes.duration_seconds IS 'Estimated screen time of the scene';
@@ -0,0 +1,22 @@
+-- TABLE: refresh_tokens
+-- Long-lived, rotating refresh tokens. Only a SHA-256 of each token is kept.
+-- Every rotation issues a new row in the same family and revokes the old one;
+-- presenting a revoked token revokes the whole family (likely theft).
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    user_agent TEXT,
+    ip VARCHAR(64),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+COMMENT ON TABLE refresh_tokens IS 'Server-side refresh tokens; rotated on every use';
+COMMENT ON COLUMN refresh_tokens.family_id IS 'Shared by all tokens descended from one login';
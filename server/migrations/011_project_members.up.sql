@@ -0,0 +1,39 @@
+-- TABLE: project_members
+-- Who can open a project and what they may do with it
+-- owner: everything, including sharing and deleting the project
+-- editor: change scenes, images, style and the story bible
+-- viewer: read only
+
+CREATE TABLE IF NOT EXISTS project_members (
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
+
+-- Every existing project is owned by its creator
+INSERT INTO project_members (project_id, user_id, role, added_at)
+SELECT id, user_id, 'owner', created_at FROM projects
+ON CONFLICT (project_id, user_id) DO NOTHING;
+
+-- TABLE: project_invitations
+-- Pending invitations by email; accepting one adds a project_members row
+-- Only a SHA-256 of each token is kept
+
+CREATE TABLE IF NOT EXISTS project_invitations (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('editor', 'viewer')),
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (project_id, email)
+);
+
+COMMENT ON TABLE project_members IS 'Project access: one row per user and project with their role';
+COMMENT ON TABLE project_invitations IS 'Outstanding email invitations to a project; deleted once accepted';
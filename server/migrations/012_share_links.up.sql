@@ -0,0 +1,24 @@
+-- TABLE: share_links
+-- Public, read-only links to a project for people without an account
+-- The token is kept as-is so the owner can copy the link again later;
+-- it only ever grants read access to one project
+-- A link stops working once revoked_at is set or expires_at has passed
+
+CREATE TABLE IF NOT EXISTS share_links (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    label VARCHAR(100),
+    password_hash VARCHAR(255),
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_project_id ON share_links(project_id);
+
+COMMENT ON TABLE share_links IS 'Revocable, optionally expiring and password-protected read-only project links';
+COMMENT ON COLUMN share_links.password_hash IS 'bcrypt hash; NULL when the link needs no password';
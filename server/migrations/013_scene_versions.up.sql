@@ -0,0 +1,6 @@
+-- Optimistic concurrency for scene edits: every content edit bumps version,
+-- and a save that names an older version is rejected with 409
+
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN scenes.version IS 'Incremented on every content edit; clients send it back to detect concurrent saves';
@@ -0,0 +1,2 @@
+ALTER TABLE scenes DROP COLUMN IF EXISTS dialogue;
+ALTER TABLE scenes DROP COLUMN IF EXISTS int_ext;
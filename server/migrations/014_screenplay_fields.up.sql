@@ -0,0 +1,7 @@
+-- Screenplay structure kept when importing Fountain or Final Draft files
+
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS int_ext VARCHAR(10);
+ALTER TABLE scenes ADD COLUMN IF NOT EXISTS dialogue JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN scenes.int_ext IS 'Scene heading prefix: INT, EXT or INT/EXT';
+COMMENT ON COLUMN scenes.dialogue IS 'Speeches in order: [{ character, extension, parenthetical, text }]';
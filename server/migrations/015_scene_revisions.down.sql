@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS project_snapshots;
+DROP TABLE IF EXISTS scene_revisions;
@@ -0,0 +1,50 @@
+-- TABLE: scene_revisions
+-- One row per change to a scene: the scene's fields after the change, who
+-- made it and when. scene_id is deliberately not a foreign key so the
+-- history outlives the scene and a deleted scene can be restored from it
+-- created_by is NULL for changes made by the server (finished image jobs)
+
+CREATE TABLE IF NOT EXISTS scene_revisions (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    scene_id INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    data JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scene_revisions_project_id ON scene_revisions(project_id, id);
+CREATE INDEX IF NOT EXISTS idx_scene_revisions_scene_id ON scene_revisions(scene_id, id);
+
+-- TABLE: project_snapshots
+-- Named copies of every scene of a project, restorable as a whole
+
+CREATE TABLE IF NOT EXISTS project_snapshots (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    scenes JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_snapshots_project_id ON project_snapshots(project_id);
+
+-- Existing scenes start their history from how they are now
+INSERT INTO scene_revisions (project_id, scene_id, action, data, created_at)
+SELECT s.project_id, s.id, 'create',
+       jsonb_build_object(
+           'scene_number', s.scene_number, 'title', s.title, 'int_ext', s.int_ext, 'location', s.location,
+           'time_of_day', s.time_of_day, 'description', s.description, 'action', s.action, 'mood', s.mood,
+           'shot_type', s.shot_type, 'camera_angle', s.camera_angle, 'duration_seconds', s.duration_seconds,
+           'image_prompt', s.image_prompt, 'image_id', s.image_id, 'dialogue', s.dialogue
+       ),
+       s.created_at
+FROM scenes s
+WHERE NOT EXISTS (SELECT 1 FROM scene_revisions r WHERE r.scene_id = s.id);
+
+COMMENT ON TABLE scene_revisions IS 'Every change to a scene with its author; the newest row per scene matches the scene';
+COMMENT ON COLUMN scene_revisions.action IS 'create, update, image, reorder, delete or restore';
+COMMENT ON COLUMN scene_revisions.data IS 'The scene''s fields after the change (before it, for delete)';
+COMMENT ON TABLE project_snapshots IS 'Named copies of a project''s scenes that can be restored as a whole';
@@ -0,0 +1,5 @@
+DELETE FROM image_jobs WHERE shot_id IS NOT NULL;
+DELETE FROM scene_images WHERE shot_id IS NOT NULL;
+ALTER TABLE image_jobs DROP COLUMN IF EXISTS shot_id;
+ALTER TABLE scene_images DROP COLUMN IF EXISTS shot_id;
+DROP TABLE IF EXISTS shots;
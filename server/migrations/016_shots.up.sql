@@ -0,0 +1,41 @@
+-- TABLE: shots
+-- A scene broken down into the frames of a storyboard. Each shot has its
+-- own image and camera setup; shot_number is a gapless 1..n per scene
+
+CREATE TABLE IF NOT EXISTS shots (
+    id SERIAL PRIMARY KEY,
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    shot_number INTEGER NOT NULL,
+    description TEXT,
+    shot_size VARCHAR(30),
+    camera_angle VARCHAR(30),
+    lens VARCHAR(30),
+    camera_movement VARCHAR(30),
+    duration_seconds INTEGER,
+    image_prompt TEXT,
+    image_id INTEGER REFERENCES images(id) ON DELETE SET NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'shots_scene_shot_number_key') THEN
+        ALTER TABLE shots ADD CONSTRAINT shots_scene_shot_number_key
+            UNIQUE (scene_id, shot_number) DEFERRABLE INITIALLY DEFERRED;
+    END IF;
+END $$;
+
+-- Image jobs and takes for a shot name it; scene_id stays set so both
+-- still belong to the scene (and go when it is deleted)
+ALTER TABLE image_jobs ADD COLUMN IF NOT EXISTS shot_id INTEGER REFERENCES shots(id) ON DELETE CASCADE;
+ALTER TABLE scene_images ADD COLUMN IF NOT EXISTS shot_id INTEGER REFERENCES shots(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_image_jobs_shot_id ON image_jobs(shot_id) WHERE shot_id IS NOT NULL;
+
+COMMENT ON TABLE shots IS 'Shots a scene is broken into, each with its own frame and camera metadata';
+COMMENT ON COLUMN shots.shot_size IS 'One of SHOT_TYPES in server/services/scriptSchema.js (WIDE, MEDIUM, CLOSE-UP, ...)';
+COMMENT ON COLUMN shots.lens IS 'Focal length or lens description, e.g. 35mm';
+COMMENT ON COLUMN shots.camera_movement IS 'One of CAMERA_MOVEMENTS in server/services/scriptSchema.js';
+COMMENT ON COLUMN image_jobs.shot_id IS 'The shot the job generates a frame for; NULL for the scene image';
+COMMENT ON COLUMN scene_images.shot_id IS 'The shot this take belongs to; NULL for takes of the scene image';
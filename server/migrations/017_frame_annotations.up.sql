@@ -0,0 +1,17 @@
+-- TABLE: frame_annotations
+-- Vector mark-up drawn over a scene's frame: arrows, boxes, freehand strokes
+-- and text. Kept per image, so every take of a scene has its own layer
+
+CREATE TABLE IF NOT EXISTS frame_annotations (
+    scene_id INTEGER NOT NULL REFERENCES scenes(id) ON DELETE CASCADE,
+    image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+    shapes JSONB NOT NULL DEFAULT '[]',
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scene_id, image_id)
+);
+
+COMMENT ON TABLE frame_annotations IS 'Draw-over annotations for a scene image, stored as vector shapes';
+COMMENT ON COLUMN frame_annotations.shapes IS 'Array of arrow, rect, stroke and text shapes; coordinates are 0-1 fractions of the 16:9 frame';
+COMMENT ON COLUMN frame_annotations.version IS 'Incremented on every save; clients send it back to detect concurrent saves';
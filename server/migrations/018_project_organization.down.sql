@@ -0,0 +1,10 @@
+ALTER TABLE project_members DROP COLUMN IF EXISTS folder_id;
+DROP TABLE IF EXISTS folders;
+DROP INDEX IF EXISTS idx_projects_tags;
+ALTER TABLE projects DROP COLUMN IF EXISTS tags;
+DROP TRIGGER IF EXISTS project_search_scene ON scenes;
+DROP TRIGGER IF EXISTS project_search_project ON projects;
+DROP FUNCTION IF EXISTS project_search_scene_changed();
+DROP FUNCTION IF EXISTS project_search_project_changed();
+DROP FUNCTION IF EXISTS refresh_project_search(INTEGER);
+DROP TABLE IF EXISTS project_search;
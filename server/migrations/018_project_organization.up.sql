@@ -0,0 +1,82 @@
+-- Finding projects on the dashboard: a full-text document per project,
+-- tags shared by everyone on the project, and folders each user files
+-- their projects into.
+
+-- TABLE: project_search
+-- Full-text document over the project's title (weight A), original idea (B)
+-- and the text of its scenes (C). Kept up to date by the triggers below, so
+-- every code path that writes projects or scenes is covered
+
+CREATE TABLE IF NOT EXISTS project_search (
+    project_id INTEGER PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+    document TSVECTOR NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_search_document ON project_search USING GIN (document);
+
+CREATE OR REPLACE FUNCTION refresh_project_search(pid INTEGER) RETURNS void AS $$
+    INSERT INTO project_search (project_id, document)
+    SELECT p.id,
+           setweight(to_tsvector('english', coalesce(p.title, '')), 'A') ||
+           setweight(to_tsvector('english', coalesce(p.original_input, '')), 'B') ||
+           setweight(to_tsvector('english', coalesce((
+               SELECT string_agg(concat_ws(' ', s.title, s.location, s.description, s.action, (
+                   SELECT string_agg(concat_ws(' ', d->>'character', d->>'text'), ' ')
+                   FROM jsonb_array_elements(s.dialogue) d
+               )), ' ')
+               FROM scenes s WHERE s.project_id = p.id
+           ), '')), 'C')
+    FROM projects p
+    WHERE p.id = pid
+    ON CONFLICT (project_id) DO UPDATE SET document = EXCLUDED.document;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION project_search_project_changed() RETURNS trigger AS $$
+BEGIN
+    PERFORM refresh_project_search(NEW.id);
+    RETURN NULL;
+END $$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION project_search_scene_changed() RETURNS trigger AS $$
+BEGIN
+    PERFORM refresh_project_search(CASE WHEN TG_OP = 'DELETE' THEN OLD.project_id ELSE NEW.project_id END);
+    RETURN NULL;
+END $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS project_search_project ON projects;
+CREATE TRIGGER project_search_project
+    AFTER INSERT OR UPDATE OF title, original_input ON projects
+    FOR EACH ROW EXECUTE FUNCTION project_search_project_changed();
+
+-- Renumbering scenes does not change their text, so only text columns count
+DROP TRIGGER IF EXISTS project_search_scene ON scenes;
+CREATE TRIGGER project_search_scene
+    AFTER INSERT OR DELETE OR UPDATE OF title, location, description, action, dialogue ON scenes
+    FOR EACH ROW EXECUTE FUNCTION project_search_scene_changed();
+
+SELECT refresh_project_search(id) FROM projects;
+
+-- Tags are lowercase labels set by editors and seen by every member
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_projects_tags ON projects USING GIN (tags);
+
+-- TABLE: folders
+-- A user's own folders. Filing is per member, so a shared project can sit
+-- in a different folder (or none) for each person on it
+
+CREATE TABLE IF NOT EXISTS folders (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_user_name ON folders(user_id, lower(name));
+
+ALTER TABLE project_members ADD COLUMN IF NOT EXISTS folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE project_search IS 'Full-text search document per project, maintained by triggers on projects and scenes';
+COMMENT ON COLUMN projects.tags IS 'Lowercase labels for filtering the dashboard; see normalizeTags in server/services/projectSearch.js';
+COMMENT ON TABLE folders IS 'Folders a user files projects into on the dashboard';
+COMMENT ON COLUMN project_members.folder_id IS 'The folder this member filed the project in; NULL when unfiled';
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_image_jobs_requested_by;
+ALTER TABLE image_jobs DROP COLUMN IF EXISTS requested_by;
+ALTER TABLE users DROP COLUMN IF EXISTS plan;
+DROP TABLE IF EXISTS ai_usage;
@@ -0,0 +1,46 @@
+-- AI usage ledger and per-plan quotas. Every script and image request to a
+-- provider is recorded here, and quotas are enforced by counting this table
+-- rather than in server memory, so limits survive restarts and hold across
+-- server instances.
+
+-- TABLE: ai_usage
+-- One row per AI operation: a script, a refinement, a batch of image prompts
+-- or a single image. Rows outlive their project so deleting a project does
+-- not give quota back
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    kind VARCHAR(10) NOT NULL,
+    task VARCHAR(30) NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    model VARCHAR(255),
+    requests INTEGER NOT NULL DEFAULT 1,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    images INTEGER NOT NULL DEFAULT 0,
+    outcome VARCHAR(20) NOT NULL,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+
+-- The plan decides the user's quotas; see PLAN_QUOTAS in server/services/usage.js
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan VARCHAR(30) NOT NULL DEFAULT 'free';
+
+-- Queued images are charged to whoever asked for them
+ALTER TABLE image_jobs ADD COLUMN IF NOT EXISTS requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_image_jobs_requested_by ON image_jobs(requested_by) WHERE status IN ('queued', 'running');
+
+COMMENT ON TABLE ai_usage IS 'Ledger of AI provider usage, one row per operation; quotas are counted from it';
+COMMENT ON COLUMN ai_usage.kind IS 'script or image';
+COMMENT ON COLUMN ai_usage.task IS 'script, refine, image_prompts or image';
+COMMENT ON COLUMN ai_usage.requests IS 'Provider requests made for the operation, including retries after invalid output';
+COMMENT ON COLUMN ai_usage.input_tokens IS 'Prompt tokens as reported by the provider; NULL when it does not report them';
+COMMENT ON COLUMN ai_usage.outcome IS 'succeeded, invalid (the model answered but the output was unusable) or failed';
+COMMENT ON COLUMN users.plan IS 'Usage plan, e.g. free or pro';
+COMMENT ON COLUMN image_jobs.requested_by IS 'User whose image quota the job counts against';
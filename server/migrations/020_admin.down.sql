@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_image_jobs_failed;
+ALTER TABLE users DROP COLUMN IF EXISTS quota_reset_at;
+ALTER TABLE users DROP COLUMN IF EXISTS disabled_at;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
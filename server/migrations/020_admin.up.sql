@@ -0,0 +1,16 @@
+-- Administration: a role on each user, accounts that can be switched off,
+-- and quota resets. Admins are granted with `npm run admin -- grant <email>`.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+
+-- A disabled account cannot sign in or refresh its session
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+
+-- Quotas only count usage recorded after this; the ledger itself is kept
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quota_reset_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_image_jobs_failed ON image_jobs(finished_at) WHERE status = 'failed';
+
+COMMENT ON COLUMN users.role IS 'user or admin; admins can use /api/admin';
+COMMENT ON COLUMN users.disabled_at IS 'When an admin disabled the account; NULL while it is active';
+COMMENT ON COLUMN users.quota_reset_at IS 'When an admin last reset the AI quotas; usage before it does not count';
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_image_jobs_running;
+ALTER TABLE image_jobs DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE image_jobs DROP COLUMN IF EXISTS worker_id;
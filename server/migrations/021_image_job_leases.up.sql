@@ -0,0 +1,12 @@
+-- Leases on running image jobs. A worker renews the lease of each job it is
+-- running; only jobs whose lease has run out (their server stopped or lost
+-- the database) are put back in the queue, so several server instances can
+-- share one queue without generating the same image twice.
+
+ALTER TABLE image_jobs ADD COLUMN IF NOT EXISTS worker_id VARCHAR(64);
+ALTER TABLE image_jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_image_jobs_running ON image_jobs(locked_until) WHERE status = 'running';
+
+COMMENT ON COLUMN image_jobs.worker_id IS 'Server process that claimed the job';
+COMMENT ON COLUMN image_jobs.locked_until IS 'End of the running job''s lease; renewed while the worker is alive, re-queued once it has passed';
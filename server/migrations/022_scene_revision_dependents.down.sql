@@ -0,0 +1 @@
+ALTER TABLE scene_revisions DROP COLUMN IF EXISTS dependents;
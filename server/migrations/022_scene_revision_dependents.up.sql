@@ -0,0 +1,8 @@
+-- Rows that go when a scene is deleted (shots, takes, bible links and
+-- annotations), kept on the delete revision so restoring the scene brings
+-- them back too. Images are never deleted with a scene, so takes still
+-- point at existing images.
+
+ALTER TABLE scene_revisions ADD COLUMN IF NOT EXISTS dependents JSONB;
+
+COMMENT ON COLUMN scene_revisions.dependents IS 'Set on delete revisions: { shots, takes, bible, annotations } of the deleted scene';
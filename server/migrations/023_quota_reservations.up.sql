@@ -0,0 +1,20 @@
+-- TABLE: quota_reservations
+-- Quota held by requests that passed the quota check but whose AI usage is
+-- not in the ledger (or the image queue) yet. The check and the reservation
+-- happen under one per-user lock, so concurrent requests cannot all pass
+-- against the same remaining quota. A reservation is dropped when its
+-- request ends; ones left behind by a crash stop counting after a while.
+
+CREATE TABLE IF NOT EXISTS quota_reservations (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL,
+    amount INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_user_id ON quota_reservations(user_id, created_at);
+
+COMMENT ON TABLE quota_reservations IS 'Quota held by AI requests in progress; counted as pending until the request ends';
+COMMENT ON COLUMN quota_reservations.kind IS 'script or image';
+COMMENT ON COLUMN quota_reservations.amount IS 'Script requests or images the request may use';
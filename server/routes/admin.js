@@ -0,0 +1,140 @@
+import express from 'express';
+import auth from '../middleware/authMiddleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { requireAdmin } from '../middleware/adminAccess.js';
+import { idParam } from '../utils/ids.js';
+import {
+    USER_STATUSES, MAX_USAGE_DAYS, parsePageQuery, listUsers, getUser, listUserProjects,
+    setUserDisabled, resetQuota, listFailedJobs, usageSummary
+} from '../services/admin.js';
+const router = express.Router();
+router.use(apiLimiter);
+router.use(auth, requireAdmin);
+
+const MAX_QUERY_LENGTH = 200;
+
+router.param('userId', idParam('user'));
+
+// Users newest first. Query: q (part of the email), status (active or
+// disabled), limit and before.
+router.get('/users', async (req, res) => {
+    try {
+        const { options, errors } = parsePageQuery(req.query);
+        const { q, status } = req.query;
+        if (q !== undefined && (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH)) {
+            errors.push({ path: 'q', message: `must be at most ${MAX_QUERY_LENGTH} characters` });
+        }
+        if (status !== undefined && !USER_STATUSES.includes(status)) {
+            errors.push({ path: 'status', message: `must be one of: ${USER_STATUSES.join(', ')}` });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid user query', details: errors });
+        }
+
+        res.json(await listUsers({ ...options, q: q?.trim() || null, status }));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/users/:userId', async (req, res) => {
+    try {
+        const user = await getUser(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(user);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/users/:userId/projects', async (req, res) => {
+    try {
+        res.json({ projects: await listUserProjects(req.params.userId) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Body { disabled: true|false }. Admins cannot disable themselves, so there
+// is always someone left to undo it.
+router.put('/users/:userId/disabled', async (req, res) => {
+    try {
+        const { disabled } = req.body;
+        if (typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'disabled must be true or false' });
+        }
+        if (disabled && Number(req.params.userId) === req.user.id) {
+            return res.status(400).json({ error: 'You cannot disable your own account' });
+        }
+
+        const user = await setUserDisabled(req.params.userId, disabled);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(user);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Usage so far stops counting towards the user's quotas; the ledger is kept
+router.post('/users/:userId/quota-reset', async (req, res) => {
+    try {
+        const status = await resetQuota(req.params.userId);
+        if (!status) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(status);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Failed image jobs newest first. Query: limit and before.
+router.get('/jobs/failed', async (req, res) => {
+    try {
+        const { options, errors } = parsePageQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid job query', details: errors });
+        }
+
+        res.json(await listFailedJobs(options));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// AI usage of every user over the last `days` days (default 30)
+router.get('/usage', async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_DAYS) {
+            return res.status(400).json({ error: `days must be a whole number between 1 and ${MAX_USAGE_DAYS}` });
+        }
+
+        res.json(await usageSummary(days));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+export default router;
@@ -1,15 +1,72 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import * as db from '../db.js';
+import auth from '../middleware/authMiddleware.js';
+import { emailLimiter } from '../middleware/rateLimiter.js';
+import { checkPassword } from '../utils/passwordPolicy.js';
+import { sendMail } from '../services/mailer/index.js';
+import * as templates from '../services/mailer/templates.js';
+import {
+    issueToken, consumeToken, findTokenUser, VERIFY_EMAIL_TTL_MS, RESET_PASSWORD_TTL_MS
+} from '../services/accountTokens.js';
+import {
+    createSession, rotateSession, revokeSession, revokeAllSessions, REFRESH_TOKEN_MAX_AGE_MS
+} from '../services/sessions.js';
 
 const router = express.Router();
 
+// With REFRESH_TOKEN_COOKIE=true the refresh token travels in an httpOnly
+// cookie scoped to /api/auth instead of the response body.
+const USE_COOKIE = process.env.REFRESH_TOKEN_COOKIE === 'true';
+const COOKIE_NAME = 'refresh_token';
+const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.REFRESH_TOKEN_COOKIE_SAMESITE || 'lax',
+    path: '/api/auth'
+};
+
+function readRefreshToken(req) {
+    if (req.body?.refreshToken) return req.body.refreshToken;
+    const cookie = (req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${COOKIE_NAME}=`));
+    return cookie ? decodeURIComponent(cookie.slice(COOKIE_NAME.length + 1)) : null;
+}
+
+// When true, unverified accounts cannot sign in
+const REQUIRE_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function sendVerificationEmail(user) {
+    const token = await issueToken(user.id, 'verify_email', VERIFY_EMAIL_TTL_MS);
+    await sendMail({ to: user.email, ...templates.verifyEmail(token, VERIFY_EMAIL_TTL_MS / 3600000) });
+}
+
+function sendSession(res, { accessToken, refreshToken }, user) {
+    if (USE_COOKIE) {
+        res.cookie(COOKIE_NAME, refreshToken, { ...cookieOptions, maxAge: REFRESH_TOKEN_MAX_AGE_MS });
+        return res.json({ token: accessToken, user });
+    }
+    res.json({ token: accessToken, refreshToken, user });
+}
+
 // Register
 router.post('/register', async (req, res) => {
     try {
         const { email, password } = req.body;
 
+        if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+            return res.status(400).json({ error: 'A valid email address is required' });
+        }
+
+        const problems = checkPassword(password, email);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0], details: problems });
+        }
+
         // Hash password
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
@@ -17,12 +74,19 @@ router.post('/register', async (req, res) => {
         // Insert user
         const newUser = await db.query(
             'INSERT INTO users (email, password_hash) VALUES ($1, $2) ON CONFLICT(email) DO NOTHING RETURNING id, email;',
-            [email, hashedPassword]
+            [email.trim(), hashedPassword]
         );
 
         if(newUser.rowCount === 0) return res.status(409).json({error: 'Email has already been used'})
 
-        res.json(newUser.rows[0]);
+        // A mail outage should not block sign-up; the user can ask for a new link
+        try {
+            await sendVerificationEmail(newUser.rows[0]);
+        } catch (mailErr) {
+            console.error(`Could not send verification email: ${mailErr.message}`);
+        }
+
+        res.json({ ...newUser.rows[0], verification_required: REQUIRE_VERIFICATION });
     } catch (err) {
         console.error(err);
         res.status(500).send('Server Error');
@@ -42,9 +106,179 @@ router.post('/login', async (req, res) => {
         const validPass = await bcrypt.compare(password, user.rows[0].password_hash);
         if (!validPass) return res.status(400).send('Invalid password');
 
-        // Create and assign token
-        const token = jwt.sign({ id: user.rows[0].id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-        res.header('Authorization', token).json({ token, user: { id: user.rows[0].id } });
+        if (user.rows[0].disabled_at) {
+            return res.status(403).json({ error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' });
+        }
+
+        if (REQUIRE_VERIFICATION && !user.rows[0].email_verified_at) {
+            return res.status(403).json({ error: 'Please confirm your email address first', code: 'EMAIL_NOT_VERIFIED' });
+        }
+
+        // Start a session: short-lived access token plus a refresh token
+        const session = await createSession(user.rows[0], req);
+        res.header('Authorization', session.accessToken);
+        sendSession(res, session, { id: user.rows[0].id, email: user.rows[0].email });
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/verify-email', async (req, res) => {
+    try {
+        const verified = await db.transaction(async (client) => {
+            const userId = await consumeToken(client, req.body.token, 'verify_email');
+            if (!userId) return false;
+
+            await client.query(
+                'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+                [userId]
+            );
+            return true;
+        });
+
+        if (!verified) {
+            return res.status(400).json({ error: 'This confirmation link is invalid or has expired', code: 'TOKEN_INVALID' });
+        }
+
+        res.json({ verified: true });
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Always answers the same way so it cannot be used to probe for accounts
+router.post('/resend-verification', emailLimiter, async (req, res) => {
+    try {
+        const user = await db.query(
+            'SELECT id, email FROM users WHERE email = $1 AND email_verified_at IS NULL',
+            [String(req.body.email || '').trim()]
+        );
+        if (user.rows.length > 0) await sendVerificationEmail(user.rows[0]);
+
+        res.status(202).json({ message: 'If that account needs confirming, a new link is on its way.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+    try {
+        const user = await db.query('SELECT id, email FROM users WHERE email = $1', [String(req.body.email || '').trim()]);
+
+        if (user.rows.length > 0) {
+            const token = await issueToken(user.rows[0].id, 'reset_password', RESET_PASSWORD_TTL_MS);
+            await sendMail({ to: user.rows[0].email, ...templates.resetPassword(token, RESET_PASSWORD_TTL_MS / 60000) });
+        }
+
+        res.status(202).json({ message: 'If an account exists for that email, a reset link is on its way.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Sets a new password, signs out every session and, since the user proved
+// they can read the mailbox, confirms the email address
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const user = await findTokenUser(token, 'reset_password');
+        if (!user) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired', code: 'TOKEN_INVALID' });
+        }
+
+        const problems = checkPassword(password, user.email);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0], details: problems });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        const reset = await db.transaction(async (client) => {
+            const userId = await consumeToken(client, token, 'reset_password');
+            if (!userId) return false;
+
+            await client.query(
+                'UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $2',
+                [hashedPassword, userId]
+            );
+            return true;
+        });
+
+        if (!reset) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired', code: 'TOKEN_INVALID' });
+        }
+
+        await revokeAllSessions(user.id);
+        res.json({ reset: true });
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Exchange a refresh token for a new access token (and a new refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const session = await rotateSession(readRefreshToken(req), req);
+        if (!session) {
+            if (USE_COOKIE) res.clearCookie(COOKIE_NAME, cookieOptions);
+            return res.status(401).json({ error: 'Session expired, please sign in again', code: 'REFRESH_INVALID' });
+        }
+
+        sendSession(res, session, session.user);
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Sign out this device
+router.post('/logout', async (req, res) => {
+    try {
+        await revokeSession(readRefreshToken(req));
+        if (USE_COOKIE) res.clearCookie(COOKIE_NAME, cookieOptions);
+        res.status(204).end();
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Sign out every device
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user.id);
+        if (USE_COOKIE) res.clearCookie(COOKIE_NAME, cookieOptions);
+        res.json({ revoked });
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/me', auth, async (req, res) => {
+    try {
+        const user = await db.query(
+            'SELECT id, email, plan, role, created_at, email_verified_at IS NOT NULL AS email_verified FROM users WHERE id = $1',
+            [req.user.id]
+        );
+        if (user.rows.length === 0) {
+            return res.status(401).json({ error: 'Invalid Token', code: 'TOKEN_INVALID' });
+        }
+
+        const sessions = await db.query(
+            `SELECT COUNT(DISTINCT family_id)::int AS count FROM refresh_tokens
+             WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+            [req.user.id]
+        );
+
+        res.json({ ...user.rows[0], active_sessions: sessions.rows[0].count });
     } catch (err) {
         console.error(err);
         res.status(500).send('Server Error');
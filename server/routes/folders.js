@@ -0,0 +1,108 @@
+import express from 'express';
+import * as db from '../db.js';
+import auth from '../middleware/authMiddleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { idParam } from '../utils/ids.js';
+const router = express.Router();
+router.use(apiLimiter);
+router.param('folderId', idParam('folder'));
+
+// Folders belong to one user; projects are filed into them per member with
+// PUT /api/projects/:id/folder
+
+const MAX_NAME = 100;
+
+const folderName = (name) =>
+    typeof name === 'string' && name.trim() && name.trim().length <= MAX_NAME ? name.trim() : null;
+
+router.get('/', auth, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT f.*, COUNT(m.project_id)::int AS project_count
+             FROM folders f
+             LEFT JOIN project_members m ON m.folder_id = f.id AND m.user_id = f.user_id
+             WHERE f.user_id = $1
+             GROUP BY f.id
+             ORDER BY lower(f.name)`,
+            [req.user.id]
+        );
+
+        res.json({ folders: result.rows });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/', auth, async (req, res) => {
+    try {
+        const name = folderName(req.body.name);
+        if (!name) {
+            return res.status(400).json({ error: `name must be 1-${MAX_NAME} characters` });
+        }
+
+        const result = await db.query(
+            'INSERT INTO folders (user_id, name) VALUES ($1, $2) RETURNING *',
+            [req.user.id, name]
+        );
+
+        res.status(201).json({ ...result.rows[0], project_count: 0 });
+
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A folder with that name already exists', code: 'FOLDER_EXISTS' });
+        }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.put('/:folderId', auth, async (req, res) => {
+    try {
+        const name = folderName(req.body.name);
+        if (!name) {
+            return res.status(400).json({ error: `name must be 1-${MAX_NAME} characters` });
+        }
+
+        const result = await db.query(
+            'UPDATE folders SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
+            [name, req.params.folderId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        res.json(result.rows[0]);
+
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A folder with that name already exists', code: 'FOLDER_EXISTS' });
+        }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Projects in the folder become unfiled; they are not deleted
+router.delete('/:folderId', auth, async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM folders WHERE id = $1 AND user_id = $2',
+            [req.params.folderId, req.user.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        res.json({ message: 'Folder deleted' });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+export default router;
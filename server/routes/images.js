@@ -0,0 +1,40 @@
+import express from 'express';
+import * as db from '../db.js';
+import auth from '../middleware/authMiddleware.js';
+import sendImage from '../utils/sendImage.js';
+import { isId } from '../utils/ids.js';
+const router = express.Router();
+
+// Serve an image the user can see through a scene, shot or take of a project they are a member of.
+// `?variant=thumbnail` returns the resized WebP preview.
+router.get('/:id', auth, async (req, res) => {
+    if (!isId(req.params.id)) return res.status(404).send('Image not found');
+
+    try {
+        const result = await db.query(
+            `SELECT i.* FROM images i
+             WHERE i.id = $1 AND EXISTS (
+                 SELECT 1 FROM scenes s JOIN project_members m ON m.project_id = s.project_id
+                 LEFT JOIN scene_images t ON t.scene_id = s.id
+                 LEFT JOIN shots sh ON sh.scene_id = s.id
+                 WHERE (s.image_id = i.id OR t.image_id = i.id OR sh.image_id = i.id) AND m.user_id = $2
+             )`,
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).send('Image not found');
+        }
+
+        await sendImage(req, res, result.rows[0], {
+            cacheControl: 'private, max-age=31536000, immutable',
+            vary: 'Authorization'
+        });
+
+    } catch (err) {
+        console.error(err);
+        if (!res.headersSent) res.status(500).send('Server Error');
+    }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import * as db from '../db.js';
+import auth from '../middleware/authMiddleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { findInvitation, acceptInvitation } from '../services/projectMembers.js';
+const router = express.Router();
+router.use(apiLimiter);
+
+// What an invitation link is for, so the client can ask before accepting
+router.get('/:token', auth, async (req, res) => {
+    try {
+        const invitation = await findInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+        }
+
+        const user = await db.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+
+        res.json({
+            project_id: invitation.project_id,
+            project_title: invitation.project_title,
+            role: invitation.role,
+            email: invitation.email,
+            invited_by_email: invitation.invited_by_email,
+            expires_at: invitation.expires_at,
+            matches_user: invitation.email === user.rows[0]?.email.toLowerCase()
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Accepting needs an account with the invited email address
+router.post('/:token/accept', auth, async (req, res) => {
+    try {
+        const user = await db.query('SELECT id, email FROM users WHERE id = $1', [req.user.id]);
+        if (user.rows.length === 0) {
+            return res.status(404).send('User not found');
+        }
+
+        const membership = await acceptInvitation(req.params.token, user.rows[0]);
+
+        if (!membership) {
+            return res.status(404).json({
+                error: 'This invitation is invalid, has expired or was sent to a different email address'
+            });
+        }
+
+        res.json(membership);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+export default router;
@@ -1,81 +1,195 @@
 import express from 'express';
 import * as db from '../db.js';
 import auth from '../middleware/authMiddleware.js';
-import { generateScript, generateImage } from '../services/aiService.js';
-import { apiLimiter, aiLimiter } from '../middleware/rateLimiter.js';
+import { generateScript, refineScenes, generateImagePrompts } from '../services/aiService.js';
+import {
+    enqueueProjectImages, enqueueSceneImage, enqueueShotImage, countMissingImages, listJobs, retryJob
+} from '../services/imageJobs.js';
+import { publish } from '../services/projectEvents.js';
+import { lockProject, listScenes, compactSceneNumbers, insertScene, reorderScenes } from '../services/scenes.js';
+import { SHOT_COLUMNS, listShots, sceneShots, insertShot, compactShotNumbers, reorderShots, copyShots } from '../services/shots.js';
+import { listBible, setEntryScenes, copySceneEntries, saveExtractedBible } from '../services/bible.js';
+import { validateRefineRequest, buildProposal, validateChanges, applyRefinement } from '../services/refine.js';
+import { parseListQuery, listProjects, listTags, normalizeTags } from '../services/projectSearch.js';
+import { validateAnnotations, listAnnotations, getAnnotations, saveAnnotations, copyAnnotations } from '../services/annotations.js';
+import { validateScene, validateShot } from '../services/scriptSchema.js';
+import { STYLE_PRESETS, ASPECT_RATIOS, DEFAULT_STYLE_PROFILE, normalizeStyleProfile } from '../services/stylePresets.js';
+import {
+    INVITABLE_ROLES, INVITATION_TTL_MS, addMember, listMembers, listInvitations, createInvitation
+} from '../services/projectMembers.js';
+import { parseScreenplay, toScript, templatePrompt } from '../services/screenplay/index.js';
+import { EXPORT_FORMATS, fileSlug } from '../services/screenplay/export.js';
+import { FRAME_RATES, writeTimelineArchive } from '../services/timeline.js';
+import {
+    recordRevision, recordRevisions, recordShotsRevision, recordDeletions, touchProject, listRevisions, restoreRevision,
+    listSnapshots, createSnapshot, deleteSnapshot, restoreSnapshot, MAX_SNAPSHOT_NAME
+} from '../services/revisions.js';
+import { listShareLinks, createShareLink, revokeShareLink, MAX_EXPIRY_DAYS } from '../services/shareLinks.js';
+import { sendMail } from '../services/mailer/index.js';
+import * as templates from '../services/mailer/templates.js';
+import { apiLimiter, emailLimiter, refineLimiter } from '../middleware/rateLimiter.js';
+import { requireQuota } from '../middleware/quota.js';
+import { requireProject, requireScene, requireShot, requireBibleEntry } from '../middleware/projectAccess.js';
+import { idParam } from '../utils/ids.js';
 const router = express.Router();
 router.use(apiLimiter);
 
+// :id, :sceneId, :shotId and :entryId are checked by the access guards
+router.param('jobId', idParam('job'));
+router.param('invitationId', idParam('invitation'));
+router.param('userId', idParam('user'));
+router.param('linkId', idParam('share link'));
+
+// Own and shared projects, a page at a time; `role` tells the client which
+// is which. See parseListQuery for the search, filter and sort parameters.
 router.get('/', auth, async (req, res) => {
     try {
-        const result = await db.query(
-            'SELECT * FROM projects WHERE user_id = $1 ORDER BY created_at DESC',
-            [req.user.id]
-        );
-        res.json(result.rows);
+        const { options, errors } = parseListQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid project query', details: errors });
+        }
+
+        res.json(await listProjects(req.user.id, options));
+
     } catch (err) {
         console.error(err);
         res.status(500).send('Server Error');
     }
 });
 
-router.post('/', auth, aiLimiter, async (req, res) => {
+// Declared before '/:id' so "styles" is not taken for a project id
+router.get('/styles', auth, (req, res) => {
+    res.json({ presets: STYLE_PRESETS, aspectRatios: ASPECT_RATIOS, defaults: DEFAULT_STYLE_PROFILE });
+});
+
+// Every tag on the user's projects with its project count, for filter chips
+router.get('/tags', auth, async (req, res) => {
     try {
-        const { title, input } = req.body;
+        res.json({ tags: await listTags(req.user.id) });
 
-        const projectResult = await db.query(
-            'INSERT INTO projects (user_id, title, original_input) VALUES ($1, $2, $3) RETURNING *',
-            [req.user.id, title, input]
-        );
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
 
+// Stores a validated script as a new project owned by `userId`
+function saveNewProject(userId, { title, input, style }, script) {
+    return db.transaction(async (client) => {
+        const projectResult = await client.query(
+            'INSERT INTO projects (user_id, title, original_input, style_profile) VALUES ($1, $2, $3, $4) RETURNING *',
+            [userId, title, input, style]
+        );
         const project = projectResult.rows[0];
+        await addMember(client, project.id, userId, 'owner');
 
-        const scenesData = await generateScript(input);
-        const scenePromises = scenesData.map(scene => {
-            return db.query(
-                'INSERT INTO scenes (project_id, scene_number, title, location, description, action, mood, image_prompt) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-                [
-                    project.id,           
-                    scene.scene_number,   
-                    scene.title,          
-                    scene.location,       
-                    scene.description,    
-                    scene.action,         
-                    scene.mood,           
-                    scene.image_prompt    
-                ]
-            );
-        });
+        const inserted = [];
+        for (const [index, scene] of script.scenes.entries()) {
+            inserted.push(await insertScene(client, project.id, index + 1, scene));
+            for (const [shotIndex, shot] of (scene.shots || []).entries()) {
+                await insertShot(client, inserted[index].id, shotIndex + 1, shot);
+            }
+        }
+        await recordRevisions(client, inserted, 'create', userId);
+        await saveExtractedBible(client, project.id, script, inserted);
+        return { project, scenes: inserted };
+    });
+}
+
+router.post('/', auth, requireQuota('script'), async (req, res) => {
+    try {
+        const { title, input, style_profile, shots } = req.body;
+
+        const style = normalizeStyleProfile(style_profile || {});
+        if (style.errors) {
+            return res.status(400).json({ error: style.errors.join('; ') });
+        }
+
+        // Generate first so a failed or invalid script leaves no empty project behind
+        const script = await generateScript(input, { shots: shots === true, usage: { userId: req.user.id, reservationId: req.quotaReservation } });
 
-        await Promise.all(scenePromises);
-        
-        res.json({ project, scenes: scenesData });
+        const { project, scenes } = await saveNewProject(req.user.id, { title, input, style: style.profile }, script);
+
+        res.json({ project, scenes });
 
     } catch (err) {
+        if (err.code === 'SCRIPT_INVALID') {
+            return res.status(422).json({
+                error: 'The AI returned a script that could not be used. Please try again or rephrase your idea.',
+                details: err.details
+            });
+        }
         console.error(err);
         res.status(500).send('Server Error');
     }
 });
 
-router.get('/:id', auth, async (req, res) => {
+const IMPORT_PROMPT_MODES = ['template', 'ai'];
+
+// Create a project from a Fountain or Final Draft file sent as the raw
+// request body. Query: title, filename, format (fountain|fdx, otherwise
+// detected), prompts (template|ai) for how image prompts are written, and
+// the style's preset and aspect_ratio.
+router.post('/import', auth, requireQuota('script', (req) => (req.query.prompts === 'ai' ? 1 : 0)), express.text({ type: () => true, limit: '2mb' }), async (req, res) => {
     try {
-        const project = await db.query(
-            'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-            [req.params.id, req.user.id]
-        );
+        const { title, filename, format, prompts = 'template', preset, aspect_ratio } = req.query;
+
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: 'Send the screenplay file as the request body' });
+        }
+        if (!IMPORT_PROMPT_MODES.includes(prompts)) {
+            return res.status(400).json({ error: `prompts must be one of: ${IMPORT_PROMPT_MODES.join(', ')}` });
+        }
+
+        const style = normalizeStyleProfile(Object.fromEntries(
+            Object.entries({ preset, aspect_ratio }).filter(([, value]) => value !== undefined)
+        ));
+        if (style.errors) {
+            return res.status(400).json({ error: style.errors.join('; ') });
+        }
+
+        const screenplay = parseScreenplay(req.body, { format, filename });
+        const script = toScript(screenplay);
+
+        if (prompts === 'ai') {
+            const written = await generateImagePrompts(script.scenes, { usage: { userId: req.user.id, reservationId: req.quotaReservation } });
+            script.scenes.forEach((scene, i) => {
+                scene.image_prompt = written[i] || templatePrompt(scene);
+            });
+        }
 
-        if (project.rows.length === 0) {
-            return res.status(404).send('Project not found');
+        const name = String(title || screenplay.title || filename?.replace(/\.[^.]+$/, '') || 'Imported screenplay').trim().slice(0, 255);
+
+        const { project, scenes } = await saveNewProject(req.user.id, {
+            title: name,
+            input: `Imported from ${filename || `a ${screenplay.format === 'fdx' ? 'Final Draft' : 'Fountain'} file`}`,
+            style: style.profile
+        }, script);
+
+        res.status(201).json({ project, scenes });
+
+    } catch (err) {
+        if (err.code === 'SCREENPLAY_INVALID') {
+            return res.status(422).json({ error: err.message, code: err.code });
         }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
 
+router.get('/:id', auth, requireProject('viewer'), async (req, res) => {
+    try {
         const scenes = await db.query(
             'SELECT * FROM scenes WHERE project_id = $1 ORDER BY scene_number ASC',
             [req.params.id]
         );
 
         res.json({
-            project: project.rows[0],  
-            scenes: scenes.rows        
+            project: { ...req.project, role: req.projectRole },
+            scenes: scenes.rows,
+            shots: await listShots(db, req.params.id),
+            annotations: await listAnnotations(db, req.params.id),
+            bible: await listBible(db, req.params.id)
         });
 
     } catch (err) {
@@ -84,43 +198,135 @@ router.get('/:id', auth, async (req, res) => {
     }
 });
 
-router.post('/:id/generate-images', auth, aiLimiter, async (req, res) => {
+router.put('/:id/style', auth, requireProject('editor'), async (req, res) => {
     try {
-        const project = await db.query(
-            'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-            [req.params.id, req.user.id]
+        const style = normalizeStyleProfile(req.body, req.project.style_profile);
+        if (style.errors) {
+            return res.status(400).json({ error: style.errors.join('; ') });
+        }
+
+        const result = await db.query(
+            'UPDATE projects SET style_profile = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+            [style.profile, req.params.id]
         );
 
-        if (project.rows.length === 0) {
-            return res.status(404).send('Project not found');
+        res.json(result.rows[0]);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Tags are shared by everyone on the project, so only editors change them
+router.put('/:id/tags', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const { tags, errors } = normalizeTags(req.body.tags);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid tags', details: errors });
         }
 
-        const scenes = await db.query(
-            'SELECT * FROM scenes WHERE project_id = $1 ORDER BY scene_number ASC',
-            [req.params.id]
+        const result = await db.query(
+            'UPDATE projects SET tags = $1 WHERE id = $2 RETURNING *',
+            [tags, req.params.id]
         );
 
-        const imagePromises = scenes.rows.map(async (scene) => {
-            if (!scene.image_url) {
-                try {
-                    const imageUrl = await generateImage(scene.image_prompt);
-                    await db.query(
-                        'UPDATE scenes SET image_url = $1 WHERE id = $2',
-                        [imageUrl, scene.id]
-                    );
-                    return { ...scene, image_url: imageUrl };
-                } catch (e) {
-                    console.error(`Failed scene ${scene.scene_number}: ${e.message}`);
-                    return scene;
-                }
-            } else {
-                return scene;
+        res.json(result.rows[0]);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// File the project into one of the caller's folders, or none with
+// `folder_id: null`. Filing is personal, so viewers can do it too.
+router.put('/:id/folder', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        const folderId = req.body.folder_id ?? null;
+        if (folderId !== null && !Number.isInteger(folderId)) {
+            return res.status(400).json({ error: 'folder_id must be a folder id or null' });
+        }
+        if (folderId !== null) {
+            const folder = await db.query(
+                'SELECT id FROM folders WHERE id = $1 AND user_id = $2',
+                [folderId, req.user.id]
+            );
+            if (folder.rows.length === 0) {
+                return res.status(404).json({ error: 'Folder not found' });
             }
+        }
+
+        await db.query(
+            'UPDATE project_members SET folder_id = $1 WHERE project_id = $2 AND user_id = $3',
+            [folderId, req.params.id, req.user.id]
+        );
+
+        res.json({ folder_id: folderId });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Animatic timeline as a zip of frames plus an EDL and FCPXML for editors
+router.get('/:id/export/timeline', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        const fps = req.query.fps === undefined ? FRAME_RATES[0] : Number(req.query.fps);
+        if (!FRAME_RATES.includes(fps)) {
+            return res.status(400).json({ error: `fps must be one of: ${FRAME_RATES.join(', ')}` });
+        }
+
+        const scenes = await listScenes(db, req.params.id);
+        if (scenes.length === 0) {
+            return res.status(400).json({ error: 'This project has no scenes' });
+        }
+        const slug = fileSlug(req.project.title);
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${slug}-timeline.zip"`
+        });
+        await writeTimelineArchive(res, { project: req.project, scenes, fps, slug });
+        res.end();
+
+    } catch (err) {
+        console.error(err);
+        if (!res.headersSent) res.status(500).send('Server Error');
+        else res.destroy(err);
+    }
+});
+
+// Download the script as fountain, fdx or txt (formatted screenplay)
+router.get('/:id/export/:format', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        const format = EXPORT_FORMATS[req.params.format];
+        if (!format) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const scenes = await listScenes(db, req.params.id);
+        const slug = fileSlug(req.project.title);
+
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="${slug}.${format.extension}"`
         });
+        res.send(format.serialize(req.project, scenes));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
 
-        const updatedScenes = await Promise.all(imagePromises);
+// The image quota must cover every frame that would be queued
+router.post('/:id/generate-images', auth, requireProject('editor'), requireQuota('image', (req) => countMissingImages(req.params.id)), async (req, res) => {
+    try {
+        await enqueueProjectImages(req.params.id, req.user.id, req.quotaReservation);
 
-        res.json(updatedScenes);
+        res.status(202).json({ jobs: await listJobs(req.params.id) });
 
     } catch (err) {
         console.error(err);
@@ -128,17 +334,33 @@ router.post('/:id/generate-images', auth, aiLimiter, async (req, res) => {
     }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+router.get('/:id/jobs', auth, requireProject('viewer'), async (req, res) => {
     try {
-        const project = await db.query(
-            'SELECT * FROM projects WHERE id = $1 AND user_id = $2',
-            [req.params.id, req.user.id]
-        );
+        res.json({ jobs: await listJobs(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
 
-        if (project.rows.length === 0) {
-            return res.status(404).send('Project not found');
+router.post('/:id/jobs/:jobId/retry', auth, requireProject('editor'), requireQuota('image'), async (req, res) => {
+    try {
+        const job = await retryJob(req.params.id, req.params.jobId, req.user.id, req.quotaReservation);
+        if (!job) {
+            return res.status(404).send('Failed job not found');
         }
 
+        res.status(202).json(job);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/:id', auth, requireProject('owner'), async (req, res) => {
+    try {
         await db.query('DELETE FROM projects WHERE id = $1', [req.params.id]);
 
         res.json({ message: 'Project deleted successfully' });
@@ -149,25 +371,261 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
-router.put('/scenes/:sceneId', auth, async (req, res) => {
+// The scene columns an edit may set; the prompt changes through regenerate
+const SCENE_EDIT_COLUMNS = [
+    'title', 'int_ext', 'location', 'time_of_day', 'description', 'action', 'mood', 'shot_type', 'camera_angle', 'duration_seconds'
+];
+
+// Builds `UPDATE table SET ... WHERE id = $1 AND version matches $2` for the
+// columns present in the request body, under their own name or the alias the
+// validator reads. Omitted fields keep their value; null or '' clears one.
+function versionedUpdate(table, columns, body, fields, aliases = {}) {
+    const present = columns.filter(c => c in body || (aliases[c] && aliases[c] in body));
+    const assignments = [...present.map((c, i) => `${c} = $${i + 3}`), 'version = version + 1'];
+    return {
+        text: `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1 AND ($2::int IS NULL OR version = $2) RETURNING *`,
+        values: present.map(c => fields[c])
+    };
+}
+
+// `version` is optional; when given, the save is rejected with 409 if someone
+// else has edited the scene since the client loaded it. Fields left out of
+// the body are not changed.
+router.put('/scenes/:sceneId', auth, requireScene('editor'), async (req, res) => {
     try {
         const { sceneId } = req.params;
-        const { title, location, description, action, mood } = req.body;
+        const { version } = req.body;
 
-        const sceneCheck = await db.query(
-            'SELECT s.* FROM scenes s JOIN projects p ON s.project_id = p.id WHERE s.id = $1 AND p.user_id = $2',
-            [sceneId, req.user.id]
-        );
+        const { scene: fields, errors } = validateScene(req.body, { partial: true });
+        if (version !== undefined && !Number.isInteger(version)) {
+            errors.push({ path: 'version', message: 'must be an integer' });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid scene', details: errors });
+        }
+
+        const result = await db.transaction(async (client) => {
+            const update = versionedUpdate('scenes', SCENE_EDIT_COLUMNS, req.body, fields, { time_of_day: 'time' });
+            const updated = await client.query(update.text, [sceneId, version ?? null, ...update.values]);
+            if (updated.rows.length > 0) await recordRevision(client, updated.rows[0], 'update', req.user.id);
+            return updated;
+        });
+
+        if (result.rows.length === 0) {
+            const current = await db.query('SELECT * FROM scenes WHERE id = $1', [sceneId]);
+            if (current.rows.length === 0) {
+                return res.status(404).send('Scene not found or unauthorized');
+            }
+            return res.status(409).json({
+                error: 'This scene was changed by someone else',
+                code: 'VERSION_CONFLICT',
+                scene: current.rows[0]
+            });
+        }
+
+        publish(req.scene.project_id, 'scene', { scene: result.rows[0], by: req.user.id });
+
+        res.json(result.rows[0]);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Insert a blank (or prefilled) scene at `position`, defaulting to the end
+router.post('/:id/scenes', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const { scene: fields, errors } = validateScene(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid scene', details: errors });
+        }
+
+        const result = await db.transaction(async (client) => {
+            await lockProject(client, req.params.id);
+            const scene = await insertScene(client, req.params.id, Number(req.body.position), fields);
+            await recordRevision(client, scene, 'create', req.user.id);
+            return { scene, scenes: await listScenes(client, req.params.id) };
+        });
+
+        publish(req.params.id, 'scenes', { scenes: result.scenes, by: req.user.id });
+
+        res.status(201).json(result);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Reorder every scene of a project; body is { sceneIds: [...] } in the new order
+router.put('/:id/scenes/order', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const sceneIds = Array.isArray(req.body.sceneIds) ? req.body.sceneIds.map(Number) : null;
+        if (!sceneIds || sceneIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'sceneIds must be an array of scene ids' });
+        }
+
+        const scenes = await db.transaction(async (client) => {
+            await lockProject(client, req.params.id);
+            const before = new Map((await listScenes(client, req.params.id)).map(s => [s.id, s.scene_number]));
+            if (!(await reorderScenes(client, req.params.id, sceneIds))) return null;
+
+            const after = await listScenes(client, req.params.id);
+            await recordRevisions(client, after.filter(s => before.get(s.id) !== s.scene_number), 'reorder', req.user.id);
+            return after;
+        });
 
-        if (sceneCheck.rows.length === 0) {
+        if (!scenes) {
+            return res.status(400).json({ error: 'sceneIds must list every scene of the project exactly once' });
+        }
+
+        publish(req.params.id, 'scenes', { scenes, by: req.user.id });
+
+        res.json({ scenes });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/scenes/:sceneId/duplicate', auth, requireScene('editor'), async (req, res) => {
+    try {
+        const original = req.scene;
+
+        const result = await db.transaction(async (client) => {
+            await lockProject(client, original.project_id);
+            // Re-read inside the lock in case the scene moved meanwhile
+            const fresh = await client.query('SELECT * FROM scenes WHERE id = $1', [original.id]);
+            if (fresh.rows.length === 0) return null;
+
+            const source = fresh.rows[0];
+            const scene = await insertScene(client, source.project_id, source.scene_number + 1, source);
+            await copySceneEntries(client, source.id, scene.id);
+            await copyShots(client, source.id, scene.id);
+            const annotations = await copyAnnotations(client, source.id, scene.id);
+            await recordRevision(client, scene, 'create', req.user.id);
+            return {
+                scene,
+                scenes: await listScenes(client, source.project_id),
+                shots: await sceneShots(client, scene.id),
+                annotations
+            };
+        });
+
+        if (!result) {
             return res.status(404).send('Scene not found or unauthorized');
         }
 
-        const result = await db.query(
-            'UPDATE scenes SET title = $1, location = $2, description = $3, action = $4, mood = $5 WHERE id = $6 RETURNING *',
-            [title, location, description, action, mood, sceneId]
+        publish(original.project_id, 'scenes', { scenes: result.scenes, by: req.user.id });
+        publish(original.project_id, 'shots', { scene_id: result.scene.id, shots: result.shots, by: req.user.id });
+        result.annotations.forEach(annotations => publish(original.project_id, 'annotations', { annotations, by: req.user.id }));
+        publish(original.project_id, 'bible', { bible: await listBible(db, original.project_id), by: req.user.id });
+
+        res.status(201).json(result);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/scenes/:sceneId', auth, requireScene('editor'), async (req, res) => {
+    try {
+        const projectId = req.scene.project_id;
+
+        const scenes = await db.transaction(async (client) => {
+            await lockProject(client, projectId);
+            const scene = await client.query('SELECT * FROM scenes WHERE id = $1', [req.params.sceneId]);
+            await recordDeletions(client, scene.rows, req.user.id);
+            await client.query('DELETE FROM scenes WHERE id = $1', [req.params.sceneId]);
+            await compactSceneNumbers(client, projectId);
+            return listScenes(client, projectId);
+        });
+
+        publish(projectId, 'scenes', { scenes, by: req.user.id });
+
+        res.json({ scenes });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Generate a new take for one scene, optionally with an edited prompt
+router.post('/scenes/:sceneId/regenerate', auth, requireScene('editor'), requireQuota('image'), async (req, res) => {
+    try {
+        let scene = req.scene;
+        const { image_prompt } = req.body;
+
+        if (image_prompt !== undefined) {
+            if (typeof image_prompt !== 'string' || !image_prompt.trim()) {
+                return res.status(400).json({ error: 'image_prompt must be a non-empty string' });
+            }
+            scene = await db.transaction(async (client) => {
+                const updated = await client.query(
+                    'UPDATE scenes SET image_prompt = $1, version = version + 1 WHERE id = $2 RETURNING *',
+                    [image_prompt.trim(), scene.id]
+                );
+                await recordRevision(client, updated.rows[0], 'update', req.user.id);
+                return updated.rows[0];
+            });
+            publish(scene.project_id, 'scene', { scene, by: req.user.id });
+        }
+
+        const job = await enqueueSceneImage(scene.project_id, scene.id, req.user.id, req.quotaReservation);
+
+        res.status(202).json({ job, scene });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/scenes/:sceneId/takes', auth, requireScene('viewer'), async (req, res) => {
+    try {
+        const takes = await db.query(
+            'SELECT * FROM scene_images WHERE scene_id = $1 AND shot_id IS NULL ORDER BY created_at DESC, id DESC',
+            [req.params.sceneId]
         );
 
+        res.json({ takes: takes.rows });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Pick which take is shown on the scene card
+router.put('/scenes/:sceneId/active-take', auth, requireScene('editor'), async (req, res) => {
+    try {
+        const { takeId } = req.body;
+        if (!Number.isInteger(takeId)) {
+            return res.status(400).json({ error: 'Invalid take', details: [{ path: 'takeId', message: 'must be an integer' }] });
+        }
+
+        const result = await db.transaction(async (client) => {
+            const updated = await client.query(
+                `UPDATE scenes s SET image_id = t.image_id
+                 FROM scene_images t
+                 WHERE t.id = $1 AND t.scene_id = s.id AND t.shot_id IS NULL AND s.id = $2
+                 RETURNING s.*`,
+                [takeId, req.params.sceneId]
+            );
+            if (updated.rows.length > 0) await recordRevision(client, updated.rows[0], 'image', req.user.id);
+            return updated;
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).send('Take not found');
+        }
+
+        publish(req.scene.project_id, 'scene', { scene: result.rows[0], by: req.user.id });
+
         res.json(result.rows[0]);
 
     } catch (err) {
@@ -176,4 +634,744 @@ router.put('/scenes/:sceneId', auth, async (req, res) => {
     }
 });
 
+// Add a shot to a scene at `position` (1-based), defaulting to the end
+router.post('/scenes/:sceneId/shots', auth, requireScene('editor'), async (req, res) => {
+    try {
+        const { shot: fields, errors } = validateShot(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid shot', details: errors });
+        }
+
+        const result = await db.transaction(async (client) => {
+            await lockProject(client, req.scene.project_id);
+            const shot = await insertShot(client, req.scene.id, Number(req.body.position), fields);
+            return { shot, shots: await recordShotsRevision(client, req.scene.id, req.user.id) };
+        });
+
+        publish(req.scene.project_id, 'shots', { scene_id: req.scene.id, shots: result.shots, by: req.user.id });
+
+        res.status(201).json(result);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Reorder the shots of a scene; body is { shotIds: [...] } in the new order
+router.put('/scenes/:sceneId/shots/order', auth, requireScene('editor'), async (req, res) => {
+    try {
+        const shotIds = Array.isArray(req.body.shotIds) ? req.body.shotIds.map(Number) : null;
+        if (!shotIds || shotIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'shotIds must be an array of shot ids' });
+        }
+
+        const shots = await db.transaction(async (client) => {
+            await lockProject(client, req.scene.project_id);
+            if (!(await reorderShots(client, req.scene.id, shotIds))) return null;
+            return recordShotsRevision(client, req.scene.id, req.user.id);
+        });
+
+        if (!shots) {
+            return res.status(400).json({ error: 'shotIds must list every shot of the scene exactly once' });
+        }
+
+        publish(req.scene.project_id, 'shots', { scene_id: req.scene.id, shots, by: req.user.id });
+
+        res.json({ shots });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// The annotation layer over the scene's current image
+router.get('/scenes/:sceneId/annotations', auth, requireScene('viewer'), async (req, res) => {
+    try {
+        if (!req.scene.image_id) {
+            return res.status(404).send('Scene has no image');
+        }
+
+        res.json(await getAnnotations(db, req.scene.id, req.scene.image_id));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Replace the annotation layer of one of the scene's images (the current one
+// unless `image_id` names a take). `version` works as for scenes, with 0 for
+// a layer that does not exist yet.
+router.put('/scenes/:sceneId/annotations', auth, requireScene('editor'), async (req, res) => {
+    try {
+        const { version } = req.body;
+        const imageId = req.body.image_id ?? req.scene.image_id;
+
+        const { shapes, errors } = validateAnnotations(req.body.shapes);
+        if (!Number.isInteger(imageId)) {
+            errors.push({ path: 'image_id', message: imageId === null ? 'is required; the scene has no image yet' : 'must be an integer' });
+        }
+        if (version !== undefined && !Number.isInteger(version)) {
+            errors.push({ path: 'version', message: 'must be an integer' });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid annotations', details: errors });
+        }
+
+        const image = await db.query(
+            `SELECT 1 FROM scenes s
+             WHERE s.id = $1 AND (s.image_id = $2 OR EXISTS (
+                 SELECT 1 FROM scene_images t WHERE t.scene_id = s.id AND t.shot_id IS NULL AND t.image_id = $2
+             ))`,
+            [req.scene.id, imageId]
+        );
+        if (image.rows.length === 0) {
+            return res.status(404).send('Image not found');
+        }
+
+        const saved = await db.transaction(async (client) => {
+            const row = await saveAnnotations(client, { sceneId: req.scene.id, imageId, shapes, version, userId: req.user.id });
+            if (row) await touchProject(client, req.scene.project_id);
+            return row;
+        });
+
+        if (!saved) {
+            return res.status(409).json({
+                error: 'These annotations were changed by someone else',
+                code: 'VERSION_CONFLICT',
+                annotations: await getAnnotations(db, req.scene.id, imageId)
+            });
+        }
+
+        publish(req.scene.project_id, 'annotations', { annotations: saved, by: req.user.id });
+
+        res.json(saved);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Edit a shot's description, camera and prompt. `version` and omitted fields
+// work as for scenes.
+router.put('/shots/:shotId', auth, requireShot('editor'), async (req, res) => {
+    try {
+        const { version } = req.body;
+
+        const { shot: fields, errors } = validateShot(req.body, { partial: true });
+        if (version !== undefined && !Number.isInteger(version)) {
+            errors.push({ path: 'version', message: 'must be an integer' });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid shot', details: errors });
+        }
+
+        const result = await db.transaction(async (client) => {
+            const update = versionedUpdate('shots', SHOT_COLUMNS, req.body, fields, { shot_size: 'shot_type' });
+            const updated = await client.query(update.text, [req.shot.id, version ?? null, ...update.values]);
+            if (updated.rows.length > 0) await recordShotsRevision(client, req.shot.scene_id, req.user.id);
+            return updated;
+        });
+
+        if (result.rows.length === 0) {
+            const current = await db.query('SELECT * FROM shots WHERE id = $1', [req.shot.id]);
+            if (current.rows.length === 0) {
+                return res.status(404).send('Shot not found or unauthorized');
+            }
+            return res.status(409).json({
+                error: 'This shot was changed by someone else',
+                code: 'VERSION_CONFLICT',
+                shot: current.rows[0]
+            });
+        }
+
+        publish(req.shot.project_id, 'shot', { shot: result.rows[0], by: req.user.id });
+
+        res.json(result.rows[0]);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/shots/:shotId', auth, requireShot('editor'), async (req, res) => {
+    try {
+        const shots = await db.transaction(async (client) => {
+            await lockProject(client, req.shot.project_id);
+            await client.query('DELETE FROM shots WHERE id = $1', [req.shot.id]);
+            await compactShotNumbers(client, req.shot.scene_id);
+            return recordShotsRevision(client, req.shot.scene_id, req.user.id);
+        });
+
+        publish(req.shot.project_id, 'shots', { scene_id: req.shot.scene_id, shots, by: req.user.id });
+
+        res.json({ shots });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Generate a new frame for one shot, optionally with an edited prompt
+router.post('/shots/:shotId/regenerate', auth, requireShot('editor'), requireQuota('image'), async (req, res) => {
+    try {
+        let shot = req.shot;
+        const { image_prompt } = req.body;
+
+        if (image_prompt !== undefined) {
+            if (typeof image_prompt !== 'string' || !image_prompt.trim()) {
+                return res.status(400).json({ error: 'image_prompt must be a non-empty string' });
+            }
+            shot = await db.transaction(async (client) => {
+                const updated = await client.query(
+                    'UPDATE shots SET image_prompt = $1, version = version + 1 WHERE id = $2 RETURNING *',
+                    [image_prompt.trim(), shot.id]
+                );
+                await recordShotsRevision(client, shot.scene_id, req.user.id);
+                return updated.rows[0];
+            });
+            publish(req.shot.project_id, 'shot', { shot, by: req.user.id });
+        }
+
+        const job = await enqueueShotImage(req.shot.project_id, shot, req.user.id, req.quotaReservation);
+
+        res.status(202).json({ job, shot });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/shots/:shotId/takes', auth, requireShot('viewer'), async (req, res) => {
+    try {
+        const takes = await db.query(
+            'SELECT * FROM scene_images WHERE shot_id = $1 ORDER BY created_at DESC, id DESC',
+            [req.params.shotId]
+        );
+
+        res.json({ takes: takes.rows });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Pick which take is shown on the shot's panel
+router.put('/shots/:shotId/active-take', auth, requireShot('editor'), async (req, res) => {
+    try {
+        const { takeId } = req.body;
+        if (!Number.isInteger(takeId)) {
+            return res.status(400).json({ error: 'Invalid take', details: [{ path: 'takeId', message: 'must be an integer' }] });
+        }
+
+        const result = await db.transaction(async (client) => {
+            const updated = await client.query(
+                `UPDATE shots sh SET image_id = t.image_id
+                 FROM scene_images t
+                 WHERE t.id = $1 AND t.shot_id = sh.id AND sh.id = $2
+                 RETURNING sh.*`,
+                [takeId, req.shot.id]
+            );
+            if (updated.rows.length > 0) await recordShotsRevision(client, req.shot.scene_id, req.user.id);
+            return updated;
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).send('Take not found');
+        }
+
+        publish(req.shot.project_id, 'shot', { shot: result.rows[0], by: req.user.id });
+
+        res.json(result.rows[0]);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Ask the AI for changes to the story, with every scene as context. Nothing
+// is saved: the proposal is shown as a diff and the accepted changes are
+// sent to /refine/apply.
+router.post('/:id/refine', auth, requireProject('editor'), refineLimiter, requireQuota('script'), async (req, res) => {
+    try {
+        const scenes = await listScenes(db, req.params.id);
+        const { request, errors } = validateRefineRequest(req.body, scenes);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid refinement', details: errors });
+        }
+
+        const bible = await listBible(db, req.params.id);
+        const refinement = await refineScenes(request, { project: req.project, scenes, bible }, {
+            usage: { userId: req.user.id, projectId: req.project.id, reservationId: req.quotaReservation }
+        });
+
+        res.json({ proposal: buildProposal(request, scenes, refinement) });
+
+    } catch (err) {
+        if (err.code === 'SCRIPT_INVALID') {
+            return res.status(422).json({
+                error: 'The AI returned changes that could not be used. Please try again or rephrase your instructions.',
+                details: err.details
+            });
+        }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Save the accepted changes of a proposal; body is { changes: [...] } as
+// returned by /refine. 409 if one of the scenes was edited in the meantime.
+router.post('/:id/refine/apply', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const { changes, errors } = validateChanges(req.body?.changes);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid changes', details: errors });
+        }
+
+        const result = await applyRefinement(req.params.id, changes, req.user.id);
+
+        publish(req.params.id, 'scenes', { scenes: result.scenes, by: req.user.id });
+        publish(req.params.id, 'bible', { bible: await listBible(db, req.params.id), by: req.user.id });
+
+        res.json(result);
+
+    } catch (err) {
+        if (err.code === 'VERSION_CONFLICT') {
+            return res.status(409).json({
+                error: 'A scene was changed by someone else since these changes were proposed',
+                code: 'VERSION_CONFLICT',
+                scene: err.scene
+            });
+        }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+const BIBLE_KINDS = ['character', 'location'];
+
+router.get('/:id/bible', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json({ bible: await listBible(db, req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Add a character or location; `scene_ids` lists the scenes it appears in
+router.post('/:id/bible', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const { kind, name, description, scene_ids } = req.body;
+        if (!BIBLE_KINDS.includes(kind) || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'kind must be character or location, and name is required' });
+        }
+
+        const bible = await db.transaction(async (client) => {
+            const result = await client.query(
+                'INSERT INTO bible_entries (project_id, kind, name, description) VALUES ($1, $2, $3, $4) RETURNING *',
+                [req.params.id, kind, name.trim(), description || null]
+            );
+            if (Array.isArray(scene_ids)) {
+                await setEntryScenes(client, result.rows[0], scene_ids.map(Number));
+            }
+            await touchProject(client, req.params.id);
+            return listBible(client, req.params.id);
+        });
+
+        publish(req.params.id, 'bible', { bible, by: req.user.id });
+
+        res.status(201).json({ bible });
+
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'An entry with that name already exists' });
+        }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.put('/bible/:entryId', auth, requireBibleEntry('editor'), async (req, res) => {
+    try {
+        const entry = req.entry;
+        const { name, description, scene_ids } = req.body;
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ error: 'name cannot be empty' });
+        }
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return res.status(400).json({ error: 'description must be a string' });
+        }
+
+        const bible = await db.transaction(async (client) => {
+            // A description sent as null or '' clears it; leaving it out keeps it
+            await client.query(
+                'UPDATE bible_entries SET name = $1, description = $2 WHERE id = $3',
+                [name?.trim() ?? entry.name, 'description' in req.body ? description || null : entry.description, entry.id]
+            );
+            if (Array.isArray(scene_ids)) {
+                await setEntryScenes(client, entry, scene_ids.map(Number));
+            }
+            await touchProject(client, entry.project_id);
+            return listBible(client, entry.project_id);
+        });
+
+        publish(entry.project_id, 'bible', { bible, by: req.user.id });
+
+        res.json({ bible });
+
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'An entry with that name already exists' });
+        }
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/bible/:entryId', auth, requireBibleEntry('editor'), async (req, res) => {
+    try {
+        await db.query('DELETE FROM bible_entries WHERE id = $1', [req.params.entryId]);
+        await touchProject(db, req.entry.project_id);
+
+        const bible = await listBible(db, req.entry.project_id);
+        publish(req.entry.project_id, 'bible', { bible, by: req.user.id });
+
+        res.json({ bible });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Scene revisions, newest first. `scene_id` narrows them to one scene
+// (deleted ones included); `before` and `limit` page through older ones.
+router.get('/:id/history', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        const sceneId = req.query.scene_id === undefined ? null : Number(req.query.scene_id);
+        const before = req.query.before === undefined ? null : Number(req.query.before);
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if ([sceneId, before].some(v => v !== null && !Number.isInteger(v)) || !Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'scene_id and before must be ids and limit between 1 and 200' });
+        }
+
+        res.json(await listRevisions(req.params.id, { sceneId, before, limit }));
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Shots, annotations and bible links that came back with restored scenes
+async function publishRestored(projectId, restored, userId) {
+    if (restored.length === 0) return;
+
+    restored.forEach(({ scene_id, shots, annotations }) => {
+        publish(projectId, 'shots', { scene_id, shots, by: userId });
+        annotations.forEach(layer => publish(projectId, 'annotations', { annotations: layer, by: userId }));
+    });
+    publish(projectId, 'bible', { bible: await listBible(db, projectId), by: userId });
+}
+
+// Put one scene back the way it was at a revision, recreating it if deleted
+router.post('/:id/history/:revisionId/restore', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const revisionId = Number(req.params.revisionId);
+        if (!Number.isInteger(revisionId)) {
+            return res.status(400).json({ error: 'Invalid revision id' });
+        }
+
+        const result = await restoreRevision(req.params.id, revisionId, req.user.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        publish(req.params.id, 'scenes', { scenes: result.scenes, by: req.user.id });
+        await publishRestored(req.params.id, result.restored, req.user.id);
+
+        res.json(result);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/:id/snapshots', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json({ snapshots: await listSnapshots(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Save every scene of the project under a name; body { name }
+router.post('/:id/snapshots', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_SNAPSHOT_NAME) {
+            return res.status(400).json({ error: `name is required and at most ${MAX_SNAPSHOT_NAME} characters` });
+        }
+
+        const snapshot = await createSnapshot(db, req.params.id, name.trim(), req.user.id);
+
+        res.status(201).json({ snapshot, snapshots: await listSnapshots(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/:id/snapshots/:snapshotId', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const snapshotId = Number(req.params.snapshotId);
+        if (!Number.isInteger(snapshotId)) {
+            return res.status(400).json({ error: 'Invalid snapshot id' });
+        }
+
+        if (!(await deleteSnapshot(req.params.id, snapshotId))) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        res.json({ snapshots: await listSnapshots(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Make the whole project match a snapshot. The current state is saved as
+// a snapshot first, so this can be undone the same way.
+router.post('/:id/snapshots/:snapshotId/restore', auth, requireProject('editor'), async (req, res) => {
+    try {
+        const snapshotId = Number(req.params.snapshotId);
+        if (!Number.isInteger(snapshotId)) {
+            return res.status(400).json({ error: 'Invalid snapshot id' });
+        }
+
+        const result = await restoreSnapshot(req.params.id, snapshotId, req.user.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        publish(req.params.id, 'scenes', { scenes: result.scenes, by: req.user.id });
+        await publishRestored(req.params.id, result.restored, req.user.id);
+
+        res.json({ scenes: result.scenes, restored: result.restored, snapshots: await listSnapshots(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Members and pending invitations. Everyone on the project can see them.
+router.get('/:id/members', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json({
+            members: await listMembers(req.params.id),
+            invitations: req.projectRole === 'owner' ? await listInvitations(req.params.id) : [],
+            role: req.projectRole
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Invite someone by email as an editor or viewer. Inviting the same address
+// again replaces the earlier invitation and sends a fresh link.
+router.post('/:id/invitations', auth, requireProject('owner'), emailLimiter, async (req, res) => {
+    try {
+        const { email, role } = req.body;
+
+        if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+            return res.status(400).json({ error: 'A valid email address is required' });
+        }
+        if (!INVITABLE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+        }
+
+        const existing = await db.query(
+            `SELECT 1 FROM project_members m JOIN users u ON u.id = m.user_id
+             WHERE m.project_id = $1 AND LOWER(u.email) = LOWER($2)`,
+            [req.params.id, email.trim()]
+        );
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'That person is already a member of this project' });
+        }
+
+        const inviter = await db.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+        const { invitation, token } = await createInvitation(req.params.id, email.trim(), role, req.user.id);
+
+        await sendMail({
+            to: invitation.email,
+            ...templates.projectInvitation(token, {
+                projectTitle: req.project.title,
+                inviterEmail: inviter.rows[0].email,
+                role,
+                days: INVITATION_TTL_MS / 86400000
+            })
+        });
+
+        res.status(201).json(invitation);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/:id/invitations/:invitationId', auth, requireProject('owner'), async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM project_invitations WHERE id = $1 AND project_id = $2',
+            [req.params.invitationId, req.params.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).send('Invitation not found');
+        }
+
+        res.json({ invitations: await listInvitations(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Change a member's role between editor and viewer
+router.put('/:id/members/:userId', auth, requireProject('owner'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!INVITABLE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+        }
+
+        const result = await db.query(
+            `UPDATE project_members SET role = $1
+             WHERE project_id = $2 AND user_id = $3 AND role <> 'owner'`,
+            [role, req.params.id, req.params.userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).send('Member not found');
+        }
+
+        // Open collaboration sockets of the member pick up the new role
+        publish(req.params.id, 'member', { user_id: Number(req.params.userId), role });
+
+        res.json({ members: await listMembers(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// The owner can remove anyone else; other members can only remove themselves
+router.delete('/:id/members/:userId', auth, requireProject('viewer'), async (req, res) => {
+    try {
+        const self = Number(req.params.userId) === req.user.id;
+        if (!self && req.projectRole !== 'owner') {
+            return res.status(403).json({ error: 'Only the project owner can do this', code: 'FORBIDDEN' });
+        }
+        if (self && req.projectRole === 'owner') {
+            return res.status(400).json({ error: 'The owner cannot leave their own project' });
+        }
+
+        const result = await db.query(
+            `DELETE FROM project_members
+             WHERE project_id = $1 AND user_id = $2 AND role <> 'owner'`,
+            [req.params.id, req.params.userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).send('Member not found');
+        }
+
+        publish(req.params.id, 'member', { user_id: Number(req.params.userId), role: null });
+
+        res.json({ members: self ? [] : await listMembers(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Public read-only links, managed by the owner
+router.get('/:id/share-links', auth, requireProject('owner'), async (req, res) => {
+    try {
+        res.json({ links: await listShareLinks(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Body { label, expires_in_days, password }; all optional
+router.post('/:id/share-links', auth, requireProject('owner'), async (req, res) => {
+    try {
+        const { label, expires_in_days, password } = req.body;
+
+        if (label != null && (typeof label !== 'string' || label.length > 100)) {
+            return res.status(400).json({ error: 'label must be a string of at most 100 characters' });
+        }
+        const days = expires_in_days == null || expires_in_days === '' ? null : Number(expires_in_days);
+        if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS)) {
+            return res.status(400).json({ error: `expires_in_days must be a whole number between 1 and ${MAX_EXPIRY_DAYS}` });
+        }
+        if (password != null && password !== '' && (typeof password !== 'string' || Buffer.byteLength(password) > 72)) {
+            return res.status(400).json({ error: 'password must be a string of at most 72 bytes' });
+        }
+
+        const link = await createShareLink(
+            req.params.id,
+            { label: label?.trim(), expiresInDays: days, password: password || null },
+            req.user.id
+        );
+
+        res.status(201).json(link);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/:id/share-links/:linkId', auth, requireProject('owner'), async (req, res) => {
+    try {
+        if (!(await revokeShareLink(req.params.id, req.params.linkId))) {
+            return res.status(404).send('Share link not found');
+        }
+
+        res.json({ links: await listShareLinks(req.params.id) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
 export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import * as db from '../db.js';
+import { listBible } from '../services/bible.js';
+import { findShareLink, checkSharePassword, signShareAccess, verifyShareAccess, recordView } from '../services/shareLinks.js';
+import { apiLimiter, shareUnlockLimiter } from '../middleware/rateLimiter.js';
+import sendImage from '../utils/sendImage.js';
+import { isId } from '../utils/ids.js';
+const router = express.Router();
+router.use(apiLimiter);
+
+// Public, read-only access to one project through a share link. No user
+// account is involved; the token in the URL is the only credential, plus the
+// X-Share-Access token for password-protected links.
+
+// Scene fields shown to viewers of a shared board
+const SCENE_COLUMNS = `id, scene_number, title, int_ext, location, time_of_day, description, action, dialogue, mood,
+                       shot_type, camera_angle, duration_seconds, image_id`;
+
+async function loadLink(req, res, next) {
+    try {
+        const link = await findShareLink(req.params.token);
+
+        if (!link) {
+            return res.status(404).json({ error: 'This link is invalid, has expired or was revoked', code: 'SHARE_NOT_FOUND' });
+        }
+
+        req.shareLink = link;
+        next();
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+}
+
+function requireUnlocked(req, res, next) {
+    const link = req.shareLink;
+    if (link.password_hash && !verifyShareAccess(link, req.header('X-Share-Access'))) {
+        return res.status(401).json({ error: 'This link is password protected', code: 'SHARE_PASSWORD_REQUIRED' });
+    }
+    next();
+}
+
+// Exchange the link password for an access token
+router.post('/:token/unlock', shareUnlockLimiter, loadLink, async (req, res) => {
+    try {
+        const link = req.shareLink;
+
+        if (link.password_hash && !(await checkSharePassword(link, req.body.password))) {
+            return res.status(401).json({ error: 'Incorrect password', code: 'SHARE_PASSWORD_INVALID' });
+        }
+
+        res.json({ access: signShareAccess(link) });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/:token', loadLink, requireUnlocked, async (req, res) => {
+    try {
+        const projectId = req.shareLink.project_id;
+
+        const project = await db.query('SELECT id, title, created_at FROM projects WHERE id = $1', [projectId]);
+        const scenes = await db.query(
+            `SELECT ${SCENE_COLUMNS} FROM scenes WHERE project_id = $1 ORDER BY scene_number ASC`,
+            [projectId]
+        );
+
+        await recordView(req.shareLink.id);
+
+        res.json({
+            project: project.rows[0],
+            scenes: scenes.rows,
+            bible: await listBible(db, projectId),
+            expires_at: req.shareLink.expires_at
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Only the image currently shown on one of the project's scenes; other takes stay private
+router.get('/:token/images/:imageId', loadLink, requireUnlocked, async (req, res) => {
+    if (!isId(req.params.imageId)) return res.status(404).send('Image not found');
+
+    try {
+        const result = await db.query(
+            `SELECT i.* FROM images i
+             WHERE i.id = $1 AND EXISTS (
+                 SELECT 1 FROM scenes s WHERE s.image_id = i.id AND s.project_id = $2
+             )`,
+            [req.params.imageId, req.shareLink.project_id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).send('Image not found');
+        }
+
+        // Short-lived so a revoked link stops showing images soon after
+        await sendImage(req, res, result.rows[0], {
+            cacheControl: 'private, max-age=300',
+            vary: 'X-Share-Access'
+        });
+
+    } catch (err) {
+        console.error(err);
+        if (!res.headersSent) res.status(500).send('Server Error');
+    }
+});
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import auth from '../middleware/authMiddleware.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { getQuotaStatus, usageHistory, usageByProject } from '../services/usage.js';
+const router = express.Router();
+router.use(apiLimiter);
+
+const HISTORY_DAYS = 30;
+
+// The caller's AI usage: quotas for the current day and month, a daily
+// history and this month's usage per project
+router.get('/', auth, async (req, res) => {
+    try {
+        const status = await getQuotaStatus(req.user.id);
+        if (!status) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [history, projects] = await Promise.all([
+            usageHistory(req.user.id, HISTORY_DAYS),
+            usageByProject(req.user.id)
+        ]);
+
+        res.json({ plan: status.plan, periods: status.periods, history, projects });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).send('Server Error');
+    }
+});
+
+export default router;
@@ -0,0 +1,41 @@
+// Grants or revokes the admin role, which opens the /admin console. The
+// first admin has to be made here; after that this is still the only way to
+// change roles.
+//
+// Usage:
+//   npm run admin -- grant someone@example.com
+//   npm run admin -- revoke someone@example.com
+//   npm run admin -- list
+import * as db from '../db.js';
+
+async function setRole(email, role) {
+    if (!email) throw new Error('Give the email address of the account');
+
+    const result = await db.query(
+        'UPDATE users SET role = $1 WHERE lower(email) = lower($2) RETURNING email',
+        [role, email.trim()]
+    );
+    if (result.rows.length === 0) throw new Error(`No account with the email address ${email}`);
+    console.log(`${result.rows[0].email} is now ${role === 'admin' ? 'an admin' : 'a regular user'}.`);
+}
+
+async function main([command, email]) {
+    if (command === 'grant') return setRole(email, 'admin');
+    if (command === 'revoke') return setRole(email, 'user');
+
+    if (command === 'list') {
+        const result = await db.query("SELECT email, disabled_at FROM users WHERE role = 'admin' ORDER BY email");
+        if (result.rows.length === 0) console.log('There are no admins yet.');
+        for (const row of result.rows) console.log(row.disabled_at ? `${row.email} (disabled)` : row.email);
+        return;
+    }
+
+    throw new Error(`Unknown command "${command}". Use grant, revoke or list.`);
+}
+
+main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,44 @@
+// Applies, rolls back or lists database migrations from server/migrations.
+//
+// Usage:
+//   npm run migrate                  apply every pending migration
+//   npm run migrate -- up 005        apply pending migrations up to 005
+//   npm run migrate:down             roll back the last migration
+//   npm run migrate:down -- 3        roll back the last three
+//   npm run migrate:status           list migrations and whether they are applied
+import { migrateUp, migrateDown, migrationStatus } from '../services/migrator.js';
+
+async function main([command = 'up', arg]) {
+    if (command === 'up') {
+        const applied = await migrateUp({ to: arg });
+        if (applied.length === 0) console.log('Database is up to date.');
+        return;
+    }
+
+    if (command === 'down') {
+        const steps = arg === undefined ? 1 : Number(arg);
+        if (!Number.isInteger(steps) || steps < 1) throw new Error('down expects a positive number of steps');
+        const reverted = await migrateDown({ steps });
+        if (reverted.length === 0) console.log('Nothing to roll back.');
+        return;
+    }
+
+    if (command === 'status') {
+        for (const row of await migrationStatus()) {
+            const state = row.missing ? 'applied, file missing'
+                : row.modified ? 'applied, file changed since'
+                    : row.applied ? `applied ${new Date(row.applied_at).toISOString()}` : 'pending';
+            console.log(`${row.version}_${row.name}`.padEnd(32), state);
+        }
+        return;
+    }
+
+    throw new Error(`Unknown command "${command}". Use up, down or status.`);
+}
+
+main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
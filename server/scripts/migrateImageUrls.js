@@ -0,0 +1,74 @@
+// Moves images stored inline as `data:` URLs in scenes.image_url into image
+// storage, pointing each scene at the new `images` row, then drops the
+// image_url column once nothing references it.
+//
+// Usage: npm run migrate:images
+import * as db from '../db.js';
+import { saveImage } from '../services/storage/index.js';
+import { migrateUp } from '../services/migrator.js';
+
+async function hasImageUrlColumn() {
+    const result = await db.query(
+        "SELECT 1 FROM information_schema.columns WHERE table_name = 'scenes' AND column_name = 'image_url'"
+    );
+    return result.rows.length > 0;
+}
+
+async function migrate() {
+    // The images table and scenes.image_id come from the migrations
+    await migrateUp();
+
+    if (!(await hasImageUrlColumn())) {
+        console.log('scenes.image_url is already gone, nothing to migrate.');
+        return;
+    }
+
+    let migrated = 0;
+    let failed = 0;
+
+    // One row at a time: each value can be several megabytes.
+    while (true) {
+        const result = await db.query(
+            "SELECT id, image_url FROM scenes WHERE image_url LIKE 'data:%' AND image_id IS NULL ORDER BY id LIMIT 1 OFFSET $1",
+            [failed]
+        );
+        const scene = result.rows[0];
+        if (!scene) break;
+
+        try {
+            const base64 = scene.image_url.slice(scene.image_url.indexOf(',') + 1);
+            const image = await saveImage(Buffer.from(base64, 'base64'));
+            await db.transaction(async (client) => {
+                await client.query(
+                    'UPDATE scenes SET image_id = $1, image_url = NULL WHERE id = $2',
+                    [image.id, scene.id]
+                );
+                await client.query(
+                    'INSERT INTO scene_images (scene_id, image_id, prompt) SELECT id, image_id, image_prompt FROM scenes WHERE id = $1',
+                    [scene.id]
+                );
+            });
+            migrated++;
+        } catch (err) {
+            console.error(`Scene ${scene.id}: ${err.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`Migrated ${migrated} scene image(s), ${failed} failed.`);
+
+    const remaining = await db.query('SELECT COUNT(*)::int AS count FROM scenes WHERE image_url IS NOT NULL');
+    if (remaining.rows[0].count === 0) {
+        await db.query('ALTER TABLE scenes DROP COLUMN image_url');
+        console.log('Dropped scenes.image_url.');
+    } else {
+        console.log(`${remaining.rows[0].count} scene(s) still have an image_url; keeping the column.`);
+    }
+}
+
+migrate()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -5,6 +5,15 @@ import cors from 'cors';
 import helmet from 'helmet';
 import authRoute from './routes/auth.js';      
 import projectRoute from './routes/projects.js';
+import imageRoute from './routes/images.js';
+import invitationRoute from './routes/invitations.js';
+import shareRoute from './routes/share.js';
+import folderRoute from './routes/folders.js';
+import usageRoute from './routes/usage.js';
+import adminRoute from './routes/admin.js';
+import { startImageWorker } from './services/imageJobs.js';
+import { attachCollab } from './services/collab.js';
+import { migrateUp } from './services/migrator.js';
 
 const app = express();
 
@@ -15,7 +24,9 @@ app.use(helmet());
 app.use(cors({
     origin: process.env.CLIENT_URL || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Share-Access'],
+    // The refresh cookie needs credentialed requests (and a specific CLIENT_URL)
+    credentials: process.env.REFRESH_TOKEN_COOKIE === 'true'
 }));
 
 app.use(express.json());
@@ -24,6 +35,34 @@ app.use('/api/auth', authRoute);
 
 app.use('/api/projects', projectRoute);
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+app.use('/api/images', imageRoute);
+
+app.use('/api/invitations', invitationRoute);
+
+app.use('/api/share', shareRoute);
+
+app.use('/api/folders', folderRoute);
+
+app.use('/api/usage', usageRoute);
+
+app.use('/api/admin', adminRoute);
+
+const start = async () => {
+    // Opt-in, so deployments that migrate in a separate step are unaffected
+    if (process.env.RUN_MIGRATIONS === 'true') {
+        await migrateUp();
+    }
+
+    const server = app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        startImageWorker();
+    });
+
+    // Project rooms share the HTTP server (upgrade requests on /api/projects/:id/ws)
+    attachCollab(server);
+};
+
+start().catch(err => {
+    console.error('Failed to start server:', err);
+    process.exit(1);
 });
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import * as db from '../db.js';
+
+// Single-use tokens mailed to users. Issuing a token invalidates earlier
+// unused tokens for the same purpose, so only the latest email works.
+
+export const VERIFY_EMAIL_TTL_MS = 48 * 60 * 60 * 1000;
+export const RESET_PASSWORD_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export async function issueToken(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await db.transaction(async (client) => {
+        await client.query(
+            'UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+            [userId, purpose]
+        );
+        await client.query(
+            `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+             VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')`,
+            [userId, purpose, hashToken(token), ttlMs]
+        );
+    });
+    return token;
+}
+
+// Marks the token used and returns its user id, or null if it is unknown,
+// expired, already used or meant for something else.
+export async function consumeToken(client, token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const result = await client.query(
+        `UPDATE account_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token), purpose]
+    );
+    return result.rows[0]?.user_id ?? null;
+}
+
+// Looks a token up without using it, e.g. to validate input first.
+// Returns { id, email } of its user or null.
+export async function findTokenUser(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const result = await db.query(
+        `SELECT u.id, u.email FROM account_tokens t JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = $1 AND t.purpose = $2 AND t.used_at IS NULL AND t.expires_at > NOW()`,
+        [hashToken(token), purpose]
+    );
+    return result.rows[0] || null;
+}
@@ -0,0 +1,220 @@
+import * as db from '../db.js';
+import { getQuotaStatus } from './usage.js';
+import { revokeAllSessions } from './sessions.js';
+import { disconnectUser } from './collab.js';
+
+// Queries behind the admin console: users, their projects, failed image jobs
+// and AI usage across every account. Lists are paged newest first with
+// `before`, the `next` value of the previous page.
+
+export const USER_STATUSES = ['active', 'disabled'];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const MAX_USAGE_DAYS = 365;
+
+// Reads `limit` and `before` from a query string. Returns { options, errors }
+// with errors as { path, message }.
+export function parsePageQuery(query) {
+    const errors = [];
+    const options = { limit: DEFAULT_PAGE_SIZE, before: null };
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push({ path: 'limit', message: `must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
+        } else {
+            options.limit = limit;
+        }
+    }
+
+    if (query.before !== undefined) {
+        if (!/^\d+$/.test(query.before)) {
+            errors.push({ path: 'before', message: 'must be an id' });
+        } else {
+            options.before = Number(query.before);
+        }
+    }
+
+    return { options, errors };
+}
+
+// Fetches one row too many to know whether there is a next page
+const page = (rows, limit) => ({
+    rows: rows.slice(0, limit),
+    next: rows.length > limit ? rows[limit - 1].id : null
+});
+
+// Users newest first, with how many projects they own and their AI usage
+// this month. `q` matches part of the email address.
+export async function listUsers({ q, status, limit, before }) {
+    const params = [];
+    const where = [];
+    const param = (value) => `$${params.push(value)}`;
+
+    if (q) where.push(`u.email ILIKE ${param(`%${q.replace(/[\\%_]/g, '\\$&')}%`)}`);
+    if (status === 'active') where.push('u.disabled_at IS NULL');
+    if (status === 'disabled') where.push('u.disabled_at IS NOT NULL');
+    if (before) where.push(`u.id < ${param(before)}`);
+
+    const result = await db.query(
+        `SELECT u.id, u.email, u.role, u.plan, u.created_at, u.disabled_at, u.quota_reset_at,
+                u.email_verified_at IS NOT NULL AS email_verified,
+                (SELECT COUNT(*)::int FROM projects p WHERE p.user_id = u.id) AS project_count,
+                (SELECT COUNT(*)::int FROM ai_usage a
+                 WHERE a.user_id = u.id AND a.kind = 'script' AND a.outcome <> 'failed'
+                   AND a.created_at >= date_trunc('month', LOCALTIMESTAMP)) AS month_script,
+                (SELECT COALESCE(SUM(a.images), 0)::int FROM ai_usage a
+                 WHERE a.user_id = u.id AND a.created_at >= date_trunc('month', LOCALTIMESTAMP)) AS month_image
+         FROM users u
+         ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY u.id DESC
+         LIMIT ${param(limit + 1)}`,
+        params
+    );
+
+    const { rows, next } = page(result.rows, limit);
+    return { users: rows, next };
+}
+
+// One user with their quota status and number of active sessions, or null
+export async function getUser(userId) {
+    const result = await db.query(
+        `SELECT u.id, u.email, u.role, u.plan, u.created_at, u.disabled_at, u.quota_reset_at,
+                u.email_verified_at IS NOT NULL AS email_verified,
+                (SELECT COUNT(DISTINCT family_id)::int FROM refresh_tokens t
+                 WHERE t.user_id = u.id AND t.revoked_at IS NULL AND t.expires_at > NOW()) AS active_sessions
+         FROM users u WHERE u.id = $1`,
+        [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user) return null;
+
+    const { periods } = await getQuotaStatus(user.id);
+    return { ...user, quota: periods };
+}
+
+// Every project the user is a member of, with their role on it
+export async function listUserProjects(userId) {
+    const result = await db.query(
+        `SELECT p.id, p.title, p.created_at, p.updated_at, m.role, o.email AS owner_email,
+                (SELECT COUNT(*)::int FROM scenes s WHERE s.project_id = p.id) AS scene_count
+         FROM project_members m
+         JOIN projects p ON p.id = m.project_id
+         JOIN users o ON o.id = p.user_id
+         WHERE m.user_id = $1
+         ORDER BY COALESCE(p.updated_at, p.created_at) DESC, p.id DESC`,
+        [userId]
+    );
+    return result.rows;
+}
+
+// Disabling signs the user out everywhere: their sessions are revoked, the
+// auth middleware refuses access tokens already issued and open
+// collaboration sockets are closed. Returns the updated user, or null.
+export async function setUserDisabled(userId, disabled) {
+    const result = await db.query(
+        `UPDATE users SET disabled_at = CASE WHEN $2 THEN COALESCE(disabled_at, NOW()) END
+         WHERE id = $1
+         RETURNING id, email, role, plan, disabled_at`,
+        [userId, disabled]
+    );
+
+    const user = result.rows[0];
+    if (user && disabled) {
+        await revokeAllSessions(user.id);
+        disconnectUser(user.id);
+    }
+    return user ?? null;
+}
+
+// Starts the user's quotas afresh from now. Returns their new quota status,
+// or null when there is no such user.
+export async function resetQuota(userId) {
+    const result = await db.query('UPDATE users SET quota_reset_at = NOW() WHERE id = $1', [userId]);
+    if (result.rowCount === 0) return null;
+    return getQuotaStatus(userId);
+}
+
+// Failed image jobs newest first, with their project, scene and who asked for
+// them. `resolved` is true when a later job for the same frame succeeded.
+export async function listFailedJobs({ limit, before }) {
+    const params = [];
+    const param = (value) => `$${params.push(value)}`;
+
+    const result = await db.query(
+        `SELECT j.id, j.project_id, j.scene_id, j.shot_id, j.attempts, j.error, j.created_at, j.finished_at,
+                p.title AS project_title, o.email AS owner_email, r.email AS requested_by_email,
+                s.scene_number, s.title AS scene_title,
+                EXISTS (
+                    SELECT 1 FROM image_jobs k
+                    WHERE k.scene_id = j.scene_id AND k.shot_id IS NOT DISTINCT FROM j.shot_id
+                      AND k.id > j.id AND k.status = 'succeeded'
+                ) AS resolved
+         FROM image_jobs j
+         JOIN projects p ON p.id = j.project_id
+         JOIN users o ON o.id = p.user_id
+         JOIN scenes s ON s.id = j.scene_id
+         LEFT JOIN users r ON r.id = j.requested_by
+         WHERE j.status = 'failed'${before ? ` AND j.id < ${param(before)}` : ''}
+         ORDER BY j.id DESC
+         LIMIT ${param(limit + 1)}`,
+        params
+    );
+
+    const { rows, next } = page(result.rows, limit);
+    return { jobs: rows, next };
+}
+
+// AI usage across all users for the last `days` days: a row per day (days
+// without usage included), totals per provider and model, and the heaviest
+// users.
+export async function usageSummary(days) {
+    const since = `date_trunc('day', LOCALTIMESTAMP) - ($1::int - 1) * INTERVAL '1 day'`;
+
+    const [daily, models, users] = await Promise.all([
+        db.query(
+            `SELECT to_char(d.day, 'YYYY-MM-DD') AS day,
+                    COUNT(a.id) FILTER (WHERE a.kind = 'script' AND a.outcome <> 'failed')::int AS script,
+                    COALESCE(SUM(a.images), 0)::int AS image,
+                    COALESCE(SUM(a.input_tokens), 0)::int AS input_tokens,
+                    COALESCE(SUM(a.output_tokens), 0)::int AS output_tokens,
+                    COUNT(a.id) FILTER (WHERE a.outcome <> 'succeeded')::int AS failed,
+                    COUNT(DISTINCT a.user_id)::int AS users
+             FROM generate_series(${since}, date_trunc('day', LOCALTIMESTAMP), INTERVAL '1 day') AS d(day)
+             LEFT JOIN ai_usage a ON a.created_at >= d.day AND a.created_at < d.day + INTERVAL '1 day'
+             GROUP BY d.day
+             ORDER BY d.day`,
+            [days]
+        ),
+        db.query(
+            `SELECT kind, provider, model,
+                    COUNT(*)::int AS operations,
+                    SUM(requests)::int AS requests,
+                    SUM(images)::int AS images,
+                    COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+                    COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+                    COUNT(*) FILTER (WHERE outcome <> 'succeeded')::int AS failed
+             FROM ai_usage
+             WHERE created_at >= ${since}
+             GROUP BY kind, provider, model
+             ORDER BY operations DESC`,
+            [days]
+        ),
+        db.query(
+            `SELECT a.user_id, u.email, u.plan,
+                    COUNT(*) FILTER (WHERE a.kind = 'script' AND a.outcome <> 'failed')::int AS script,
+                    SUM(a.images)::int AS image,
+                    (COALESCE(SUM(a.input_tokens), 0) + COALESCE(SUM(a.output_tokens), 0))::int AS tokens
+             FROM ai_usage a
+             JOIN users u ON u.id = a.user_id
+             WHERE a.created_at >= ${since}
+             GROUP BY a.user_id, u.email, u.plan
+             ORDER BY image DESC, script DESC
+             LIMIT 10`,
+            [days]
+        )
+    ]);
+
+    return { daily: daily.rows, models: models.rows, users: users.rows };
+}
@@ -1,84 +1,294 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import axios from 'axios';
 import dotenv from 'dotenv';
+import { getScriptProvider, getImageProvider } from './providers/index.js';
+import { resolveStyle } from './stylePresets.js';
+import { recordUsage } from './usage.js';
+import {
+    parseScript, parseRefinement, repairJson, ScriptValidationError, TIMES_OF_DAY, SHOT_TYPES, CAMERA_ANGLES, CAMERA_MOVEMENTS
+} from './scriptSchema.js';
 dotenv.config();
 
-async function generateScript(input) {
-    if (!process.env.GEMINI_API_KEY) {
-        throw new Error("GEMINI_API_KEY is missing.");
-    }
+// How many times the model is asked for a script before giving up. Every
+// retry includes the validation errors of the previous response.
+const SCRIPT_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.SCRIPT_MAX_ATTEMPTS || '3', 10));
 
-    try {
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-        const prompt = `
+// Extra requirement when the script should come broken down into shots
+const SHOTS_REQUIREMENT = `
+        - Each scene also has "shots": an array of 2 to 6 shots that storyboard the scene in order. Each shot has: description (string, what the frame shows), shot_size (one of ${SHOT_TYPES.join(', ')}), camera_angle (one of ${CAMERA_ANGLES.join(', ')}), lens (string, e.g. "35mm"), camera_movement (one of ${CAMERA_MOVEMENTS.join(', ')}), duration_seconds (int) and image_prompt (string, written like the scene's).`;
+
+function scriptPrompt(input, { shots = false } = {}) {
+    return `
         You are a professional screenwriter. Convert the following user idea into a structured movie script JSON.
         User Idea: "${input}"
 
         Requirements:
-        - Return ONLY a valid JSON array of objects.
-        - Each object must have: scene_number (int), title (string), location (string), description (string), action (string), mood (string), and image_prompt (string).
-        - The 'image_prompt' should be a detailed visual description suitable for an AI image generator (Stable Diffusion/DALL-E), describing the scene vividly.
+        - Return ONLY a valid JSON object with the keys "characters", "locations" and "scenes".
+        - "characters" is an array of { name (string), description (string) } for every character who appears on screen. The description is a canonical visual description (age, build, face, hair, wardrobe, distinguishing features) that must stay identical in every frame.
+        - "locations" is an array of { name (string), description (string) } with a canonical visual description of each setting.
+        - "scenes" is an array of objects. Each object must have: scene_number (int), title (string), location (string, exactly the name of one entry in "locations"), time_of_day (one of ${TIMES_OF_DAY.join(', ')}), description (string), action (string), mood (string), characters (array of names from "characters" who appear in the scene), shot_type (one of ${SHOT_TYPES.join(', ')}), camera_angle (one of ${CAMERA_ANGLES.join(', ')}), duration_seconds (int, estimated screen time of the scene) and image_prompt (string).
+        - The 'image_prompt' should be a detailed visual description suitable for an AI image generator (Stable Diffusion/DALL-E), describing the scene vividly. Focus on composition, action, camera and lighting; the character and location descriptions are added automatically.${shots ? SHOTS_REQUIREMENT : ''}
         - Do not include markdown code blocks like \`\`\`json. Just the raw JSON.
         `;
+}
+
+// Tracks one AI operation across its provider requests and adds it to the
+// usage ledger when it ends. `usage` is { userId, projectId } of the caller,
+// with the reservationId of the quota the request reserved, if any.
+function meter(provider, kind, task, usage = {}) {
+    const entry = { ...usage, kind, task, provider: provider.name, requests: 0 };
+    const add = (key, n) => {
+        if (Number.isFinite(n)) entry[key] = (entry[key] || 0) + n;
+    };
+
+    return {
+        async call(request) {
+            entry.requests++;
+            const response = await request();
+            entry.model = response.model || entry.model;
+            add('inputTokens', response.usage?.inputTokens);
+            add('outputTokens', response.usage?.outputTokens);
+            return response;
+        },
+        finish: (outcome, extra = {}) => recordUsage({ ...entry, ...extra, outcome })
+    };
+}
+
+function retryPrompt(prompt, previous, errors) {
+    return `${prompt}
+        Your previous response was rejected because it did not match the required format:
+        ${errors.slice(0, 20).map(e => `- ${e.path || 'response'} ${e.message}`).join('\n        ')}
+
+        Previous response:
+        ${previous.slice(0, 6000)}
+
+        Return the complete corrected JSON object.
+        `;
+}
+
+// Returns a validated { characters, locations, scenes }. With `shots`, each
+// scene comes with a shot breakdown in scene.shots. Throws a
+// ScriptValidationError (code SCRIPT_INVALID) when the model still produces
+// an invalid script after SCRIPT_MAX_ATTEMPTS. `usage` says who the
+// operation is recorded against, as in meter().
+async function generateScript(input, { shots = false, usage } = {}) {
+    const provider = getScriptProvider();
+    const metered = meter(provider, 'script', 'script', usage);
+    let prompt = scriptPrompt(input, { shots });
+    let errors = [];
+
+    try {
+        for (let attempt = 1; attempt <= SCRIPT_MAX_ATTEMPTS; attempt++) {
+            const { text } = await metered.call(() => provider.generateText(prompt, { task: 'script', input, shots, attempt }));
+            const result = parseScript(text);
+            if (result.script) {
+                await metered.finish('succeeded');
+                return result.script;
+            }
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-        return JSON.parse(cleanText);
+            errors = result.errors;
+            console.warn(`Script from ${provider.name} failed validation (attempt ${attempt}/${SCRIPT_MAX_ATTEMPTS}): ${errors.length} error(s)`);
+            prompt = retryPrompt(scriptPrompt(input, { shots }), String(text), errors);
+        }
     } catch (error) {
-        console.error("Error generating script with Gemini:", error);
+        console.error(`Error generating script with ${provider.name}:`, error);
+        await metered.finish('failed', { error: error.message });
         throw error;
     }
+
+    await metered.finish('invalid', { error: `${errors.length} validation error(s)` });
+    throw new ScriptValidationError(errors);
+}
+
+// The project's scenes as the model sees them when asked for changes. Long
+// text is cut so a big project still fits in the prompt.
+function storyContext(scenes) {
+    return scenes.map(scene => JSON.stringify({
+        scene_number: scene.scene_number,
+        title: scene.title,
+        int_ext: scene.int_ext,
+        location: scene.location,
+        time_of_day: scene.time_of_day,
+        description: scene.description?.slice(0, 400),
+        action: scene.action?.slice(0, 800),
+        mood: scene.mood,
+        dialogue: (scene.dialogue || []).slice(0, 12).map(({ character, parenthetical, text }) => ({ character, parenthetical, text }))
+    })).join('\n        ');
 }
 
-async function generateImage(prompt) {
-    const modelId = process.env.HF_MODEL_ID || "stabilityai/stable-diffusion-xl-base-1.0";
-    const token = process.env.HF_API_KEY?.trim();
-    if (!token) {
-        throw new Error("HF_API_KEY is missing.");
+function refineTask({ kind, scene, instructions, tone, count, after }, sceneCount) {
+    const extra = instructions ? ` Instructions: "${instructions}".` : '';
+    switch (kind) {
+        case 'rewrite':
+            return `Rewrite scene ${scene.scene_number}.${extra} Return exactly 1 scene.`;
+        case 'tone':
+            return scene
+                ? `Rewrite scene ${scene.scene_number} to make it ${tone}, keeping what happens in it.${extra} Return exactly 1 scene.`
+                : `Revise the story to make it ${tone}, keeping the plot.${extra} Return only the scenes you change, each with the "scene_number" of the scene it replaces.`;
+        case 'split':
+            return `Split scene ${scene.scene_number} into exactly ${count} consecutive scenes that together cover the same events.${extra} Return exactly ${count} scenes in order.`;
+        case 'insert':
+            return after === 0
+                ? `Write one new scene that comes before scene 1.${extra} Return exactly 1 scene.`
+                : after === sceneCount
+                    ? `Write one new scene that comes after the last scene (${after}).${extra} Return exactly 1 scene.`
+                    : `Write one new scene that goes between scene ${after} and scene ${after + 1}, bridging them.${extra} Return exactly 1 scene.`;
+        case 'continue':
+            return `Continue the story after the last scene with exactly ${count} new scene${count === 1 ? '' : 's'}.${extra} Return exactly ${count} scene${count === 1 ? '' : 's'} in order.`;
     }
+}
+
+function refinePrompt(request, { project, scenes, bible }) {
+    const entries = (kind) => bible.filter(e => e.kind === kind).map(e => e.name).join(', ') || 'none yet';
+
+    return `
+        You are a professional screenwriter revising a storyboard${project.title ? ` called "${project.title}"` : ''}.
+        ${project.original_input ? `Original idea: "${project.original_input.slice(0, 1000)}"` : ''}
+        Known characters: ${entries('character')}
+        Known locations: ${entries('location')}
+
+        Current scenes, one JSON object per line:
+        ${storyContext(scenes) || '(no scenes yet)'}
+
+        Task: ${refineTask(request, scenes.length)}
+
+        Requirements:
+        - Return ONLY a valid JSON object with the keys "summary" (one sentence describing the change) and "scenes".
+        - Each scene must have: title (string), int_ext (one of INT, EXT, INT/EXT), location (string, reuse a known location where it fits), time_of_day (one of ${TIMES_OF_DAY.join(', ')}), description (string), action (string), mood (string), characters (array of names, reusing known characters), dialogue (array of { character, parenthetical, text }, may be empty), shot_type (one of ${SHOT_TYPES.join(', ')}), camera_angle (one of ${CAMERA_ANGLES.join(', ')}), duration_seconds (int) and image_prompt (string).
+        - The 'image_prompt' should be a detailed visual description suitable for an AI image generator, focused on composition, action, camera and lighting.
+        - Stay consistent with the scenes around the change.
+        - Do not include markdown code blocks like \`\`\`json. Just the raw JSON.
+        `;
+}
+
+// How many scenes a refinement must return; null means any number of
+// replacements for existing scenes.
+const expectedScenes = ({ kind, scene, count }) => {
+    if (kind === 'split' || kind === 'continue') return count;
+    if (kind === 'tone' && !scene) return null;
+    return 1;
+};
+
+// Asks the model for changes to a project's story. `request` is
+// { kind, scene, instructions, tone, count, after } and `context` is
+// { project, scenes, bible }. Returns a validated { summary, scenes };
+// nothing is saved. Throws a ScriptValidationError like generateScript.
+async function refineScenes(request, context, { usage } = {}) {
+    const provider = getScriptProvider();
+    const metered = meter(provider, 'script', 'refine', usage);
+    const expect = { count: expectedScenes(request), sceneCount: context.scenes.length };
+    const base = refinePrompt(request, context);
+    let prompt = base;
+    let errors = [];
+
+    const { scene, ...rest } = request;
+    const options = { task: 'refine', request: { ...rest, scene_number: scene?.scene_number ?? null }, scenes: context.scenes };
 
     try {
-        
-        const response = await axios.post(
-            `https://router.huggingface.co/hf-inference/models/${modelId}`,
-            { inputs: prompt },
-            {
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    "Accept": "image/png"
-                },
-                responseType: "arraybuffer",
+        for (let attempt = 1; attempt <= SCRIPT_MAX_ATTEMPTS; attempt++) {
+            const { text } = await metered.call(() => provider.generateText(prompt, { ...options, attempt }));
+            const result = parseRefinement(text, expect);
+            if (result.refinement) {
+                await metered.finish('succeeded');
+                return result.refinement;
             }
-        );
-        const base64Image = Buffer.from(response.data, 'binary').toString('base64');
-        return `data:image/jpeg;base64,${base64Image}`;
 
-    } catch (error) {
-        let errorMessage = `Image generation failed (${modelId})`;
-        if (error.response) {
-            const status = error.response.status;
-            if (status === 402) {
-                errorMessage = `Hugging Face API Error: 402 Payment Required for model ${modelId}.`;
-            }
-            else if (status === 401) {
-                errorMessage = `Hugging Face API Error: 401 Unauthorized. Your HF_API_KEY is invalid.`;
-            }
-            else if (status === 429) {
-                errorMessage = "Hugging Face API Error: 429 Too Many Requests.";
-            }
-            else {
-                errorMessage = `Hugging Face API Error: ${status} - ${error.message}`;
-            }
+            errors = result.errors;
+            console.warn(`Refinement from ${provider.name} failed validation (attempt ${attempt}/${SCRIPT_MAX_ATTEMPTS}): ${errors.length} error(s)`);
+            prompt = retryPrompt(base, String(text), errors);
         }
-        else {
-            errorMessage = `Error connecting to Hugging Face: ${error.message}`;
+    } catch (error) {
+        console.error(`Error refining scenes with ${provider.name}:`, error);
+        await metered.finish('failed', { error: error.message });
+        throw error;
+    }
+
+    await metered.finish('invalid', { error: `${errors.length} validation error(s)` });
+    throw new ScriptValidationError(errors);
+}
+
+// Scenes per request when writing image prompts for an imported screenplay
+const PROMPT_BATCH_SIZE = 20;
+
+function imagePromptsPrompt(scenes) {
+    const list = scenes.map((scene, i) => {
+        const speech = (scene.dialogue || []).slice(0, 4).map(s => `${s.character}: ${s.text}`).join(' / ');
+        return `${i + 1}. ${[scene.int_ext, scene.location, scene.time_of_day].filter(Boolean).join(' ')} | ${(scene.action || '').slice(0, 600)}${speech ? ` | Dialogue: ${speech.slice(0, 300)}` : ''}`;
+    }).join('\n        ');
+
+    return `
+        You are a storyboard artist. For each numbered screenplay scene below, write one image prompt for an AI image generator (Stable Diffusion/DALL-E) that shows the scene's key moment. Focus on composition, action, camera and lighting.
+
+        Scenes:
+        ${list}
+
+        Return ONLY a JSON array of exactly ${scenes.length} strings, one per scene, in the same order. No markdown.
+        `;
+}
+
+// Image prompts for imported scenes, one per scene in order. Scenes the model
+// fails to cover come back as null so the caller can use a template instead.
+// All batches are recorded as one operation.
+async function generateImagePrompts(scenes, { usage } = {}) {
+    const provider = getScriptProvider();
+    const metered = meter(provider, 'script', 'image_prompts', usage);
+    const prompts = [];
+    let answered = false;
+    let lastError = null;
+
+    for (let start = 0; start < scenes.length; start += PROMPT_BATCH_SIZE) {
+        const batch = scenes.slice(start, start + PROMPT_BATCH_SIZE);
+        let parsed = null;
+        try {
+            const { text } = await metered.call(() => provider.generateText(imagePromptsPrompt(batch), { task: 'image_prompts', scenes: batch }));
+            answered = true;
+            parsed = JSON.parse(repairJson(text));
+        } catch (error) {
+            lastError = error.message;
+            console.warn(`Image prompts from ${provider.name} failed for scenes ${start + 1}-${start + batch.length}: ${error.message}`);
         }
-        console.error(errorMessage);
-        throw new Error(errorMessage);
+        batch.forEach((scene, i) => {
+            const prompt = Array.isArray(parsed) ? parsed[i] : null;
+            prompts.push(typeof prompt === 'string' && prompt.trim() ? prompt.trim() : null);
+        });
+    }
+
+    const outcome = prompts.some(Boolean) ? 'succeeded' : answered ? 'invalid' : 'failed';
+    await metered.finish(outcome, { error: lastError });
+    return prompts;
+}
+
+// Appends the canonical descriptions of the scene's bible entries.
+function withBible(prompt, entries) {
+    const describe = (kind) => entries
+        .filter(e => e.kind === kind && e.description)
+        .map(e => `${e.name}: ${e.description}`)
+        .join('; ');
+
+    const characters = describe('character');
+    const locations = describe('location');
+
+    return [
+        prompt,
+        characters && `Characters - ${characters}`,
+        locations && `Setting - ${locations}`
+    ].filter(Boolean).join('. ');
+}
+
+// `style` is a project's style_profile; its preset is appended to the prompt
+// and the remaining parameters are passed through to the provider.
+async function generateImage(prompt, { bible = [], style, usage } = {}) {
+    const provider = getImageProvider();
+    const metered = meter(provider, 'image', 'image', usage);
+    const { promptSuffix, ...options } = resolveStyle(style);
+
+    try {
+        const image = await metered.call(() => provider.generateImage(`${withBible(prompt, bible)}. ${promptSuffix}`, options));
+        await metered.finish('succeeded', { images: 1 });
+        return image;
+    } catch (error) {
+        console.error(error.message);
+        await metered.finish('failed', { error: error.message });
+        throw error;
     }
 }
 
-export { generateScript, generateImage };
+export { generateScript, refineScenes, generateImagePrompts, generateImage };
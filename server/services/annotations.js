@@ -0,0 +1,155 @@
+// Draw-over annotations on scene frames. A layer belongs to one image of a
+// scene, so switching takes shows that take's mark-up. Shapes are stored as
+// vector JSON with coordinates as 0-1 fractions of the 16:9 frame the cards
+// and the PDF show; stroke widths and text sizes are in thousandths of the
+// frame width, so a layer scales with whatever it is drawn on.
+//
+//   { type: 'arrow',  x1, y1, x2, y2, color, width }
+//   { type: 'rect',   x, y, w, h, color, width }
+//   { type: 'stroke', points: [[x, y], ...], color, width }
+//   { type: 'text',   x, y, text, color, size }
+
+export const SHAPE_TYPES = ['arrow', 'rect', 'stroke', 'text'];
+
+const MAX_SHAPES = 200;
+const MAX_POINTS = 1000;
+const MAX_TEXT = 200;
+const WIDTH_RANGE = [1, 20];
+const SIZE_RANGE = [10, 120];
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+// Four decimals is well under a pixel on any frame and keeps the JSON small
+const round = (n) => Math.round(n * 10000) / 10000;
+
+const coordinate = (value, path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+        errors.push({ path, message: 'must be a number between 0 and 1' });
+        return null;
+    }
+    return round(value);
+};
+
+const between = (value, [min, max], path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        errors.push({ path, message: `must be a number between ${min} and ${max}` });
+        return null;
+    }
+    return round(value);
+};
+
+function validateShape(input, path, errors) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ path, message: 'must be an object' });
+        return null;
+    }
+    if (!SHAPE_TYPES.includes(input.type)) {
+        errors.push({ path: `${path}.type`, message: `must be one of: ${SHAPE_TYPES.join(', ')}` });
+        return null;
+    }
+
+    const shape = { type: input.type };
+    if (typeof input.color !== 'string' || !COLOR.test(input.color)) {
+        errors.push({ path: `${path}.color`, message: 'must be a hex color like #ff0000' });
+    } else {
+        shape.color = input.color.toLowerCase();
+    }
+
+    if (input.type === 'text') {
+        shape.x = coordinate(input.x, `${path}.x`, errors);
+        shape.y = coordinate(input.y, `${path}.y`, errors);
+        shape.size = between(input.size, SIZE_RANGE, `${path}.size`, errors);
+        if (typeof input.text !== 'string' || !input.text.trim() || input.text.length > MAX_TEXT) {
+            errors.push({ path: `${path}.text`, message: `must be 1-${MAX_TEXT} characters` });
+        } else {
+            shape.text = input.text.trim();
+        }
+        return shape;
+    }
+
+    shape.width = between(input.width, WIDTH_RANGE, `${path}.width`, errors);
+
+    if (input.type === 'arrow') {
+        for (const key of ['x1', 'y1', 'x2', 'y2']) shape[key] = coordinate(input[key], `${path}.${key}`, errors);
+    } else if (input.type === 'rect') {
+        for (const key of ['x', 'y', 'w', 'h']) shape[key] = coordinate(input[key], `${path}.${key}`, errors);
+    } else if (!Array.isArray(input.points) || input.points.length < 2 || input.points.length > MAX_POINTS) {
+        errors.push({ path: `${path}.points`, message: `must be an array of 2-${MAX_POINTS} [x, y] points` });
+    } else {
+        shape.points = input.points.map((point, i) => {
+            if (!Array.isArray(point) || point.length !== 2) {
+                errors.push({ path: `${path}.points[${i}]`, message: 'must be an [x, y] pair' });
+                return null;
+            }
+            return [coordinate(point[0], `${path}.points[${i}][0]`, errors), coordinate(point[1], `${path}.points[${i}][1]`, errors)];
+        });
+    }
+    return shape;
+}
+
+// Returns { shapes, errors } with errors as { path, message } like the
+// script schema
+export function validateAnnotations(input) {
+    if (!Array.isArray(input)) {
+        return { shapes: null, errors: [{ path: 'shapes', message: 'must be an array' }] };
+    }
+    if (input.length > MAX_SHAPES) {
+        return { shapes: null, errors: [{ path: 'shapes', message: `must have at most ${MAX_SHAPES} shapes` }] };
+    }
+
+    const errors = [];
+    const shapes = input.map((shape, i) => validateShape(shape, `shapes[${i}]`, errors));
+    return { shapes: errors.length > 0 ? null : shapes, errors };
+}
+
+// Every layer in a project, for all takes of every scene
+export async function listAnnotations(client, projectId) {
+    const result = await client.query(
+        `SELECT a.* FROM frame_annotations a
+         JOIN scenes s ON s.id = a.scene_id
+         WHERE s.project_id = $1
+         ORDER BY s.scene_number, a.image_id`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+// The layer for one image of a scene; an image nobody has drawn on yet has
+// an empty layer at version 0
+export async function getAnnotations(client, sceneId, imageId) {
+    const result = await client.query(
+        'SELECT * FROM frame_annotations WHERE scene_id = $1 AND image_id = $2',
+        [sceneId, imageId]
+    );
+    return result.rows[0] || { scene_id: sceneId, image_id: imageId, shapes: [], version: 0, updated_by: null, updated_at: null };
+}
+
+// Replaces the layer. With a `version` the save only applies if the layer is
+// still at that version (0 meaning it does not exist yet); returns null when
+// it is not, including a non-zero version for a layer that does not exist.
+export async function saveAnnotations(client, { sceneId, imageId, shapes, version, userId }) {
+    const result = await client.query(
+        `INSERT INTO frame_annotations (scene_id, image_id, shapes, updated_by)
+         SELECT $1, $2, $3, $4
+         WHERE COALESCE($5::int, 0) = 0
+            OR EXISTS (SELECT 1 FROM frame_annotations WHERE scene_id = $1 AND image_id = $2)
+         ON CONFLICT (scene_id, image_id) DO UPDATE
+             SET shapes = EXCLUDED.shapes, version = frame_annotations.version + 1,
+                 updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+             WHERE $5::int IS NULL OR frame_annotations.version = $5
+         RETURNING *`,
+        [sceneId, imageId, JSON.stringify(shapes), userId, version ?? null]
+    );
+    return result.rows[0] || null;
+}
+
+// A duplicated scene starts with the same mark-up on the same images.
+// Returns the copied layers.
+export async function copyAnnotations(client, fromSceneId, toSceneId) {
+    const result = await client.query(
+        `INSERT INTO frame_annotations (scene_id, image_id, shapes, updated_by)
+         SELECT $2, image_id, shapes, updated_by FROM frame_annotations WHERE scene_id = $1
+         RETURNING *`,
+        [fromSceneId, toSceneId]
+    );
+    return result.rows;
+}
@@ -0,0 +1,100 @@
+// Character and location "bible" for a project. Entries carry a canonical
+// visual description that is injected into the image prompt of every scene
+// they are linked to, so recurring characters look the same across frames.
+
+const key = (kind, name) => `${kind}:${String(name).trim().toLowerCase()}`;
+
+// Entries for a project, each with the ids of the scenes it appears in.
+export async function listBible(client, projectId) {
+    const result = await client.query(
+        `SELECT e.*, ARRAY(
+             SELECT l.scene_id FROM scene_bible_entries l WHERE l.entry_id = e.id ORDER BY l.scene_id
+         ) AS scene_ids
+         FROM bible_entries e
+         WHERE e.project_id = $1
+         ORDER BY e.kind, lower(e.name)`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+export async function entriesForScene(client, sceneId) {
+    const result = await client.query(
+        `SELECT e.* FROM bible_entries e
+         JOIN scene_bible_entries l ON l.entry_id = e.id
+         WHERE l.scene_id = $1
+         ORDER BY e.kind, lower(e.name)`,
+        [sceneId]
+    );
+    return result.rows;
+}
+
+// Replaces the scenes an entry is linked to, ignoring ids from other projects.
+export async function setEntryScenes(client, entry, sceneIds) {
+    await client.query('DELETE FROM scene_bible_entries WHERE entry_id = $1', [entry.id]);
+    await client.query(
+        `INSERT INTO scene_bible_entries (scene_id, entry_id)
+         SELECT s.id, $2 FROM scenes s
+         WHERE s.project_id = $1 AND s.id = ANY($3::int[])`,
+        [entry.project_id, entry.id, sceneIds]
+    );
+}
+
+export async function copySceneEntries(client, fromSceneId, toSceneId) {
+    await client.query(
+        `INSERT INTO scene_bible_entries (scene_id, entry_id)
+         SELECT $2, entry_id FROM scene_bible_entries WHERE scene_id = $1`,
+        [fromSceneId, toSceneId]
+    );
+}
+
+// Saves the characters/locations extracted by generateScript and links them
+// to the inserted scenes by name. `scenes` are the inserted rows, in the same
+// order as `script.scenes`. A script scene may name its bible location in
+// `setting` when `location` says more than the place ("Kitchen - Later").
+export async function saveExtractedBible(client, projectId, script, scenes) {
+    const ids = new Map();
+
+    for (const [kind, list] of [['character', script.characters], ['location', script.locations]]) {
+        for (const entry of list || []) {
+            if (!entry?.name?.trim()) continue;
+            const result = await client.query(
+                `INSERT INTO bible_entries (project_id, kind, name, description)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (project_id, kind, lower(name)) DO UPDATE SET description = EXCLUDED.description
+                 RETURNING id`,
+                [projectId, kind, entry.name.trim(), entry.description || null]
+            );
+            ids.set(key(kind, entry.name), result.rows[0].id);
+        }
+    }
+
+    for (const [index, scene] of script.scenes.entries()) {
+        const linked = new Set(
+            (scene.characters || []).map(name => ids.get(key('character', name))).filter(Boolean)
+        );
+        const location = ids.get(key('location', scene.setting || scene.location || ''));
+        if (location) linked.add(location);
+
+        for (const entryId of linked) {
+            await client.query(
+                'INSERT INTO scene_bible_entries (scene_id, entry_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [scenes[index].id, entryId]
+            );
+        }
+    }
+}
+
+// Links a scene to the project's existing entries named in `characters` and
+// to its location's entry, keeping the links it already has.
+export async function linkEntriesByName(client, projectId, sceneId, { characters = [], location = null }) {
+    await client.query(
+        `INSERT INTO scene_bible_entries (scene_id, entry_id)
+         SELECT $2, e.id FROM bible_entries e
+         WHERE e.project_id = $1
+           AND ((e.kind = 'character' AND lower(e.name) = ANY($3::text[]))
+             OR (e.kind = 'location' AND lower(e.name) = lower($4)))
+         ON CONFLICT DO NOTHING`,
+        [projectId, sceneId, characters.map(name => name.trim().toLowerCase()), location || '']
+    );
+}
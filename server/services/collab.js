@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { WebSocketServer, WebSocket } from 'ws';
+import * as db from '../db.js';
+import { getRole, roleAtLeast } from './projectMembers.js';
+import { listJobs } from './imageJobs.js';
+import { subscribe } from './projectEvents.js';
+
+// Real-time collaboration: one WebSocket room per project. Every project
+// event (job progress, scene edits, reorders, bible changes) is forwarded to
+// the room, along with presence -- who is viewing and which scene each of
+// them is editing. An open edit form is a soft lock: the server refuses a
+// second lock on the same scene, but saves are still guarded by the scene
+// version, not by the lock.
+//
+// Clients connect to /api/projects/:id/ws?token=ACCESS_TOKEN. A bad or
+// expired token closes the socket with 4401 (refresh and reconnect), also
+// when the token runs out while connected; a project the user cannot see, or
+// was removed from, closes it with 4404. Role changes apply to open sockets.
+
+const WS_PATH = /^\/api\/projects\/(\d+)\/ws$/;
+
+const HEARTBEAT_MS = 30 * 1000;
+
+export const CLOSE_UNAUTHORIZED = 4401;
+
+export const CLOSE_NOT_FOUND = 4404;
+
+// projectId -> { clients: Set, unsubscribe }
+const rooms = new Map();
+
+const send = (ws, message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+};
+
+const presence = (room) => [...room.clients].map(c => ({
+    id: c.id, user_id: c.userId, email: c.email, role: c.role, editing: c.editing
+}));
+
+const broadcast = (room, message) => room.clients.forEach(c => send(c.ws, message));
+
+const broadcastPresence = (room) => broadcast(room, { type: 'presence', presence: presence(room) });
+
+// A member's new role, or with role null their removal, published by the
+// member routes
+function applyMembership(room, { user_id, role }) {
+    let changed = false;
+    room.clients.forEach(c => {
+        if (c.userId !== user_id) return;
+        if (!role) return c.ws.close(CLOSE_NOT_FOUND, 'Removed from the project');
+
+        c.role = role;
+        if (!roleAtLeast(role, 'editor')) c.editing = null;
+        send(c.ws, { type: 'role', role });
+        changed = true;
+    });
+    if (changed) broadcastPresence(room);
+}
+
+function forward(room, event) {
+    if (event.type === 'member') return applyMembership(room, event);
+
+    broadcast(room, event);
+
+    // A deleted scene cannot stay locked
+    if (event.type === 'scenes') {
+        const ids = new Set(event.scenes.map(s => s.id));
+        let released = false;
+        room.clients.forEach(c => {
+            if (c.editing !== null && !ids.has(c.editing)) {
+                c.editing = null;
+                released = true;
+            }
+        });
+        if (released) broadcastPresence(room);
+    }
+}
+
+function join(projectId, client) {
+    let room = rooms.get(projectId);
+    if (!room) {
+        room = { clients: new Set() };
+        room.unsubscribe = subscribe(projectId, (event) => forward(room, event));
+        rooms.set(projectId, room);
+    }
+    room.clients.add(client);
+    return room;
+}
+
+function leave(projectId, room, client) {
+    room.clients.delete(client);
+    if (room.clients.size === 0) {
+        room.unsubscribe();
+        rooms.delete(projectId);
+    } else {
+        broadcastPresence(room);
+    }
+}
+
+// The user behind a session token, with the token's expiry in expiresAt, or
+// null if it is missing, expired or invalid or the account is disabled
+async function authenticate(token) {
+    if (!token) return null;
+    try {
+        const { id, exp } = jwt.verify(token, process.env.JWT_SECRET);
+        const result = await db.query('SELECT id, email FROM users WHERE id = $1 AND disabled_at IS NULL', [id]);
+        return result.rows[0] ? { ...result.rows[0], expiresAt: exp ? exp * 1000 : null } : null;
+    } catch {
+        return null;
+    }
+}
+
+// Lock (or with sceneId null, release) a scene for this connection
+async function setEditing(projectId, room, client, sceneId) {
+    if (sceneId === null) {
+        client.editing = null;
+        return broadcastPresence(room);
+    }
+
+    // The role is read again in case it changed on another server
+    client.role = await getRole(db, projectId, client.userId);
+    if (!client.role) return client.ws.close(CLOSE_NOT_FOUND, 'Removed from the project');
+
+    if (!roleAtLeast(client.role, 'editor')) {
+        if (client.editing !== null) {
+            client.editing = null;
+            broadcastPresence(room);
+        }
+        return send(client.ws, { type: 'lock_denied', sceneId, reason: 'Viewers cannot edit scenes' });
+    }
+
+    const holder = [...room.clients].find(c => c !== client && c.editing === sceneId);
+    if (holder) {
+        return send(client.ws, { type: 'lock_denied', sceneId, reason: `${holder.email} is editing this scene`, holder: holder.email });
+    }
+
+    const scene = await db.query('SELECT 1 FROM scenes WHERE id = $1 AND project_id = $2', [sceneId, projectId]);
+    if (scene.rows.length === 0) {
+        return send(client.ws, { type: 'lock_denied', sceneId, reason: 'Scene not found' });
+    }
+
+    client.editing = sceneId;
+    broadcastPresence(room);
+}
+
+async function handleConnection(ws, projectId, token) {
+    const user = await authenticate(token);
+    if (!user) return ws.close(CLOSE_UNAUTHORIZED, 'Invalid or expired token');
+
+    const role = await getRole(db, projectId, user.id);
+    if (!role) return ws.close(CLOSE_NOT_FOUND, 'Project not found');
+
+    const jobs = await listJobs(projectId);
+
+    // The socket may have gone away while we were querying. Nothing below
+    // awaits before the close handler is attached, so leave() always runs.
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    const client = { id: crypto.randomUUID(), ws, userId: user.id, email: user.email, role, editing: null };
+    const room = join(projectId, client);
+
+    // The token was only checked on connect; end the socket when it expires
+    const expiry = user.expiresAt && setTimeout(
+        () => ws.close(CLOSE_UNAUTHORIZED, 'Token expired'),
+        Math.max(0, user.expiresAt - Date.now())
+    );
+
+    send(ws, { type: 'hello', you: client.id, presence: presence(room), jobs });
+    broadcastPresence(room);
+
+    ws.on('message', async (data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return;
+        }
+
+        try {
+            if (message?.type === 'editing') {
+                const sceneId = message.sceneId === null ? null : Number(message.sceneId);
+                if (sceneId !== null && !Number.isInteger(sceneId)) return;
+                await setEditing(projectId, room, client, sceneId);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    });
+
+    ws.on('close', () => {
+        clearTimeout(expiry);
+        leave(projectId, room, client);
+    });
+}
+
+// Ends every connection of a user, e.g. when an admin disables the account.
+// They get 4401, and refreshing the session fails while it stays disabled.
+export function disconnectUser(userId) {
+    rooms.forEach(room => room.clients.forEach(c => {
+        if (c.userId === userId) c.ws.close(CLOSE_UNAUTHORIZED, 'Account disabled');
+    }));
+}
+
+export function attachCollab(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = WS_PATH.exec(url.pathname);
+        if (!match) return socket.destroy();
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            ws.isAlive = true;
+            ws.on('pong', () => { ws.isAlive = true; });
+            ws.on('error', (err) => console.error('WebSocket error:', err.message));
+
+            handleConnection(ws, match[1], url.searchParams.get('token')).catch(err => {
+                console.error(err);
+                ws.close(1011, 'Server Error');
+            });
+        });
+    });
+
+    // Drops connections that stopped answering pings (closed laptops, lost networks)
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    return wss;
+}
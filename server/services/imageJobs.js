@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import * as db from '../db.js';
+import { generateImage } from './aiService.js';
+import { publish } from './projectEvents.js';
+import { saveImage } from './storage/index.js';
+import { entriesForScene } from './bible.js';
+import { recordRevision, recordShotsRevision } from './revisions.js';
+import { releasing } from './usage.js';
+
+const CONCURRENCY = Math.max(1, Number(process.env.IMAGE_JOB_CONCURRENCY) || 2);
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.IMAGE_JOB_MAX_ATTEMPTS) || 4);
+const BACKOFF_MS = Number(process.env.IMAGE_JOB_BACKOFF_MS) || 2000;
+// A running job's lease is renewed every third of this while its worker is
+// alive; other servers re-queue it only once the lease has run out
+const LEASE_MS = Math.max(3000, Number(process.env.IMAGE_JOB_LEASE_MS) || 2 * 60 * 1000);
+
+// Identifies this process in image_jobs.worker_id
+const WORKER_ID = crypto.randomUUID();
+
+let running = 0;
+
+const isRetryable = (error) => error.status === 429 || error.status >= 500;
+
+// Latest job per scene image and per shot, which is what the client renders.
+export async function listJobs(projectId) {
+    const result = await db.query(
+        'SELECT DISTINCT ON (scene_id, shot_id) * FROM image_jobs WHERE project_id = $1 ORDER BY scene_id, shot_id, id DESC',
+        [projectId]
+    );
+    return result.rows;
+}
+
+// Every scene and shot of project $1 that has no image and no job in flight
+const MISSING_IMAGES = `
+    SELECT s.project_id, s.id AS scene_id, NULL::int AS shot_id FROM scenes s
+    WHERE s.project_id = $1 AND s.image_id IS NULL
+      AND NOT EXISTS (
+          SELECT 1 FROM image_jobs j
+          WHERE j.scene_id = s.id AND j.shot_id IS NULL AND j.status IN ('queued', 'running')
+      )
+    UNION ALL
+    SELECT s.project_id, s.id, sh.id FROM shots sh JOIN scenes s ON s.id = sh.scene_id
+    WHERE s.project_id = $1 AND sh.image_id IS NULL
+      AND NOT EXISTS (
+          SELECT 1 FROM image_jobs j
+          WHERE j.shot_id = sh.id AND j.status IN ('queued', 'running')
+      )`;
+
+// How many jobs enqueueProjectImages would queue, for the quota check
+export async function countMissingImages(projectId) {
+    const result = await db.query(`SELECT COUNT(*)::int AS count FROM (${MISSING_IMAGES}) missing`, [projectId]);
+    return result.rows[0].count;
+}
+
+// Queues a job for every scene and every shot that has no image and no
+// job in flight. `requestedBy` is the user whose image quota the jobs use,
+// and `reservationId` the quota reservation they settle, here and in the
+// other enqueue functions.
+export async function enqueueProjectImages(projectId, requestedBy, reservationId = null) {
+    const result = await db.query(
+        `${releasing('$3')}
+         INSERT INTO image_jobs (project_id, scene_id, shot_id, requested_by)
+         SELECT missing.*, $2::int FROM (${MISSING_IMAGES}) missing
+         RETURNING *`,
+        [projectId, requestedBy, reservationId]
+    );
+
+    result.rows.forEach(job => publish(projectId, 'job', { job }));
+    pump();
+    return result.rows;
+}
+
+// Queues a new take for one scene, even if it already has an image.
+// Returns the in-flight job instead if there is one.
+export async function enqueueSceneImage(projectId, sceneId, requestedBy, reservationId = null) {
+    const result = await db.query(
+        `${releasing('$4')}
+         INSERT INTO image_jobs (project_id, scene_id, requested_by)
+         SELECT $1, $2, $3
+         WHERE NOT EXISTS (
+             SELECT 1 FROM image_jobs WHERE scene_id = $2 AND shot_id IS NULL AND status IN ('queued', 'running')
+         )
+         RETURNING *`,
+        [projectId, sceneId, requestedBy, reservationId]
+    );
+
+    const job = result.rows[0];
+    if (!job) {
+        const inFlight = await db.query(
+            "SELECT * FROM image_jobs WHERE scene_id = $1 AND shot_id IS NULL AND status IN ('queued', 'running') ORDER BY id DESC LIMIT 1",
+            [sceneId]
+        );
+        return inFlight.rows[0];
+    }
+
+    publish(projectId, 'job', { job });
+    pump();
+    return job;
+}
+
+// Queues a new frame for one shot, like enqueueSceneImage.
+export async function enqueueShotImage(projectId, shot, requestedBy, reservationId = null) {
+    const result = await db.query(
+        `${releasing('$5')}
+         INSERT INTO image_jobs (project_id, scene_id, shot_id, requested_by)
+         SELECT $1, $2, $3, $4
+         WHERE NOT EXISTS (
+             SELECT 1 FROM image_jobs WHERE shot_id = $3 AND status IN ('queued', 'running')
+         )
+         RETURNING *`,
+        [projectId, shot.scene_id, shot.id, requestedBy, reservationId]
+    );
+
+    const job = result.rows[0];
+    if (!job) {
+        const inFlight = await db.query(
+            "SELECT * FROM image_jobs WHERE shot_id = $1 AND status IN ('queued', 'running') ORDER BY id DESC LIMIT 1",
+            [shot.id]
+        );
+        return inFlight.rows[0];
+    }
+
+    publish(projectId, 'job', { job });
+    pump();
+    return job;
+}
+
+export async function retryJob(projectId, jobId, requestedBy, reservationId = null) {
+    const result = await db.query(
+        `${releasing('$4')}
+         INSERT INTO image_jobs (project_id, scene_id, shot_id, requested_by)
+         SELECT project_id, scene_id, shot_id, $3 FROM image_jobs
+         WHERE id = $1 AND project_id = $2 AND status = 'failed'
+         RETURNING *`,
+        [jobId, projectId, requestedBy, reservationId]
+    );
+
+    const job = result.rows[0];
+    if (job) {
+        publish(projectId, 'job', { job });
+        pump();
+    }
+    return job;
+}
+
+async function claimNextJob() {
+    const result = await db.query(
+        `UPDATE image_jobs
+         SET status = 'running', started_at = NOW(), attempts = attempts + 1,
+             worker_id = $1, locked_until = NOW() + $2 * INTERVAL '1 millisecond'
+         WHERE id = (
+             SELECT id FROM image_jobs
+             WHERE status = 'queued' AND run_after <= NOW()
+             ORDER BY run_after, id
+             FOR UPDATE SKIP LOCKED
+             LIMIT 1
+         )
+         RETURNING *`,
+        [WORKER_ID, LEASE_MS]
+    );
+    return result.rows[0];
+}
+
+async function renewLease(job) {
+    await db.query(
+        `UPDATE image_jobs SET locked_until = NOW() + $1 * INTERVAL '1 millisecond'
+         WHERE id = $2 AND status = 'running' AND worker_id = $3`,
+        [LEASE_MS, job.id, WORKER_ID]
+    );
+}
+
+// Puts back running jobs whose worker stopped renewing their lease. Jobs
+// from before leases existed have none and count as expired.
+async function requeueExpiredJobs() {
+    const result = await db.query(
+        `UPDATE image_jobs SET status = 'queued', run_after = NOW(), worker_id = NULL, locked_until = NULL
+         WHERE status = 'running' AND (locked_until IS NULL OR locked_until < NOW())
+         RETURNING *`
+    );
+    result.rows.forEach(job => publish(job.project_id, 'job', { job }));
+    return result.rowCount;
+}
+
+// Both only touch the job while this worker still holds it. Once its lease
+// has run out it may have been re-queued and claimed by another worker, and
+// then they return nothing and the stale result is dropped.
+async function finishJob(job, status, error = null, client = db) {
+    const result = await client.query(
+        `UPDATE image_jobs SET status = $1, error = $2, finished_at = NOW(), locked_until = NULL
+         WHERE id = $3 AND status = 'running' AND worker_id = $4 RETURNING *`,
+        [status, error, job.id, WORKER_ID]
+    );
+    return result.rows[0];
+}
+
+async function requeueJob(job, error) {
+    const delay = BACKOFF_MS * 2 ** (job.attempts - 1) * (0.75 + Math.random() / 2);
+    const result = await db.query(
+        `UPDATE image_jobs SET status = 'queued', error = $1, run_after = NOW() + $2 * INTERVAL '1 millisecond',
+             worker_id = NULL, locked_until = NULL
+         WHERE id = $3 AND status = 'running' AND worker_id = $4 RETURNING *`,
+        [error, Math.round(delay), job.id, WORKER_ID]
+    );
+    if (result.rows.length > 0) setTimeout(pump, delay + 50);
+    return result.rows[0];
+}
+
+// The shot's own prompt (or the scene's) with its camera setup spelled out
+function shotPrompt(shot, scene) {
+    return [
+        shot.image_prompt || scene.image_prompt,
+        shot.description,
+        shot.shot_size && `${shot.shot_size.toLowerCase()} shot`,
+        shot.camera_angle?.toLowerCase(),
+        shot.lens && `${shot.lens} lens`,
+        shot.camera_movement && shot.camera_movement !== 'STATIC' && `camera ${shot.camera_movement.toLowerCase()}`
+    ].filter(Boolean).join(', ');
+}
+
+async function runJob(job) {
+    const heartbeat = setInterval(() => {
+        renewLease(job).catch(err => console.error(`Failed to renew lease of image job ${job.id}: ${err.message}`));
+    }, LEASE_MS / 3);
+
+    try {
+        const sceneResult = await db.query('SELECT * FROM scenes WHERE id = $1', [job.scene_id]);
+        const scene = sceneResult.rows[0];
+
+        let shot = null;
+        if (scene && job.shot_id) {
+            shot = (await db.query('SELECT * FROM shots WHERE id = $1', [job.shot_id])).rows[0];
+        }
+        // Deleted while queued: nothing to generate, but the job must not stay running
+        if (!scene || (job.shot_id && !shot)) {
+            const done = await finishJob(job, 'failed', `${scene ? 'Shot' : 'Scene'} was deleted`);
+            if (done) publish(job.project_id, 'job', { job: done });
+            return;
+        }
+        const prompt = shot ? shotPrompt(shot, scene) : scene.image_prompt;
+
+        const project = await db.query('SELECT style_profile FROM projects WHERE id = $1', [scene.project_id]);
+        const bible = await entriesForScene(db, scene.id);
+        const { data, model } = await generateImage(prompt, {
+            bible,
+            style: project.rows[0]?.style_profile,
+            usage: { userId: job.requested_by, projectId: job.project_id }
+        });
+        const image = await saveImage(data);
+
+        // The job is finished in the same transaction as the take, so a
+        // worker that lost its lease adds nothing
+        const outcome = await db.transaction(async (client) => {
+            const done = await finishJob(job, 'succeeded', null, client);
+            if (!done) return null;
+
+            // Keep every result as a take and make the newest one active
+            const take = await client.query(
+                'INSERT INTO scene_images (scene_id, shot_id, image_id, prompt, model) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+                [scene.id, shot?.id ?? null, image.id, prompt, model]
+            );
+
+            if (shot) {
+                const result = await client.query('UPDATE shots SET image_id = $1 WHERE id = $2 RETURNING *', [image.id, shot.id]);
+                if (result.rows.length > 0) await recordShotsRevision(client, scene.id, null);
+                return { job: done, shot: result.rows[0], take: take.rows[0] };
+            }
+
+            const result = await client.query(
+                'UPDATE scenes SET image_id = $1 WHERE id = $2 RETURNING *',
+                [image.id, scene.id]
+            );
+            if (result.rows.length > 0) await recordRevision(client, result.rows[0], 'image', null);
+            return { job: done, scene: result.rows[0], take: take.rows[0] };
+        });
+
+        if (outcome) publish(job.project_id, 'job', outcome);
+    } catch (err) {
+        console.error(`Image job ${job.id} (scene ${job.scene_id}${job.shot_id ? `, shot ${job.shot_id}` : ''}) failed: ${err.message}`);
+
+        const next = isRetryable(err) && job.attempts < MAX_ATTEMPTS
+            ? await requeueJob(job, err.message)
+            : await finishJob(job, 'failed', err.message);
+        if (next) publish(job.project_id, 'job', { job: next });
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// Starts as many queued jobs as the concurrency limit allows.
+async function pump() {
+    while (running < CONCURRENCY) {
+        running++;
+        let job;
+        try {
+            job = await claimNextJob();
+        } catch (err) {
+            console.error('Failed to claim image job:', err.message);
+        }
+
+        if (!job) {
+            running--;
+            return;
+        }
+
+        runJob(job)
+            .catch(err => console.error(`Image job ${job.id} could not be finalised: ${err.message}`))
+            .finally(() => {
+                running--;
+                pump();
+            });
+    }
+}
+
+// Re-queues jobs whose worker died and starts working through the queue.
+// Jobs other live instances are running keep their lease and are left alone.
+export async function startImageWorker() {
+    try {
+        await requeueExpiredJobs();
+        // Backed-off jobs are also picked up by a periodic sweep, in case the
+        // timer belonged to another server instance; the sweep also recovers
+        // jobs from instances that stopped.
+        setInterval(() => {
+            requeueExpiredJobs()
+                .catch(err => console.error('Failed to re-queue expired image jobs:', err.message))
+                .finally(pump);
+        }, 30 * 1000).unref();
+        pump();
+    } catch (err) {
+        console.error('Failed to start image worker:', err.message);
+    }
+}
@@ -0,0 +1,7 @@
+// Prints messages to the server log. The default, so verification and reset
+// links are usable without any mail setup.
+export const name = 'console';
+
+export async function send({ from, to, subject, text }) {
+    console.log(`\n--- Mail from ${from} to ${to} ---\nSubject: ${subject}\n\n${text}\n--- End of mail ---\n`);
+}
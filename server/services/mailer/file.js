@@ -0,0 +1,19 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Writes every message as an .eml file to MAIL_DIR, for development and
+// automated runs. The files open in any mail client.
+export const name = 'file';
+
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+export async function send(message) {
+    const dir = path.resolve(process.env.MAIL_DIR || 'storage/mail');
+    await fsp.mkdir(dir, { recursive: true });
+
+    const info = await builder.sendMail(message);
+    const recipient = String(message.to).replace(/[^a-z0-9@._-]+/gi, '_');
+    const file = path.join(dir, `${Date.now()}-${recipient}.eml`);
+    await fsp.writeFile(file, info.message);
+}
@@ -0,0 +1,27 @@
+import * as smtp from './smtp.js';
+import * as file from './file.js';
+import * as consoleTransport from './console.js';
+
+// Transports implement send({ from, to, subject, text, html }).
+const transports = { smtp, file, console: consoleTransport };
+
+export function getTransport() {
+    const key = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+    const transport = transports[key];
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${key}". Expected one of: ${Object.keys(transports).join(', ')}.`);
+    }
+    return transport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+    const transport = getTransport();
+    const from = process.env.MAIL_FROM || 'Sketcha <no-reply@localhost>';
+    await transport.send({ from, to, subject, text, html });
+}
+
+// Base URL for links in emails, pointing at the client app.
+export const appUrl = (pathAndQuery) => {
+    const base = process.env.APP_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+    return `${base.replace(/\/+$/, '')}${pathAndQuery}`;
+};
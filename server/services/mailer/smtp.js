@@ -0,0 +1,28 @@
+import nodemailer from 'nodemailer';
+
+// Any SMTP server, including local stand-ins such as Mailpit or MailHog
+// (SMTP_HOST=localhost SMTP_PORT=1025).
+export const name = 'smtp';
+
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter) {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is missing.');
+        }
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+}
+
+export async function send(message) {
+    await getTransporter().sendMail(message);
+}
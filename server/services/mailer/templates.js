@@ -0,0 +1,45 @@
+import { appUrl } from './index.js';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function layout(paragraphs, link, label) {
+    const text = [...paragraphs, '', `${label}: ${link}`].join('\n');
+    const html = `${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('')}`
+        + `<p><a href="${escapeHtml(link)}">${escapeHtml(label)}</a></p>`;
+    return { text, html };
+}
+
+export function verifyEmail(token, hours) {
+    return {
+        subject: 'Confirm your Sketcha email address',
+        ...layout([
+            'Welcome to Sketcha!',
+            `Please confirm your email address. The link is valid for ${hours} hours.`
+        ], appUrl(`/auth?verify=${encodeURIComponent(token)}`), 'Confirm email address')
+    };
+}
+
+export function resetPassword(token, minutes) {
+    return {
+        subject: 'Reset your Sketcha password',
+        ...layout([
+            'Someone asked to reset the password for your Sketcha account.',
+            `If it was you, choose a new password within ${minutes} minutes. Otherwise you can ignore this email.`
+        ], appUrl(`/auth?reset=${encodeURIComponent(token)}`), 'Reset password')
+    };
+}
+
+export function projectInvitation(token, { projectTitle, inviterEmail, role, days = 7 }) {
+    const access = role === 'editor' ? 'edit' : 'view';
+    return {
+        subject: `${inviterEmail} shared "${projectTitle}" with you on Sketcha`,
+        ...layout([
+            `${inviterEmail} invited you to ${access} the storyboard "${projectTitle}".`,
+            `Sign in or create a Sketcha account with this email address to accept. The invitation is valid for ${days} days.`
+        ], appUrl(`/invitations/${encodeURIComponent(token)}`), 'Open invitation')
+    };
+}
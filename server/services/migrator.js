@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import * as db from '../db.js';
+
+// Applies the SQL files in server/migrations in order. Files are named
+// NNN_name.up.sql / NNN_name.down.sql; applied versions are recorded in
+// schema_migrations. Each migration runs in its own transaction.
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_xact_lock so two servers starting at the
+// same time do not apply the same migration twice.
+const LOCK_KEY = 72617201;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+async function ensureTable() {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// Every migration on disk, oldest first: { version, name, up, down }.
+export async function loadMigrations() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    const byVersion = new Map();
+
+    for (const file of files) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const entry = byVersion.get(version) || { version, name };
+        if (entry.name !== name) {
+            throw new Error(`Migration ${version} has files with different names (${entry.name}, ${name})`);
+        }
+        entry[direction] = path.join(MIGRATIONS_DIR, file);
+        byVersion.set(version, entry);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    for (const migration of migrations) {
+        if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+    return migrations;
+}
+
+async function appliedVersions(client = db) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Applies pending migrations, up to and including `to` if given.
+// Returns the migrations that were applied.
+export async function migrateUp({ to, log = console.log } = {}) {
+    await ensureTable();
+    const migrations = await loadMigrations();
+    const applied = [];
+
+    for (const migration of migrations) {
+        if (to && Number(migration.version) > Number(to)) break;
+
+        const sql = await fs.readFile(migration.up, 'utf8');
+        const ran = await db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+            if ((await appliedVersions(client)).has(migration.version)) return false;
+
+            await client.query(sql);
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, checksum(sql)]
+            );
+            return true;
+        });
+
+        if (ran) {
+            log(`Applied ${migration.version}_${migration.name}`);
+            applied.push(migration);
+        }
+    }
+    return applied;
+}
+
+// Rolls back the `steps` most recently applied migrations.
+export async function migrateDown({ steps = 1, log = console.log } = {}) {
+    await ensureTable();
+    const migrations = await loadMigrations();
+    const applied = await appliedVersions();
+    const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const migration of targets) {
+        if (!migration.down) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file and cannot be rolled back`);
+        }
+
+        const sql = await fs.readFile(migration.down, 'utf8');
+        await db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+            await client.query(sql);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+
+        log(`Reverted ${migration.version}_${migration.name}`);
+        reverted.push(migration);
+    }
+    return reverted;
+}
+
+// One row per migration on disk (plus any applied ones that are missing),
+// with whether it is applied and whether its file changed since.
+export async function migrationStatus() {
+    await ensureTable();
+    const migrations = await loadMigrations();
+    const applied = await appliedVersions();
+
+    const rows = [];
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        const sql = await fs.readFile(migration.up, 'utf8');
+        rows.push({
+            version: migration.version,
+            name: migration.name,
+            applied: Boolean(row),
+            applied_at: row?.applied_at || null,
+            modified: Boolean(row) && row.checksum !== checksum(sql)
+        });
+        applied.delete(migration.version);
+    }
+    for (const row of applied.values()) {
+        rows.push({ version: row.version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
+    }
+    return rows;
+}
@@ -0,0 +1,16 @@
+import { EventEmitter } from 'events';
+
+// In-process pub/sub for per-project updates (job progress, scene changes).
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (projectId) => `project:${projectId}`;
+
+export function publish(projectId, type, payload = {}) {
+    emitter.emit(channel(projectId), { type, ...payload });
+}
+
+export function subscribe(projectId, listener) {
+    emitter.on(channel(projectId), listener);
+    return () => emitter.off(channel(projectId), listener);
+}
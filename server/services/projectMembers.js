@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import * as db from '../db.js';
+
+// Project roles, weakest first. A role can do everything the ones before it can.
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles that can be handed out; ownership is not transferable here.
+export const INVITABLE_ROLES = ['editor', 'viewer'];
+
+export const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const roleAtLeast = (role, minimum) => ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The user's role on a project, or null when they are not a member.
+export async function getRole(client, projectId, userId) {
+    const result = await client.query(
+        'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
+        [projectId, userId]
+    );
+    return result.rows[0]?.role ?? null;
+}
+
+export async function addMember(client, projectId, userId, role) {
+    await client.query(
+        `INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role
+         WHERE project_members.role <> 'owner'`,
+        [projectId, userId, role]
+    );
+}
+
+export async function listMembers(projectId) {
+    const result = await db.query(
+        `SELECT m.user_id, u.email, m.role, m.added_at
+         FROM project_members m JOIN users u ON u.id = m.user_id
+         WHERE m.project_id = $1
+         ORDER BY array_position(ARRAY['owner', 'editor', 'viewer']::varchar[], m.role), u.email`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+export async function listInvitations(projectId) {
+    const result = await db.query(
+        `SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.email AS invited_by_email
+         FROM project_invitations i LEFT JOIN users u ON u.id = i.invited_by
+         WHERE i.project_id = $1 AND i.expires_at > NOW()
+         ORDER BY i.created_at`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+// Creates (or renews) the invitation for `email`; earlier links for the same
+// address stop working. Returns { invitation, token }.
+export async function createInvitation(projectId, email, role, invitedBy) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const result = await db.query(
+        `INSERT INTO project_invitations (project_id, email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 millisecond')
+         ON CONFLICT (project_id, email) DO UPDATE
+             SET role = EXCLUDED.role, token_hash = EXCLUDED.token_hash, invited_by = EXCLUDED.invited_by,
+                 expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP
+         RETURNING id, email, role, expires_at, created_at`,
+        [projectId, email.toLowerCase(), role, hashToken(token), invitedBy, INVITATION_TTL_MS]
+    );
+    return { invitation: result.rows[0], token };
+}
+
+// Looks up a live invitation with its project title and inviter, or null.
+export async function findInvitation(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const result = await db.query(
+        `SELECT i.*, p.title AS project_title, u.email AS invited_by_email
+         FROM project_invitations i
+         JOIN projects p ON p.id = i.project_id
+         LEFT JOIN users u ON u.id = i.invited_by
+         WHERE i.token_hash = $1 AND i.expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    return result.rows[0] || null;
+}
+
+// Turns the invitation into a membership for `user`, whose email must match
+// the invited address. Returns { project_id, role }, or null if the
+// invitation is gone or meant for someone else.
+export async function acceptInvitation(token, user) {
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `DELETE FROM project_invitations
+             WHERE token_hash = $1 AND expires_at > NOW() AND email = LOWER($2)
+             RETURNING project_id, role`,
+            [hashToken(token), user.email]
+        );
+        if (result.rows.length === 0) return null;
+
+        const { project_id, role } = result.rows[0];
+        await addMember(client, project_id, user.id, role);
+        return { project_id, role: await getRole(client, project_id, user.id) };
+    });
+}
@@ -0,0 +1,187 @@
+import * as db from '../db.js';
+
+// The dashboard's project list: full-text search over project_search,
+// filters by tag, folder and role, and keyset pagination. A cursor holds the
+// sort key and id of the last project on the previous page, so pages stay
+// stable while projects are created or edited.
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 30;
+const MAX_QUERY_LENGTH = 200;
+const MAX_SEARCH_TERMS = 10;
+
+// Sort keys are compared as `type` and sent back to the client as text, so
+// timestamps keep their microseconds through the cursor
+export const PROJECT_SORTS = {
+    updated: { expr: 'COALESCE(p.updated_at, p.created_at)', type: 'timestamp', order: 'DESC' },
+    created: { expr: 'p.created_at', type: 'timestamp', order: 'DESC' },
+    title: { expr: 'lower(p.title)', type: 'text', order: 'ASC' },
+    relevance: { expr: "ts_rank(ps.document, to_tsquery('english', $2))", type: 'real', order: 'DESC' }
+};
+
+export const PROJECT_ROLES = ['owner', 'shared'];
+
+// Tags are trimmed, lowercased and de-duplicated. Returns { tags, errors }.
+export function normalizeTags(input, path = 'tags') {
+    const list = typeof input === 'string' ? [input] : input;
+    if (!Array.isArray(list)) {
+        return { tags: null, errors: [{ path, message: 'must be an array of strings' }] };
+    }
+
+    const errors = [];
+    const tags = [];
+    list.forEach((value, i) => {
+        const tag = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').toLowerCase() : null;
+        if (!tag || tag.length > MAX_TAG_LENGTH) {
+            errors.push({ path: `${path}[${i}]`, message: `must be 1-${MAX_TAG_LENGTH} characters` });
+        } else if (!tags.includes(tag)) {
+            tags.push(tag);
+        }
+    });
+    if (tags.length > MAX_TAGS) {
+        errors.push({ path, message: `must have at most ${MAX_TAGS} tags` });
+    }
+    return { tags: errors.length > 0 ? null : tags, errors };
+}
+
+// Every word becomes a prefix match and all of them must appear, so results
+// narrow as the user types. Anything but letters and digits is dropped, which
+// keeps to_tsquery from ever seeing its own operators.
+export function toSearchQuery(text) {
+    const terms = (text.match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+    return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+}
+
+export const encodeCursor = (key, id) => Buffer.from(JSON.stringify([key, id])).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const [key, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return typeof key === 'string' && Number.isInteger(id) ? { key, id } : null;
+    } catch {
+        return null;
+    }
+}
+
+// Reads the list options from a query string. Returns { options, errors }
+// with errors as { path, message }.
+export function parseListQuery(query) {
+    const errors = [];
+    const options = { q: null, tags: [], folder: null, role: null, limit: DEFAULT_PAGE_SIZE, cursor: null };
+
+    if (query.q !== undefined) {
+        if (typeof query.q !== 'string' || query.q.length > MAX_QUERY_LENGTH) {
+            errors.push({ path: 'q', message: `must be at most ${MAX_QUERY_LENGTH} characters` });
+        } else {
+            options.q = toSearchQuery(query.q);
+        }
+    }
+
+    options.sort = query.sort ?? (options.q ? 'relevance' : 'updated');
+    if (!Object.hasOwn(PROJECT_SORTS, options.sort)) {
+        errors.push({ path: 'sort', message: `must be one of: ${Object.keys(PROJECT_SORTS).join(', ')}` });
+    } else if (options.sort === 'relevance' && !options.q) {
+        errors.push({ path: 'sort', message: 'relevance needs a search query' });
+    }
+
+    if (query.tag !== undefined) {
+        const { tags, errors: tagErrors } = normalizeTags(query.tag, 'tag');
+        errors.push(...tagErrors);
+        options.tags = tags || [];
+    }
+
+    if (query.folder !== undefined) {
+        if (query.folder === 'none') {
+            options.folder = 'none';
+        } else if (/^\d+$/.test(query.folder)) {
+            options.folder = Number(query.folder);
+        } else {
+            errors.push({ path: 'folder', message: 'must be a folder id or "none"' });
+        }
+    }
+
+    if (query.role !== undefined) {
+        if (!PROJECT_ROLES.includes(query.role)) {
+            errors.push({ path: 'role', message: `must be one of: ${PROJECT_ROLES.join(', ')}` });
+        } else {
+            options.role = query.role;
+        }
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push({ path: 'limit', message: `must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
+        } else {
+            options.limit = limit;
+        }
+    }
+
+    if (query.cursor !== undefined) {
+        options.cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+        if (!options.cursor) errors.push({ path: 'cursor', message: 'is not a cursor from this endpoint' });
+    }
+
+    return { options, errors };
+}
+
+// One page of the user's projects, each with the user's `role` and
+// `folder_id`, the `owner_email`, a `scene_count` and the first scene image
+// as `cover_image_id`. `next_cursor` is null on the last page.
+export async function listProjects(userId, { q, sort, tags, folder, role, limit, cursor }) {
+    const { expr, type, order } = PROJECT_SORTS[sort];
+    // $1 is the user and $2, when searching, the query the relevance sort uses
+    const params = q ? [userId, q] : [userId];
+    const where = [];
+    const param = (value) => `$${params.push(value)}`;
+
+    if (q) where.push(`ps.document @@ to_tsquery('english', $2)`);
+    if (tags.length > 0) where.push(`p.tags @> ${param(tags)}::text[]`);
+    if (folder === 'none') where.push('m.folder_id IS NULL');
+    else if (folder !== null) where.push(`m.folder_id = ${param(folder)}`);
+    if (role === 'owner') where.push(`m.role = 'owner'`);
+    if (role === 'shared') where.push(`m.role <> 'owner'`);
+    if (cursor) {
+        where.push(`(${expr}, p.id) ${order === 'DESC' ? '<' : '>'} (${param(cursor.key)}::${type}, ${param(cursor.id)})`);
+    }
+
+    const result = await db.query(
+        `SELECT p.*, m.role, m.folder_id, u.email AS owner_email,
+                (SELECT COUNT(*)::int FROM scenes s WHERE s.project_id = p.id) AS scene_count,
+                (SELECT s.image_id FROM scenes s
+                 WHERE s.project_id = p.id AND s.image_id IS NOT NULL
+                 ORDER BY s.scene_number LIMIT 1) AS cover_image_id,
+                (${expr})::text AS sort_key
+         FROM projects p
+         JOIN project_members m ON m.project_id = p.id AND m.user_id = $1
+         JOIN users u ON u.id = p.user_id
+         ${q ? 'JOIN project_search ps ON ps.project_id = p.id' : ''}
+         ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY ${expr} ${order}, p.id ${order}
+         LIMIT ${param(limit + 1)}`,
+        params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+        projects: rows.map(({ sort_key, ...project }) => project),
+        next_cursor: result.rows.length > limit ? encodeCursor(last.sort_key, last.id) : null
+    };
+}
+
+// The tags on the user's projects, with how many projects carry each
+export async function listTags(userId) {
+    const result = await db.query(
+        `SELECT tag, COUNT(*)::int AS count
+         FROM projects p
+         JOIN project_members m ON m.project_id = p.id AND m.user_id = $1
+         CROSS JOIN LATERAL unnest(p.tags) AS tag
+         GROUP BY tag
+         ORDER BY tag`,
+        [userId]
+    );
+    return result.rows;
+}
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { solidPng } from '../../utils/png.js';
+
+// Deterministic, offline provider for development, demos and automated runs.
+// The same input always produces the same scenes and the same images.
+export const name = 'fixture';
+
+const MODEL = 'fixture-v1';
+
+const CHARACTERS = [
+    { name: "Alex", description: "woman in her thirties, short black hair, olive skin, worn green field jacket" },
+    { name: "The Stranger", description: "tall man, grey beard, long dark coat, wide-brimmed hat" }
+];
+
+const LOCATIONS = [
+    { name: "City street", description: "narrow rain-slicked street lined with neon shop signs" },
+    { name: "Abandoned warehouse", description: "cavernous brick warehouse, broken skylights, dust in the light" },
+    { name: "Rooftop at dusk", description: "flat concrete rooftop, water tanks, orange sky over the skyline" },
+    { name: "Quiet park", description: "small park with old oak trees, wooden benches and a pond" }
+];
+
+const BEATS = [
+    { title: "Opening", location: "City street", time: "MORNING", mood: "Curious", shot: "WIDE", angle: "EYE LEVEL", duration: 8, characters: ["Alex"], action: "The protagonist is introduced going about an ordinary day." },
+    { title: "Inciting Incident", location: "Abandoned warehouse", time: "NIGHT", mood: "Tense", shot: "MEDIUM", angle: "LOW ANGLE", duration: 12, characters: ["Alex", "The Stranger"], action: "Something unexpected disrupts the routine and demands a choice." },
+    { title: "Confrontation", location: "Rooftop at dusk", time: "DUSK", mood: "Dramatic", shot: "CLOSE-UP", angle: "HIGH ANGLE", duration: 15, characters: ["Alex", "The Stranger"], action: "The protagonist faces the obstacle head on." },
+    { title: "Resolution", location: "Quiet park", time: "DAY", mood: "Hopeful", shot: "EXTREME WIDE", angle: "AERIAL", duration: 10, characters: ["Alex"], action: "The dust settles and a new normal begins." }
+];
+
+// Establishing wide, then closer coverage
+const SHOTS = [
+    { size: 'WIDE', angle: 'EYE LEVEL', lens: '24mm', movement: 'STATIC', share: 0.4, what: 'Establishing view of' },
+    { size: 'MEDIUM', angle: 'EYE LEVEL', lens: '35mm', movement: 'DOLLY IN', share: 0.35, what: 'Moving in on the action in' },
+    { size: 'CLOSE-UP', angle: 'LOW ANGLE', lens: '85mm', movement: 'HANDHELD', share: 0.25, what: 'Reaction close-up in' }
+];
+
+const shotsFor = (beat) => SHOTS.map(shot => ({
+    description: `${shot.what} the ${beat.location.toLowerCase()}.`,
+    shot_size: shot.size,
+    camera_angle: shot.angle,
+    lens: shot.lens,
+    camera_movement: shot.movement,
+    duration_seconds: Math.max(1, Math.round(beat.duration * shot.share)),
+    image_prompt: `Storyboard frame, ${shot.size.toLowerCase()} shot, ${beat.location.toLowerCase()}`
+}));
+
+function scriptFor(input = '', { shots = false } = {}) {
+    const idea = input.trim() || 'an untitled story';
+    return {
+        characters: CHARACTERS,
+        locations: LOCATIONS,
+        scenes: BEATS.map((beat, i) => ({
+            scene_number: i + 1,
+            title: beat.title,
+            location: beat.location,
+            time_of_day: beat.time,
+            description: `${beat.title} of ${idea}.`,
+            action: beat.action,
+            mood: beat.mood,
+            characters: beat.characters,
+            shot_type: beat.shot,
+            camera_angle: beat.angle,
+            duration_seconds: beat.duration,
+            image_prompt: `Storyboard frame, ${beat.location.toLowerCase()}, ${beat.mood.toLowerCase()} mood: ${idea}`,
+            ...(shots && { shots: shotsFor(beat) })
+        }))
+    };
+}
+
+// A stored scene in the shape the model returns
+const asScriptScene = (scene, changes = {}) => ({
+    title: scene.title || 'Untitled',
+    int_ext: scene.int_ext,
+    location: scene.location || 'City street',
+    time_of_day: scene.time_of_day,
+    description: scene.description,
+    action: scene.action || 'Nothing happens yet.',
+    mood: scene.mood,
+    characters: [],
+    dialogue: scene.dialogue || [],
+    shot_type: scene.shot_type,
+    camera_angle: scene.camera_angle,
+    duration_seconds: scene.duration_seconds,
+    image_prompt: scene.image_prompt || `Storyboard frame, ${(scene.location || 'city street').toLowerCase()}`,
+    ...changes
+});
+
+// Marks every change so it is easy to spot: rewrites append the
+// instructions, tone changes set the mood and new scenes are numbered.
+function refinementFor({ kind, scene_number, instructions, tone, count, after }, scenes) {
+    const target = scenes.find(s => s.scene_number === scene_number);
+    const note = instructions ? ` ${instructions}` : '';
+    const beat = (title, i = 0) => {
+        const b = BEATS[i % BEATS.length];
+        return {
+            title, location: b.location, time_of_day: b.time, description: `${title}.`, action: `${b.action}${note}`,
+            mood: b.mood, characters: b.characters, shot_type: b.shot, camera_angle: b.angle, duration_seconds: b.duration,
+            image_prompt: `Storyboard frame, ${b.location.toLowerCase()}: ${title.toLowerCase()}`
+        };
+    };
+
+    switch (kind) {
+        case 'rewrite':
+            return { summary: `Rewrote scene ${scene_number}.`, scenes: [asScriptScene(target, { title: `${target.title} (rewritten)`, action: `${target.action}${note}` })] };
+        case 'tone': {
+            const changed = target ? [target] : scenes;
+            return {
+                summary: `Made the ${target ? 'scene' : 'story'} ${tone}.`,
+                scenes: changed.map(s => asScriptScene(s, { scene_number: s.scene_number, mood: tone, description: `${s.description || s.title} It turns ${tone}.` }))
+            };
+        }
+        case 'split':
+            return {
+                summary: `Split scene ${scene_number} into ${count}.`,
+                scenes: Array.from({ length: count }, (_, i) => asScriptScene(target, { title: `${target.title} (part ${i + 1})` }))
+            };
+        case 'insert':
+            return { summary: `Added a scene after scene ${after}.`, scenes: [beat('Interlude', after)] };
+        case 'continue':
+            return { summary: `Continued the story with ${count} scene(s).`, scenes: Array.from({ length: count }, (_, i) => beat(`Epilogue ${i + 1}`, i)) };
+    }
+}
+
+// Token counts are estimated at four characters per token, so usage
+// accounting has something to show offline
+const reply = (prompt, text) => ({
+    text,
+    model: MODEL,
+    usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) }
+});
+
+export async function generateText(prompt, { task, input, shots, scenes, request } = {}) {
+    if (task === 'script') {
+        return reply(prompt, JSON.stringify(scriptFor(input, { shots }), null, 2));
+    }
+    if (task === 'image_prompts') {
+        const prompts = scenes.map(scene => `Storyboard frame, ${scene.location.toLowerCase()}: ${(scene.action || 'characters talking').slice(0, 80)}`);
+        return reply(prompt, JSON.stringify(prompts));
+    }
+    if (task === 'refine') {
+        return reply(prompt, JSON.stringify(refinementFor(request, scenes), null, 2));
+    }
+    throw new Error(`Fixture provider has no canned response for task "${task}".`);
+}
+
+export async function generateImage(prompt, { width = 1024, height = 576, seed = null } = {}) {
+    const digest = crypto.createHash('sha256').update(`${prompt || ''}|${seed ?? ''}`).digest();
+    // Keep colours in the mid range so the darker border stays visible.
+    const colour = [digest[0], digest[1], digest[2]].map(v => 64 + (v % 160));
+
+    return {
+        data: solidPng(width, height, colour),
+        contentType: 'image/png',
+        model: MODEL
+    };
+}
@@ -0,0 +1,22 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const name = 'gemini';
+
+export async function generateText(prompt) {
+    if (!process.env.GEMINI_API_KEY) {
+        throw new Error("GEMINI_API_KEY is missing.");
+    }
+
+    const model = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+    const response = await result.response;
+
+    const usage = response.usageMetadata;
+
+    return {
+        text: response.text(),
+        model,
+        usage: usage && { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount }
+    };
+}
@@ -0,0 +1,64 @@
+import axios from 'axios';
+
+export const name = 'huggingface';
+
+export async function generateImage(prompt, options = {}) {
+    const modelId = process.env.HF_MODEL_ID || "stabilityai/stable-diffusion-xl-base-1.0";
+    const token = process.env.HF_API_KEY?.trim();
+    if (!token) {
+        throw new Error("HF_API_KEY is missing.");
+    }
+
+    try {
+        const response = await axios.post(
+            `https://router.huggingface.co/hf-inference/models/${modelId}`,
+            {
+                inputs: prompt,
+                parameters: {
+                    negative_prompt: options.negativePrompt || undefined,
+                    width: options.width,
+                    height: options.height,
+                    guidance_scale: options.guidanceScale,
+                    seed: options.seed ?? undefined
+                }
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    "Accept": "image/png"
+                },
+                responseType: "arraybuffer",
+            }
+        );
+
+        return {
+            data: Buffer.from(response.data, 'binary'),
+            contentType: response.headers['content-type'] || 'image/png',
+            model: modelId
+        };
+
+    } catch (error) {
+        let errorMessage = `Image generation failed (${modelId})`;
+        if (error.response) {
+            const status = error.response.status;
+            if (status === 402) {
+                errorMessage = `Hugging Face API Error: 402 Payment Required for model ${modelId}.`;
+            }
+            else if (status === 401) {
+                errorMessage = `Hugging Face API Error: 401 Unauthorized. Your HF_API_KEY is invalid.`;
+            }
+            else if (status === 429) {
+                errorMessage = "Hugging Face API Error: 429 Too Many Requests.";
+            }
+            else {
+                errorMessage = `Hugging Face API Error: ${status} - ${error.message}`;
+            }
+        }
+        else {
+            errorMessage = `Error connecting to Hugging Face: ${error.message}`;
+        }
+        const wrapped = new Error(errorMessage);
+        wrapped.status = error.response?.status;
+        throw wrapped;
+    }
+}
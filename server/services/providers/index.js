@@ -0,0 +1,28 @@
+import * as gemini from './gemini.js';
+import * as huggingface from './huggingface.js';
+import * as local from './local.js';
+import * as fixture from './fixture.js';
+
+// Script providers implement `generateText(prompt, context) -> { text, model, usage }`,
+// where usage is { inputTokens, outputTokens } when the provider reports them.
+// Image providers implement `generateImage(prompt, options) -> { data, contentType, model }`,
+// where options are { negativePrompt, width, height, guidanceScale, seed }.
+const scriptProviders = { gemini, local, fixture };
+const imageProviders = { huggingface, local, fixture };
+
+function pick(registry, configured, fallback, kind) {
+    const key = (configured || process.env.AI_PROVIDER || fallback).trim().toLowerCase();
+    const provider = registry[key];
+    if (!provider) {
+        throw new Error(`Unknown ${kind} provider "${key}". Expected one of: ${Object.keys(registry).join(', ')}.`);
+    }
+    return provider;
+}
+
+export function getScriptProvider() {
+    return pick(scriptProviders, process.env.SCRIPT_PROVIDER, 'gemini', 'script');
+}
+
+export function getImageProvider() {
+    return pick(imageProviders, process.env.IMAGE_PROVIDER, 'huggingface', 'image');
+}
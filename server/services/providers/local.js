@@ -0,0 +1,77 @@
+import axios from 'axios';
+
+// Talks to any server exposing the OpenAI REST surface: Ollama (`/v1`),
+// LocalAI, llama.cpp server, vLLM, LM Studio and so on.
+export const name = 'local';
+
+const baseUrl = () => (process.env.LOCAL_AI_URL || "http://localhost:11434/v1").replace(/\/+$/, '');
+
+const headers = () => process.env.LOCAL_AI_API_KEY
+    ? { Authorization: `Bearer ${process.env.LOCAL_AI_API_KEY}` }
+    : {};
+
+function wrapError(error, what) {
+    const status = error.response?.status;
+    const wrapped = new Error(status
+        ? `Local AI Error: ${status} - ${what} request failed`
+        : `Error connecting to local AI server at ${baseUrl()}: ${error.message}`);
+    wrapped.status = status;
+    return wrapped;
+}
+
+export async function generateText(prompt) {
+    const model = process.env.LOCAL_AI_MODEL || "llama3.1";
+
+    try {
+        const response = await axios.post(
+            `${baseUrl()}/chat/completions`,
+            {
+                model,
+                messages: [{ role: "user", content: prompt }],
+                temperature: 0.7
+            },
+            { headers: headers() }
+        );
+
+        const usage = response.data.usage;
+
+        return {
+            text: response.data.choices[0].message.content,
+            model,
+            usage: usage && { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens }
+        };
+    } catch (error) {
+        throw wrapError(error, 'chat completion');
+    }
+}
+
+export async function generateImage(prompt, options = {}) {
+    const model = process.env.LOCAL_AI_IMAGE_MODEL || "stable-diffusion";
+
+    try {
+        const response = await axios.post(
+            `${baseUrl()}/images/generations`,
+            {
+                model,
+                prompt,
+                n: 1,
+                size: `${options.width || 1024}x${options.height || 1024}`,
+                response_format: "b64_json",
+                // Not part of the OpenAI surface, but honoured by LocalAI and
+                // most Stable Diffusion servers; others ignore them.
+                negative_prompt: options.negativePrompt || undefined,
+                cfg_scale: options.guidanceScale,
+                seed: options.seed ?? undefined
+            },
+            { headers: headers() }
+        );
+
+        return {
+            data: Buffer.from(response.data.data[0].b64_json, 'base64'),
+            contentType: 'image/png',
+            model
+        };
+    } catch (error) {
+        throw wrapError(error, 'image generation');
+    }
+}
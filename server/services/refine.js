@@ -0,0 +1,190 @@
+import * as db from '../db.js';
+import { lockProject, listScenes, insertScene } from './scenes.js';
+import { linkEntriesByName } from './bible.js';
+import { REVISION_FIELDS, sceneData, diffScenes, recordRevisions } from './revisions.js';
+import { validateScene } from './scriptSchema.js';
+
+// AI refinement of a project's story. The model's answer is turned into a
+// proposal — updates to existing scenes and scenes to insert — which the
+// client shows as a diff. Only the changes the user accepts are sent back
+// and saved, each checked against the version the proposal was made from.
+
+export const REFINE_KINDS = ['rewrite', 'tone', 'split', 'insert', 'continue'];
+
+export const MAX_SPLIT = 6;
+export const MAX_CONTINUE = 5;
+const MAX_INSTRUCTIONS = 1000;
+const MAX_TONE = 100;
+const MAX_CHANGES = 60;
+
+// What a refinement may change; the image and position stay as they are
+const FIELDS = REVISION_FIELDS.filter(f => f !== 'scene_number' && f !== 'image_id');
+
+export class RefineConflictError extends Error {
+    constructor(scene) {
+        super('A scene changed since the proposal was made');
+        this.code = 'VERSION_CONFLICT';
+        this.scene = scene;
+    }
+}
+
+const optionalText = (value, path, max, errors) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.trim().length > max) {
+        errors.push({ path, message: `must be a string of at most ${max} characters` });
+        return null;
+    }
+    return value.trim() || null;
+};
+
+const intBetween = (value, path, min, max, errors) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push({ path, message: `must be a whole number between ${min} and ${max}` });
+        return null;
+    }
+    return value;
+};
+
+// Checks a refinement request against the project's scenes. Returns
+// { request: { kind, scene, instructions, tone, count, after }, errors }.
+export function validateRefineRequest(body, scenes) {
+    const errors = [];
+    const { kind } = body || {};
+    if (!REFINE_KINDS.includes(kind)) {
+        return { request: null, errors: [{ path: 'kind', message: `must be one of: ${REFINE_KINDS.join(', ')}` }] };
+    }
+
+    const request = {
+        kind,
+        scene: null,
+        instructions: optionalText(body.instructions, 'instructions', MAX_INSTRUCTIONS, errors),
+        tone: null,
+        count: null,
+        after: null
+    };
+
+    if (body.scene_id !== undefined && body.scene_id !== null) {
+        request.scene = scenes.find(s => s.id === body.scene_id) || null;
+        if (!request.scene) errors.push({ path: 'scene_id', message: 'must be a scene of this project' });
+    } else if (kind === 'rewrite' || kind === 'split') {
+        errors.push({ path: 'scene_id', message: 'is required' });
+    }
+
+    if (kind === 'rewrite' && !request.instructions) {
+        errors.push({ path: 'instructions', message: 'is required' });
+    }
+    if (kind === 'tone') {
+        request.tone = optionalText(body.tone, 'tone', MAX_TONE, errors);
+        if (!request.tone) errors.push({ path: 'tone', message: 'is required' });
+        if (!request.scene && scenes.length === 0) errors.push({ path: 'kind', message: 'needs at least one scene' });
+    }
+    if (kind === 'split') request.count = intBetween(body.count ?? 2, 'count', 2, MAX_SPLIT, errors);
+    if (kind === 'continue') request.count = intBetween(body.count ?? 1, 'count', 1, MAX_CONTINUE, errors);
+    if (kind === 'insert') request.after = intBetween(body.after, 'after', 0, scenes.length, errors);
+
+    return { request, errors };
+}
+
+const update = (before, after) => ({
+    type: 'update',
+    scene_id: before.id,
+    version: before.version,
+    scene_number: before.scene_number,
+    scene: after,
+    changes: diffScenes(sceneData(before), after, FIELDS)
+});
+
+const insert = (position, after) => ({ type: 'insert', position, scene: after, changes: diffScenes(null, after, FIELDS) });
+
+// Turns the model's { summary, scenes } into { kind, summary, changes }.
+// Updates that would change nothing are left out.
+export function buildProposal(request, scenes, { summary, scenes: proposed }) {
+    const { kind, scene } = request;
+    let changes;
+
+    if (kind === 'tone' && !scene) {
+        changes = proposed.map(({ scene_number, ...after }) => update(scenes[scene_number - 1], after));
+    } else if (kind === 'rewrite' || kind === 'tone') {
+        changes = [update(scene, proposed[0])];
+    } else if (kind === 'split') {
+        // The first part keeps the original scene, and with it its image and history
+        changes = [update(scene, proposed[0]), ...proposed.slice(1).map((after, i) => insert(scene.scene_number + i + 1, after))];
+    } else if (kind === 'insert') {
+        changes = [insert(request.after + 1, proposed[0])];
+    } else {
+        changes = proposed.map((after, i) => insert(scenes.length + i + 1, after));
+    }
+
+    return { kind, summary, changes: changes.filter(c => c.type === 'insert' || c.changes.length > 0) };
+}
+
+// Checks the accepted changes sent back by the client. Returns
+// { changes: [{ type, scene_id, version, position, scene }], errors }.
+export function validateChanges(input) {
+    if (!Array.isArray(input) || input.length === 0 || input.length > MAX_CHANGES) {
+        return { changes: null, errors: [{ path: 'changes', message: `must be an array of 1 to ${MAX_CHANGES} changes` }] };
+    }
+
+    const errors = [];
+    const changes = input.map((change, i) => {
+        const path = `changes[${i}]`;
+        const { scene, errors: sceneErrors } = validateScene(change?.scene, { path: `${path}.scene` });
+        errors.push(...sceneErrors);
+
+        if (change?.type === 'update') {
+            if (!Number.isInteger(change.scene_id)) errors.push({ path: `${path}.scene_id`, message: 'must be an integer' });
+            if (!Number.isInteger(change.version)) errors.push({ path: `${path}.version`, message: 'must be an integer' });
+            return { type: 'update', scene_id: change.scene_id, version: change.version, scene };
+        }
+        if (change?.type === 'insert') {
+            if (!Number.isInteger(change.position) || change.position < 1) {
+                errors.push({ path: `${path}.position`, message: 'must be a positive integer' });
+            }
+            return { type: 'insert', position: change.position, scene };
+        }
+        errors.push({ path: `${path}.type`, message: 'must be update or insert' });
+        return null;
+    });
+
+    const ids = changes.filter(c => c?.type === 'update').map(c => c.scene_id);
+    if (new Set(ids).size !== ids.length) errors.push({ path: 'changes', message: 'must update each scene at most once' });
+
+    return errors.length > 0 ? { changes: null, errors } : { changes, errors: [] };
+}
+
+// Saves accepted changes in one transaction: updates first, then inserts in
+// position order so each lands where the proposal put it. Any scene edited
+// since the proposal aborts the whole apply with a RefineConflictError.
+export function applyRefinement(projectId, changes, userId) {
+    return db.transaction(async (client) => {
+        await lockProject(client, projectId);
+
+        const updated = [];
+        for (const { scene_id: sceneId, version, scene } of changes.filter(c => c.type === 'update')) {
+            const values = FIELDS.map(f => (f === 'dialogue' ? JSON.stringify(scene.dialogue) : scene[f]));
+            const result = await client.query(
+                `UPDATE scenes SET ${FIELDS.map((f, i) => `${f} = $${i + 4}`).join(', ')}, version = version + 1
+                 WHERE id = $1 AND project_id = $2 AND version = $3 RETURNING *`,
+                [sceneId, projectId, version, ...values]
+            );
+            if (result.rows.length === 0) {
+                const current = await client.query('SELECT * FROM scenes WHERE id = $1 AND project_id = $2', [sceneId, projectId]);
+                throw new RefineConflictError(current.rows[0] || null);
+            }
+            updated.push(result.rows[0]);
+            await linkEntriesByName(client, projectId, sceneId, scene);
+        }
+
+        const inserted = [];
+        for (const { position, scene } of changes.filter(c => c.type === 'insert').sort((a, b) => a.position - b.position)) {
+            const row = await insertScene(client, projectId, position, scene);
+            inserted.push(row);
+            await linkEntriesByName(client, projectId, row.id, scene);
+        }
+
+        await recordRevisions(client, updated, 'update', userId);
+        await recordRevisions(client, inserted, 'create', userId);
+
+        return { updated, inserted, scenes: await listScenes(client, projectId) };
+    });
+}
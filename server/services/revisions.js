@@ -0,0 +1,296 @@
+import * as db from '../db.js';
+import { lockProject, listScenes, insertScene } from './scenes.js';
+import { sceneShots, SHOT_COLUMNS } from './shots.js';
+
+// Scene history. Every change to a scene records a revision holding the
+// scene's fields afterwards, so the previous revision of the same scene is
+// what it looked like before. Snapshots copy every scene of a project under
+// a name. Restoring either one is itself recorded, so it can be undone.
+// A delete revision also keeps the scene's shots, takes, bible links and
+// annotations, which come back with the scene. Shot changes are revisions of
+// their scene too, with action `shots` and the scene's shot list afterwards
+// in data.shots; restoring one restores the scene's fields, not its shots.
+
+// Fields a revision keeps. scene_number puts a deleted scene back where it was.
+export const REVISION_FIELDS = [
+    'scene_number', 'title', 'int_ext', 'location', 'time_of_day', 'description', 'action', 'mood',
+    'shot_type', 'camera_angle', 'duration_seconds', 'image_prompt', 'image_id', 'dialogue'
+];
+
+// What a restore writes back; a restored scene keeps its current position
+const CONTENT_FIELDS = REVISION_FIELDS.filter(f => f !== 'scene_number');
+
+export const MAX_SNAPSHOT_NAME = 100;
+
+export const sceneData = (scene) => Object.fromEntries(REVISION_FIELDS.map(f => [f, scene[f] ?? null]));
+
+const SHOT_FIELDS = ['id', 'shot_number', ...SHOT_COLUMNS, 'image_id'];
+
+const shotData = (shot) => Object.fromEntries(SHOT_FIELDS.map(f => [f, shot[f] ?? null]));
+
+// Missing, empty and [] all mean "not set"
+const normalize = (value) => (value === '' || (Array.isArray(value) && value.length === 0) ? null : value ?? null);
+
+const same = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// [{ field, from, to }] for every field that differs
+export const diffScenes = (before, after, fields = CONTENT_FIELDS) => fields
+    .filter(f => !same(before?.[f], after[f]))
+    .map(f => ({ field: f, from: before?.[f] ?? null, to: after[f] ?? null }));
+
+export async function touchProject(client, projectId) {
+    await client.query('UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [projectId]);
+}
+
+// `action` is one of create, update, image, reorder, delete, restore.
+// `userId` is null for changes the server makes on its own. `dependents`
+// maps scene ids to what recordDeletions() saved for them.
+export async function recordRevisions(client, scenes, action, userId, dependents = new Map()) {
+    if (scenes.length === 0) return;
+
+    const rows = scenes.map(s => ({
+        project_id: s.project_id, scene_id: s.id, data: sceneData(s), dependents: dependents.get(s.id) ?? null
+    }));
+    await client.query(
+        `INSERT INTO scene_revisions (project_id, scene_id, action, data, dependents, created_by)
+         SELECT (r->>'project_id')::int, (r->>'scene_id')::int, $2, r->'data', NULLIF(r->'dependents', 'null'), $3
+         FROM jsonb_array_elements($1::jsonb) r`,
+        [JSON.stringify(rows), action, userId]
+    );
+    await touchProject(client, scenes[0].project_id);
+}
+
+export const recordRevision = (client, scene, action, userId) => recordRevisions(client, [scene], action, userId);
+
+// Records a change to a scene's shots and returns them
+export async function recordShotsRevision(client, sceneId, userId) {
+    const scene = (await client.query('SELECT * FROM scenes WHERE id = $1', [sceneId])).rows[0];
+    const shots = await sceneShots(client, sceneId);
+    await client.query(
+        `INSERT INTO scene_revisions (project_id, scene_id, action, data, created_by)
+         VALUES ($1, $2, 'shots', $3, $4)`,
+        [scene.project_id, sceneId, JSON.stringify({ ...sceneData(scene), shots: shots.map(shotData) }), userId]
+    );
+    await touchProject(client, scene.project_id);
+    return shots;
+}
+
+// Records the deletion of scenes, with the rows that go with them. Call it
+// before deleting them.
+export async function recordDeletions(client, scenes, userId) {
+    if (scenes.length === 0) return;
+
+    const result = await client.query(
+        `SELECT s.id, jsonb_build_object(
+             'shots', (SELECT COALESCE(jsonb_agg(to_jsonb(sh) ORDER BY sh.shot_number), '[]') FROM shots sh WHERE sh.scene_id = s.id),
+             'takes', (SELECT COALESCE(jsonb_agg(to_jsonb(t) ORDER BY t.id), '[]') FROM scene_images t WHERE t.scene_id = s.id),
+             'bible', (SELECT COALESCE(jsonb_agg(b.entry_id), '[]') FROM scene_bible_entries b WHERE b.scene_id = s.id),
+             'annotations', (SELECT COALESCE(jsonb_agg(to_jsonb(a)), '[]') FROM frame_annotations a WHERE a.scene_id = s.id)
+         ) AS dependents
+         FROM scenes s WHERE s.id = ANY($1::int[])`,
+        [scenes.map(s => s.id)]
+    );
+    const dependents = new Map(result.rows.map(row => [row.id, row.dependents]));
+    await recordRevisions(client, scenes, 'delete', userId, dependents);
+}
+
+// Puts back what the scene's last deletion saved. Bible entries deleted
+// since stay unlinked. Scenes deleted before dependents were kept come back
+// without them. Returns the restored { scene_id, shots, annotations }.
+async function restoreDependents(client, projectId, sceneId) {
+    const revision = await client.query(
+        `SELECT dependents FROM scene_revisions
+         WHERE project_id = $1 AND scene_id = $2 AND action = 'delete'
+         ORDER BY id DESC LIMIT 1`,
+        [projectId, sceneId]
+    );
+    const saved = revision.rows[0]?.dependents;
+    if (!saved) return { scene_id: sceneId, shots: [], annotations: [] };
+
+    await client.query(
+        'INSERT INTO shots SELECT * FROM jsonb_populate_recordset(NULL::shots, $1::jsonb)',
+        [JSON.stringify(saved.shots)]
+    );
+    await client.query(
+        'INSERT INTO scene_images SELECT * FROM jsonb_populate_recordset(NULL::scene_images, $1::jsonb)',
+        [JSON.stringify(saved.takes)]
+    );
+    await client.query(
+        `INSERT INTO scene_bible_entries (scene_id, entry_id)
+         SELECT $1, e.id FROM bible_entries e
+         WHERE e.project_id = $2 AND e.id IN (SELECT jsonb_array_elements_text($3::jsonb)::int)`,
+        [sceneId, projectId, JSON.stringify(saved.bible)]
+    );
+    const annotations = await client.query(
+        `INSERT INTO frame_annotations (scene_id, image_id, shapes, version, updated_by, updated_at)
+         SELECT a.scene_id, a.image_id, a.shapes, a.version, u.id, a.updated_at
+         FROM jsonb_populate_recordset(NULL::frame_annotations, $1::jsonb) a
+         LEFT JOIN users u ON u.id = a.updated_by
+         RETURNING *`,
+        [JSON.stringify(saved.annotations)]
+    );
+    return { scene_id: sceneId, shots: await sceneShots(client, sceneId), annotations: annotations.rows };
+}
+
+// Newest first, each with the fields it changed. `before` is the id of the
+// last revision already shown; pass it back to page through older ones.
+export async function listRevisions(projectId, { sceneId = null, before = null, limit = 50 } = {}) {
+    const result = await db.query(
+        `SELECT r.id, r.scene_id, r.action, r.data, r.previous, r.previous_shots, r.created_at, r.created_by,
+                u.email AS author_email
+         FROM (
+             SELECT r.*, LAG(r.data) OVER (PARTITION BY r.scene_id ORDER BY r.id) AS previous,
+                    LAG(r.data->'shots') OVER (PARTITION BY r.scene_id, r.action = 'shots' ORDER BY r.id) AS previous_shots
+             FROM scene_revisions r WHERE r.project_id = $1
+         ) r
+         LEFT JOIN users u ON u.id = r.created_by
+         WHERE ($2::int IS NULL OR r.scene_id = $2) AND ($3::int IS NULL OR r.id < $3)
+         ORDER BY r.id DESC
+         LIMIT $4`,
+        [projectId, sceneId, before, limit + 1]
+    );
+
+    // Scenes shift position whenever another one is inserted or deleted, so
+    // only a reorder reports scene_number as changed. A shots revision
+    // compares the shot list with the scene's previous one.
+    const changes = ({ action, data }, previous, previousShots) => {
+        if (action === 'delete') return [];
+        if (action === 'shots') return diffScenes({ shots: previousShots }, data, ['shots']);
+        return diffScenes(previous, data, action === 'reorder' ? ['scene_number'] : CONTENT_FIELDS);
+    };
+    const revisions = result.rows.slice(0, limit).map(({ previous, previous_shots, ...revision }) => ({
+        ...revision,
+        changes: changes(revision, previous, previous_shots)
+    }));
+    return {
+        revisions,
+        next: result.rows.length > limit ? revisions[revisions.length - 1].id : null
+    };
+}
+
+// Writes `data` over a scene's fields and bumps its version so open editors
+// see the change as a conflict rather than silently overwriting it.
+async function applySceneData(client, sceneId, data, fields) {
+    const values = fields.map(f => (f === 'dialogue' ? JSON.stringify(data.dialogue ?? []) : data[f] ?? null));
+    const result = await client.query(
+        `UPDATE scenes SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(', ')}, version = version + 1
+         WHERE id = $1 RETURNING *`,
+        [sceneId, ...values]
+    );
+    return result.rows[0];
+}
+
+// Puts one scene back the way it was at a revision. A scene deleted since
+// comes back at its old position with its shots, takes, bible links and
+// annotations, listed in `restored`. Returns null if the revision is unknown.
+export function restoreRevision(projectId, revisionId, userId) {
+    return db.transaction(async (client) => {
+        await lockProject(client, projectId);
+
+        const revision = await client.query(
+            'SELECT * FROM scene_revisions WHERE id = $1 AND project_id = $2',
+            [revisionId, projectId]
+        );
+        if (revision.rows.length === 0) return null;
+        const { scene_id: sceneId, data } = revision.rows[0];
+
+        const existing = await client.query('SELECT id FROM scenes WHERE id = $1 AND project_id = $2', [sceneId, projectId]);
+        const restored = [];
+        let scene;
+        if (existing.rows.length > 0) {
+            scene = await applySceneData(client, sceneId, data, CONTENT_FIELDS);
+        } else {
+            scene = await insertScene(client, projectId, data.scene_number, data, { id: sceneId });
+            restored.push(await restoreDependents(client, projectId, sceneId));
+        }
+
+        await recordRevision(client, scene, 'restore', userId);
+        return { scene, scenes: await listScenes(client, projectId), restored };
+    });
+}
+
+export async function listSnapshots(projectId) {
+    const result = await db.query(
+        `SELECT s.id, s.name, s.created_at, jsonb_array_length(s.scenes) AS scene_count, u.email AS author_email
+         FROM project_snapshots s
+         LEFT JOIN users u ON u.id = s.created_by
+         WHERE s.project_id = $1
+         ORDER BY s.created_at DESC, s.id DESC`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+export async function createSnapshot(client, projectId, name, userId) {
+    const scenes = await listScenes(client, projectId);
+    const result = await client.query(
+        `INSERT INTO project_snapshots (project_id, name, scenes, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, name, created_at, jsonb_array_length(scenes) AS scene_count`,
+        [projectId, name.slice(0, MAX_SNAPSHOT_NAME), JSON.stringify(scenes.map(s => ({ id: s.id, ...sceneData(s) }))), userId]
+    );
+    return result.rows[0];
+}
+
+// Returns the deleted snapshot's id, or null if it is not in the project
+export async function deleteSnapshot(projectId, snapshotId) {
+    const result = await db.query(
+        'DELETE FROM project_snapshots WHERE id = $1 AND project_id = $2 RETURNING id',
+        [snapshotId, projectId]
+    );
+    return result.rows[0] || null;
+}
+
+// Makes the project's scenes match a snapshot: scenes added since are
+// deleted, deleted ones come back (with what their deletion kept, listed in
+// `restored`) and every other scene gets its old fields and position. The
+// current state is snapshotted first.
+export function restoreSnapshot(projectId, snapshotId, userId) {
+    return db.transaction(async (client) => {
+        await lockProject(client, projectId);
+
+        const result = await client.query(
+            'SELECT * FROM project_snapshots WHERE id = $1 AND project_id = $2',
+            [snapshotId, projectId]
+        );
+        if (result.rows.length === 0) return null;
+        const snapshot = result.rows[0];
+
+        await createSnapshot(client, projectId, `Before restoring "${snapshot.name}"`, userId);
+
+        const current = new Map((await listScenes(client, projectId)).map(s => [s.id, s]));
+        const keep = new Set(snapshot.scenes.map(s => s.id));
+
+        const removed = [...current.values()].filter(s => !keep.has(s.id));
+        await recordDeletions(client, removed, userId);
+        await client.query('DELETE FROM scenes WHERE id = ANY($1::int[])', [removed.map(s => s.id)]);
+
+        // scene_number is unique per project but checked at commit, so
+        // positions can overlap until every scene is in place. Inserting
+        // appends and may shift scenes not yet placed, so every scene gets
+        // its position written; only those whose content differs get a revision.
+        const restored = [];
+        const dependents = [];
+        for (const [index, data] of snapshot.scenes.entries()) {
+            const target = { ...data, scene_number: index + 1 };
+            const scene = current.get(data.id);
+            if (!scene) {
+                const inserted = await insertScene(client, projectId, null, target, { id: data.id });
+                restored.push(await applySceneData(client, inserted.id, target, ['scene_number']));
+                dependents.push(await restoreDependents(client, projectId, inserted.id));
+            } else if (diffScenes(sceneData(scene), target).length > 0) {
+                restored.push(await applySceneData(client, scene.id, target, REVISION_FIELDS));
+            } else {
+                await client.query('UPDATE scenes SET scene_number = $1 WHERE id = $2', [target.scene_number, scene.id]);
+            }
+        }
+        await recordRevisions(client, restored, 'restore', userId);
+        await touchProject(client, projectId);
+
+        return {
+            snapshot: { id: snapshot.id, name: snapshot.name },
+            scenes: await listScenes(client, projectId),
+            restored: dependents
+        };
+    });
+}
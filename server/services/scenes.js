@@ -0,0 +1,88 @@
+// Scene ordering helpers. All of these expect to run inside db.transaction()
+// so scene_number stays a gapless 1..n sequence per project.
+
+// Serialises concurrent reorders/inserts/deletes on the same project.
+export async function lockProject(client, projectId) {
+    await client.query('SELECT id FROM projects WHERE id = $1 FOR UPDATE', [projectId]);
+}
+
+export async function listScenes(client, projectId) {
+    const result = await client.query(
+        'SELECT * FROM scenes WHERE project_id = $1 ORDER BY scene_number ASC',
+        [projectId]
+    );
+    return result.rows;
+}
+
+// Closes any gaps left behind by a delete, keeping the existing order.
+export async function compactSceneNumbers(client, projectId) {
+    await client.query(
+        `UPDATE scenes s SET scene_number = o.position
+         FROM (
+             SELECT id, ROW_NUMBER() OVER (ORDER BY scene_number, id) AS position
+             FROM scenes WHERE project_id = $1
+         ) o
+         WHERE s.id = o.id AND s.scene_number <> o.position`,
+        [projectId]
+    );
+}
+
+// Inserts a scene at `position` (1-based), shifting later scenes down.
+// Positions past the end append. `id` brings a deleted scene back under its
+// old id, so its revision history carries on.
+export async function insertScene(client, projectId, position, fields = {}, { id = null } = {}) {
+    const count = await client.query('SELECT COUNT(*)::int AS count FROM scenes WHERE project_id = $1', [projectId]);
+    const last = count.rows[0].count + 1;
+    const at = Number.isInteger(position) && position >= 1 && position <= last ? position : last;
+
+    await client.query(
+        'UPDATE scenes SET scene_number = scene_number + 1 WHERE project_id = $1 AND scene_number >= $2',
+        [projectId, at]
+    );
+
+    const result = await client.query(
+        `INSERT INTO scenes (id, project_id, scene_number, title, location, time_of_day, description, action, mood,
+                             shot_type, camera_angle, duration_seconds, image_prompt, image_id, int_ext, dialogue)
+         VALUES (COALESCE($16::int, nextval(pg_get_serial_sequence('scenes', 'id'))),
+                 $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
+        [
+            projectId,
+            at,
+            fields.title ?? null,
+            fields.location ?? '',
+            fields.time_of_day ?? null,
+            fields.description ?? null,
+            fields.action ?? '',
+            fields.mood ?? null,
+            fields.shot_type ?? null,
+            fields.camera_angle ?? null,
+            fields.duration_seconds ?? null,
+            fields.image_prompt ?? null,
+            fields.image_id ?? null,
+            fields.int_ext ?? null,
+            JSON.stringify(fields.dialogue ?? []),
+            id
+        ]
+    );
+    return result.rows[0];
+}
+
+// Applies a new order. `sceneIds` must contain every scene of the project
+// exactly once; returns false if it does not.
+export async function reorderScenes(client, projectId, sceneIds) {
+    const current = await client.query('SELECT id FROM scenes WHERE project_id = $1', [projectId]);
+    const known = new Set(current.rows.map(r => r.id));
+    const requested = new Set(sceneIds);
+
+    if (requested.size !== sceneIds.length || requested.size !== known.size || ![...requested].every(id => known.has(id))) {
+        return false;
+    }
+
+    await client.query(
+        `UPDATE scenes s SET scene_number = o.position
+         FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+         WHERE s.id = o.id AND s.project_id = $1`,
+        [projectId, sceneIds]
+    );
+    return true;
+}
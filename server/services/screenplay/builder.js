@@ -0,0 +1,92 @@
+// Shared by the Fountain and FDX parsers: collects screenplay elements in
+// reading order and groups them into scenes. Transitions are not kept.
+
+export class ScreenplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.code = 'SCREENPLAY_INVALID';
+    }
+}
+
+// "JOHN (V.O.)" -> { character: 'JOHN', extension: 'V.O.' }. CONT'D only
+// marks a continued speech, so it is dropped.
+export function parseCue(cue) {
+    let character = cue.trim().replace(/^@/, '').replace(/\s*\^$/, '');
+    const extensions = [];
+    let match;
+    while ((match = /\s*\(([^()]*)\)\s*$/.exec(character))) {
+        extensions.unshift(match[1].trim());
+        character = character.slice(0, match.index);
+    }
+    const extension = extensions.filter(e => !/^CONT(?:'|’)?D$|^CONTINUED$/i.test(e)).join(', ');
+    return { character: character.trim(), extension: extension || null };
+}
+
+export function createBuilder() {
+    const preamble = { paragraphs: [], dialogue: [] };
+    const scenes = [];
+    let current = preamble;
+    let speech = null;
+
+    return {
+        heading(text, { number = null, title = null, synopsis = null } = {}) {
+            speech = null;
+            current = { heading: text.trim(), number, title, synopsis, paragraphs: [], dialogue: [] };
+            scenes.push(current);
+        },
+
+        synopsis(text) {
+            if (current === preamble || !text.trim()) return;
+            current.synopsis = [current.synopsis, text.trim()].filter(Boolean).join(' ');
+        },
+
+        action(text) {
+            speech = null;
+            if (text.trim()) current.paragraphs.push(text.trim());
+        },
+
+        // Starts a speech; parenthetical() and line() add to it
+        character(cue) {
+            const { character, extension } = parseCue(cue);
+            speech = { character, extension, parenthetical: null, lines: [] };
+            if (character) current.dialogue.push(speech);
+        },
+
+        // The first parenthetical before any line is the speech's own; later
+        // ones stay inline with the text.
+        parenthetical(text) {
+            if (!speech) return this.action(text);
+            if (!speech.parenthetical && speech.lines.length === 0) speech.parenthetical = text.trim();
+            else speech.lines.push(text.trim());
+        },
+
+        line(text) {
+            if (!speech) return this.action(text);
+            if (text.trim()) speech.lines.push(text.trim());
+        },
+
+        endSpeech() {
+            speech = null;
+        },
+
+        // Anything before the first scene heading is folded into the first scene
+        finish(title = null) {
+            if (scenes.length === 0) {
+                throw new ScreenplayError('No scene headings found. Scenes must start with INT. or EXT.');
+            }
+            scenes[0].paragraphs.unshift(...preamble.paragraphs);
+            scenes[0].dialogue.unshift(...preamble.dialogue);
+
+            return {
+                title: title?.trim() || null,
+                scenes: scenes.map(({ paragraphs, dialogue, ...scene }) => ({
+                    ...scene,
+                    action: paragraphs.join('\n\n'),
+                    dialogue: dialogue
+                        .filter(s => s.lines.length > 0)
+                        .map(({ lines, ...s }) => ({ ...s, text: lines.join('\n') }))
+                }))
+            };
+        }
+    };
+}
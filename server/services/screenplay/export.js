@@ -0,0 +1,161 @@
+import { HEADING_PATTERN } from './fountain.js';
+
+// Screenplay export: a project's scenes as Fountain, Final Draft (.fdx) or a
+// formatted plain-text screenplay. Each scene is written as its heading, the
+// description as a synopsis/summary, the action, then the dialogue. The
+// Fountain and FDX output reads back through the importer with the same
+// scenes in the same order under the same headings.
+
+const INT_EXT_PREFIX = { 'INT': 'INT.', 'EXT': 'EXT.', 'INT/EXT': 'INT./EXT.' };
+
+// "INT. KITCHEN - NIGHT"; scenes without INT/EXT or a time leave them out
+export function formatHeading(scene) {
+    const place = [INT_EXT_PREFIX[scene.int_ext], (scene.location || '').toUpperCase()].filter(Boolean).join(' ');
+    return [place, scene.time_of_day].filter(Boolean).join(' - ') || 'UNKNOWN';
+}
+
+const paragraphs = (text) => String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+const cue = (speech) => `${speech.character}${speech.extension ? ` (${speech.extension})` : ''}`;
+
+const parenthetical = (text) => (text.startsWith('(') ? text : `(${text})`);
+
+// --- Fountain ---
+
+// Action that the parser would otherwise read as something else is forced with "!"
+function fountainAction(paragraph) {
+    const first = paragraph.split('\n')[0];
+    const looksLikeCue = first === first.toUpperCase() && /[A-Z]/.test(first) && paragraph.includes('\n');
+    const special = /^[.!@>=#~[]/.test(first) || HEADING_PATTERN.test(first) || /TO:$/.test(first);
+    return looksLikeCue || special ? `!${paragraph}` : paragraph;
+}
+
+export function toFountain(project, scenes) {
+    const blocks = [`Title: ${(project.title || 'Untitled').replace(/\s+/g, ' ')}`];
+
+    for (const scene of scenes) {
+        const heading = formatHeading(scene);
+        // Headings without INT./EXT. are forced so they still read as headings
+        blocks.push(`${HEADING_PATTERN.test(heading) ? '' : '.'}${heading} #${scene.scene_number}#`);
+        if (scene.description) blocks.push(`= ${scene.description.replace(/\s+/g, ' ').trim()}`);
+        paragraphs(scene.action).forEach(p => blocks.push(fountainAction(p)));
+
+        for (const speech of scene.dialogue || []) {
+            const name = cue(speech);
+            const lines = [speech.character === speech.character.toUpperCase() ? name : `@${name}`];
+            if (speech.parenthetical) lines.push(parenthetical(speech.parenthetical));
+            lines.push(...speech.text.split('\n').map(l => l.trim()).filter(Boolean));
+            blocks.push(lines.join('\n'));
+        }
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+// --- Final Draft ---
+
+const xml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const fdxParagraph = (type, text, attributes = '') =>
+    `    <Paragraph${attributes} Type="${type}">\n      <Text>${xml(text)}</Text>\n    </Paragraph>`;
+
+export function toFdx(project, scenes) {
+    const content = [];
+
+    for (const scene of scenes) {
+        const properties = scene.description
+            ? `      <SceneProperties Title="${xml(scene.title || '')}">\n        <Summary>\n          <Paragraph>\n            <Text>${xml(scene.description)}</Text>\n          </Paragraph>\n        </Summary>\n      </SceneProperties>`
+            : `      <SceneProperties Title="${xml(scene.title || '')}"/>`;
+
+        content.push(
+            `    <Paragraph Number="${scene.scene_number}" Type="Scene Heading">\n${properties}\n      <Text>${xml(formatHeading(scene))}</Text>\n    </Paragraph>`
+        );
+        paragraphs(scene.action).forEach(p => content.push(fdxParagraph('Action', p)));
+
+        for (const speech of scene.dialogue || []) {
+            content.push(fdxParagraph('Character', cue(speech)));
+            if (speech.parenthetical) content.push(fdxParagraph('Parenthetical', parenthetical(speech.parenthetical)));
+            content.push(fdxParagraph('Dialogue', speech.text));
+        }
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+        '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+        '  <Content>',
+        ...content,
+        '  </Content>',
+        '  <TitlePage>',
+        '    <Content>',
+        `      <Paragraph Alignment="Center" Type="Title">\n        <Text>${xml(project.title || 'Untitled')}</Text>\n      </Paragraph>`,
+        '    </Content>',
+        '  </TitlePage>',
+        '</FinalDraft>',
+        ''
+    ].join('\n');
+}
+
+// --- Plain text ---
+
+// Courier at 10 characters per inch with a 1.5" left margin: columns are
+// counted from the margin, as screenwriting software lays them out.
+const PAGE_WIDTH = 60;
+const DIALOGUE = { indent: 10, width: 35 };
+const PARENTHETICAL = { indent: 16, width: 25 };
+const CHARACTER_INDENT = 22;
+
+function wrap(text, width) {
+    const lines = [];
+    for (const source of String(text).split('\n')) {
+        let line = '';
+        for (const word of source.split(/\s+/).filter(Boolean)) {
+            if (line && line.length + 1 + word.length > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+const indent = (lines, spaces) => lines.map(l => (l ? ' '.repeat(spaces) + l : l)).join('\n');
+
+export function toText(project, scenes) {
+    const title = (project.title || 'Untitled').toUpperCase();
+    const blocks = [
+        `${'\n'.repeat(3)}${' '.repeat(Math.max(0, Math.floor((PAGE_WIDTH - title.length) / 2)))}${title}\n`
+    ];
+
+    for (const scene of scenes) {
+        blocks.push(`${scene.scene_number}. ${formatHeading(scene)}`);
+        paragraphs(scene.action).forEach(p => blocks.push(wrap(p, PAGE_WIDTH).join('\n')));
+
+        for (const speech of scene.dialogue || []) {
+            const lines = [' '.repeat(CHARACTER_INDENT) + cue(speech).toUpperCase()];
+            if (speech.parenthetical) {
+                lines.push(indent(wrap(parenthetical(speech.parenthetical), PARENTHETICAL.width), PARENTHETICAL.indent));
+            }
+            lines.push(indent(wrap(speech.text, DIALOGUE.width), DIALOGUE.indent));
+            blocks.push(lines.join('\n'));
+        }
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+export const EXPORT_FORMATS = {
+    fountain: { extension: 'fountain', contentType: 'text/plain; charset=utf-8', serialize: toFountain },
+    fdx: { extension: 'fdx', contentType: 'application/xml; charset=utf-8', serialize: toFdx },
+    txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', serialize: toText }
+};
+
+// "My Film!" -> "my-film"; the base name of downloaded exports
+export const fileSlug = (title) =>
+    (title || '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'storyboard';
@@ -0,0 +1,135 @@
+import { createBuilder, ScreenplayError } from './builder.js';
+
+// Final Draft (.fdx) parser. FDX is XML: the script is a flat list of
+// <Paragraph Type="..."> elements under <Content>, each holding one or more
+// <Text> runs. A small tokenizer is enough for that structure, so no XML
+// dependency is needed. Dual dialogue nests paragraphs inside a container
+// paragraph; scene headings may carry <SceneProperties Title> and a summary.
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decode = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+function attributes(source) {
+    const result = {};
+    for (const match of source.matchAll(ATTRIBUTE)) {
+        result[match[1]] = decode(match[2] ?? match[3]);
+    }
+    return result;
+}
+
+// Paragraphs of <Content> and <TitlePage> in document order, as
+// { section, type, text, number, title, summary }.
+function readParagraphs(xml) {
+    const paragraphs = [];
+    const stack = [];
+    const open = [];
+
+    const inside = (name) => stack.includes(name);
+
+    for (const match of xml.matchAll(TOKEN)) {
+        const [, cdata, closing, name, attrs, selfClosing, text] = match;
+
+        if (name) {
+            if (closing) {
+                const index = stack.lastIndexOf(name);
+                if (index !== -1) stack.length = index;
+                if (name === 'Paragraph') {
+                    const paragraph = open.pop();
+                    if (paragraph && !paragraph.container) paragraphs.push(paragraph);
+                }
+                continue;
+            }
+
+            const attr = attributes(attrs);
+
+            if (name === 'Paragraph' && (inside('Content') || inside('TitlePage'))) {
+                const parent = open.at(-1);
+                // Summary paragraphs belong to the scene heading that holds them
+                if (parent && inside('SceneProperties')) {
+                    if (!selfClosing) open.push({ summaryOf: parent, container: true });
+                    continue;
+                }
+                if (parent) parent.container = true;
+                if (!selfClosing) {
+                    open.push({
+                        section: inside('TitlePage') ? 'title' : 'content',
+                        type: attr.Type || 'Action',
+                        number: attr.Number || null,
+                        text: '',
+                        summary: ''
+                    });
+                }
+                continue;
+            }
+
+            if (name === 'SceneProperties' && open.length > 0 && attr.Title) {
+                open.at(-1).title = attr.Title;
+            }
+
+            if (!selfClosing) stack.push(name);
+            continue;
+        }
+
+        const content = cdata ?? (text !== undefined ? decode(text) : '');
+        const paragraph = open.at(-1);
+        if (!content || !paragraph || stack.at(-1) !== 'Text') continue;
+
+        if (paragraph.summaryOf) paragraph.summaryOf.summary += content;
+        else paragraph.text += content;
+    }
+
+    return paragraphs;
+}
+
+export function parseFdx(source) {
+    const xml = String(source).replace(/^\uFEFF/, '');
+    if (!/<FinalDraft[\s>]/.test(xml)) {
+        throw new ScreenplayError('This is not a Final Draft (.fdx) file');
+    }
+
+    const paragraphs = readParagraphs(xml);
+    const builder = createBuilder();
+
+    for (const paragraph of paragraphs) {
+        if (paragraph.section !== 'content') continue;
+        const text = paragraph.text.replace(/\r\n?/g, '\n');
+
+        switch (paragraph.type) {
+            case 'Scene Heading':
+                if (text.trim()) {
+                    builder.heading(text, { number: paragraph.number, title: paragraph.title, synopsis: paragraph.summary.trim() || null });
+                }
+                break;
+            case 'Character':
+                builder.character(text);
+                break;
+            case 'Parenthetical':
+                builder.parenthetical(text);
+                break;
+            case 'Dialogue':
+                builder.line(text);
+                break;
+            case 'Transition':
+            case 'Cast List':
+                builder.endSpeech();
+                break;
+            default:
+                // Action, General, Shot and anything custom read as action
+                builder.action(text);
+        }
+    }
+
+    const title = paragraphs.find(p => p.section === 'title' && p.text.trim());
+    return builder.finish(title?.text);
+}
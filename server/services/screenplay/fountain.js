@@ -0,0 +1,114 @@
+import { createBuilder } from './builder.js';
+
+// Fountain (https://fountain.io) parser covering the parts a storyboard
+// needs: title page, scene headings (with forced "." headings and #n#
+// scene numbers), action, characters, parentheticals and dialogue.
+// Sections, page breaks, notes and boneyard are skipped.
+
+export const HEADING_PATTERN = /^(?:INT\.?\/EXT|EXT\.?\/INT|INT|EXT|EST|I\/E)[.\s]/i;
+
+const TITLE_KEY = /^([A-Za-z][A-Za-z ]*):(.*)$/;
+
+const blank = (line) => line === undefined || line.trim() === '';
+
+// A character cue is an all-caps line (extensions and the dual dialogue
+// caret aside) with at least one letter, or any line forced with "@".
+function isCue(line) {
+    if (line.startsWith('@')) return line.length > 1;
+    const name = line.replace(/\s*\^$/, '').replace(/\s*\([^)]*\)/g, '').trim();
+    return /[A-Z]/.test(name) && name === name.toUpperCase() && !/^[!.>~=#]/.test(name);
+}
+
+const isTransition = (line) =>
+    (line.startsWith('>') && !line.endsWith('<')) || /^[A-Z0-9 .'’-]+TO:$/.test(line);
+
+// Title page: "Key: value" lines up to the first blank line. Values may
+// continue on indented lines.
+function readTitlePage(lines) {
+    const fields = {};
+    if (!TITLE_KEY.test(lines[0] || '') || HEADING_PATTERN.test(lines[0])) return { fields, next: 0 };
+
+    let key = null;
+    let i = 0;
+    for (; i < lines.length && !blank(lines[i]); i++) {
+        const match = TITLE_KEY.exec(lines[i]);
+        if (match && !/^\s/.test(lines[i])) {
+            key = match[1].trim().toLowerCase();
+            fields[key] = match[2].trim();
+        } else if (key) {
+            fields[key] = [fields[key], lines[i].trim()].filter(Boolean).join('\n');
+        }
+    }
+    return { fields, next: i };
+}
+
+export function parseFountain(source) {
+    const text = String(source)
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\[\[[\s\S]*?\]\]/g, '');
+
+    const lines = text.split('\n');
+    const { fields, next } = readTitlePage(lines);
+    const builder = createBuilder();
+    let paragraph = [];
+
+    const flush = () => {
+        if (paragraph.length > 0) builder.action(paragraph.join('\n'));
+        paragraph = [];
+    };
+
+    for (let i = next; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const afterBlank = i === next || blank(lines[i - 1]);
+
+        if (!line) {
+            flush();
+            continue;
+        }
+
+        // Page breaks and sections
+        if (/^={3,}$/.test(line) || line.startsWith('#')) {
+            flush();
+            continue;
+        }
+
+        if (line.startsWith('=')) {
+            flush();
+            builder.synopsis(line.slice(1));
+            continue;
+        }
+
+        if (afterBlank && ((line.startsWith('.') && !line.startsWith('..')) || HEADING_PATTERN.test(line))) {
+            flush();
+            const number = /\s*#([^#]+)#$/.exec(line);
+            const heading = (number ? line.slice(0, number.index) : line).replace(/^\./, '');
+            builder.heading(heading, { number: number ? number[1].trim() : null });
+            continue;
+        }
+
+        if (afterBlank && blank(lines[i + 1]) && isTransition(line)) {
+            flush();
+            continue;
+        }
+
+        if (afterBlank && !blank(lines[i + 1]) && !line.startsWith('!') && isCue(line)) {
+            flush();
+            builder.character(line);
+            for (i++; i < lines.length && !blank(lines[i]); i++) {
+                const dialogue = lines[i].trim();
+                if (/^\(.*\)$/.test(dialogue)) builder.parenthetical(dialogue);
+                else builder.line(dialogue.replace(/^~\s*/, ''));
+            }
+            builder.endSpeech();
+            continue;
+        }
+
+        // Action, including forced "!" action and >centered< text
+        paragraph.push(line.replace(/^!/, '').replace(/^>\s*(.*?)\s*<$/, '$1'));
+    }
+    flush();
+
+    return builder.finish(fields.title?.replace(/[*_]/g, '').split('\n')[0]);
+}
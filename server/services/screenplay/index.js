@@ -0,0 +1,135 @@
+import { parseFountain, HEADING_PATTERN } from './fountain.js';
+import { parseFdx } from './fdx.js';
+import { ScreenplayError } from './builder.js';
+import { validateScene, matchChoice, TIMES_OF_DAY, INT_EXT } from '../scriptSchema.js';
+
+// Screenplay import: Fountain and Final Draft files become the same
+// { characters, locations, scenes } script that generateScript returns, so
+// projects are created the same way whichever path they came from.
+
+export { ScreenplayError };
+
+export const FORMATS = ['fountain', 'fdx'];
+
+export const MAX_IMPORT_SCENES = 300;
+
+// Roughly 150 spoken words a minute; action reads at about the same pace
+const SECONDS_PER_WORD = 0.4;
+
+// `format` wins; otherwise the file extension, then the content decides.
+export function detectFormat(content, { format, filename } = {}) {
+    if (format) {
+        const key = String(format).toLowerCase();
+        if (!FORMATS.includes(key)) throw new ScreenplayError(`format must be one of: ${FORMATS.join(', ')}`);
+        return key;
+    }
+    if (/\.fdx$/i.test(filename || '')) return 'fdx';
+    if (/\.(fountain|spmd|txt)$/i.test(filename || '')) return 'fountain';
+    return /^\s*(<\?xml[^>]*>\s*)?<FinalDraft[\s>]/.test(content) ? 'fdx' : 'fountain';
+}
+
+export function parseScreenplay(content, options = {}) {
+    const format = detectFormat(content, options);
+    const screenplay = format === 'fdx' ? parseFdx(content) : parseFountain(content);
+    return { format, ...screenplay };
+}
+
+// "KITCHEN" -> "Kitchen", "JOHN'S CAR" -> "John's Car"
+const titleCase = (text) => text.toLowerCase().replace(/(^|[\s\-/(])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase());
+
+// "INT./EXT. JOHN'S CAR - NIGHT" -> { int_ext: 'INT/EXT', location: "John's Car", time_of_day: 'NIGHT' }.
+// A time that is not one of TIMES_OF_DAY (LATER, FLASHBACK) stays in `time`
+// and is kept on the scene's location so exports can write it back.
+export function parseHeading(heading) {
+    let rest = heading.trim();
+    let intExt = null;
+
+    const prefix = HEADING_PATTERN.exec(rest);
+    if (prefix) {
+        intExt = matchChoice(prefix[0].trim().replace(/\.$/, ''), INT_EXT);
+        rest = rest.slice(prefix[0].length).replace(/^[.\s]+/, '');
+    }
+
+    const parts = rest.split(/\s+[-–—]+\s+/);
+    const time = parts.length > 1 ? parts.pop().trim() : null;
+    const location = parts.join(' - ').trim();
+
+    return {
+        int_ext: intExt,
+        location: location ? titleCase(location) : 'Unknown',
+        time_of_day: time ? matchChoice(time, TIMES_OF_DAY) : null,
+        time
+    };
+}
+
+const words = (text) => (text.match(/\S+/g) || []).length;
+
+export function estimateDuration(scene) {
+    const count = words(scene.action || '') + (scene.dialogue || []).reduce((sum, s) => sum + words(s.text), 0);
+    return Math.min(Math.max(Math.round(count * SECONDS_PER_WORD), 3), 600);
+}
+
+// Deterministic image prompt built from the heading and the opening action
+export function templatePrompt(scene) {
+    const setting = [
+        scene.int_ext === 'EXT' ? 'exterior' : scene.int_ext === 'INT' ? 'interior' : null,
+        scene.location.toLowerCase(),
+        scene.time_of_day?.toLowerCase()
+    ].filter(Boolean).join(', ');
+
+    const action = (scene.action || '').replace(/\s+/g, ' ').trim();
+    const speakers = [...new Set((scene.dialogue || []).map(s => titleCase(s.character)))];
+    const subject = action
+        ? action.slice(0, 300).replace(/\s+\S*$/, action.length > 300 ? '...' : '')
+        : speakers.length > 0 ? `${speakers.join(' and ')} talking` : 'establishing shot';
+
+    return `Storyboard frame, ${setting}: ${subject}`;
+}
+
+// Turns a parsed screenplay into a validated script. Scenes keep their
+// dialogue; characters are everyone with a speech, locations every heading.
+export function toScript(screenplay) {
+    if (screenplay.scenes.length > MAX_IMPORT_SCENES) {
+        throw new ScreenplayError(`Screenplays can have at most ${MAX_IMPORT_SCENES} scenes`);
+    }
+
+    const characters = new Map();
+    const locations = new Map();
+
+    const scenes = screenplay.scenes.map((parsed, i) => {
+        const heading = parseHeading(parsed.heading);
+        const speakers = [...new Set(parsed.dialogue.map(s => titleCase(s.character)))];
+        speakers.forEach(name => characters.set(name.toLowerCase(), name));
+        locations.set(heading.location.toLowerCase(), heading.location);
+
+        const location = [heading.location, heading.time && !heading.time_of_day && titleCase(heading.time)]
+            .filter(Boolean).join(' - ').slice(0, 255);
+
+        const fields = {
+            title: parsed.title || location,
+            int_ext: heading.int_ext,
+            location,
+            time_of_day: heading.time_of_day,
+            description: parsed.synopsis,
+            action: parsed.action,
+            dialogue: parsed.dialogue,
+            characters: speakers
+        };
+        fields.duration_seconds = estimateDuration(fields);
+        fields.image_prompt = templatePrompt(fields);
+
+        // Scenes made only of dialogue are fine here, unlike in generated scripts
+        const result = validateScene(fields, { path: `scenes[${i}]` });
+        const errors = result.errors.filter(e => !(e.path.endsWith('.action') && !parsed.action));
+        if (errors.length > 0) {
+            throw new ScreenplayError(`Scene ${i + 1} (${parsed.heading}): ${errors[0].path.replace(/^scenes\[\d+\]\./, '')} ${errors[0].message}`);
+        }
+        return { ...result.scene, action: parsed.action, setting: heading.location };
+    });
+
+    return {
+        characters: [...characters.values()].map(name => ({ name, description: '' })),
+        locations: [...locations.values()].map(name => ({ name, description: '' })),
+        scenes
+    };
+}
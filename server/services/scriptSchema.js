@@ -0,0 +1,341 @@
+// Schema for the script returned by the model, and for scene edits.
+// Values are coerced where the intent is unambiguous ("3" -> 3, "close up"
+// -> "CLOSE-UP"); anything else is reported as { path, message } so it can
+// be fed back to the model or returned to the client.
+
+export const TIMES_OF_DAY = ['DAY', 'NIGHT', 'DAWN', 'MORNING', 'AFTERNOON', 'DUSK', 'EVENING', 'CONTINUOUS'];
+
+export const SHOT_TYPES = [
+    'EXTREME WIDE', 'WIDE', 'FULL', 'MEDIUM', 'MEDIUM CLOSE-UP', 'CLOSE-UP',
+    'EXTREME CLOSE-UP', 'OVER THE SHOULDER', 'TWO SHOT', 'POV', 'INSERT'
+];
+
+export const CAMERA_ANGLES = ['EYE LEVEL', 'HIGH ANGLE', 'LOW ANGLE', 'OVERHEAD', 'DUTCH ANGLE', 'GROUND LEVEL', 'AERIAL'];
+
+export const CAMERA_MOVEMENTS = [
+    'STATIC', 'PAN', 'TILT', 'DOLLY IN', 'DOLLY OUT', 'TRACKING', 'CRANE', 'HANDHELD', 'STEADICAM', 'ZOOM IN', 'ZOOM OUT'
+];
+
+// Scene heading prefix (INT. / EXT. / INT./EXT.)
+export const INT_EXT = ['INT', 'EXT', 'INT/EXT'];
+
+const ALIASES = {
+    'ELS': 'EXTREME WIDE', 'EWS': 'EXTREME WIDE', 'EXTREME LONG SHOT': 'EXTREME WIDE', 'EXTREME WIDE SHOT': 'EXTREME WIDE',
+    'WS': 'WIDE', 'LS': 'WIDE', 'LONG SHOT': 'WIDE', 'WIDE SHOT': 'WIDE', 'ESTABLISHING': 'WIDE', 'ESTABLISHING SHOT': 'WIDE',
+    'FULL SHOT': 'FULL', 'MS': 'MEDIUM', 'MEDIUM SHOT': 'MEDIUM', 'MID SHOT': 'MEDIUM',
+    'MCU': 'MEDIUM CLOSE-UP', 'CU': 'CLOSE-UP', 'CLOSEUP': 'CLOSE-UP', 'CLOSE UP': 'CLOSE-UP',
+    'ECU': 'EXTREME CLOSE-UP', 'XCU': 'EXTREME CLOSE-UP', 'EXTREME CLOSEUP': 'EXTREME CLOSE-UP',
+    'OTS': 'OVER THE SHOULDER', 'OVER-THE-SHOULDER': 'OVER THE SHOULDER', 'TWO-SHOT': 'TWO SHOT',
+    'POINT OF VIEW': 'POV',
+    'EYE-LEVEL': 'EYE LEVEL', 'HIGH': 'HIGH ANGLE', 'LOW': 'LOW ANGLE', 'DUTCH': 'DUTCH ANGLE', 'DUTCH TILT': 'DUTCH ANGLE',
+    "BIRD'S EYE": 'OVERHEAD', 'BIRDS EYE': 'OVERHEAD', 'TOP DOWN': 'OVERHEAD', 'TOP-DOWN': 'OVERHEAD',
+    'DRONE': 'AERIAL', 'NIGHTTIME': 'NIGHT', 'DAYTIME': 'DAY', 'SUNRISE': 'DAWN', 'SUNSET': 'DUSK', 'CONTINUOUS ACTION': 'CONTINUOUS',
+    'SAME': 'CONTINUOUS', 'SAME TIME': 'CONTINUOUS',
+    'INTERIOR': 'INT', 'EXTERIOR': 'EXT', 'I/E': 'INT/EXT', 'E/I': 'INT/EXT', 'INT./EXT': 'INT/EXT', 'EXT./INT': 'INT/EXT',
+    'EXT/INT': 'INT/EXT', 'INT EXT': 'INT/EXT', 'INT.EXT': 'INT/EXT',
+    'LOCKED OFF': 'STATIC', 'LOCKED-OFF': 'STATIC', 'STILL': 'STATIC', 'NONE': 'STATIC', 'PAN LEFT': 'PAN', 'PAN RIGHT': 'PAN',
+    'TILT UP': 'TILT', 'TILT DOWN': 'TILT', 'PUSH IN': 'DOLLY IN', 'DOLLY': 'DOLLY IN', 'PULL OUT': 'DOLLY OUT',
+    'PULL BACK': 'DOLLY OUT', 'TRACK': 'TRACKING', 'TRACKING SHOT': 'TRACKING', 'TRUCK': 'TRACKING', 'JIB': 'CRANE',
+    'HAND-HELD': 'HANDHELD', 'HAND HELD': 'HANDHELD', 'STEADYCAM': 'STEADICAM', 'ZOOM': 'ZOOM IN'
+};
+
+const MAX_SCENES = 60;
+const MAX_SHOTS = 12;
+const MAX_DURATION = 600;
+
+export class ScriptValidationError extends Error {
+    constructor(details) {
+        super(`Script failed validation: ${details.map(d => `${d.path}: ${d.message}`).join('; ')}`);
+        this.code = 'SCRIPT_INVALID';
+        this.details = details;
+    }
+}
+
+function text(value, path, errors, { required = false, max } = {}) {
+    if (value === undefined || value === null || value === '') {
+        if (required) errors.push({ path, message: 'is required' });
+        return null;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+    if (typeof value !== 'string') {
+        errors.push({ path, message: 'must be a string' });
+        return null;
+    }
+    const trimmed = value.trim();
+    if (required && !trimmed) {
+        errors.push({ path, message: 'is required' });
+        return null;
+    }
+    if (max && trimmed.length > max) {
+        errors.push({ path, message: `must be at most ${max} characters` });
+        return null;
+    }
+    return trimmed || null;
+}
+
+// The canonical spelling of `value` in `allowed`, aliases included, or null.
+export function matchChoice(value, allowed) {
+    if (typeof value !== 'string') return null;
+    const key = value.trim().toUpperCase().replace(/[_\s]+/g, ' ').replace(/\.$/, '');
+    const match = allowed.includes(key) ? key : ALIASES[key];
+    return match && allowed.includes(match) ? match : null;
+}
+
+function oneOf(value, allowed, path, errors) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = matchChoice(value, allowed);
+    if (!match) {
+        errors.push({ path, message: `must be one of: ${allowed.join(', ')}` });
+        return null;
+    }
+    return match;
+}
+
+// Accepts 4, "4", "4s" and "4 seconds"; stored as whole seconds.
+function seconds(value, path, errors) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value));
+    if (!Number.isFinite(number) || number < 1 || number > MAX_DURATION) {
+        errors.push({ path, message: `must be a number of seconds between 1 and ${MAX_DURATION}` });
+        return null;
+    }
+    return Math.round(number);
+}
+
+// Speeches as { character, extension, parenthetical, text }; entries
+// without a character or text are dropped.
+function speeches(value, path, errors) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: 'must be an array of speeches' });
+        return [];
+    }
+    return value.flatMap((speech, i) => {
+        if (!speech || typeof speech !== 'object') {
+            errors.push({ path: `${path}[${i}]`, message: 'must be an object' });
+            return [];
+        }
+        const character = text(speech.character, `${path}[${i}].character`, errors, { max: 100 });
+        const line = text(speech.text, `${path}[${i}].text`, errors);
+        if (!character || !line) return [];
+        return [{
+            character,
+            extension: text(speech.extension, `${path}[${i}].extension`, errors, { max: 50 }),
+            parenthetical: text(speech.parenthetical, `${path}[${i}].parenthetical`, errors, { max: 255 }),
+            text: line
+        }];
+    });
+}
+
+function names(value, path, errors) {
+    if (value === undefined || value === null) return [];
+    if (typeof value === 'string') value = value.split(',');
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: 'must be an array of names' });
+        return [];
+    }
+    return value
+        .map(v => (typeof v === 'string' ? v : v?.name))
+        .filter(v => typeof v === 'string' && v.trim())
+        .map(v => v.trim());
+}
+
+// Validates one scene. With `partial`, required fields may be omitted
+// (used for edits); returns { scene, errors }.
+export function validateScene(input, { path = 'scene', partial = false } = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { scene: null, errors: [{ path, message: 'must be an object' }] };
+    }
+
+    const required = !partial;
+    const scene = {
+        title: text(input.title, `${path}.title`, errors, { required, max: 255 }),
+        int_ext: oneOf(input.int_ext, INT_EXT, `${path}.int_ext`, errors),
+        location: text(input.location, `${path}.location`, errors, { required, max: 255 }),
+        time_of_day: oneOf(input.time_of_day ?? input.time, TIMES_OF_DAY, `${path}.time_of_day`, errors),
+        description: text(input.description, `${path}.description`, errors),
+        action: text(input.action, `${path}.action`, errors, { required }),
+        mood: text(input.mood, `${path}.mood`, errors, { max: 100 }),
+        shot_type: oneOf(input.shot_type, SHOT_TYPES, `${path}.shot_type`, errors),
+        camera_angle: oneOf(input.camera_angle, CAMERA_ANGLES, `${path}.camera_angle`, errors),
+        duration_seconds: seconds(input.duration_seconds, `${path}.duration_seconds`, errors),
+        image_prompt: text(input.image_prompt, `${path}.image_prompt`, errors, { required })
+    };
+    if (!partial) {
+        scene.characters = names(input.characters, `${path}.characters`, errors);
+        scene.dialogue = speeches(input.dialogue, `${path}.dialogue`, errors);
+    }
+    return { scene, errors };
+}
+
+// Accepts "35mm", "85 mm anamorphic" and 35 (read as millimetres).
+function lens(value, path, errors) {
+    if (typeof value === 'number' && value > 0) return `${Math.round(value)}mm`;
+    return text(value, path, errors, { max: 30 });
+}
+
+// Validates one shot of a scene. With `partial`, the description may be
+// omitted (a blank shot added by hand); returns { shot, errors }.
+export function validateShot(input, { path = 'shot', partial = false } = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { shot: null, errors: [{ path, message: 'must be an object' }] };
+    }
+
+    const shot = {
+        description: text(input.description, `${path}.description`, errors, { required: !partial }),
+        shot_size: oneOf(input.shot_size ?? input.shot_type, SHOT_TYPES, `${path}.shot_size`, errors),
+        camera_angle: oneOf(input.camera_angle, CAMERA_ANGLES, `${path}.camera_angle`, errors),
+        lens: lens(input.lens, `${path}.lens`, errors),
+        camera_movement: oneOf(input.camera_movement, CAMERA_MOVEMENTS, `${path}.camera_movement`, errors),
+        duration_seconds: seconds(input.duration_seconds, `${path}.duration_seconds`, errors),
+        image_prompt: text(input.image_prompt, `${path}.image_prompt`, errors)
+    };
+    return { shot, errors };
+}
+
+function validateShots(value, path, errors) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.length > MAX_SHOTS) {
+        errors.push({ path, message: `must be an array of at most ${MAX_SHOTS} shots` });
+        return [];
+    }
+    return value.map((input, i) => {
+        const result = validateShot(input, { path: `${path}[${i}]` });
+        errors.push(...result.errors);
+        return result.shot;
+    });
+}
+
+function validateEntries(value, path, errors) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: 'must be an array' });
+        return [];
+    }
+    return value.flatMap((entry, i) => {
+        if (typeof entry === 'string') entry = { name: entry };
+        const name = text(entry?.name, `${path}[${i}].name`, errors, { required: true, max: 255 });
+        const description = text(entry?.description, `${path}[${i}].description`, errors);
+        return name ? [{ name, description: description || '' }] : [];
+    });
+}
+
+// Validates a parsed script. A bare array is treated as the scenes list.
+export function validateScript(parsed) {
+    const errors = [];
+    const root = Array.isArray(parsed) ? { scenes: parsed } : parsed;
+
+    if (!root || typeof root !== 'object') {
+        return { script: null, errors: [{ path: '', message: 'must be a JSON object with characters, locations and scenes' }] };
+    }
+
+    const characters = validateEntries(root.characters, 'characters', errors);
+    const locations = validateEntries(root.locations, 'locations', errors);
+
+    if (!Array.isArray(root.scenes) || root.scenes.length === 0) {
+        errors.push({ path: 'scenes', message: 'must be a non-empty array' });
+        return { script: null, errors };
+    }
+    if (root.scenes.length > MAX_SCENES) {
+        errors.push({ path: 'scenes', message: `must have at most ${MAX_SCENES} scenes` });
+        return { script: null, errors };
+    }
+
+    // Scenes are stored in order, so scene_number is only used to sort when
+    // every scene has one.
+    const ordered = root.scenes.map((scene, i) => ({ scene, i, n: Number.parseInt(scene?.scene_number, 10) }));
+    if (ordered.every(s => Number.isInteger(s.n))) {
+        ordered.sort((a, b) => a.n - b.n || a.i - b.i);
+    }
+
+    const scenes = ordered.map(({ scene, i }) => {
+        const result = validateScene(scene, { path: `scenes[${i}]` });
+        errors.push(...result.errors);
+        return { ...result.scene, shots: validateShots(scene?.shots, `scenes[${i}].shots`, errors) };
+    });
+
+    return errors.length > 0
+        ? { script: null, errors }
+        : { script: { characters, locations, scenes }, errors: [] };
+}
+
+// Best-effort cleanup of common model output problems before JSON.parse:
+// markdown fences, prose around the JSON, smart quotes and trailing commas.
+export function repairJson(raw) {
+    let cleaned = String(raw ?? '').replace(/```(?:json)?/gi, '').trim();
+
+    const start = cleaned.search(/[[{]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    if (start !== -1 && end > start) cleaned = cleaned.slice(start, end + 1);
+
+    return cleaned
+        .replace(/[“”]/g, '"')
+        .replace(/[‘’]/g, "'")
+        .replace(/,\s*([}\]])/g, '$1');
+}
+
+// JSON.parse with repairJson as a fallback; returns { parsed, error }.
+function parseJson(raw) {
+    try {
+        return { parsed: JSON.parse(String(raw ?? '').trim()), error: null };
+    } catch {
+        try {
+            return { parsed: JSON.parse(repairJson(raw)), error: null };
+        } catch (err) {
+            return { parsed: null, error: { path: '', message: `response is not valid JSON (${err.message})` } };
+        }
+    }
+}
+
+// Parses and validates raw model output; returns { script, errors }.
+export function parseScript(raw) {
+    const { parsed, error } = parseJson(raw);
+    return error ? { script: null, errors: [error] } : validateScript(parsed);
+}
+
+// Validates the model's answer to a refinement: { summary, scenes }.
+// `count` is how many scenes are expected. Without it the scenes replace
+// existing ones and each names the scene_number (1..sceneCount) it replaces.
+export function validateRefinement(parsed, { count = null, sceneCount = 0 } = {}) {
+    const errors = [];
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { refinement: null, errors: [{ path: '', message: 'must be a JSON object with summary and scenes' }] };
+    }
+
+    const summary = text(parsed.summary, 'summary', errors, { max: 500 });
+
+    if (!Array.isArray(parsed.scenes) || parsed.scenes.length === 0) {
+        errors.push({ path: 'scenes', message: 'must be a non-empty array' });
+        return { refinement: null, errors };
+    }
+    if (count !== null && parsed.scenes.length !== count) {
+        errors.push({ path: 'scenes', message: `must have exactly ${count} scene${count === 1 ? '' : 's'}` });
+        return { refinement: null, errors };
+    }
+
+    const numbers = new Set();
+    const scenes = parsed.scenes.map((input, i) => {
+        const { scene, errors: sceneErrors } = validateScene(input, { path: `scenes[${i}]` });
+        errors.push(...sceneErrors);
+        if (count === null) {
+            const n = Number.parseInt(input?.scene_number, 10);
+            if (!Number.isInteger(n) || n < 1 || n > sceneCount || numbers.has(n)) {
+                errors.push({ path: `scenes[${i}].scene_number`, message: `must be a different existing scene number (1-${sceneCount})` });
+            }
+            numbers.add(n);
+            return { ...scene, scene_number: n };
+        }
+        return scene;
+    });
+
+    return errors.length > 0
+        ? { refinement: null, errors }
+        : { refinement: { summary, scenes }, errors: [] };
+}
+
+export function parseRefinement(raw, expect) {
+    const { parsed, error } = parseJson(raw);
+    return error ? { refinement: null, errors: [error] } : validateRefinement(parsed, expect);
+}
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import * as db from '../db.js';
+
+// Short-lived JWT access tokens plus rotating refresh tokens stored
+// server-side. Revoking refresh tokens ends a session within ACCESS_TOKEN_TTL.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10);
+
+// Two tabs can race to refresh with the same token. A token rotated this
+// recently is rejected without treating it as theft.
+const REUSE_GRACE_MS = 30 * 1000;
+
+export const REFRESH_TOKEN_MAX_AGE_MS = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const signAccessToken = (user) =>
+    jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+async function insertRefreshToken(client, userId, familyId, req) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await client.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, ip, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 millisecond')`,
+        [userId, hashToken(token), familyId, req.get('user-agent') || null, req.ip || null, REFRESH_TOKEN_MAX_AGE_MS]
+    );
+    return token;
+}
+
+// Starts a new session (a new token family) for a freshly logged-in user.
+export async function createSession(user, req) {
+    const refreshToken = await insertRefreshToken(db, user.id, crypto.randomUUID(), req);
+    return { accessToken: signAccessToken(user), refreshToken };
+}
+
+// Exchanges a refresh token for a new access/refresh pair. Returns null if the
+// token is unknown, expired or revoked, or the account is disabled; reuse of
+// a revoked token also revokes every other token of its family.
+export async function rotateSession(refreshToken, req) {
+    if (!refreshToken) return null;
+
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `SELECT *, expires_at <= NOW() AS expired,
+                    revoked_at > NOW() - $2 * INTERVAL '1 millisecond' AS recently_revoked
+             FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE`,
+            [hashToken(refreshToken), REUSE_GRACE_MS]
+        );
+        const current = result.rows[0];
+        if (!current) return null;
+
+        if (current.revoked_at) {
+            if (current.recently_revoked) return null;
+            await client.query(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+                [current.family_id]
+            );
+            return null;
+        }
+
+        if (current.expired) return null;
+
+        const user = await client.query('SELECT id, email FROM users WHERE id = $1 AND disabled_at IS NULL', [current.user_id]);
+        if (user.rows.length === 0) return null;
+
+        await client.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1', [current.id]);
+        const next = await insertRefreshToken(client, current.user_id, current.family_id, req);
+
+        return { user: user.rows[0], accessToken: signAccessToken(user.rows[0]), refreshToken: next };
+    });
+}
+
+// Ends the session the refresh token belongs to.
+export async function revokeSession(refreshToken) {
+    if (!refreshToken) return;
+
+    await db.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1) AND revoked_at IS NULL`,
+        [hashToken(refreshToken)]
+    );
+}
+
+export async function revokeAllSessions(userId) {
+    const result = await db.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+    );
+    return result.rowCount;
+}
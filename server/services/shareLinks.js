@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import * as db from '../db.js';
+
+// Public share links. Opening a password-protected link first exchanges the
+// password for a short-lived access token (a JWT bound to the link), which
+// the viewer sends in the X-Share-Access header on every request.
+
+export const SHARE_ACCESS_TTL_SECONDS = 12 * 60 * 60;
+
+export const MAX_EXPIRY_DAYS = 365;
+
+// Columns safe to return to the owner; never the password hash.
+const LINK_COLUMNS = `id, project_id, token, label, expires_at, revoked_at, created_at, view_count, last_viewed_at,
+                      password_hash IS NOT NULL AS has_password`;
+
+export async function listShareLinks(projectId) {
+    const result = await db.query(
+        `SELECT ${LINK_COLUMNS} FROM share_links
+         WHERE project_id = $1 AND revoked_at IS NULL
+         ORDER BY created_at DESC`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+export async function createShareLink(projectId, { label, expiresInDays, password }, userId) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+
+    const result = await db.query(
+        `INSERT INTO share_links (project_id, token, label, password_hash, expires_at, created_by)
+         VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + $5::int * INTERVAL '1 day' END, $6)
+         RETURNING ${LINK_COLUMNS}`,
+        [projectId, token, label || null, passwordHash, expiresInDays ?? null, userId]
+    );
+    return result.rows[0];
+}
+
+// Returns the revoked link, or null if it does not belong to the project.
+export async function revokeShareLink(projectId, linkId) {
+    const result = await db.query(
+        `UPDATE share_links SET revoked_at = NOW()
+         WHERE id = $1 AND project_id = $2 AND revoked_at IS NULL
+         RETURNING id`,
+        [linkId, projectId]
+    );
+    return result.rows[0] || null;
+}
+
+// The live link for a token (not revoked, not expired), or null.
+export async function findShareLink(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const result = await db.query(
+        `SELECT * FROM share_links
+         WHERE token = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+        [token]
+    );
+    return result.rows[0] || null;
+}
+
+export const checkSharePassword = (link, password) =>
+    typeof password === 'string' && bcrypt.compare(password, link.password_hash);
+
+// Derived from JWT_SECRET so a share access token is never accepted as a
+// user session by authMiddleware, and vice versa.
+const accessSecret = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('share-access').digest();
+
+// The token expires with the link if that comes first.
+export function signShareAccess(link) {
+    let expiresIn = SHARE_ACCESS_TTL_SECONDS;
+    if (link.expires_at) {
+        const secondsLeft = Math.floor((new Date(link.expires_at).getTime() - Date.now()) / 1000);
+        expiresIn = Math.max(Math.min(expiresIn, secondsLeft), 1);
+    }
+    return jwt.sign({ share: link.id }, accessSecret(), { expiresIn });
+}
+
+export function verifyShareAccess(link, accessToken) {
+    if (!accessToken) return false;
+    try {
+        return jwt.verify(accessToken, accessSecret()).share === link.id;
+    } catch {
+        return false;
+    }
+}
+
+export async function recordView(linkId) {
+    await db.query(
+        'UPDATE share_links SET view_count = view_count + 1, last_viewed_at = NOW() WHERE id = $1',
+        [linkId]
+    );
+}
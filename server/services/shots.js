@@ -0,0 +1,84 @@
+// Shots a scene is broken into. Like the scene helpers in scenes.js these
+// expect to run inside db.transaction() with the project locked, so
+// shot_number stays a gapless 1..n sequence per scene.
+
+export const SHOT_COLUMNS = ['description', 'shot_size', 'camera_angle', 'lens', 'camera_movement', 'duration_seconds', 'image_prompt'];
+
+// Every shot of a project, in storyboard order
+export async function listShots(client, projectId) {
+    const result = await client.query(
+        `SELECT sh.* FROM shots sh
+         JOIN scenes s ON s.id = sh.scene_id
+         WHERE s.project_id = $1
+         ORDER BY s.scene_number, sh.shot_number`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+export async function sceneShots(client, sceneId) {
+    const result = await client.query('SELECT * FROM shots WHERE scene_id = $1 ORDER BY shot_number', [sceneId]);
+    return result.rows;
+}
+
+// Inserts a shot at `position` (1-based), shifting later shots along.
+// Positions past the end append.
+export async function insertShot(client, sceneId, position, fields = {}) {
+    const count = await client.query('SELECT COUNT(*)::int AS count FROM shots WHERE scene_id = $1', [sceneId]);
+    const last = count.rows[0].count + 1;
+    const at = Number.isInteger(position) && position >= 1 && position <= last ? position : last;
+
+    await client.query(
+        'UPDATE shots SET shot_number = shot_number + 1 WHERE scene_id = $1 AND shot_number >= $2',
+        [sceneId, at]
+    );
+
+    const result = await client.query(
+        `INSERT INTO shots (scene_id, shot_number, ${SHOT_COLUMNS.join(', ')}, image_id)
+         VALUES ($1, $2, ${SHOT_COLUMNS.map((_, i) => `$${i + 3}`).join(', ')}, $${SHOT_COLUMNS.length + 3}) RETURNING *`,
+        [sceneId, at, ...SHOT_COLUMNS.map(c => fields[c] ?? null), fields.image_id ?? null]
+    );
+    return result.rows[0];
+}
+
+// Closes the gap left by a deleted shot
+export async function compactShotNumbers(client, sceneId) {
+    await client.query(
+        `UPDATE shots sh SET shot_number = o.position
+         FROM (
+             SELECT id, ROW_NUMBER() OVER (ORDER BY shot_number, id) AS position
+             FROM shots WHERE scene_id = $1
+         ) o
+         WHERE sh.id = o.id AND sh.shot_number <> o.position`,
+        [sceneId]
+    );
+}
+
+// `shotIds` must contain every shot of the scene exactly once; returns
+// false if it does not.
+export async function reorderShots(client, sceneId, shotIds) {
+    const current = await client.query('SELECT id FROM shots WHERE scene_id = $1', [sceneId]);
+    const known = new Set(current.rows.map(r => r.id));
+    const requested = new Set(shotIds);
+
+    if (requested.size !== shotIds.length || requested.size !== known.size || ![...requested].every(id => known.has(id))) {
+        return false;
+    }
+
+    await client.query(
+        `UPDATE shots sh SET shot_number = o.position
+         FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+         WHERE sh.id = o.id AND sh.scene_id = $1`,
+        [sceneId, shotIds]
+    );
+    return true;
+}
+
+// Used when duplicating a scene; the copies share the frames
+export async function copyShots(client, fromSceneId, toSceneId) {
+    await client.query(
+        `INSERT INTO shots (scene_id, shot_number, ${SHOT_COLUMNS.join(', ')}, image_id)
+         SELECT $2, shot_number, ${SHOT_COLUMNS.join(', ')}, image_id FROM shots WHERE scene_id = $1`,
+        [fromSceneId, toSceneId]
+    );
+}
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import * as db from '../../db.js';
+import { detectImageType } from '../../utils/mime.js';
+import * as localDisk from './localDisk.js';
+import * as s3 from './s3.js';
+
+// Backends implement put(key, data, contentType), get(key) -> stream,
+// exists(key) and remove(key).
+const backends = { local: localDisk, s3 };
+
+const THUMBNAIL_WIDTH = 480;
+
+export function getStorage() {
+    const key = (process.env.IMAGE_STORAGE || 'local').trim().toLowerCase();
+    const backend = backends[key];
+    if (!backend) {
+        throw new Error(`Unknown image storage "${key}". Expected one of: ${Object.keys(backends).join(', ')}.`);
+    }
+    return backend;
+}
+
+// Stores image bytes by content hash and returns the `images` row.
+// Identical bytes are stored once and share a row.
+export async function saveImage(data) {
+    const type = detectImageType(data);
+    if (!type) {
+        throw new Error('Unsupported or corrupt image data');
+    }
+
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const existing = await db.query('SELECT * FROM images WHERE hash = $1', [hash]);
+    if (existing.rows.length > 0) {
+        return existing.rows[0];
+    }
+
+    const storage = getStorage();
+    const storageKey = `originals/${hash.slice(0, 2)}/${hash}.${type.ext}`;
+    const thumbnailKey = `thumbnails/${hash.slice(0, 2)}/${hash}.webp`;
+
+    const { width, height } = await sharp(data).metadata();
+    const thumbnail = await sharp(data)
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    await storage.put(storageKey, data, type.mime);
+    await storage.put(thumbnailKey, thumbnail, 'image/webp');
+
+    // Another request may have stored the same bytes in the meantime.
+    const result = await db.query(
+        `INSERT INTO images (hash, mime_type, byte_size, width, height, storage_key, thumbnail_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (hash) DO UPDATE SET hash = EXCLUDED.hash
+         RETURNING *`,
+        [hash, type.mime, data.length, width, height, storageKey, thumbnailKey]
+    );
+    return result.rows[0];
+}
+
+// Opens a stored image (or its thumbnail) for streaming.
+export async function openImage(image, variant = 'original') {
+    const storage = getStorage();
+    if (variant === 'thumbnail' && image.thumbnail_key) {
+        return { stream: await storage.get(image.thumbnail_key), contentType: 'image/webp' };
+    }
+    return { stream: await storage.get(image.storage_key), contentType: image.mime_type };
+}
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const root = () => path.resolve(process.env.IMAGE_STORAGE_DIR || 'storage/images');
+
+function resolveKey(key) {
+    const file = path.resolve(root(), key);
+    if (!file.startsWith(root() + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+}
+
+export const name = 'local';
+
+export async function put(key, data) {
+    const file = resolveKey(key);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+
+    // Write to a temporary name first so readers never see a partial file.
+    const tmp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fsp.writeFile(tmp, data);
+    await fsp.rename(tmp, file);
+}
+
+export async function exists(key) {
+    try {
+        await fsp.access(resolveKey(key));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export async function get(key) {
+    const file = resolveKey(key);
+    if (!(await exists(key))) {
+        const err = new Error(`Stored object not found: ${key}`);
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+    return fs.createReadStream(file);
+}
+
+export async function remove(key) {
+    await fsp.rm(resolveKey(key), { force: true });
+}
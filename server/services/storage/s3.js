@@ -0,0 +1,63 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Works with AWS S3 and S3-compatible services (MinIO, Cloudflare R2,
+// Backblaze B2...) by pointing S3_ENDPOINT at them.
+export const name = 's3';
+
+let client = null;
+
+function getClient() {
+    if (!process.env.S3_BUCKET) {
+        throw new Error("S3_BUCKET is missing.");
+    }
+
+    if (!client) {
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                }
+                : undefined
+        });
+    }
+    return client;
+}
+
+const objectKey = (key) => `${process.env.S3_PREFIX || ''}${key}`;
+
+export async function put(key, data, contentType) {
+    await getClient().send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: contentType
+    }));
+}
+
+export async function exists(key) {
+    try {
+        await getClient().send(new HeadObjectCommand({ Bucket: process.env.S3_BUCKET, Key: objectKey(key) }));
+        return true;
+    } catch (err) {
+        if (err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+    }
+}
+
+export async function get(key) {
+    try {
+        const result = await getClient().send(new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: objectKey(key) }));
+        return result.Body;
+    } catch (err) {
+        if (err.name === 'NoSuchKey') err.code = 'NOT_FOUND';
+        throw err;
+    }
+}
+
+export async function remove(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: objectKey(key) }));
+}
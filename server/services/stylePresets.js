@@ -0,0 +1,117 @@
+// Visual style presets and generation parameters for a project's images.
+// A project's `style_profile` column stores the normalised profile.
+
+export const STYLE_PRESETS = [
+    {
+        id: 'pencil-sketch',
+        label: 'Pencil storyboard sketch',
+        prompt: 'rough pencil storyboard sketch, graphite on paper, loose confident linework, grayscale, cinematic framing',
+        negative_prompt: 'color, photo, 3d render, watermark, text'
+    },
+    {
+        id: 'film-noir',
+        label: 'Film noir',
+        prompt: 'film noir still, high contrast black and white, hard shadows, venetian blind light, 1940s cinematography',
+        negative_prompt: 'color, cartoon, low contrast, watermark, text'
+    },
+    {
+        id: 'anime',
+        label: 'Anime',
+        prompt: 'anime key frame, cel shading, clean line art, vibrant colors, detailed background painting',
+        negative_prompt: 'photo, realistic, 3d render, watermark, text'
+    },
+    {
+        id: 'photoreal',
+        label: 'Photoreal',
+        prompt: 'photorealistic cinematic film still, 35mm, natural lighting, shallow depth of field, color graded',
+        negative_prompt: 'cartoon, illustration, painting, deformed, watermark, text'
+    },
+    {
+        id: 'comic-ink',
+        label: 'Comic ink',
+        prompt: 'comic book panel, bold ink outlines, halftone shading, flat colors, dynamic composition',
+        negative_prompt: 'photo, realistic, blurry, watermark, text'
+    }
+];
+
+// Resolutions are multiples of 64 close to one megapixel, which SDXL-class
+// models handle best.
+export const ASPECT_RATIOS = [
+    { id: '16:9', width: 1344, height: 768 },
+    { id: '2.39:1', width: 1536, height: 640 },
+    { id: '4:3', width: 1152, height: 896 },
+    { id: '1:1', width: 1024, height: 1024 },
+    { id: '9:16', width: 768, height: 1344 }
+];
+
+export const DEFAULT_STYLE_PROFILE = {
+    preset: 'pencil-sketch',
+    negative_prompt: '',
+    aspect_ratio: '16:9',
+    guidance_scale: 7.5,
+    seed: null
+};
+
+const MAX_SEED = 2 ** 32 - 1;
+
+// Validates a (partial) profile on top of `base`. Returns { profile } or
+// { errors } with one message per invalid field.
+export function normalizeStyleProfile(input = {}, base = DEFAULT_STYLE_PROFILE) {
+    const merged = { ...DEFAULT_STYLE_PROFILE, ...base, ...input };
+    const errors = [];
+
+    if (!STYLE_PRESETS.some(p => p.id === merged.preset)) {
+        errors.push(`preset must be one of: ${STYLE_PRESETS.map(p => p.id).join(', ')}`);
+    }
+
+    if (!ASPECT_RATIOS.some(r => r.id === merged.aspect_ratio)) {
+        errors.push(`aspect_ratio must be one of: ${ASPECT_RATIOS.map(r => r.id).join(', ')}`);
+    }
+
+    const guidance = Number(merged.guidance_scale);
+    if (!Number.isFinite(guidance) || guidance < 1 || guidance > 20) {
+        errors.push('guidance_scale must be a number between 1 and 20');
+    }
+
+    let seed = merged.seed;
+    if (seed === '' || seed === undefined) seed = null;
+    if (seed !== null) {
+        seed = Number(seed);
+        if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+            errors.push(`seed must be an integer between 0 and ${MAX_SEED}, or empty for a random seed`);
+        }
+    }
+
+    if (typeof merged.negative_prompt !== 'string') {
+        errors.push('negative_prompt must be a string');
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        profile: {
+            preset: merged.preset,
+            negative_prompt: merged.negative_prompt.trim(),
+            aspect_ratio: merged.aspect_ratio,
+            guidance_scale: guidance,
+            seed
+        }
+    };
+}
+
+// Turns a stored profile into the prompt suffix and provider parameters.
+export function resolveStyle(profile) {
+    const { profile: style } = normalizeStyleProfile({}, profile || {});
+    const resolved = style || DEFAULT_STYLE_PROFILE;
+    const preset = STYLE_PRESETS.find(p => p.id === resolved.preset) || STYLE_PRESETS[0];
+    const ratio = ASPECT_RATIOS.find(r => r.id === resolved.aspect_ratio) || ASPECT_RATIOS[0];
+
+    return {
+        promptSuffix: preset.prompt,
+        negativePrompt: [preset.negative_prompt, resolved.negative_prompt].filter(Boolean).join(', '),
+        width: ratio.width,
+        height: ratio.height,
+        guidanceScale: resolved.guidance_scale,
+        seed: resolved.seed
+    };
+}
@@ -0,0 +1,142 @@
+import * as db from '../db.js';
+import { openImage } from './storage/index.js';
+import { resolveStyle } from './stylePresets.js';
+import { estimateDuration } from './screenplay/index.js';
+import { formatHeading } from './screenplay/export.js';
+import { detectImageType } from '../utils/mime.js';
+import { solidPng } from '../utils/png.js';
+import { createZipWriter } from '../utils/zip.js';
+
+// Animatic timeline export: every scene's frame held for the scene's
+// duration, as a CMX3600 EDL and an FCPXML sequence, zipped together with
+// the frames so the relative paths resolve once the archive is extracted.
+
+export const FRAME_RATES = [24, 25, 30];
+
+// Edits conventionally start at 01:00:00:00
+const START_SECONDS = 3600;
+
+// Scenes without a duration are timed from their text
+export const sceneDuration = (scene) => scene.duration_seconds ?? estimateDuration(scene);
+
+// [{ scene, file, start, frames }] with start and length in frames
+export function buildTimeline(scenes, fps) {
+    let start = 0;
+    return scenes.map(scene => {
+        const frames = Math.max(1, Math.round(sceneDuration(scene) * fps));
+        const item = { scene, file: null, start, frames };
+        start += frames;
+        return item;
+    });
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Non-drop-frame HH:MM:SS:FF
+export function timecode(frames, fps) {
+    const seconds = Math.floor(frames / fps);
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}:${pad(frames % fps)}`;
+}
+
+const clipName = (item) => `${item.scene.scene_number}. ${formatHeading(item.scene)}`;
+
+export function toEdl(title, timeline, fps) {
+    const offset = START_SECONDS * fps;
+    const events = timeline.map((item, i) => [
+        `${pad(i + 1, 3)}  AX       V     C        ${timecode(0, fps)} ${timecode(item.frames, fps)} ${timecode(offset + item.start, fps)} ${timecode(offset + item.start + item.frames, fps)}`,
+        `* FROM CLIP NAME: ${item.file.replace(/^.*\//, '')}`,
+        `* COMMENT: ${clipName(item)}`
+    ].join('\n'));
+
+    // EDL titles are plain ASCII on one line
+    const edlTitle = title.replace(/[^\x20-\x7e]/g, '').slice(0, 70) || 'Storyboard';
+    return `TITLE: ${edlTitle}\nFCM: NON-DROP FRAME\n\n${events.join('\n\n')}\n`;
+}
+
+const xml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export function toFcpxml(title, timeline, fps, { width, height }) {
+    const time = (frames) => (frames === 0 ? '0s' : `${frames}/${fps}s`);
+    const offset = START_SECONDS * fps;
+    const total = timeline.reduce((sum, item) => sum + item.frames, 0);
+
+    const assets = timeline.map((item, i) =>
+        `        <asset id="a${i + 1}" name="${xml(item.file.replace(/^.*\//, ''))}" start="0s" duration="0s" hasVideo="1" videoSources="1" format="r2">\n` +
+        `            <media-rep kind="original-media" src="${xml(item.file)}"/>\n` +
+        '        </asset>'
+    );
+    const clips = timeline.map((item, i) =>
+        `                        <video ref="a${i + 1}" name="${xml(clipName(item))}" offset="${time(offset + item.start)}" start="0s" duration="${time(item.frames)}"/>`
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE fcpxml>',
+        '<fcpxml version="1.9">',
+        '    <resources>',
+        `        <format id="r1" frameDuration="1/${fps}s" width="${width}" height="${height}"/>`,
+        `        <format id="r2" name="FFVideoFormatRateUndefined" width="${width}" height="${height}"/>`,
+        ...assets,
+        '    </resources>',
+        '    <library>',
+        `        <event name="${xml(title)}">`,
+        `            <project name="${xml(title)}">`,
+        `                <sequence format="r1" duration="${time(total)}" tcStart="${time(offset)}" tcFormat="NDF">`,
+        '                    <spine>',
+        ...clips,
+        '                    </spine>',
+        '                </sequence>',
+        '            </project>',
+        '        </event>',
+        '    </library>',
+        '</fcpxml>',
+        ''
+    ].join('\n');
+}
+
+async function readImage(image) {
+    const { stream } = await openImage(image);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// Streams the archive to `output`: the EDL and FCPXML named after `slug`,
+// and frames/scene_001.png etc. Scenes without an image (or whose file is
+// missing) get a grey slate so the timing still holds.
+export async function writeTimelineArchive(output, { project, scenes, fps, slug }) {
+    const { width, height } = resolveStyle(project.style_profile);
+    const timeline = buildTimeline(scenes, fps);
+    const zip = createZipWriter(output);
+
+    const imageIds = scenes.map(s => s.image_id).filter(Boolean);
+    const images = new Map(
+        (await db.query('SELECT * FROM images WHERE id = ANY($1)', [imageIds])).rows.map(image => [image.id, image])
+    );
+    let slate = null;
+
+    for (const item of timeline) {
+        const image = images.get(item.scene.image_id);
+        let data = null;
+        if (image) {
+            try {
+                data = await readImage(image);
+            } catch (err) {
+                if (err.code !== 'NOT_FOUND') throw err;
+            }
+        }
+        if (!data) data = slate ||= solidPng(width, height, [96, 96, 96]);
+
+        item.file = `frames/scene_${pad(item.scene.scene_number, 3)}.${detectImageType(data)?.ext || 'png'}`;
+        await zip.add(item.file, data);
+    }
+
+    const title = project.title || 'Storyboard';
+    await zip.add(`${slug}.edl`, toEdl(title, timeline, fps));
+    await zip.add(`${slug}.fcpxml`, toFcpxml(title, timeline, fps, { width, height }));
+    await zip.finish();
+}
@@ -0,0 +1,225 @@
+import * as db from '../db.js';
+
+// The AI usage ledger (ai_usage) and the per-plan quotas counted from it.
+// Script quotas count operations (a generated script, a refinement, the
+// image prompts of an import) whatever their size; image quotas count every
+// image, plus the images still queued for the user so a large batch cannot
+// be queued twice over, plus what requests in progress have reserved.
+
+export const DEFAULT_PLAN = 'free';
+export const QUOTA_KINDS = ['script', 'image'];
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+
+// Arbitrary key for pg_advisory_xact_lock, paired with the user id, so one
+// user's quota checks and reservations run one at a time
+const QUOTA_LOCK_KEY = 72617202;
+
+// Reservations older than this were left behind by a crashed server
+const RESERVATION_TTL = '15 minutes';
+
+// null means unlimited. PLAN_QUOTAS in the environment is merged over these,
+// e.g. {"free":{"daily":{"image":50}},"team":{"monthly":{"script":null}}}
+const DEFAULT_QUOTAS = {
+    free: {
+        daily: { script: 20, image: 60 },
+        monthly: { script: 200, image: 600 }
+    },
+    pro: {
+        daily: { script: 200, image: 1000 },
+        monthly: { script: 3000, image: 15000 }
+    }
+};
+
+function loadQuotas() {
+    let overrides = {};
+    try {
+        overrides = process.env.PLAN_QUOTAS ? JSON.parse(process.env.PLAN_QUOTAS) : {};
+    } catch (err) {
+        throw new Error(`PLAN_QUOTAS is not valid JSON: ${err.message}`);
+    }
+
+    const plans = {};
+    for (const plan of new Set([...Object.keys(DEFAULT_QUOTAS), ...Object.keys(overrides)])) {
+        plans[plan] = {};
+        for (const period of QUOTA_PERIODS) {
+            plans[plan][period] = {};
+            for (const kind of QUOTA_KINDS) {
+                const override = overrides[plan]?.[period];
+                const limit = override && Object.hasOwn(override, kind)
+                    ? override[kind]
+                    : DEFAULT_QUOTAS[plan]?.[period]?.[kind] ?? null;
+                if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+                    throw new Error(`PLAN_QUOTAS.${plan}.${period}.${kind} must be a whole number or null`);
+                }
+                plans[plan][period][kind] = limit;
+            }
+        }
+    }
+    return plans;
+}
+
+export const PLAN_QUOTAS = loadQuotas();
+
+// Users on a plan that is no longer configured fall back to the default
+export const quotasFor = (plan) => PLAN_QUOTAS[plan] || PLAN_QUOTAS[DEFAULT_PLAN];
+
+// Starts a statement that records usage a quota reservation was held for,
+// dropping the reservation in the same statement so the usage is never
+// counted twice. `param` is the placeholder of the reservation id (or NULL).
+export const releasing = (param) => `WITH released AS (DELETE FROM quota_reservations WHERE id = ${param}::bigint)`;
+
+// Adds one operation to the ledger. `entry` is { userId, projectId, kind,
+// task, provider, model, requests, inputTokens, outputTokens, images,
+// outcome, error, reservationId }. A failed write is logged rather than
+// thrown, so the result the user paid for is never lost to it.
+export async function recordUsage(entry) {
+    try {
+        await db.query(
+            `${releasing('$13')}
+             INSERT INTO ai_usage
+                 (user_id, project_id, kind, task, provider, model, requests, input_tokens, output_tokens, images, outcome, error)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [
+                entry.userId ?? null, entry.projectId ?? null, entry.kind, entry.task, entry.provider,
+                entry.model ?? null, entry.requests ?? 1, entry.inputTokens ?? null, entry.outputTokens ?? null,
+                entry.images ?? 0, entry.outcome, entry.error?.slice(0, 1000) ?? null, entry.reservationId ?? null
+            ]
+        );
+    } catch (err) {
+        console.error(`Failed to record AI usage (${entry.task} for user ${entry.userId}): ${err.message}`);
+    }
+}
+
+// What the user has used in the current day and month (in the database's
+// time zone) against their plan; usage from before an admin reset the quotas
+// does not count. Each kind is { used, pending, limit, remaining }, with
+// remaining null when unlimited; pending is what queued images and requests
+// in progress hold.
+export async function getQuotaStatus(userId, client = db) {
+    const result = await client.query(
+        `WITH u AS (
+             SELECT id, plan, quota_reset_at,
+                    GREATEST(date_trunc('day', LOCALTIMESTAMP), quota_reset_at) AS day_start,
+                    GREATEST(date_trunc('month', LOCALTIMESTAMP), quota_reset_at) AS month_start
+             FROM users WHERE id = $1
+         )
+         SELECT u.plan, u.quota_reset_at,
+                COUNT(a.id) FILTER (WHERE a.kind = 'script' AND a.outcome <> 'failed' AND a.created_at >= u.day_start)::int AS daily_script,
+                COALESCE(SUM(a.images) FILTER (WHERE a.created_at >= u.day_start), 0)::int AS daily_image,
+                COUNT(a.id) FILTER (WHERE a.kind = 'script' AND a.outcome <> 'failed')::int AS monthly_script,
+                COALESCE(SUM(a.images), 0)::int AS monthly_image,
+                (SELECT COUNT(*) FROM image_jobs j
+                 WHERE j.requested_by = u.id AND j.status IN ('queued', 'running'))::int
+                    + (SELECT COALESCE(SUM(r.amount), 0) FROM quota_reservations r
+                       WHERE r.user_id = u.id AND r.kind = 'image' AND r.created_at > LOCALTIMESTAMP - INTERVAL '${RESERVATION_TTL}')::int AS pending_image,
+                (SELECT COALESCE(SUM(r.amount), 0) FROM quota_reservations r
+                 WHERE r.user_id = u.id AND r.kind = 'script' AND r.created_at > LOCALTIMESTAMP - INTERVAL '${RESERVATION_TTL}')::int AS pending_script,
+                date_trunc('day', LOCALTIMESTAMP) + INTERVAL '1 day' AS daily_resets_at,
+                date_trunc('month', LOCALTIMESTAMP) + INTERVAL '1 month' AS monthly_resets_at
+         FROM u
+         LEFT JOIN ai_usage a ON a.user_id = u.id AND a.created_at >= u.month_start
+         GROUP BY u.id, u.plan, u.quota_reset_at, u.day_start`,
+        [userId]
+    );
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const quotas = quotasFor(row.plan);
+    const periods = {};
+    for (const period of QUOTA_PERIODS) {
+        periods[period] = { resets_at: row[`${period}_resets_at`] };
+        for (const kind of QUOTA_KINDS) {
+            const used = row[`${period}_${kind}`];
+            const pending = row[`pending_${kind}`];
+            const limit = quotas[period][kind];
+            periods[period][kind] = {
+                used,
+                pending,
+                limit,
+                remaining: limit === null ? null : Math.max(0, limit - used - pending)
+            };
+        }
+    }
+
+    return { plan: PLAN_QUOTAS[row.plan] ? row.plan : DEFAULT_PLAN, quota_reset_at: row.quota_reset_at, periods };
+}
+
+// Whether `amount` more of `kind` fits in every period. Returns null when it
+// does, otherwise { plan, period, kind, limit, used, pending, remaining,
+// resets_at } for the first period it would exceed.
+export async function checkQuota(userId, kind, amount = 1, client = db) {
+    const status = await getQuotaStatus(userId, client);
+    if (!status) return null;
+
+    for (const period of QUOTA_PERIODS) {
+        const quota = status.periods[period][kind];
+        if (quota.remaining !== null && quota.remaining < amount) {
+            return { plan: status.plan, period, kind, ...quota, resets_at: status.periods[period].resets_at };
+        }
+    }
+    return null;
+}
+
+// Checks the quota and, if `amount` fits, holds it for the caller until the
+// usage is recorded (see releasing()) or releaseQuota(). Returns
+// { reservationId } or { exceeded } as checkQuota() describes it.
+export function reserveQuota(userId, kind, amount) {
+    return db.transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [QUOTA_LOCK_KEY, userId]);
+
+        const exceeded = await checkQuota(userId, kind, amount, client);
+        if (exceeded) return { exceeded };
+
+        await client.query(
+            `DELETE FROM quota_reservations WHERE user_id = $1 AND created_at <= LOCALTIMESTAMP - INTERVAL '${RESERVATION_TTL}'`,
+            [userId]
+        );
+        const result = await client.query(
+            'INSERT INTO quota_reservations (user_id, kind, amount) VALUES ($1, $2, $3) RETURNING id',
+            [userId, kind, amount]
+        );
+        return { reservationId: result.rows[0].id };
+    });
+}
+
+export async function releaseQuota(reservationId) {
+    await db.query('DELETE FROM quota_reservations WHERE id = $1', [reservationId]);
+}
+
+// Usage per day for the last `days` days, oldest first; days without usage
+// are included with zeros
+export async function usageHistory(userId, days = 30) {
+    const result = await db.query(
+        `SELECT to_char(d.day, 'YYYY-MM-DD') AS day,
+                COUNT(a.id) FILTER (WHERE a.kind = 'script' AND a.outcome <> 'failed')::int AS script,
+                COALESCE(SUM(a.images), 0)::int AS image,
+                COALESCE(SUM(a.input_tokens), 0)::int AS input_tokens,
+                COALESCE(SUM(a.output_tokens), 0)::int AS output_tokens,
+                COUNT(a.id) FILTER (WHERE a.outcome <> 'succeeded')::int AS failed
+         FROM generate_series(date_trunc('day', LOCALTIMESTAMP) - ($2::int - 1) * INTERVAL '1 day', date_trunc('day', LOCALTIMESTAMP), INTERVAL '1 day') AS d(day)
+         LEFT JOIN ai_usage a ON a.user_id = $1 AND a.created_at >= d.day AND a.created_at < d.day + INTERVAL '1 day'
+         GROUP BY d.day
+         ORDER BY d.day`,
+        [userId, days]
+    );
+    return result.rows;
+}
+
+// This month's usage per project, heaviest first. Usage from before a
+// project existed (writing its script) or of deleted projects has no project.
+export async function usageByProject(userId) {
+    const result = await db.query(
+        `SELECT a.project_id, p.title,
+                COUNT(a.id) FILTER (WHERE a.kind = 'script' AND a.outcome <> 'failed')::int AS script,
+                COALESCE(SUM(a.images), 0)::int AS image,
+                (COALESCE(SUM(a.input_tokens), 0) + COALESCE(SUM(a.output_tokens), 0))::int AS tokens
+         FROM ai_usage a
+         LEFT JOIN projects p ON p.id = a.project_id
+         WHERE a.user_id = $1 AND a.created_at >= date_trunc('month', LOCALTIMESTAMP)
+         GROUP BY a.project_id, p.title
+         ORDER BY image DESC, script DESC`,
+        [userId]
+    );
+    return result.rows;
+}
@@ -0,0 +1,19 @@
+// Row ids in URL parameters. Anything that is not one is rejected up front:
+// handed to Postgres, 'abc' or a number past the INTEGER range throws instead
+// of matching nothing.
+
+// Largest value of an INTEGER column
+export const MAX_ID = 2147483647;
+
+export const isId = (value) => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= MAX_ID;
+
+// router.param handler answering 400 unless the parameter is an id, e.g.
+// router.param('userId', idParam('user'))
+export function idParam(label) {
+    return (req, res, next, value, name) => {
+        if (!isId(value)) {
+            return res.status(400).json({ error: `Invalid ${label} id`, details: [{ path: name, message: 'must be a positive integer' }] });
+        }
+        next();
+    };
+}
@@ -0,0 +1,13 @@
+// Identifies image formats from their magic bytes rather than trusting
+// whatever content type a provider claims.
+const SIGNATURES = [
+    { mime: 'image/png', ext: 'png', test: (b) => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+    { mime: 'image/jpeg', ext: 'jpg', test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mime: 'image/webp', ext: 'webp', test: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { mime: 'image/gif', ext: 'gif', test: (b) => b.length > 6 && /^GIF8[79]a$/.test(b.toString('ascii', 0, 6)) }
+];
+
+export function detectImageType(buffer) {
+    const match = SIGNATURES.find(sig => sig.test(buffer));
+    return match ? { mime: match.mime, ext: match.ext } : null;
+}
@@ -0,0 +1,37 @@
+// Password rules for registration and resets. Returns a list of problems;
+// an empty list means the password is acceptable.
+
+export const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10);
+
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', '123456789', '1234567890', 'qwertyuiop',
+    'iloveyou', 'letmein123', 'welcome123', 'admin12345', 'sketcha123', 'storyboard'
+]);
+
+export function checkPassword(password, email = '') {
+    if (typeof password !== 'string' || password.length === 0) {
+        return ['Password is required'];
+    }
+
+    const problems = [];
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+        problems.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes`);
+    }
+    if (!/[a-z]/i.test(password) || !/[0-9]/.test(password)) {
+        problems.push('Password must contain both letters and numbers');
+    }
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+        problems.push('Password is too common');
+    }
+    const localPart = String(email).split('@')[0].toLowerCase();
+    if (localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+        problems.push('Password must not contain your email address');
+    }
+    return problems;
+}
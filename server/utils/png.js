@@ -0,0 +1,61 @@
+import zlib from 'zlib';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export function crc32(buffer, crc = 0) {
+    crc = ~crc >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encodes a flat RGB image with a darker border, used for placeholder frames.
+export function solidPng(width, height, [r, g, b]) {
+    const border = Math.max(2, Math.round(Math.min(width, height) / 40));
+    const row = Buffer.alloc(1 + width * 3);
+    const edgeRow = Buffer.alloc(1 + width * 3);
+
+    for (let x = 0; x < width; x++) {
+        const isEdge = x < border || x >= width - border;
+        row.set(isEdge ? [r >> 1, g >> 1, b >> 1] : [r, g, b], 1 + x * 3);
+        edgeRow.set([r >> 1, g >> 1, b >> 1], 1 + x * 3);
+    }
+
+    const raw = Buffer.alloc(row.length * height);
+    for (let y = 0; y < height; y++) {
+        const isEdge = y < border || y >= height - border;
+        (isEdge ? edgeRow : row).copy(raw, y * row.length);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // colour type: truecolour
+    header[10] = 0;
+    header[11] = 0;
+    header[12] = 0;
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
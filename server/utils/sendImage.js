@@ -0,0 +1,29 @@
+import { pipeline } from 'stream/promises';
+import { openImage } from '../services/storage/index.js';
+
+// Streams a stored image row to the response, honouring `?variant=thumbnail`
+// and conditional requests. Images are content-addressed, so a given id and
+// variant never changes; `cacheControl` only decides who may keep it and for
+// how long. A missing file is reported as 404.
+export default async function sendImage(req, res, image, { cacheControl, vary }) {
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+
+    res.set({
+        'Cache-Control': cacheControl,
+        'ETag': `"${image.hash}-${variant}"`,
+        'Vary': vary
+    });
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    try {
+        const { stream, contentType } = await openImage(image, variant);
+        res.type(contentType);
+        await pipeline(stream, res);
+    } catch (err) {
+        if (err.code !== 'NOT_FOUND') throw err;
+        res.status(404).send('Image not found');
+    }
+}
@@ -0,0 +1,83 @@
+import zlib from 'zlib';
+import { crc32 } from './png.js';
+
+// Minimal ZIP writer. Entries are deflated unless that doesn't make them
+// smaller (images usually won't). No ZIP64, so archives stay under 4 GB.
+
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800;
+
+// MS-DOS date and time, as ZIP headers store them
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// Writes a ZIP archive to a writable stream one entry at a time, so only
+// the entry being added is held in memory. Await add() before the next one.
+export function createZipWriter(output, { date = new Date() } = {}) {
+    const { time, day } = dosDateTime(date);
+    const directory = [];
+    let offset = 0;
+
+    const write = (buffer) => new Promise((resolve, reject) => {
+        output.write(buffer, (err) => (err ? reject(err) : resolve()));
+    });
+
+    return {
+        // data is a Buffer or string
+        async add(entryName, data) {
+            const name = Buffer.from(entryName, 'utf8');
+            const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+            const deflated = zlib.deflateRawSync(bytes);
+            const method = deflated.length < bytes.length ? DEFLATE : STORE;
+            const body = method === DEFLATE ? deflated : bytes;
+            const crc = crc32(bytes);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);
+            local.writeUInt16LE(UTF8_NAMES, 6);
+            local.writeUInt16LE(method, 8);
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(day, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(body.length, 18);
+            local.writeUInt32LE(bytes.length, 22);
+            local.writeUInt16LE(name.length, 26);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(UTF8_NAMES, 8);
+            central.writeUInt16LE(method, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(day, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(body.length, 20);
+            central.writeUInt32LE(bytes.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+
+            directory.push(central, name);
+            offset += local.length + name.length + body.length;
+            await write(Buffer.concat([local, name, body]));
+        },
+
+        // Writes the central directory; the caller ends the stream
+        async finish() {
+            const entries = directory.length / 2;
+            const directorySize = directory.reduce((sum, b) => sum + b.length, 0);
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entries, 8);
+            end.writeUInt16LE(entries, 10);
+            end.writeUInt32LE(directorySize, 12);
+            end.writeUInt32LE(offset, 16);
+            await write(Buffer.concat([...directory, end]));
+        }
+    };
+}